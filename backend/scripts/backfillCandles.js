@@ -0,0 +1,65 @@
+/**
+ * 历史K线回补命令
+ *
+ * 用法: node backend/scripts/backfillCandles.js [时间框架,...] [天数] [交易对,...]
+ * 默认回补 4h,15m,1m，天数按 CANDLE_STORE_CONFIG.BACKFILL_DAYS，交易对为当前保存的交易对列表
+ * 已有数据时只补新K线、缺口和不足的更早部分，可重复执行
+ */
+
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { CandleStore } = require('../src/candleStore');
+const { UniverseManager } = require('../src/universe');
+const { getAdapterForSymbol } = require('../src/marketData');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const timeframes = args[0] ? args[0].split(',') : ['4h', '15m', '1m'];
+  const days = args[1] ? parseInt(args[1], 10) : undefined;
+
+  const store = new SqliteStore();
+  const candleStore = new CandleStore(store);
+  const symbols = args[2] ? args[2].split(',') : new UniverseManager(store).load();
+
+  // 回补只支持交易所原生周期，其他周期可由 resample 聚合
+  const unknown = timeframes.filter(tf => !symbols.every(s => getAdapterForSymbol(s).supportsTimeframe(tf)));
+  if (unknown.length > 0) {
+    store.close();
+    throw new Error(`Unsupported timeframes: ${unknown.join(', ')}`);
+  }
+
+  const failed = [];
+
+  try {
+    for (const timeframe of timeframes) {
+      for (let i = 0; i < symbols.length; i++) {
+        const symbol = symbols[i];
+        try {
+          const result = await candleStore.backfill(symbol, timeframe, { days });
+          console.log(`[${timeframe}] ${symbol} (${i + 1}/${symbols.length}): +${result.saved} candles, ${result.pages} pages`);
+        } catch (error) {
+          failed.push({ symbol, timeframe, error: error.message });
+          console.error(`[${timeframe}] ${symbol}: ${error.message}`);
+        }
+      }
+    }
+
+    const report = candleStore.report().filter(r => symbols.includes(r.symbol) && timeframes.includes(r.timeframe));
+    console.log(JSON.stringify({
+      series: report.length,
+      with_gaps: report.filter(r => r.gap_count > 0).map(r => `${r.symbol}/${r.timeframe}: ${r.gap_count}`),
+      with_duplicates: report.filter(r => r.duplicates > 0).map(r => `${r.symbol}/${r.timeframe}: ${r.duplicates}`),
+      failed
+    }, null, 2));
+  } finally {
+    store.close();
+  }
+
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+/**
+ * 回测命令行入口
+ *
+ * 用法: node backend/scripts/backtest.js [K线文件] [SINGLE|MTF]
+ * K线文件格式: { symbol: [...4h K线] } 或 { symbol: { '4h': [...], '15m': [...], '1m': [...] } }
+ * 默认读取 backend/data/klines.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runBacktest } = require('../src/backtest');
+
+async function main() {
+  const file = process.argv[2] || path.join(__dirname, '..', 'data', 'klines.json');
+  const mode = (process.argv[3] || 'SINGLE').toUpperCase();
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // 兼容 klines.json 的单周期格式
+  const candles = {};
+  for (const [symbol, series] of Object.entries(raw)) {
+    candles[symbol] = Array.isArray(series) ? { '4h': series } : series;
+  }
+
+  const result = await runBacktest(candles, { mode });
+
+  console.log(JSON.stringify({
+    mode: result.mode,
+    range: result.range,
+    symbols: result.symbols.length,
+    stats: result.stats
+  }, null, 2));
+
+  const ledgerFile = path.join(path.dirname(file), `backtest-${mode.toLowerCase()}-${Date.now()}.json`);
+  fs.writeFileSync(ledgerFile, JSON.stringify(result, null, 2));
+  console.log(`Trade ledger written to ${ledgerFile}`);
+}
+
+main().catch(error => {
+  console.error('Backtest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+/**
+ * 旧版JSON数据导入命令
+ *
+ * 用法: node backend/scripts/importJson.js [数据目录] [--force]
+ * 默认读取 backend/data，写入 STORAGE_CONFIG.DB_PATH
+ */
+
+const path = require('path');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { importJsonData } = require('../src/storage/jsonImporter');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const dataDir = args.find(a => !a.startsWith('--')) || path.join(__dirname, '..', 'data');
+
+const store = new SqliteStore();
+
+try {
+  const result = importJsonData(store, dataDir, { force });
+  if (result.skipped) {
+    console.log(`JSON data already imported at ${result.importedAt} (use --force to re-import)`);
+  } else {
+    console.log('JSON data imported:', JSON.stringify(result));
+  }
+} catch (error) {
+  console.error('Import failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
@@ -0,0 +1,88 @@
+/**
+ * 参数优化命令行入口
+ *
+ * 用法:
+ *   node backend/scripts/optimize.js [K线文件] [SINGLE|MTF] [grid|random] [样本数]
+ *   node backend/scripts/optimize.js compare <旧报告> <新报告>
+ * K线文件格式同回测；不指定时从 SQLite 的 candles 表读取
+ * 报告写入 backend/reports
+ */
+
+const fs = require('fs');
+const { runOptimization, writeReport, compareReports } = require('../src/optimizer');
+const { BACKTEST_CONFIG } = require('../src/backtest');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+
+// 读取K线：JSON文件或数据库
+function loadCandles(file, mode) {
+  if (file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const candles = {};
+    for (const [symbol, series] of Object.entries(raw)) {
+      candles[symbol] = Array.isArray(series) ? { '4h': series } : series;
+    }
+    return candles;
+  }
+
+  const store = new SqliteStore();
+  try {
+    const timeframes = BACKTEST_CONFIG.TIMEFRAMES[mode];
+    const symbols = [...new Set(store.listCandleSeries().map(series => series.symbol))];
+    const candles = {};
+    symbols.forEach(symbol => {
+      candles[symbol] = {};
+      timeframes.forEach(tf => {
+        candles[symbol][tf] = store.getCandles(symbol, tf);
+      });
+    });
+    return candles;
+  } finally {
+    store.close();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === 'compare') {
+    const previous = JSON.parse(fs.readFileSync(args[1], 'utf8'));
+    const current = JSON.parse(fs.readFileSync(args[2], 'utf8'));
+    console.log(JSON.stringify(compareReports(previous, current), null, 2));
+    return;
+  }
+
+  const file = args[0] && fs.existsSync(args[0]) ? args[0] : null;
+  const rest = file ? args.slice(1) : args;
+  const mode = (rest[0] || 'SINGLE').toUpperCase();
+  const method = (rest[1] || 'grid').toLowerCase();
+  const samples = rest[2] ? parseInt(rest[2], 10) : undefined;
+
+  const candles = loadCandles(file, mode);
+
+  const report = await runOptimization(candles, {
+    mode,
+    method,
+    samples,
+    onProgress: ({ processed, total }) => {
+      process.stdout.write(`\rParameter sets: ${processed}/${total}`);
+    }
+  });
+  process.stdout.write('\n');
+
+  console.log(JSON.stringify({
+    mode: report.mode,
+    method: report.method,
+    range: report.range,
+    windows: report.windows.length,
+    defaults: report.defaults,
+    best: report.best && { params: report.best.params, test: report.best.test, score: report.best.score },
+    walk_forward: report.walk_forward.test
+  }, null, 2));
+
+  console.log(`Report written to ${writeReport(report)}`);
+}
+
+main().catch(error => {
+  console.error('Optimisation failed:', error.message);
+  process.exit(1);
+});
@@ -2,16 +2,42 @@ const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
 const path = require('path');
-const fs = require('fs');
 
 const { 
+  getKlines,
   getAllKlines, 
   getTickers, 
+  getScanTickers,
   getAllMultiTimeframeKlines,
-  SYMBOLS_54 
-} = require('./src/gateio');
+  getAdapterForSymbol,
+  setMarketStream,
+  setCandleHistory,
+  setSymbols,
+  getSymbols,
+  describeDataSource
+} = require('./src/marketData');
+const { MarketStream, MARKET_STREAM_CONFIG } = require('./src/marketStream');
+const { CandleStore } = require('./src/candleStore');
+const { UniverseManager, UNIVERSE_CONFIG } = require('./src/universe');
+const { parseTimeframe } = require('./src/resample');
 const { scanAllSymbols, CONFIG } = require('./src/strategy');
 const { scanAllSymbolsMTF, MTF_SCANNER_CONFIG } = require('./src/mtfScanner');
+const {
+  SIGNAL_STATUS,
+  LIFECYCLE_CONFIG,
+  initLifecycle,
+  transitionSignal,
+  isPendingStatus,
+  isTerminalStatus,
+  isOpenPosition,
+  trackSignals
+} = require('./src/signalLifecycle');
+const { SqliteStore, STORAGE_CONFIG } = require('./src/storage/sqliteStore');
+const { importJsonData } = require('./src/storage/jsonImporter');
+const { ScanJobManager } = require('./src/scanJobs');
+const { EventHub, EVENT_TYPES, EVENT_STREAM_CONFIG } = require('./src/eventStream');
+const { WebhookNotifier, parseWebhookConfig } = require('./src/notifier');
+const { applyPortfolioRisk, summarizeExposure, PORTFOLIO_RISK_CONFIG } = require('./src/portfolioRisk');
 const { logger, metrics } = require('./src/utils/logger');
 const {
   InputValidator,
@@ -21,6 +47,8 @@ const {
   sanitizeSensitiveData,
   TimeoutError,
   RateLimitError,
+  CancelledError,
+  BusinessError,
   ValidationError
 } = require('./src/utils/errors');
 
@@ -85,6 +113,7 @@ const scanIdempotency = new IdempotencyChecker({
 // 数据存储
 let latestSignals = [];
 let latestFiltered = [];
+let lastPortfolioRisk = null;
 let latestKlines = {};
 let latestTickers = {};
 let scanHistory = [];
@@ -96,7 +125,7 @@ let dataHealthStatus = 'HEALTHY';
 let scanStatus = {
   status: 'IDLE',
   progress: 0,
-  total: SYMBOLS_54.length,
+  total: getSymbols().length,
   processed: 0,
   startTime: null,
   endTime: null,
@@ -105,49 +134,108 @@ let scanStatus = {
   message: ''
 };
 
-// 扫描日志
+// 扫描日志（内存中只保留最近几条，完整记录在数据库）
 let scanLogs = [];
 const MAX_LOGS = 10;
+const MAX_HISTORY = 100;
 
-// 数据文件路径
+// 旧版JSON数据目录（仅用于一次性导入）
 const DATA_DIR = path.join(__dirname, 'data');
-const SIGNALS_FILE = path.join(DATA_DIR, 'signals.json');
-const KLINES_FILE = path.join(DATA_DIR, 'klines.json');
-const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
-const LOGS_FILE = path.join(DATA_DIR, 'scanLogs.json');
-
-// 确保数据目录存在
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// 持久化存储
+const store = new SqliteStore(STORAGE_CONFIG.DB_PATH);
+
+// 历史K线库（扫描时追加新收盘K线，回补见 scripts/backfillCandles.js）
+const candleStore = new CandleStore(store);
+setCandleHistory(candleStore);
+
+// 实时事件
+const eventHub = new EventHub();
+
+// 实时行情推送（仅 Gate.io 现货交易对，其他交易所和合约模式仍走 REST）
+const streamSymbols = symbols => symbols.filter(s => getAdapterForSymbol(s).name === 'gateio');
+
+// 动态交易对列表（启动时先使用上次保存的列表）
+const universe = new UniverseManager(store, {
+  onChange: (symbols) => {
+    setSymbols(symbols);
+    if (marketStream) {
+      marketStream.setSymbols(streamSymbols(symbols));
+    }
+  }
+});
+setSymbols(universe.load());
+
+const marketStream = MARKET_STREAM_CONFIG.ENABLED
+  ? new MarketStream({ symbols: streamSymbols(getSymbols()) })
+  : null;
+setMarketStream(marketStream);
+
+// Webhook通知（WEBHOOKS 配置错误时不发送通知）
+function loadWebhookEndpoints() {
+  try {
+    return parseWebhookConfig(process.env.WEBHOOKS);
+  } catch (error) {
+    logger.error('Invalid WEBHOOKS config', { error: error.message });
+    return [];
+  }
 }
+const notifier = new WebhookNotifier(store, { endpoints: loadWebhookEndpoints() });
+
+// 扫描任务（状态变化时推送事件）
+const scanJobs = new ScanJobManager(store, {
+  onUpdate: (job, changes) => {
+    if (changes.status) {
+      eventHub.publish(EVENT_TYPES.SCAN_JOB, {
+        job_id: job.id,
+        type: job.type,
+        status: job.status,
+        message: job.message,
+        result: job.result,
+        error: job.error
+      });
+    }
+  }
+});
+let activeScanJob = null;
 
 // 加载历史数据
 function loadHistory() {
   try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      scanHistory = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
-      logger.info('History loaded', { count: scanHistory.length });
+    const importResult = importJsonData(store, DATA_DIR);
+    if (!importResult.skipped) {
+      logger.info('Legacy JSON data imported', importResult);
     }
-    if (fs.existsSync(LOGS_FILE)) {
-      scanLogs = JSON.parse(fs.readFileSync(LOGS_FILE, 'utf8'));
-      logger.info('Scan logs loaded', { count: scanLogs.length });
+
+    const interrupted = scanJobs.recoverInterrupted();
+    if (interrupted > 0) {
+      logger.warn('Interrupted scan jobs marked as failed', { count: interrupted });
     }
+
+    scanHistory = store.getScanHistory(MAX_HISTORY);
+    scanLogs = store.getScanLogs(MAX_LOGS);
+    latestSignals = store.getLatestSignals([SIGNAL_STATUS.TRIGGERED, SIGNAL_STATUS.TP1_HIT]);
+    latestFiltered = store.getLatestFiltered();
+    lastScanTime = scanHistory.length > 0 ? scanHistory[0].time : null;
+
+    logger.info('History loaded', {
+      history: scanHistory.length,
+      logs: scanLogs.length,
+      signals: latestSignals.length
+    });
   } catch (error) {
     logger.error('Error loading history', { error: error.message });
   }
 }
 
-// 更新数据健康状态
+// 更新数据健康状态（状态变化时推送事件）
 function updateDataHealth() {
-  if (!lastKlineUpdateTime) {
-    dataHealthStatus = 'DEAD';
-    return;
-  }
+  const previous = dataHealthStatus;
+  const age = lastKlineUpdateTime ? Date.now() - lastKlineUpdateTime : null;
 
-  const now = Date.now();
-  const age = now - lastKlineUpdateTime;
-
-  if (age < CONFIG.DATA_HEALTHY_THRESHOLD) {
+  if (age === null) {
+    dataHealthStatus = 'DEAD';
+  } else if (age < CONFIG.DATA_HEALTHY_THRESHOLD) {
     dataHealthStatus = 'HEALTHY';
   } else if (age < CONFIG.DATA_STALE_THRESHOLD) {
     dataHealthStatus = 'STALE';
@@ -157,6 +245,15 @@ function updateDataHealth() {
 
   // 记录指标
   metrics.gauge('data_health_status', dataHealthStatus === 'HEALTHY' ? 1 : dataHealthStatus === 'STALE' ? 0.5 : 0);
+
+  if (dataHealthStatus !== previous) {
+    eventHub.publish(EVENT_TYPES.DATA_HEALTH, {
+      status: dataHealthStatus,
+      previous,
+      last_update: lastKlineUpdateTime ? new Date(lastKlineUpdateTime).toISOString() : null,
+      age_ms: age
+    });
+  }
 }
 
 // 获取数据健康信息
@@ -202,9 +299,49 @@ function formatScanDuration(startTime, endTime) {
   return `${seconds}秒`;
 }
 
-// 更新扫描状态
+// 更新扫描状态（同步到当前扫描任务并推送进度事件）
 function updateScanStatus(newStatus) {
   scanStatus = { ...scanStatus, ...newStatus };
+  if (activeScanJob && scanStatus.status === 'RUNNING') {
+    activeScanJob.reportProgress(scanStatus.progress, scanStatus.message);
+  }
+
+  eventHub.publish(EVENT_TYPES.SCAN_PROGRESS, {
+    job_id: activeScanJob ? activeScanJob.jobId : null,
+    status: scanStatus.status,
+    progress: scanStatus.progress,
+    processed: scanStatus.processed,
+    total: scanStatus.total,
+    currentSymbol: scanStatus.currentSymbol,
+    message: scanStatus.message
+  });
+}
+
+// 推送单个交易对的扫描结果
+function publishSymbolResult(symbol, result) {
+  eventHub.publish(EVENT_TYPES.SCAN_SYMBOL, {
+    job_id: activeScanJob ? activeScanJob.jobId : null,
+    symbol,
+    signal: result.signal
+      ? { id: result.signal.id, direction: result.signal.direction, rating: result.signal.rating }
+      : null,
+    blocked: !!result.blocked,
+    reason: result.reason || result.blockReason || null
+  });
+}
+
+// 推送信号状态转换（在 latestSignals 更新后调用）
+function publishTransitions(transitions) {
+  transitions.forEach(t => {
+    eventHub.publish(EVENT_TYPES.SIGNAL_STATUS, t);
+
+    const signal = latestSignals.find(s => s.id === t.signal_id);
+    if (signal && notifier.enabled) {
+      notifier.notifyTransition(signal, t).catch(error => {
+        logger.error('Webhook notify failed', { signalId: t.signal_id, error: error.message });
+      });
+    }
+  });
 }
 
 // 记录扫描日志
@@ -216,7 +353,7 @@ function recordScanLog(result) {
     duration: scanStatus.startTime && scanStatus.endTime
       ? formatScanDuration(new Date(scanStatus.startTime), new Date(scanStatus.endTime))
       : '未知',
-    totalSymbols: SYMBOLS_54.length,
+    totalSymbols: getSymbols().length,
     signalsGenerated: result.signals?.length || 0,
     signalsFiltered: result.filtered?.length || 0,
     ratingDistribution: result.signals?.reduce((acc, s) => {
@@ -227,6 +364,7 @@ function recordScanLog(result) {
       acc[f.reason] = (acc[f.reason] || 0) + 1;
       return acc;
     }, {}),
+    scanType: result.scanType || 'SINGLE',
     timestamp: new Date().toISOString()
   };
 
@@ -235,9 +373,9 @@ function recordScanLog(result) {
     scanLogs = scanLogs.slice(0, MAX_LOGS);
   }
 
-  // 保存日志
+  // 保存扫描记录、信号和过滤结果（单个事务）
   try {
-    fs.writeFileSync(LOGS_FILE, JSON.stringify(scanLogs, null, 2));
+    store.saveScan(log, result.signals || [], result.filtered || []);
     logger.info('Scan log recorded', { logId: log.id });
   } catch (error) {
     logger.error('Error saving scan logs', { error: error.message });
@@ -255,21 +393,28 @@ function recordScanLog(result) {
 }
 
 // 更新信号状态（TTL检查等）
+// 仅等待入场的信号会过期，已入场的信号由生命周期追踪负责平仓
 function updateSignalStatuses() {
   const now = Date.now();
-  let expiredCount = 0;
+  const transitions = [];
 
   latestSignals = latestSignals.map(signal => {
+    if (!isPendingStatus(signal.status)) {
+      return signal;
+    }
+
     const signalTime = new Date(signal.timestamp).getTime();
     const age = now - signalTime;
 
     // 检查是否过期
     if (age > CONFIG.SIGNAL_TTL_MS) {
-      expiredCount++;
+      const { signal: expired, transition } = transitionSignal(signal, SIGNAL_STATUS.EXPIRED, {
+        time: now,
+        reason: 'TTL_EXPIRED'
+      });
+      transitions.push({ signal_id: signal.id, symbol: signal.symbol, direction: signal.direction, ...transition });
       return {
-        ...signal,
-        status: 'EXPIRED',
-        status_desc: '信号已过期（超过4小时）',
+        ...expired,
         expires_in_minutes: 0,
         invalid_reason: 'TTL_EXPIRED',
         suggested_action: '放弃该信号，等待新的扫描结果'
@@ -279,42 +424,98 @@ function updateSignalStatuses() {
     // 更新剩余时间
     const expiresIn = Math.floor((CONFIG.SIGNAL_TTL_MS - age) / 60000);
 
-    // 如果当前是ACTIVE状态，保持ACTIVE
-    if (signal.status === 'ACTIVE' || signal.status === 'PENDING') {
-      return {
-        ...signal,
-        expires_in_minutes: expiresIn
-      };
-    }
-
-    return signal;
+    return {
+      ...signal,
+      expires_in_minutes: expiresIn
+    };
   });
 
-  if (expiredCount > 0) {
-    logger.info('Signal status updated', { expiredCount });
+  if (transitions.length > 0) {
+    logger.info('Signal status updated', { expiredCount: transitions.length });
+    publishTransitions(transitions);
     saveData();
   }
 }
 
-// 保存数据
-function saveData() {
+// 生命周期追踪：根据ticker和1M K线推进信号状态
+let lifecycleRunning = false;
+
+async function trackSignalLifecycle() {
+  if (lifecycleRunning) return;
+
+  const openSignals = latestSignals.filter(s => !isTerminalStatus(s.status));
+  if (openSignals.length === 0) return;
+
+  lifecycleRunning = true;
   try {
-    fs.writeFileSync(SIGNALS_FILE, JSON.stringify({
-      scan_time: lastScanTime,
-      total_signals: latestSignals.length,
-      total_filtered: latestFiltered.length,
-      symbols_scanned: SYMBOLS_54.length,
-      symbols_monitored: SYMBOLS_54.length,
-      symbols_enabled: latestSignals.length,
-      timeframe: '4H',
-      data_source: 'Gate.io API',
-      data_health: getDataHealthInfo(),
-      signals: latestSignals,
-      filtered: latestFiltered
-    }, null, 2));
+    const symbols = [...new Set(openSignals.map(s => s.symbol))];
+    const tickers = await getTickers();
+
+    const klinesBySymbol = {};
+    for (const symbol of symbols) {
+      const klines = await getKlines(symbol, LIFECYCLE_CONFIG.KLINE_TIMEFRAME, LIFECYCLE_CONFIG.KLINE_LOOKBACK);
+      if (klines) {
+        klinesBySymbol[symbol] = klines;
+      }
+    }
+
+    const result = trackSignals(latestSignals, { klinesBySymbol, tickers: tickers || {} });
+    latestSignals = result.signals;
+
+    if (result.transitions.length > 0) {
+      result.transitions.forEach(t => {
+        metrics.increment('signal_transitions_total', { to: t.to });
+      });
+      logger.info('Signal lifecycle advanced', {
+        transitions: result.transitions.map(t => `${t.symbol}:${t.from}->${t.to}`)
+      });
+      publishTransitions(result.transitions);
+      saveData();
+    }
+  } catch (error) {
+    logger.error('Error tracking signal lifecycle', { error: error.message });
+  } finally {
+    lifecycleRunning = false;
+  }
+}
 
-    fs.writeFileSync(KLINES_FILE, JSON.stringify(latestKlines, null, 2));
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(scanHistory, null, 2));
+// 新扫描结果替换信号列表时，保留已入场尚未平仓的信号
+// 新信号先经过组合风控，被丢弃的信号作为过滤结果返回；accepted 只含本次扫描新接受的信号，
+// 扫描日志和扫描历史只记录这部分，沿用的持仓只保留在 latestSignals
+function mergeScanSignals(newSignals) {
+  const openPositions = latestSignals.filter(s => isOpenPosition(s.status));
+  const portfolio = applyPortfolioRisk(newSignals, openPositions);
+  const { accepted, ...report } = portfolio;
+  lastPortfolioRisk = { ...report, accepted: accepted.map(s => s.id), time: new Date().toISOString() };
+
+  if (portfolio.dropped.length > 0 || portfolio.resized.length > 0) {
+    logger.info('Portfolio risk applied', {
+      dropped: portfolio.dropped.map(d => `${d.symbol}:${d.reason}`),
+      resized: portfolio.resized.map(r => `${r.symbol}:${r.scale.toFixed(2)}`)
+    });
+  }
+
+  const initialized = portfolio.accepted.map(initLifecycle);
+  initialized.forEach(signal => {
+    eventHub.publish(EVENT_TYPES.SIGNAL_NEW, signal);
+    if (notifier.enabled) {
+      notifier.notifySignalCreated(signal).catch(error => {
+        logger.error('Webhook notify failed', { signalId: signal.id, error: error.message });
+      });
+    }
+  });
+  return {
+    signals: [...initialized, ...openPositions],
+    accepted: initialized,
+    filtered: portfolio.dropped.map(d => ({ ...d, reason: 'PORTFOLIO_RISK_LIMIT', portfolio_reason: d.reason })),
+    portfolio
+  };
+}
+
+// 保存数据（信号状态变化）
+function saveData() {
+  try {
+    store.saveSignals(latestSignals);
 
     logger.info('Data saved', {
       signals: latestSignals.length,
@@ -325,19 +526,33 @@ function saveData() {
   }
 }
 
-// 执行扫描（带进度跟踪和错误处理）
-async function performScan(userId = 'anonymous') {
-  const op = logger.startOperation('scan_signals', { userId });
+// 保存K线
+function saveCandles(klinesBySymbol, timeframe) {
+  try {
+    const { saved, gaps } = candleStore.appendNew(klinesBySymbol, timeframe);
+    logger.info('Candles saved', { timeframe, count: saved, gaps: gaps.length });
+  } catch (error) {
+    logger.error('Error saving candles', { timeframe, error: error.message });
+  }
+}
 
-  // 检查限流
+// 扫描限流检查（提交任务前调用）
+function checkScanRateLimit(userId) {
   try {
     scanRateLimiter.checkAndRecord(userId);
     globalRateLimiter.checkAndRecord('global');
   } catch (error) {
     logger.warn('Rate limit exceeded', { userId, error: error.message });
-    op.end('rate_limited');
     throw error;
   }
+}
+
+// 执行扫描（带进度跟踪和错误处理）
+// scanOptions.intrabar = true 时显式包含正在形成的K线
+// scanOptions.job 为扫描任务上下文，用于检查取消
+async function performScan(userId = 'anonymous', scanOptions = {}) {
+  const op = logger.startOperation('scan_signals', { userId });
+  const checkCancelled = () => scanOptions.job && scanOptions.job.throwIfCancelled();
 
   // 检查幂等
   const scanKey = scanIdempotency.generateKey(userId, Date.now().toString().slice(0, 10));
@@ -357,7 +572,7 @@ async function performScan(userId = 'anonymous') {
     status: 'RUNNING',
     progress: 0,
     processed: 0,
-    total: SYMBOLS_54.length,
+    total: getSymbols().length,
     startTime: new Date().toISOString(),
     endTime: null,
     estimatedEndTime: new Date(Date.now() + 30000).toISOString(),
@@ -365,7 +580,7 @@ async function performScan(userId = 'anonymous') {
     message: '正在初始化...'
   });
 
-  logger.info('Scan started', { userId, totalSymbols: SYMBOLS_54.length });
+  logger.info('Scan started', { userId, totalSymbols: getSymbols().length });
 
   try {
     // 阶段1：获取K线数据（带重试）
@@ -374,7 +589,7 @@ async function performScan(userId = 'anonymous') {
       message: '正在获取K线数据...'
     });
 
-    logger.info('Fetching klines', { symbolCount: SYMBOLS_54.length });
+    logger.info('Fetching klines', { symbolCount: getSymbols().length });
 
     latestKlines = await withRetry(
       () => getAllKlines('4h', 100),
@@ -390,6 +605,8 @@ async function performScan(userId = 'anonymous') {
 
     lastKlineUpdateTime = Date.now();
     logger.info('Klines fetched', { count: Object.keys(latestKlines).length });
+    saveCandles(latestKlines, '4h');
+    checkCancelled();
 
     updateScanStatus({
       progress: 30,
@@ -398,7 +615,7 @@ async function performScan(userId = 'anonymous') {
 
     // 阶段2：获取实时价格
     latestTickers = await withRetry(
-      () => getTickers(),
+      () => getScanTickers(),
       {
         maxRetries: 3,
         retryDelay: 1000,
@@ -407,6 +624,7 @@ async function performScan(userId = 'anonymous') {
     );
 
     logger.info('Tickers fetched');
+    checkCancelled();
 
     // 阶段3：策略分析
     updateScanStatus({
@@ -417,14 +635,16 @@ async function performScan(userId = 'anonymous') {
     const signals = [];
     const filtered = [];
 
-    for (let i = 0; i < SYMBOLS_54.length; i++) {
-      const symbol = SYMBOLS_54[i];
+    const symbols = getSymbols();
+    for (let i = 0; i < symbols.length; i++) {
+      const symbol = symbols[i];
+      checkCancelled();
 
       updateScanStatus({
-        progress: 40 + Math.floor((i / SYMBOLS_54.length) * 50),
+        progress: 40 + Math.floor((i / symbols.length) * 50),
         processed: i + 1,
         currentSymbol: symbol,
-        message: `正在分析 ${symbol} (${i + 1}/${SYMBOLS_54.length})...`
+        message: `正在分析 ${symbol} (${i + 1}/${symbols.length})...`
       });
 
       try {
@@ -445,7 +665,8 @@ async function performScan(userId = 'anonymous') {
         const result = await scanAllSymbols(
           { [symbol]: klines },
           { [symbol]: ticker },
-          scanHistory
+          scanHistory,
+          { intrabar: scanOptions.intrabar }
         );
 
         if (result.signals && result.signals.length > 0) {
@@ -454,6 +675,11 @@ async function performScan(userId = 'anonymous') {
         if (result.filtered && result.filtered.length > 0) {
           filtered.push(...result.filtered);
         }
+        publishSymbolResult(symbol, {
+          signal: result.signals && result.signals[0],
+          blocked: result.filtered && result.filtered.length > 0,
+          reason: result.filtered && result.filtered[0] ? result.filtered[0].reason : null
+        });
       } catch (error) {
         logger.error('Error processing symbol', { symbol, error: error.message });
         // 继续处理下一个，不中断整个扫描
@@ -465,8 +691,10 @@ async function performScan(userId = 'anonymous') {
       }
     }
 
-    latestSignals = signals;
-    latestFiltered = filtered;
+    checkCancelled();
+    const merged = mergeScanSignals(signals);
+    latestSignals = merged.signals;
+    latestFiltered = [...filtered, ...merged.filtered];
 
     updateScanStatus({
       progress: 95,
@@ -478,9 +706,9 @@ async function performScan(userId = 'anonymous') {
     // 添加到历史记录
     scanHistory.unshift({
       time: lastScanTime,
-      signal_count: latestSignals.length,
+      signal_count: merged.accepted.length,
       filtered_count: latestFiltered.length,
-      signals: latestSignals.map(s => ({
+      signals: merged.accepted.map(s => ({
         symbol: s.symbol,
         direction: s.direction,
         rating: s.rating,
@@ -489,28 +717,25 @@ async function performScan(userId = 'anonymous') {
       }))
     });
 
-    if (scanHistory.length > 100) {
-      scanHistory = scanHistory.slice(0, 100);
+    if (scanHistory.length > MAX_HISTORY) {
+      scanHistory = scanHistory.slice(0, MAX_HISTORY);
     }
 
-    // 保存数据
-    saveData();
-
-    // 记录扫描日志
-    recordScanLog({ signals: latestSignals, filtered: latestFiltered });
+    // 记录扫描日志（同时持久化信号和过滤结果）
+    recordScanLog({ signals: merged.accepted, filtered: latestFiltered });
 
     // 完成扫描
     updateScanStatus({
       status: 'IDLE',
       progress: 100,
-      processed: SYMBOLS_54.length,
+      processed: getSymbols().length,
       endTime: new Date().toISOString(),
       currentSymbol: null,
-      message: `扫描完成，发现 ${latestSignals.length} 个信号`
+      message: `扫描完成，发现 ${merged.accepted.length} 个信号`
     });
 
     logger.info('Scan completed', {
-      signals: latestSignals.length,
+      signals: merged.accepted.length,
       filtered: latestFiltered.length,
       duration: scanStatus.startTime && scanStatus.endTime
         ? new Date(scanStatus.endTime) - new Date(scanStatus.startTime)
@@ -518,27 +743,35 @@ async function performScan(userId = 'anonymous') {
     });
 
     op.end('success', {
-      signals: latestSignals.length,
+      signals: merged.accepted.length,
       filtered: latestFiltered.length
     });
 
     return {
       success: true,
-      signal_count: latestSignals.length,
+      signal_count: merged.accepted.length,
       filtered_count: latestFiltered.length,
+      portfolio_dropped: merged.portfolio.dropped.length,
+      portfolio_resized: merged.portfolio.resized.length,
       scan_time: lastScanTime
     };
   } catch (error) {
-    logger.error('Scan failed', { error: error.message, stack: error.stack });
+    const cancelled = error instanceof CancelledError;
+    if (cancelled) {
+      logger.info('Scan cancelled', { userId });
+    } else {
+      logger.error('Scan failed', { error: error.message, stack: error.stack });
+    }
 
     updateScanStatus({
       status: 'IDLE',
       progress: 0,
       endTime: new Date().toISOString(),
-      message: `扫描失败: ${error.message}`
+      currentSymbol: null,
+      message: cancelled ? '扫描已取消' : `扫描失败: ${error.message}`
     });
 
-    op.end('error', { error: error.message });
+    op.end(cancelled ? 'cancelled' : 'error', { error: error.message });
 
     throw error;
   }
@@ -556,8 +789,11 @@ app.get('/api/scan/status', (req, res) => {
     ? Math.max(0, new Date(scanStatus.estimatedEndTime).getTime() - Date.now())
     : 0;
 
+  const activeJob = scanJobs.getActiveJob();
+
   res.json({
     ...scanStatus,
+    job_id: activeJob ? activeJob.id : null,
     elapsed,
     elapsedFormatted: formatDuration(elapsed),
     estimatedRemaining,
@@ -565,11 +801,18 @@ app.get('/api/scan/status', (req, res) => {
   });
 });
 
+// 实时事件流（SSE）
+app.get('/api/events', (req, res) => {
+  eventHub.handleSSE(req, res);
+});
+
 // 获取扫描日志
 app.get('/api/scan/logs', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_LOGS, 1), MAX_HISTORY);
+  const logs = limit === MAX_LOGS ? scanLogs : store.getScanLogs(limit);
   res.json({
-    logs: scanLogs,
-    total: scanLogs.length
+    logs,
+    total: logs.length
   });
 });
 
@@ -600,11 +843,11 @@ app.get('/api/signals', (req, res) => {
       scan_time: lastScanTime,
       total_signals: latestSignals.length,
       total_filtered: latestFiltered.length,
-      symbols_scanned: SYMBOLS_54.length,
-      symbols_monitored: SYMBOLS_54.length,
+      symbols_scanned: getSymbols().length,
+      symbols_monitored: getSymbols().length,
       symbols_enabled: latestSignals.length,
       timeframe: '4H',
-      data_source: 'Gate.io API',
+      data_source: describeDataSource(),
       data_health: getDataHealthInfo(),
       signals,
       filtered: latestFiltered
@@ -643,89 +886,137 @@ app.get('/api/klines', (req, res) => {
   res.json(latestKlines);
 });
 
+// 历史K线库概况（数量、范围、缺口、重复时间戳）
+app.get('/api/candles', (req, res) => {
+  try {
+    const { symbol, timeframe } = req.query;
+    if (symbol) {
+      InputValidator.validateSymbol(symbol);
+    }
+    res.json({ series: candleStore.report({ symbol, timeframe }) });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// 查询历史K线（from/to 为毫秒时间戳或ISO时间）
+app.get('/api/candles/:symbol/:timeframe', (req, res) => {
+  try {
+    const { symbol, timeframe } = req.params;
+    InputValidator.validateSymbol(symbol);
+    parseTimeframe(timeframe);
+
+    const parseTime = (value, field) => {
+      if (!value) return undefined;
+      const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+      if (!Number.isFinite(time)) {
+        throw new ValidationError(`Invalid ${field}`, field);
+      }
+      return time;
+    };
+
+    const candles = store.getCandles(symbol, timeframe, {
+      from: parseTime(req.query.from, 'from'),
+      to: parseTime(req.query.to, 'to'),
+      limit: Math.min(parseInt(req.query.limit, 10) || 1000, 5000)
+    });
+
+    res.json({ symbol, timeframe, count: candles.length, candles });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // 获取扫描历史
 app.get('/api/history', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_HISTORY, 1), MAX_HISTORY);
   res.json({
     last_scan: lastScanTime,
-    history: scanHistory
+    history: store.getScanHistory(limit)
   });
 });
 
-// 手动触发扫描
-app.post('/api/scan', async (req, res) => {
-  const userId = req.headers['x-user-id'] || 'anonymous';
+// 查询历史信号
+app.get('/api/signals/history', (req, res) => {
+  try {
+    const { symbol, status, from, to } = req.query;
+    if (symbol) {
+      InputValidator.validateSymbol(symbol);
+    }
 
-  // 如果正在扫描，返回当前状态
-  if (scanStatus.status === 'RUNNING') {
-    return res.json({
-      success: false,
-      message: '扫描正在进行中',
-      status: scanStatus
+    const signals = store.querySignals({
+      symbol,
+      status,
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
     });
-  }
 
-  try {
-    // 开始扫描
-    const result = await performScan(userId);
-    res.json(result);
+    res.json({ count: signals.length, signals });
   } catch (error) {
-    if (error instanceof RateLimitError) {
-      res.status(429).json({
-        success: false,
-        error: error.message,
-        code: error.code,
-        remaining: scanRateLimiter.getRemaining(userId)
-      });
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
     } else {
-      logger.error('Scan endpoint error', { error: error.message });
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      res.status(500).json({ error: error.message });
     }
   }
 });
 
-// MTF扫描（多时间框架）
-app.post('/api/scan/mtf', async (req, res) => {
-  const userId = req.headers['x-user-id'] || 'anonymous';
-  
-  // 如果正在扫描，返回当前状态
-  if (scanStatus.status === 'RUNNING') {
-    return res.json({
-      success: false,
-      message: '扫描正在进行中',
-      status: scanStatus
-    });
-  }
-  
+// 获取信号状态转换记录
+app.get('/api/signals/:id/transitions', (req, res) => {
+  res.json({
+    signal_id: req.params.id,
+    transitions: store.getSignalTransitions(req.params.id)
+  });
+});
+
+// 执行MTF扫描（多时间框架）
+// scanOptions.intrabar = true 时显式包含正在形成的K线
+// scanOptions.job 为扫描任务上下文，用于检查取消
+async function performMTFScan(userId = 'anonymous', scanOptions = {}) {
   const op = logger.startOperation('mtf_scan', { userId });
+  const job = scanOptions.job;
+  const checkCancelled = () => job && job.throwIfCancelled();
   
   try {
-    // 限流检查
-    if (!scanRateLimiter.check(userId)) {
-      throw new RateLimitError('Scan rate limit exceeded');
-    }
-    
     updateScanStatus({
       status: 'RUNNING',
       progress: 0,
       processed: 0,
-      total: SYMBOLS_54.length,
+      total: getSymbols().length,
       startTime: new Date().toISOString(),
+      endTime: null,
+      currentSymbol: null,
       message: '正在初始化MTF扫描...'
     });
     
-    logger.info('MTF Scan started', { userId, totalSymbols: SYMBOLS_54.length });
+    logger.info('MTF Scan started', { userId, totalSymbols: getSymbols().length });
     
-    // 阶段1: 获取多时间框架数据
+    // 阶段1: 获取多时间框架数据（逐个交易对拉取，耗时最长）
     updateScanStatus({
       progress: 10,
       message: '正在获取多时间框架数据 (4H/15M/1M)...'
     });
     
     const mtfData = await withRetry(
-      () => getAllMultiTimeframeKlines(['4h', '15m', '1m']),
+      () => getAllMultiTimeframeKlines(['4h', '15m', '1m'], {
+        isCancelled: () => !!(job && job.isCancelled()),
+        onProgress: (index, total, symbol) => {
+          updateScanStatus({
+            progress: 10 + Math.floor((index / total) * 20),
+            currentSymbol: symbol,
+            message: `正在获取 ${symbol} 多时间框架数据 (${index + 1}/${total})...`
+          });
+        }
+      }),
       {
         maxRetries: 3,
         retryDelay: 2000,
@@ -735,19 +1026,30 @@ app.post('/api/scan/mtf', async (req, res) => {
         }
       }
     );
+    checkCancelled();
     
     logger.info('MTF data fetched', { 
       symbols: Object.keys(mtfData).length,
       timeframes: ['4h', '15m', '1m']
     });
     
+    ['4h', '15m', '1m'].forEach(tf => {
+      const byTimeframe = {};
+      for (const [symbol, data] of Object.entries(mtfData)) {
+        byTimeframe[symbol] = data[tf];
+      }
+      saveCandles(byTimeframe, tf);
+    });
+    
     // 阶段2: 获取实时价格
     updateScanStatus({
       progress: 30,
+      currentSymbol: null,
       message: '正在获取实时价格...'
     });
     
-    const tickers = await getTickers();
+    const tickers = await getScanTickers();
+    checkCancelled();
     
     // 阶段3: MTF策略分析
     updateScanStatus({
@@ -760,16 +1062,30 @@ app.post('/api/scan/mtf', async (req, res) => {
       timestamp: s.timestamp
     }));
     
-    const result = await scanAllSymbolsMTF(mtfData, tickers, scanHistory);
+    const result = await scanAllSymbolsMTF(mtfData, tickers, scanHistory, {
+      intrabar: scanOptions.intrabar,
+      onSymbolResult: publishSymbolResult,
+      isCancelled: () => !!(job && job.isCancelled()),
+      onProgress: (index, total, symbol) => {
+        updateScanStatus({
+          progress: 40 + Math.floor((index / total) * 50),
+          processed: index + 1,
+          currentSymbol: symbol,
+          message: `正在分析 ${symbol} (${index + 1}/${total})...`
+        });
+      }
+    });
+    checkCancelled();
     
     // 更新信号
-    latestSignals = result.signals;
-    latestFiltered = result.filtered;
+    const merged = mergeScanSignals(result.signals);
+    latestSignals = merged.signals;
+    latestFiltered = [...result.filtered, ...merged.filtered];
     lastScanTime = new Date().toISOString();
     
     // 记录扫描日志
     recordScanLog({ 
-      signals: latestSignals, 
+      signals: merged.accepted, 
       filtered: latestFiltered,
       scanType: 'MTF'
     });
@@ -778,8 +1094,9 @@ app.post('/api/scan/mtf', async (req, res) => {
     updateScanStatus({
       status: 'IDLE',
       progress: 100,
-      processed: SYMBOLS_54.length,
+      processed: getSymbols().length,
       endTime: new Date().toISOString(),
+      currentSymbol: null,
       message: `MTF扫描完成，发现 ${result.signals.length} 个信号 (过滤 ${result.filtered.length} 个)`
     });
     
@@ -794,62 +1111,227 @@ app.post('/api/scan/mtf', async (req, res) => {
       filtered: result.filtered.length
     });
     
-    res.json({
+    return {
       success: true,
       signal_count: result.signals.length,
       filtered_count: result.filtered.length,
       error_count: result.errors.length,
+      portfolio_dropped: merged.portfolio.dropped.length,
+      portfolio_resized: merged.portfolio.resized.length,
       scan_type: 'MTF',
       scan_time: lastScanTime,
       mtf_config: {
         timeframes: MTF_SCANNER_CONFIG.TIMEFRAMES,
         alignment_gate: MTF_SCANNER_CONFIG.ALIGNMENT_GATE,
         sweep_required: MTF_SCANNER_CONFIG.SWEEP_REQUIRED,
-        hilo_required: MTF_SCANNER_CONFIG.HILO_REQUIRED
+        hilo_required: MTF_SCANNER_CONFIG.HILO_REQUIRED,
+        evaluation_mode: scanOptions.intrabar ? 'INTRABAR' : CONFIG.EVALUATION_MODE
       }
-    });
+    };
     
   } catch (error) {
-    logger.error('MTF Scan failed', { error: error.message, stack: error.stack });
+    const cancelled = error instanceof CancelledError;
+    if (cancelled) {
+      logger.info('MTF Scan cancelled', { userId });
+    } else {
+      logger.error('MTF Scan failed', { error: error.message, stack: error.stack });
+    }
     
     updateScanStatus({
       status: 'IDLE',
       progress: 0,
       endTime: new Date().toISOString(),
-      message: `MTF扫描失败: ${error.message}`
+      currentSymbol: null,
+      message: cancelled ? 'MTF扫描已取消' : `MTF扫描失败: ${error.message}`
     });
     
-    op.end('error', { error: error.message });
+    op.end(cancelled ? 'cancelled' : 'error', { error: error.message });
     
-    if (error instanceof RateLimitError) {
-      res.status(429).json({
-        success: false,
-        error: error.message,
-        code: error.code
+    throw error;
+  }
+}
+
+// 扫描执行函数（按任务类型）
+const SCAN_RUNNERS = {
+  SINGLE: performScan,
+  MTF: performMTFScan
+};
+
+// 提交扫描任务（同一时间只允许一个扫描任务）
+function submitScanJob(type, userId, scanOptions = {}) {
+  const active = scanJobs.getActiveJob();
+  if (active) {
+    throw new BusinessError('扫描正在进行中', 'SCAN_IN_PROGRESS', { jobId: active.id });
+  }
+
+  checkScanRateLimit(userId);
+
+  return scanJobs.submit(type, async (context) => {
+    activeScanJob = context;
+    try {
+      return await SCAN_RUNNERS[type](userId, { ...scanOptions, job: context });
+    } finally {
+      activeScanJob = null;
+    }
+  }, { userId, params: scanOptions });
+}
+
+// 扫描任务提交接口
+function handleScanSubmit(type) {
+  return (req, res) => {
+    const userId = req.headers['x-user-id'] || 'anonymous';
+
+    try {
+      const job = submitScanJob(type, userId, { intrabar: req.body && req.body.intrabar === true });
+      res.status(202).json({
+        success: true,
+        job_id: job.id,
+        status_url: `/api/scan/jobs/${job.id}`,
+        job
       });
+    } catch (error) {
+      if (error.code === 'SCAN_IN_PROGRESS') {
+        res.status(409).json({
+          success: false,
+          message: error.message,
+          job_id: error.metadata.jobId,
+          status: scanStatus
+        });
+      } else if (error instanceof RateLimitError) {
+        res.status(429).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          remaining: scanRateLimiter.getRemaining(userId)
+        });
+      } else {
+        logger.error('Scan endpoint error', { error: error.message });
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  };
+}
+
+// 手动触发扫描（异步任务，返回202和任务ID）
+app.post('/api/scan', handleScanSubmit('SINGLE'));
+
+// MTF扫描（多时间框架，异步任务）
+app.post('/api/scan/mtf', handleScanSubmit('MTF'));
+
+// 扫描任务列表
+app.get('/api/scan/jobs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  res.json({ jobs: scanJobs.listJobs(limit) });
+});
+
+// 扫描任务详情（进度和结果）
+app.get('/api/scan/jobs/:id', (req, res) => {
+  const job = scanJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+// 取消扫描任务
+app.delete('/api/scan/jobs/:id', (req, res) => {
+  const { found, cancelled, job } = scanJobs.cancel(req.params.id);
+  if (!found) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (!cancelled) {
+    return res.status(409).json({ success: false, error: `Job already ${job.status}`, job });
+  }
+
+  logger.info('Scan job cancel requested', { jobId: job.id });
+  res.status(202).json({ success: true, job });
+});
+
+// 组合风险敞口（未结束信号）及最近一次组合风控结果
+app.get('/api/portfolio/risk', (req, res) => {
+  const active = latestSignals.filter(s => !isTerminalStatus(s.status));
+  res.json({
+    exposure: summarizeExposure(active),
+    open_positions: active.filter(s => isOpenPosition(s.status)).length,
+    last_check: lastPortfolioRisk
+  });
+});
+
+// Webhook端点配置
+app.get('/api/webhooks', (req, res) => {
+  res.json({ endpoints: notifier.describeEndpoints() });
+});
+
+// 投递失败的Webhook
+app.get('/api/webhooks/dead-letters', (req, res) => {
+  const deadLetters = notifier.listDeadLetters({
+    endpoint: req.query.endpoint,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+  });
+  res.json({ count: deadLetters.length, dead_letters: deadLetters });
+});
+
+// 重投失败的Webhook
+app.post('/api/webhooks/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const result = await notifier.retryDeadLetter(parseInt(req.params.id, 10));
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+    res.json({ success: result.delivered, result });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ success: false, error: error.message });
     } else {
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      res.status(500).json({ success: false, error: error.message });
     }
   }
 });
 
+// 删除失败记录
+app.delete('/api/webhooks/dead-letters/:id', (req, res) => {
+  const deleted = store.deleteDeadLetter(parseInt(req.params.id, 10));
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Dead letter not found' });
+  }
+  res.json({ success: true });
+});
+
 // 获取币种列表
 app.get('/api/symbols', (req, res) => {
   res.json({
-    count: SYMBOLS_54.length,
-    symbols: SYMBOLS_54,
+    count: getSymbols().length,
+    symbols: getSymbols(),
     enabled_count: latestSignals.length
   });
 });
 
+// 交易对列表：当前列表、筛选规则和最近的变化
+app.get('/api/universe', (req, res) => {
+  res.json(universe.getStatus());
+});
+
+// 立即刷新交易对列表
+app.post('/api/universe/refresh', async (req, res) => {
+  try {
+    const result = await universe.refresh();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 获取统计信息
 app.get('/api/stats', (req, res) => {
   const ratingCounts = { S: 0, A: 0, B: 0, C: 0 };
   const directionCounts = { LONG: 0, SHORT: 0 };
-  const statusCounts = { ACTIVE: 0, ENTERED: 0, EXPIRED: 0, INVALIDATED: 0 };
+  const statusCounts = Object.keys(SIGNAL_STATUS).reduce((acc, status) => {
+    acc[status] = 0;
+    return acc;
+  }, {});
 
   latestSignals.forEach(s => {
     ratingCounts[s.rating]++;
@@ -869,11 +1351,11 @@ app.get('/api/stats', (req, res) => {
     last_scan: lastScanTime,
     total_signals: latestSignals.length,
     total_filtered: latestFiltered.length,
-    symbols_scanned: SYMBOLS_54.length,
-    symbols_monitored: SYMBOLS_54.length,
+    symbols_scanned: getSymbols().length,
+    symbols_monitored: getSymbols().length,
     symbols_enabled: latestSignals.length,
     timeframe: '4H',
-    data_source: 'Gate.io API',
+    data_source: describeDataSource(),
     data_health: getDataHealthInfo(),
     rating_distribution: ratingCounts,
     direction_distribution: directionCounts,
@@ -892,6 +1374,8 @@ app.get('/api/health', (req, res) => {
     data_health: getDataHealthInfo(),
     last_scan: lastScanTime,
     signal_count: latestSignals.length,
+    events: eventHub.getStats(),
+    market_stream: marketStream ? marketStream.getStats() : null,
     uptime: process.uptime()
   });
 });
@@ -906,8 +1390,12 @@ app.get('/api/metrics', (req, res) => {
 app.get('/api/config', (req, res) => {
   res.json({
     risk_management: {
+      account_balance: CONFIG.ACCOUNT_BALANCE,
       max_risk_per_trade: CONFIG.MAX_RISK_PER_TRADE,
       max_total_risk: CONFIG.MAX_TOTAL_RISK,
+      max_direction_risk: PORTFOLIO_RISK_CONFIG.MAX_DIRECTION_RISK,
+      max_concurrent_positions: PORTFOLIO_RISK_CONFIG.MAX_CONCURRENT_POSITIONS,
+      max_correlated_positions: PORTFOLIO_RISK_CONFIG.MAX_CORRELATED_POSITIONS,
       default_leverage: CONFIG.DEFAULT_LEVERAGE,
       max_leverage: CONFIG.MAX_LEVERAGE,
       min_rrr: CONFIG.MIN_RRR,
@@ -943,7 +1431,7 @@ app.use((err, req, res, next) => {
 });
 
 // 启动服务器
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info('Server started', {
     port: PORT,
     env: process.env.NODE_ENV || 'development'
@@ -954,8 +1442,11 @@ app.listen(PORT, () => {
   console.log(`  GET  /api/signals      - Get current signals`);
   console.log(`  GET  /api/klines       - Get all klines data`);
   console.log(`  GET  /api/history      - Get scan history`);
-  console.log(`  POST /api/scan         - Trigger manual scan`);
+  console.log(`  POST /api/scan         - Submit scan job`);
+  console.log(`  POST /api/scan/mtf     - Submit MTF scan job`);
+  console.log(`  GET  /api/scan/jobs/:id - Get scan job progress/result`);
   console.log(`  GET  /api/scan/status  - Get scan status`);
+  console.log(`  GET  /api/events       - Event stream (SSE)`);
   console.log(`  GET  /api/scan/logs    - Get scan logs`);
   console.log(`  GET  /api/stats        - Get statistics`);
   console.log(`  GET  /api/health       - Health check`);
@@ -963,18 +1454,57 @@ app.listen(PORT, () => {
   console.log(`  GET  /api/config       - Risk management config`);
 
   loadHistory();
-  performScan();
+  if (marketStream) {
+    marketStream.start();
+  }
+
+  // 先刷新交易对列表再执行启动扫描（刷新失败沿用已保存的列表）
+  universe.refresh()
+    .catch(() => {})
+    .finally(() => runScheduledScan('startup'));
 });
 
+// 可选的WebSocket事件推送（与SSE相同的事件）
+if (EVENT_STREAM_CONFIG.WS_ENABLED) {
+  eventHub.attachWebSocket(server, EVENT_STREAM_CONFIG.WS_PATH);
+  logger.info('WebSocket event stream enabled', { path: EVENT_STREAM_CONFIG.WS_PATH });
+}
+
+// 定时/启动扫描（以任务方式执行，结果可通过任务接口查询）
+function runScheduledScan(userId) {
+  try {
+    const job = submitScanJob('SINGLE', userId);
+    logger.info('Scheduled scan submitted', { userId, jobId: job.id });
+  } catch (error) {
+    logger.warn('Scheduled scan skipped', { userId, error: error.message });
+  }
+}
+
 // 定时扫描（每4小时）
 cron.schedule('0 */4 * * *', () => {
   logger.info('Scheduled scan triggered');
-  performScan('scheduler');
+  runScheduledScan('scheduler');
+});
+
+// 定时刷新交易对列表
+cron.schedule(UNIVERSE_CONFIG.REFRESH_CRON, () => {
+  universe.refresh().catch(() => {});
 });
 
 // 定时更新信号状态（每分钟）
 cron.schedule('* * * * *', () => {
   updateSignalStatuses();
+  trackSignalLifecycle();
+});
+
+// 定时清理过期数据（每天03:00）
+cron.schedule('0 3 * * *', () => {
+  try {
+    const pruned = store.prune({ keepStatuses: [SIGNAL_STATUS.TRIGGERED, SIGNAL_STATUS.TP1_HIT] });
+    logger.info('Old data pruned', { retentionDays: STORAGE_CONFIG.RETENTION_DAYS, ...pruned });
+  } catch (error) {
+    logger.error('Error pruning old data', { error: error.message });
+  }
 });
 
 // 定时清理幂等记录（每小时）
@@ -983,4 +1513,4 @@ cron.schedule('0 * * * *', () => {
   logger.info('Idempotency records cleaned up');
 });
 
-module.exports = { app, performScan };
+module.exports = { app, performScan, performMTFScan };
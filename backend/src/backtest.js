@@ -0,0 +1,389 @@
+/**
+ * 回测引擎 - 逐K线回放历史数据
+ *
+ * 在每个回放步骤中，只把该时刻已收盘的K线喂给 scanAllSymbols / scanSymbolMTF，
+ * 随后用之后的K线模拟每个信号，直到触及止损、止盈1/止盈2或过期。
+ * 输出逐笔交易账本和汇总统计（胜率、R期望、最大回撤、平均持仓时间）。
+ */
+
+const { TIMEFRAME_CONFIG } = require('./marketData');
+const { scanAllSymbols, CONFIG: STRATEGY_CONFIG } = require('./strategy');
+const { scanSymbolMTF, analyzeSMT } = require('./mtfScanner');
+
+// 回测配置
+const BACKTEST_CONFIG = {
+  // 回测模式: 'SINGLE' (4H单层, scanAllSymbols) | 'MTF' (4H/15M/1M, scanSymbolMTF)
+  MODE: 'SINGLE',
+
+  // 各模式所需的时间框架
+  TIMEFRAMES: {
+    SINGLE: ['4h'],
+    MTF: ['4h', '15m', '1m']
+  },
+
+  // 回放步进周期（每根该周期K线收盘时扫描一次）
+  STEP_TIMEFRAME: {
+    SINGLE: '4h',
+    MTF: '15m'
+  },
+
+  // 模拟成交使用的周期（越细越精确）
+  SIMULATION_TIMEFRAME: {
+    SINGLE: '4h',
+    MTF: '1m'
+  },
+
+  // 每个时间框架至少需要的可见K线数量
+  WARMUP_BARS: 30,
+
+  // 信号未成交的有效期（小时）
+  ENTRY_TTL_HOURS: STRATEGY_CONFIG.SIGNAL_TTL_HOURS,
+
+  // 成交后最长持仓时间（小时），超时按K线开盘价平仓
+  MAX_HOLDING_HOURS: 72,
+
+  // 止盈1平仓比例，剩余仓位持有至止盈2
+  TP1_CLOSE_RATIO: 0.5,
+
+  // 止盈1后是否将止损移至保本
+  MOVE_SL_TO_BREAKEVEN: true
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 二分查找第一个时间戳 >= target 的K线索引
+ * @param {Array} klines - 按时间升序的K线
+ * @param {number} target - 目标时间戳
+ * @returns {number} 索引（不存在时返回 klines.length）
+ */
+function lowerBound(klines, target) {
+  let lo = 0;
+  let hi = klines.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (klines[mid].timestamp < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * 获取某时刻可见（已收盘）的K线窗口
+ * @param {Array} klines - 按时间升序的K线
+ * @param {string} timeframe - 时间框架
+ * @param {number} time - 回放时刻
+ * @param {number} limit - 窗口长度
+ * @returns {Array} 可见K线
+ */
+function getVisibleKlines(klines, timeframe, time, limit) {
+  const msPerCandle = TIMEFRAME_CONFIG[timeframe].msPerCandle;
+  // 收盘时间 <= time 即开盘时间 <= time - msPerCandle
+  const end = lowerBound(klines, time - msPerCandle + 1);
+  return klines.slice(Math.max(0, end - limit), end);
+}
+
+/**
+ * 用可见K线合成回测用的ticker（供环境过滤使用）
+ * @param {Array} klines - 可见K线（最细周期）
+ * @param {number} time - 回放时刻
+ * @returns {Object|null} ticker数据
+ */
+function buildTicker(klines, time) {
+  if (!klines || klines.length === 0) return null;
+
+  const dayAgo = time - 24 * HOUR_MS;
+  const dayKlines = klines.filter(k => k.timestamp >= dayAgo);
+  const last = klines[klines.length - 1];
+
+  return {
+    symbol: null,
+    last: last.close,
+    high24h: Math.max(...dayKlines.map(k => k.high)),
+    low24h: Math.min(...dayKlines.map(k => k.low)),
+    volume24h: dayKlines.reduce((sum, k) => sum + k.volume, 0),
+    quoteVolume24h: dayKlines.reduce((sum, k) => sum + k.volume * k.close, 0),
+    change24h: dayKlines.length > 0
+      ? ((last.close - dayKlines[0].open) / dayKlines[0].open) * 100
+      : 0
+  };
+}
+
+/**
+ * 用后续K线模拟单个信号
+ * @param {Object} signal - 信号对象
+ * @param {Array} bars - 信号发出之后的K线
+ * @param {number} signalTime - 信号时刻
+ * @param {Object} config - 回测配置
+ * @returns {Object} 交易记录
+ */
+function simulateTrade(signal, bars, signalTime, config = BACKTEST_CONFIG) {
+  const isLong = signal.direction === 'LONG';
+  const entry = signal.entry_price;
+  const risk = Math.abs(entry - signal.sl);
+
+  const trade = {
+    id: signal.id,
+    symbol: signal.symbol,
+    direction: signal.direction,
+    rating: signal.rating,
+    score: signal.score,
+    signal_time: signalTime,
+    entry_price: entry,
+    sl: signal.sl,
+    tp1: signal.tp1,
+    tp2: signal.tp2,
+    filled: false,
+    entry_time: null,
+    exit_time: null,
+    exit_price: null,
+    tp1_hit: false,
+    outcome: 'OPEN',
+    r_multiple: 0,
+    holding_ms: null
+  };
+
+  if (!(risk > 0)) {
+    trade.outcome = 'INVALID_RISK';
+    return trade;
+  }
+
+  const entryDeadline = signalTime + config.ENTRY_TTL_HOURS * HOUR_MS;
+  const maxHoldingMs = config.MAX_HOLDING_HOURS * HOUR_MS;
+  const toR = price => (isLong ? price - entry : entry - price) / risk;
+
+  let stop = signal.sl;
+  let remaining = 1;
+  let realizedR = 0;
+
+  const close = (bar, price, outcome) => {
+    realizedR += remaining * toR(price);
+    trade.exit_time = bar.timestamp;
+    trade.exit_price = price;
+    trade.outcome = outcome;
+    trade.r_multiple = realizedR;
+    trade.holding_ms = bar.timestamp - trade.entry_time;
+  };
+
+  for (const bar of bars) {
+    if (!trade.filled) {
+      if (bar.timestamp >= entryDeadline) {
+        trade.outcome = 'EXPIRED';
+        return trade;
+      }
+
+      const touchedEntry = bar.low <= entry && bar.high >= entry;
+      const touchedSL = isLong ? bar.low <= signal.sl : bar.high >= signal.sl;
+
+      if (!touchedEntry) {
+        // 入场前先触及止损，信号失效
+        if (touchedSL) {
+          trade.outcome = 'INVALIDATED';
+          return trade;
+        }
+        continue;
+      }
+
+      trade.filled = true;
+      trade.entry_time = bar.timestamp;
+    } else if (bar.timestamp - trade.entry_time >= maxHoldingMs) {
+      close(bar, bar.open, 'EXPIRED');
+      return trade;
+    }
+
+    // 同一根K线同时触及止损和止盈时，保守地认为先触及止损
+    const hitStop = isLong ? bar.low <= stop : bar.high >= stop;
+    if (hitStop) {
+      close(bar, stop, trade.tp1_hit ? 'TP1' : 'SL');
+      return trade;
+    }
+
+    if (!trade.tp1_hit && (isLong ? bar.high >= signal.tp1 : bar.low <= signal.tp1)) {
+      trade.tp1_hit = true;
+      realizedR += config.TP1_CLOSE_RATIO * toR(signal.tp1);
+      remaining -= config.TP1_CLOSE_RATIO;
+      if (config.MOVE_SL_TO_BREAKEVEN) stop = entry;
+    }
+
+    if (trade.tp1_hit && (isLong ? bar.high >= signal.tp2 : bar.low <= signal.tp2)) {
+      close(bar, signal.tp2, 'TP2');
+      return trade;
+    }
+  }
+
+  // 数据结束时仍未平仓，按最后收盘价估值（不计入统计）
+  if (trade.filled && bars.length > 0) {
+    const last = bars[bars.length - 1];
+    trade.r_multiple = realizedR + remaining * toR(last.close);
+    trade.holding_ms = last.timestamp - trade.entry_time;
+  }
+
+  return trade;
+}
+
+/**
+ * 计算回测汇总统计
+ * @param {Array} trades - 交易记录
+ * @returns {Object} 统计结果
+ */
+function computeBacktestStats(trades) {
+  const byOutcome = trades.reduce((acc, t) => {
+    acc[t.outcome] = (acc[t.outcome] || 0) + 1;
+    return acc;
+  }, {});
+
+  // 只统计已成交且已平仓的交易
+  const closed = trades
+    .filter(t => t.filled && t.exit_time !== null)
+    .sort((a, b) => a.exit_time - b.exit_time);
+
+  const wins = closed.filter(t => t.r_multiple > 0).length;
+  const losses = closed.filter(t => t.r_multiple < 0).length;
+  const totalR = closed.reduce((sum, t) => sum + t.r_multiple, 0);
+  const totalHolding = closed.reduce((sum, t) => sum + t.holding_ms, 0);
+
+  // 以R为单位的权益曲线最大回撤
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdownR = 0;
+  for (const t of closed) {
+    equity += t.r_multiple;
+    peak = Math.max(peak, equity);
+    maxDrawdownR = Math.max(maxDrawdownR, peak - equity);
+  }
+
+  const avgHoldingMs = closed.length > 0 ? totalHolding / closed.length : 0;
+
+  return {
+    signals: trades.length,
+    trades: closed.length,
+    open: trades.filter(t => t.filled && t.exit_time === null).length,
+    wins,
+    losses,
+    breakeven: closed.length - wins - losses,
+    winRate: closed.length > 0 ? wins / closed.length : 0,
+    expectancyR: closed.length > 0 ? totalR / closed.length : 0,
+    totalR,
+    maxDrawdownR,
+    avgHoldingMs,
+    avgHoldingHours: avgHoldingMs / HOUR_MS,
+    byOutcome
+  };
+}
+
+/**
+ * 运行回测
+ * @param {Object} candles - 历史K线 { symbol: { '4h': [...], '15m': [...], '1m': [...] } }
+ * @param {Object} options - 回测选项（覆盖BACKTEST_CONFIG）
+ * @param {string} options.mode - 'SINGLE' | 'MTF'
+ * @param {number} options.from - 回放起始时间戳（之前的数据仅作预热）
+ * @param {number} options.to - 回放结束时间戳
+ * @param {Function} options.onProgress - 进度回调
+ * @returns {Promise<Object>} 交易账本与统计
+ */
+async function runBacktest(candles, options = {}) {
+  const config = { ...BACKTEST_CONFIG, ...options };
+  const mode = config.mode || config.MODE;
+  const timeframes = config.TIMEFRAMES[mode];
+  const stepTf = config.STEP_TIMEFRAME[mode];
+  const simTf = config.SIMULATION_TIMEFRAME[mode];
+
+  if (!timeframes) {
+    throw new Error(`Unsupported backtest mode: ${mode}`);
+  }
+
+  // 只保留数据完整的交易对，并按时间升序
+  const data = {};
+  for (const [symbol, series] of Object.entries(candles)) {
+    if (timeframes.every(tf => Array.isArray(series[tf]) && series[tf].length > 0)) {
+      data[symbol] = {};
+      timeframes.forEach(tf => {
+        data[symbol][tf] = [...series[tf]].sort((a, b) => a.timestamp - b.timestamp);
+      });
+    }
+  }
+
+  // 回放时刻 = 步进周期K线的收盘时间
+  const stepMs = TIMEFRAME_CONFIG[stepTf].msPerCandle;
+  const stepSet = new Set();
+  for (const series of Object.values(data)) {
+    series[stepTf].forEach(k => stepSet.add(k.timestamp + stepMs));
+  }
+  const steps = [...stepSet]
+    .filter(t => (!config.from || t >= config.from) && (!config.to || t <= config.to))
+    .sort((a, b) => a - b);
+
+  const trades = [];
+  const emitted = [];
+
+  for (let s = 0; s < steps.length; s++) {
+    const time = steps[s];
+
+    // 先取所有交易对在该时刻可见的K线，MTF模式需要跨交易对的SMT分析
+    const visibleBySymbol = {};
+    for (const [symbol, series] of Object.entries(data)) {
+      const visible = {};
+      let ready = true;
+      for (const tf of timeframes) {
+        visible[tf] = getVisibleKlines(series[tf], tf, time, TIMEFRAME_CONFIG[tf].limit);
+        if (visible[tf].length < config.WARMUP_BARS) {
+          ready = false;
+          break;
+        }
+      }
+      if (ready) visibleBySymbol[symbol] = visible;
+    }
+    const smtDivergences = mode === 'MTF' ? analyzeSMT(visibleBySymbol) : {};
+
+    for (const [symbol, visible] of Object.entries(visibleBySymbol)) {
+      const series = data[symbol];
+      const ticker = buildTicker(visible[timeframes[timeframes.length - 1]], time);
+      if (ticker) ticker.symbol = symbol;
+
+      let signals = [];
+      if (mode === 'MTF') {
+        const result = await scanSymbolMTF(symbol, visible, ticker, emitted, {
+          now: time,
+          smtDivergences: smtDivergences[symbol] || []
+        });
+        if (result.signal) signals = [result.signal];
+      } else {
+        const result = scanAllSymbols({ [symbol]: visible['4h'] }, { [symbol]: ticker }, emitted, { now: time });
+        signals = result.signals;
+      }
+
+      for (const signal of signals) {
+        emitted.push({ symbol, timestamp: signal.timestamp });
+
+        const simKlines = series[simTf];
+        const bars = simKlines.slice(lowerBound(simKlines, time));
+        trades.push(simulateTrade(signal, bars, time, config));
+      }
+    }
+
+    if (config.onProgress) {
+      config.onProgress({ processed: s + 1, total: steps.length, time });
+    }
+  }
+
+  return {
+    mode,
+    range: {
+      from: steps.length > 0 ? new Date(steps[0]).toISOString() : null,
+      to: steps.length > 0 ? new Date(steps[steps.length - 1]).toISOString() : null,
+      steps: steps.length
+    },
+    symbols: Object.keys(data),
+    trades,
+    stats: computeBacktestStats(trades)
+  };
+}
+
+module.exports = {
+  BACKTEST_CONFIG,
+  getVisibleKlines,
+  buildTicker,
+  simulateTrade,
+  computeBacktestStats,
+  runBacktest
+};
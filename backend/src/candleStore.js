@@ -0,0 +1,311 @@
+/**
+ * 本地历史K线库
+ *
+ * getKlines 只能取最近 limit 根K线；这里按交易对/时间框架把已收盘K线保存到 SQLite。
+ * 首次通过交易所的区间接口向前分页回补数月数据，之后每次扫描只追加新收盘的K线，
+ * 并检查缺口和重复时间戳，结果可通过 report() 查询。
+ */
+
+const { getAdapterForSymbol } = require('./marketData');
+const { getTimeframeMs } = require('./resample');
+const { logger, metrics } = require('./utils/logger');
+
+// K线库配置
+const CANDLE_STORE_CONFIG = {
+  // 默认回补天数（超过 CANDLE_RETENTION_DAYS 的部分会被每日清理删除）
+  BACKFILL_DAYS: {
+    '1m': 7,
+    '5m': 30,
+    '15m': 90,
+    '1h': 180,
+    '4h': 365,
+    '1d': 365
+  },
+
+  // 分页请求间隔（避免限流）
+  PAGE_DELAY: 200,
+
+  // 单个序列单次回补的最大页数（防止接口返回异常数据时死循环）
+  MAX_PAGES: 500,
+
+  // 报告中每个序列列出的缺口数量
+  REPORT_GAP_LIMIT: 20
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 检查一批K线：排序、去重，并找出重复时间戳和缺口
+ * @param {Array} klines - K线
+ * @param {string} timeframe - 时间框架
+ * @returns {Object} { candles, duplicates, gaps }
+ */
+function inspectCandles(klines, timeframe) {
+  const ms = getTimeframeMs(timeframe);
+  const byTimestamp = new Map();
+  const duplicates = [];
+
+  (klines || []).forEach(k => {
+    if (byTimestamp.has(k.timestamp)) {
+      duplicates.push(k.timestamp);
+    }
+    // 重复时保留最后一条
+    byTimestamp.set(k.timestamp, k);
+  });
+
+  const candles = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+  const gaps = [];
+  for (let i = 1; i < candles.length; i++) {
+    const diff = candles[i].timestamp - candles[i - 1].timestamp;
+    if (diff > ms) {
+      gaps.push({ after: candles[i - 1].timestamp, before: candles[i].timestamp, missing: diff / ms - 1 });
+    }
+  }
+
+  return { candles, duplicates, gaps };
+}
+
+class CandleStore {
+  /**
+   * @param {SqliteStore} store - SQLite存储
+   * @param {Object} options - { getAdapter(symbol), pageDelay }
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.getAdapter = options.getAdapter || getAdapterForSymbol;
+    this.pageDelay = options.pageDelay !== undefined ? options.pageDelay : CANDLE_STORE_CONFIG.PAGE_DELAY;
+  }
+
+  // 序列状态（回补时间、是否已到交易所最早数据、无法补齐的缺口、累计重复数）保存在 meta 表
+  getState(symbol, timeframe) {
+    const raw = this.store.getMeta(`candles:${symbol}:${timeframe}`);
+    return raw ? JSON.parse(raw) : { duplicates: 0, last_duplicates: [] };
+  }
+
+  setState(symbol, timeframe, state) {
+    this.store.setMeta(`candles:${symbol}:${timeframe}`, JSON.stringify(state));
+  }
+
+  // 记录重复时间戳
+  recordDuplicates(symbol, timeframe, duplicates) {
+    if (duplicates.length === 0) return;
+    const state = this.getState(symbol, timeframe);
+    state.duplicates = (state.duplicates || 0) + duplicates.length;
+    state.last_duplicates = [...duplicates, ...(state.last_duplicates || [])].slice(0, 10);
+    this.setState(symbol, timeframe, state);
+
+    metrics.increment('candle_duplicates_total', { timeframe }, duplicates.length);
+    logger.warn('Duplicate candle timestamps', { symbol, timeframe, count: duplicates.length });
+  }
+
+  /**
+   * 写入一批K线（去重，丢弃晚于 maxTimestamp 的未收盘K线）
+   * @returns {Object} { saved, first, last }
+   */
+  ingest(symbol, timeframe, klines, maxTimestamp = Infinity) {
+    const { candles, duplicates } = inspectCandles(klines, timeframe);
+    this.recordDuplicates(symbol, timeframe, duplicates);
+
+    const closed = candles.filter(k => k.closed !== false && k.timestamp <= maxTimestamp);
+    if (closed.length === 0) return { saved: 0, first: null, last: null };
+
+    this.store.saveCandles({ [symbol]: closed }, timeframe);
+    return { saved: closed.length, first: closed[0].timestamp, last: closed[closed.length - 1].timestamp };
+  }
+
+  /**
+   * 从 cursor 向前分页拉取到 start（含两端）
+   * @returns {Object} { pages, saved, exhausted }，exhausted 表示交易所没有更早的数据
+   */
+  async pageBackward(symbol, timeframe, cursor, start, options = {}) {
+    const ms = getTimeframeMs(timeframe);
+    const adapter = this.getAdapter(symbol);
+    const perPage = adapter.maxKlinesPerRequest;
+    const result = { pages: 0, saved: 0, exhausted: false };
+
+    while (cursor >= start && result.pages < CANDLE_STORE_CONFIG.MAX_PAGES) {
+      if (options.isCancelled && options.isCancelled()) break;
+
+      const pageFrom = Math.max(start, cursor - (perPage - 1) * ms);
+      const klines = await adapter.getKlinesRange(symbol, timeframe, pageFrom, cursor);
+      result.pages++;
+
+      const batch = this.ingest(symbol, timeframe, klines, options.maxTimestamp);
+      result.saved += batch.saved;
+      if (options.onPage) options.onPage({ symbol, timeframe, pageFrom, pageTo: cursor, saved: batch.saved });
+
+      if (batch.saved === 0) {
+        result.exhausted = true;
+        break;
+      }
+
+      cursor = Math.min(batch.first, pageFrom) - ms;
+      if (cursor >= start) await sleep(this.pageDelay);
+    }
+
+    return result;
+  }
+
+  /**
+   * 回补单个序列：补齐已有数据之后到最新收盘K线、已有数据中的缺口，再向前翻页到目标起点
+   * @param {string} symbol - 交易对
+   * @param {string} timeframe - 时间框架
+   * @param {Object} options - { days, from, now, isCancelled, onPage }
+   * @returns {Promise<Object>} 回补结果
+   */
+  async backfill(symbol, timeframe, options = {}) {
+    const ms = getTimeframeMs(timeframe);
+    const now = options.now || Date.now();
+    const days = options.days || CANDLE_STORE_CONFIG.BACKFILL_DAYS[timeframe] || 30;
+    // 最新一根已收盘K线的开盘时间
+    const lastClosed = Math.floor(now / ms) * ms - ms;
+    const start = Math.floor((options.from || now - days * DAY_MS) / ms) * ms;
+    const pageOptions = { ...options, maxTimestamp: lastClosed };
+
+    const result = {
+      symbol, timeframe, pages: 0, saved: 0, gaps_repaired: 0, gaps_unrepairable: 0, history_start_reached: false
+    };
+    const add = (r) => {
+      result.pages += r.pages;
+      result.saved += r.saved;
+    };
+
+    const range = this.store.getCandleRange(symbol, timeframe);
+    const state = this.getState(symbol, timeframe);
+
+    // 1. 已有数据末尾之后的新K线
+    if (range.count > 0 && range.to < lastClosed) {
+      add(await this.pageBackward(symbol, timeframe, lastClosed, range.to + ms, pageOptions));
+    }
+
+    // 2. 已有数据中的缺口；交易所确实没有数据的缺口记入状态，之后不再请求
+    const known = state.unrepairable_gaps || [];
+    const unrepairable = [];
+    if (range.count > 0) {
+      const gaps = this.store.findCandleGaps(symbol, timeframe, ms, { from: start });
+      for (const gap of gaps) {
+        const { after, before } = gap;
+        if (known.some(g => g.after === after && g.before === before)) {
+          unrepairable.push({ after, before });
+          continue;
+        }
+
+        const repaired = await this.pageBackward(symbol, timeframe, before - ms, after + ms, pageOptions);
+        add(repaired);
+        if (repaired.saved > 0) {
+          result.gaps_repaired++;
+        } else if (repaired.pages > 0) {
+          unrepairable.push({ after, before });
+          result.gaps_unrepairable++;
+          logger.warn('Candle gap not available from exchange', { symbol, timeframe, ...gap });
+        }
+      }
+    }
+
+    // 3. 向前翻页到目标起点
+    const earliest = range.count > 0 ? range.from : null;
+    if (earliest === null || (earliest > start && !state.history_start_reached)) {
+      const cursor = earliest === null ? lastClosed : earliest - ms;
+      const older = await this.pageBackward(symbol, timeframe, cursor, start, pageOptions);
+      add(older);
+      result.history_start_reached = older.exhausted;
+    }
+
+    this.setState(symbol, timeframe, {
+      ...this.getState(symbol, timeframe),
+      backfilled_at: new Date(now).toISOString(),
+      history_start_reached: result.history_start_reached || !!state.history_start_reached,
+      unrepairable_gaps: unrepairable
+    });
+
+    metrics.increment('candle_backfill_total', { timeframe });
+    logger.info('Candles backfilled', result);
+    return result;
+  }
+
+  /**
+   * 追加扫描得到的新K线（只写入晚于已保存最新K线的已收盘K线）
+   * @param {Object} klinesBySymbol - { symbol: [...] }
+   * @param {string} timeframe - 时间框架
+   * @returns {Object} { saved, gaps: [{ symbol, after, before, missing }] }
+   */
+  appendNew(klinesBySymbol, timeframe) {
+    const ms = getTimeframeMs(timeframe);
+    const result = { saved: 0, gaps: [] };
+
+    for (const [symbol, klines] of Object.entries(klinesBySymbol || {})) {
+      if (!klines || klines.length === 0) continue;
+
+      const range = this.store.getCandleRange(symbol, timeframe);
+      const latest = range.count > 0 ? range.to : -Infinity;
+      const fresh = klines.filter(k => k.timestamp > latest);
+      const batch = this.ingest(symbol, timeframe, fresh);
+      result.saved += batch.saved;
+
+      // 与已保存数据之间出现缺口（例如服务停机期间），等待下次回补补齐
+      if (batch.saved > 0 && range.count > 0 && batch.first - latest > ms) {
+        const gap = { symbol, after: latest, before: batch.first, missing: (batch.first - latest) / ms - 1 };
+        result.gaps.push(gap);
+        metrics.increment('candle_gaps_detected_total', { timeframe });
+        logger.warn('Candle gap detected', { timeframe, ...gap });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取 before 之前（含）最近的 count 根已保存K线（供 marketData.getKlineHistory 使用）
+   * @returns {Array} 升序K线
+   */
+  getRecent(symbol, timeframe, count, before) {
+    return this.store.getCandles(symbol, timeframe, { to: before, limit: count });
+  }
+
+  /**
+   * K线序列报告：数量、范围、缺口和重复时间戳
+   * @param {Object} filters - { symbol, timeframe }
+   * @returns {Array} 各序列报告
+   */
+  report(filters = {}) {
+    return this.store.listCandleSeries()
+      .filter(s => (!filters.symbol || s.symbol === filters.symbol) &&
+        (!filters.timeframe || s.timeframe === filters.timeframe))
+      .map(series => {
+        const ms = getTimeframeMs(series.timeframe);
+        const gaps = this.store.findCandleGaps(series.symbol, series.timeframe, ms);
+        const state = this.getState(series.symbol, series.timeframe);
+        const unrepairable = state.unrepairable_gaps || [];
+        const expected = (series.to - series.from) / ms + 1;
+
+        return {
+          symbol: series.symbol,
+          timeframe: series.timeframe,
+          count: series.count,
+          from: new Date(series.from).toISOString(),
+          to: new Date(series.to).toISOString(),
+          expected,
+          missing: expected - series.count,
+          gap_count: gaps.length,
+          gaps: gaps.slice(0, CANDLE_STORE_CONFIG.REPORT_GAP_LIMIT).map(g => ({
+            after: new Date(g.after).toISOString(),
+            before: new Date(g.before).toISOString(),
+            missing: g.missing,
+            unrepairable: unrepairable.some(u => u.after === g.after && u.before === g.before)
+          })),
+          duplicates: state.duplicates || 0,
+          last_duplicates: (state.last_duplicates || []).map(ts => new Date(ts).toISOString()),
+          backfilled_at: state.backfilled_at || null,
+          history_start_reached: !!state.history_start_reached
+        };
+      });
+  }
+}
+
+module.exports = {
+  CANDLE_STORE_CONFIG,
+  inspectCandles,
+  CandleStore
+};
@@ -0,0 +1,178 @@
+/**
+ * 交易区间 (Dealing Range) 与溢价/折价区
+ *
+ * 以 HTF 当前的摆动区间为交易区间：上涨趋势取受保护低点到其后的最高点，
+ * 下跌趋势取受保护高点到其后的最低点，尚无结构时取最近的摆动高/低点。
+ * 区间中点为均衡价 (Equilibrium)，上半部分为溢价区，下半部分为折价区；
+ * 回撤 0.62–0.79 为最优入场区 (OTE)。做多应在折价区入场，做空应在溢价区入场。
+ */
+
+// 交易区间配置
+const DEALING_RANGE_CONFIG = {
+  // 做多位于溢价区 / 做空位于折价区时: 'BLOCK' 拦截 | 'DOWNGRADE' 降分 | 'OFF' 只记录
+  MODE: process.env.DEALING_RANGE_MODE || 'DOWNGRADE',
+
+  // 降分模式的扣分
+  PENALTY: 10,
+
+  // 入场位于 OTE 区间的加分
+  OTE_BONUS: 5,
+
+  // OTE 回撤区间
+  OTE_MIN: 0.62,
+  OTE_MAX: 0.79,
+
+  // 均衡价上下该比例（占区间高度）内视为均衡区，不区分溢价/折价
+  EQUILIBRIUM_TOLERANCE: 0.02
+};
+
+/**
+ * 计算交易区间
+ * @param {Array} klines - HTF K线数据（升序）
+ * @param {Object} structure - analyzeMarketStructure 结果
+ * @returns {Object|null} {
+ *   source: 'STRUCTURE' | 'SWINGS', trend, high, low, 区间端点 { index, price, timestamp }
+ *   equilibrium, premium: { top, bottom }, discount: { top, bottom },
+ *   ote: { long: { top, bottom }, short: { top, bottom } }
+ * }
+ */
+function getDealingRange(klines, structure) {
+  if (!klines || klines.length === 0 || !structure) return null;
+
+  const point = (i, side) => ({ index: i, price: klines[i][side], timestamp: klines[i].timestamp });
+
+  // from 之后（含）的最高/最低K线
+  const extreme = (from, side) => {
+    let best = from;
+    for (let i = from + 1; i < klines.length; i++) {
+      if (side === 'high' ? klines[i].high > klines[best].high : klines[i].low < klines[best].low) best = i;
+    }
+    return point(best, side);
+  };
+
+  let high = null;
+  let low = null;
+  let source = 'STRUCTURE';
+
+  if (structure.trend === 'BULLISH' && structure.protectedLow) {
+    low = structure.protectedLow;
+    high = extreme(low.index, 'high');
+  } else if (structure.trend === 'BEARISH' && structure.protectedHigh) {
+    high = structure.protectedHigh;
+    low = extreme(high.index, 'low');
+  } else {
+    const swingHigh = structure.swingHighs[structure.swingHighs.length - 1];
+    const swingLow = structure.swingLows[structure.swingLows.length - 1];
+    if (!swingHigh || !swingLow) return null;
+    high = { index: swingHigh.index, price: swingHigh.price, timestamp: swingHigh.timestamp };
+    low = { index: swingLow.index, price: swingLow.price, timestamp: swingLow.timestamp };
+    source = 'SWINGS';
+  }
+
+  const size = high.price - low.price;
+  if (!(size > 0)) return null;
+
+  const equilibrium = low.price + size / 2;
+  return {
+    source,
+    trend: structure.trend,
+    high,
+    low,
+    size,
+    equilibrium,
+    premium: { top: high.price, bottom: equilibrium },
+    discount: { top: equilibrium, bottom: low.price },
+    ote: {
+      long: {
+        top: high.price - size * DEALING_RANGE_CONFIG.OTE_MIN,
+        bottom: high.price - size * DEALING_RANGE_CONFIG.OTE_MAX
+      },
+      short: {
+        top: low.price + size * DEALING_RANGE_CONFIG.OTE_MAX,
+        bottom: low.price + size * DEALING_RANGE_CONFIG.OTE_MIN
+      }
+    }
+  };
+}
+
+/**
+ * 价格在交易区间中的位置
+ * @param {Object} range - getDealingRange 结果
+ * @param {number} price - 价格
+ * @param {string} direction - 'LONG' | 'SHORT'
+ * @returns {Object} {
+ *   position 0 为区间低点、1 为高点（区间外可超出 0–1）,
+ *   zone: 'PREMIUM' | 'DISCOUNT' | 'EQUILIBRIUM',
+ *   retracement 按方向计算的回撤比例（做多从高点回撤，做空从低点反弹）, inOTE
+ * }
+ */
+function locateInRange(range, price, direction) {
+  const position = (price - range.low.price) / range.size;
+
+  let zone = 'EQUILIBRIUM';
+  if (position > 0.5 + DEALING_RANGE_CONFIG.EQUILIBRIUM_TOLERANCE) zone = 'PREMIUM';
+  else if (position < 0.5 - DEALING_RANGE_CONFIG.EQUILIBRIUM_TOLERANCE) zone = 'DISCOUNT';
+
+  const retracement = direction === 'SHORT' ? position : 1 - position;
+
+  return {
+    position,
+    zone,
+    retracement,
+    inOTE: retracement >= DEALING_RANGE_CONFIG.OTE_MIN && retracement <= DEALING_RANGE_CONFIG.OTE_MAX
+  };
+}
+
+/**
+ * 入场位置检查：做多位于溢价区、做空位于折价区时按 MODE 拦截或降分
+ * @param {Object|null} range - getDealingRange 结果
+ * @param {number} price - 入场价
+ * @param {string} direction - 'LONG' | 'SHORT'
+ * @param {Object} config - 配置（默认 DEALING_RANGE_CONFIG）
+ * @returns {Object} { passed, action: 'PASS' | 'DOWNGRADE' | 'BLOCK', reason, scoreAdjustment, location }
+ *   无交易区间时直接通过，location 为 null
+ */
+function evaluateEntryLocation(range, price, direction, config = DEALING_RANGE_CONFIG) {
+  if (!range) {
+    return { passed: true, action: 'PASS', reason: 'NO_DEALING_RANGE', scoreAdjustment: 0, location: null };
+  }
+
+  const location = locateInRange(range, price, direction);
+  const wrongSide = (direction === 'LONG' && location.zone === 'PREMIUM') ||
+    (direction === 'SHORT' && location.zone === 'DISCOUNT');
+
+  if (wrongSide && config.MODE === 'BLOCK') {
+    return {
+      passed: false,
+      action: 'BLOCK',
+      reason: direction === 'LONG' ? 'LONG_IN_PREMIUM' : 'SHORT_IN_DISCOUNT',
+      scoreAdjustment: 0,
+      location
+    };
+  }
+
+  if (wrongSide) {
+    return {
+      passed: true,
+      action: config.MODE === 'DOWNGRADE' ? 'DOWNGRADE' : 'PASS',
+      reason: direction === 'LONG' ? 'LONG_IN_PREMIUM' : 'SHORT_IN_DISCOUNT',
+      scoreAdjustment: config.MODE === 'DOWNGRADE' ? -config.PENALTY : 0,
+      location
+    };
+  }
+
+  return {
+    passed: true,
+    action: 'PASS',
+    reason: location.inOTE ? 'IN_OTE' : null,
+    scoreAdjustment: location.inOTE ? config.OTE_BONUS : 0,
+    location
+  };
+}
+
+module.exports = {
+  DEALING_RANGE_CONFIG,
+  getDealingRange,
+  locateInRange,
+  evaluateEntryLocation
+};
@@ -0,0 +1,220 @@
+/**
+ * 实时事件推送
+ *
+ * 通过 SSE（GET /api/events）和可选的 WebSocket 推送扫描进度、单个交易对结果、
+ * 新信号、信号状态转换和数据健康变化，前端不再轮询。
+ * 每个事件带 `${epoch}-${seq}` 形式的ID，最近的事件保存在环形缓冲区，
+ * 客户端重连时通过 Last-Event-ID 补发错过的事件。
+ */
+
+const { URL } = require('url');
+
+// 事件类型
+const EVENT_TYPES = {
+  SCAN_PROGRESS: 'scan.progress',
+  SCAN_SYMBOL: 'scan.symbol',
+  SCAN_JOB: 'scan.job',
+  SIGNAL_NEW: 'signal.new',
+  SIGNAL_STATUS: 'signal.status',
+  DATA_HEALTH: 'data.health'
+};
+
+// 推送配置
+const EVENT_STREAM_CONFIG = {
+  // 缓冲区保留的事件数量（用于断线补发）
+  BUFFER_SIZE: parseInt(process.env.EVENT_BUFFER_SIZE || '1000', 10),
+
+  // SSE心跳间隔（防止代理断开空闲连接）
+  HEARTBEAT_MS: 15000,
+
+  // 客户端重连等待时间
+  RETRY_MS: 3000,
+
+  // WebSocket（需安装 ws）
+  WS_ENABLED: process.env.EVENTS_WS_ENABLED === 'true',
+  WS_PATH: '/api/events/ws'
+};
+
+/**
+ * 解析事件ID
+ * @param {string} id - `${epoch}-${seq}`
+ * @returns {Object|null} { epoch, seq }
+ */
+function parseEventId(id) {
+  if (!id || typeof id !== 'string') return null;
+  const index = id.lastIndexOf('-');
+  if (index <= 0) return null;
+  const seq = parseInt(id.slice(index + 1), 10);
+  if (!Number.isFinite(seq)) return null;
+  return { epoch: id.slice(0, index), seq };
+}
+
+// 解析类型过滤参数（逗号分隔，支持前缀如 scan.*）
+function parseTypeFilter(types) {
+  if (!types) return null;
+  const list = String(types).split(',').map(t => t.trim()).filter(Boolean);
+  if (list.length === 0) return null;
+  return (type) => list.some(t => (t.endsWith('.*') ? type.startsWith(t.slice(0, -1)) : t === type));
+}
+
+function formatSSE(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+class EventHub {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || EVENT_STREAM_CONFIG.BUFFER_SIZE;
+    // epoch区分进程实例，重启后旧ID不能用于补发
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.subscribers = new Set();
+  }
+
+  /**
+   * 发布事件
+   * @param {string} type - 事件类型（EVENT_TYPES）
+   * @param {Object} data - 事件数据
+   * @returns {Object} 事件
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: `${this.epoch}-${++this.seq}`,
+      type,
+      time: new Date().toISOString(),
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const subscriber of this.subscribers) {
+      if (subscriber.filter && !subscriber.filter(type)) continue;
+      try {
+        subscriber.send(event);
+      } catch (error) {
+        this.subscribers.delete(subscriber);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * 获取某个事件之后的缓冲事件（断线补发）
+   * ID来自其他进程实例或已被挤出缓冲区时，返回全部缓冲事件并标记 reset
+   * @param {string} lastEventId - 客户端收到的最后一个事件ID
+   * @returns {Object} { events, reset }
+   */
+  getEventsSince(lastEventId) {
+    const parsed = parseEventId(lastEventId);
+    if (!parsed) return { events: [], reset: false };
+
+    const oldest = this.buffer.length > 0 ? parseEventId(this.buffer[0].id).seq : this.seq + 1;
+    if (parsed.epoch !== this.epoch || parsed.seq < oldest - 1) {
+      return { events: [...this.buffer], reset: true };
+    }
+
+    return { events: this.buffer.filter(e => parseEventId(e.id).seq > parsed.seq), reset: false };
+  }
+
+  /**
+   * 订阅事件
+   * @param {Function} send - (event) => void
+   * @param {Function} filter - (type) => boolean
+   * @returns {Function} 取消订阅
+   */
+  subscribe(send, filter = null) {
+    const subscriber = { send, filter };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  // 补发事件并订阅后续事件
+  replayAndSubscribe(lastEventId, filter, send, sendReset) {
+    const { events, reset } = this.getEventsSince(lastEventId);
+    if (reset) sendReset();
+    events.filter(e => !filter || filter(e.type)).forEach(send);
+    return this.subscribe(send, filter);
+  }
+
+  /**
+   * SSE 请求处理（Express路由）
+   * 支持 Last-Event-ID 请求头或 ?lastEventId=，?types=scan.*,signal.new 过滤事件类型
+   */
+  handleSSE(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${EVENT_STREAM_CONFIG.RETRY_MS}\n\n`);
+
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    const filter = parseTypeFilter(req.query.types);
+
+    const unsubscribe = this.replayAndSubscribe(
+      lastEventId,
+      filter,
+      event => res.write(formatSSE(event)),
+      () => res.write(`event: stream.reset\ndata: ${JSON.stringify({ reason: 'EVENTS_MISSED' })}\n\n`)
+    );
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_STREAM_CONFIG.HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  /**
+   * 挂载 WebSocket 端点（与SSE相同的事件和补发语义）
+   * @param {http.Server} server - HTTP服务器
+   * @param {string} wsPath - 路径
+   * @returns {Object} WebSocketServer 实例
+   */
+  attachWebSocket(server, wsPath = EVENT_STREAM_CONFIG.WS_PATH) {
+    const { WebSocketServer } = require('ws');
+    const wss = new WebSocketServer({ server, path: wsPath });
+
+    wss.on('connection', (socket, req) => {
+      const url = new URL(req.url, 'http://localhost');
+      const filter = parseTypeFilter(url.searchParams.get('types'));
+      const send = event => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(event));
+      };
+
+      const unsubscribe = this.replayAndSubscribe(
+        url.searchParams.get('lastEventId'),
+        filter,
+        send,
+        () => socket.send(JSON.stringify({ type: 'stream.reset', data: { reason: 'EVENTS_MISSED' } }))
+      );
+
+      socket.on('close', unsubscribe);
+      socket.on('error', unsubscribe);
+    });
+
+    return wss;
+  }
+
+  getStats() {
+    return {
+      epoch: this.epoch,
+      last_event_id: this.seq > 0 ? `${this.epoch}-${this.seq}` : null,
+      buffered: this.buffer.length,
+      subscribers: this.subscribers.size
+    };
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EVENT_STREAM_CONFIG,
+  parseEventId,
+  EventHub
+};
@@ -0,0 +1,123 @@
+/**
+ * 交易所适配器基类
+ *
+ * 所有适配器对外统一：
+ * - 交易对使用内部格式 BASE_QUOTE（如 BTC_USDT）
+ * - K线统一为 { timestamp, open, high, low, close, volume }，按时间升序
+ * - ticker统一为 { symbol, last, high24h, low24h, volume24h, quoteVolume24h, change24h, bid, ask }
+ * - 交易对元数据统一为 { symbol, base, quote, tradable, listedAt }（listedAt 未知时为null）
+ * - 订单簿统一为 { timestamp, bids: [[price, amount]], asks: [[price, amount]] }，数量为基础币，买盘降序、卖盘升序
+ */
+
+const axios = require('axios');
+const { ValidationError } = require('../utils/errors');
+
+class ExchangeAdapter {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.displayName = 'Base';
+    this.baseUrl = options.baseUrl;
+    this.timeout = options.timeout || 10000;
+    // 按时间区间获取K线时单次请求的最大条数
+    this.maxKlinesPerRequest = 1000;
+    // 内部时间框架 -> 交易所时间框架
+    this.timeframes = {};
+  }
+
+  // 内部symbol -> 交易所symbol
+  toExchangeSymbol(symbol) {
+    return symbol;
+  }
+
+  // 交易所symbol -> 内部symbol
+  fromExchangeSymbol(exchangeSymbol) {
+    return exchangeSymbol;
+  }
+
+  // 是否支持该时间框架
+  supportsTimeframe(timeframe) {
+    return Object.prototype.hasOwnProperty.call(this.timeframes, timeframe);
+  }
+
+  // 内部时间框架 -> 交易所时间框架
+  mapTimeframe(timeframe) {
+    if (!this.supportsTimeframe(timeframe)) {
+      throw new ValidationError(`Unsupported timeframe for ${this.name}: ${timeframe}`, 'timeframe');
+    }
+    return this.timeframes[timeframe];
+  }
+
+  // GET请求
+  async request(path, params = {}, timeout = this.timeout) {
+    const response = await axios.get(`${this.baseUrl}${path}`, { params, timeout });
+    return response.data;
+  }
+
+  /**
+   * 获取K线
+   * @param {string} symbol - 内部交易对
+   * @param {string} timeframe - 内部时间框架
+   * @param {number} limit - 条数
+   * @returns {Promise<Array|null>} 标准化K线（升序）
+   */
+  async getKlines(symbol, timeframe, limit) {
+    throw new Error(`${this.name} adapter does not implement getKlines`);
+  }
+
+  /**
+   * 按时间区间获取K线（用于历史回补）
+   * 返回 timestamp 在 [from, to] 内的K线，最多 maxKlinesPerRequest 条
+   * @param {string} symbol - 内部交易对
+   * @param {string} timeframe - 内部时间框架
+   * @param {number} from - 起始时间戳（毫秒，含）
+   * @param {number} to - 结束时间戳（毫秒，含）
+   * @returns {Promise<Array|null>} 标准化K线（升序）
+   */
+  async getKlinesRange(symbol, timeframe, from, to) {
+    throw new Error(`${this.name} adapter does not implement getKlinesRange`);
+  }
+
+  /**
+   * 获取ticker
+   * @param {Array<string>} symbols - 内部交易对列表（为空时返回全部）
+   * @returns {Promise<Object|null>} 以内部symbol为键的ticker
+   */
+  async getTickers(symbols) {
+    throw new Error(`${this.name} adapter does not implement getTickers`);
+  }
+
+  /**
+   * 获取现货交易对元数据
+   * @returns {Promise<Array>} [{ symbol, base, quote, tradable, listedAt }]
+   */
+  async getMarkets() {
+    throw new Error(`${this.name} adapter does not implement getMarkets`);
+  }
+
+  /**
+   * 获取订单簿快照
+   * @param {string} symbol - 内部交易对
+   * @param {number} limit - 每侧档位数
+   * @returns {Promise<Object|null>} { timestamp, bids, asks }
+   */
+  async getOrderBook(symbol, limit) {
+    throw new Error(`${this.name} adapter does not implement getOrderBook`);
+  }
+
+  // [[price, amount]] 字符串档位 -> 数字
+  parseLevels(levels) {
+    return (levels || []).map(level => [parseFloat(level[0]), parseFloat(level[1])]);
+  }
+
+  /**
+   * 获取单个ticker
+   * @param {string} symbol - 内部交易对
+   * @returns {Promise<Object|null>} ticker
+   */
+  async getTicker(symbol) {
+    const tickers = await this.getTickers([symbol]);
+    return tickers ? tickers[symbol] || null : null;
+  }
+}
+
+module.exports = { ExchangeAdapter };
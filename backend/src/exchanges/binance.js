@@ -0,0 +1,165 @@
+/**
+ * Binance 现货适配器
+ */
+
+const { ExchangeAdapter } = require('./base');
+
+const BINANCE_API_BASE = 'https://api.binance.com/api/v3';
+
+// 用于把 BTCUSDT 拆回 BTC_USDT 的计价币列表（长的在前）
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'BTC', 'ETH', 'BNB'];
+
+class BinanceAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super({ baseUrl: BINANCE_API_BASE, ...options });
+    this.name = 'binance';
+    this.displayName = 'Binance';
+    this.timeframes = {
+      '1m': '1m',
+      '5m': '5m',
+      '15m': '15m',
+      '30m': '30m',
+      '1h': '1h',
+      '2h': '2h',
+      '4h': '4h',
+      '8h': '8h',
+      '1d': '1d',
+      '3d': '3d',
+      '1w': '1w'
+    };
+  }
+
+  // BTC_USDT -> BTCUSDT
+  toExchangeSymbol(symbol) {
+    return symbol.replace('_', '');
+  }
+
+  // BTCUSDT -> BTC_USDT
+  fromExchangeSymbol(exchangeSymbol) {
+    const quote = QUOTE_ASSETS.find(q => exchangeSymbol.endsWith(q) && exchangeSymbol.length > q.length);
+    if (!quote) return exchangeSymbol;
+    return `${exchangeSymbol.slice(0, -quote.length)}_${quote}`;
+  }
+
+  async getKlines(symbol, timeframe, limit) {
+    const data = await this.request('/klines', {
+      symbol: this.toExchangeSymbol(symbol),
+      interval: this.mapTimeframe(timeframe),
+      limit
+    });
+
+    return this.parseKlines(data);
+  }
+
+  async getKlinesRange(symbol, timeframe, from, to) {
+    const data = await this.request('/klines', {
+      symbol: this.toExchangeSymbol(symbol),
+      interval: this.mapTimeframe(timeframe),
+      startTime: from,
+      endTime: to,
+      limit: this.maxKlinesPerRequest
+    });
+
+    return this.parseKlines(data);
+  }
+
+  parseKlines(data) {
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    // Binance返回格式: [openTime, open, high, low, close, volume, closeTime, ...]
+    return data.map(candle => ({
+      timestamp: candle[0],
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[5])
+    }));
+  }
+
+  async getTickers(symbols) {
+    const data = await this.request('/ticker/24hr');
+
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    const tickers = {};
+    data.forEach(ticker => {
+      const symbol = this.fromExchangeSymbol(ticker.symbol);
+      if (!symbols || symbols.includes(symbol)) {
+        tickers[symbol] = this.normalizeTicker(symbol, ticker);
+      }
+    });
+
+    return tickers;
+  }
+
+  async getTicker(symbol) {
+    const data = await this.request(
+      '/ticker/24hr',
+      { symbol: this.toExchangeSymbol(symbol) },
+      5000
+    );
+
+    if (!data || !data.symbol) {
+      return null;
+    }
+
+    return this.normalizeTicker(symbol, data);
+  }
+
+  // depth 不返回时间戳
+  async getOrderBook(symbol, limit = 100) {
+    const data = await this.request(
+      '/depth',
+      { symbol: this.toExchangeSymbol(symbol), limit },
+      5000
+    );
+
+    if (!data || !Array.isArray(data.bids)) {
+      return null;
+    }
+
+    return {
+      timestamp: Date.now(),
+      bids: this.parseLevels(data.bids),
+      asks: this.parseLevels(data.asks)
+    };
+  }
+
+  // exchangeInfo 不提供上线时间
+  async getMarkets() {
+    const data = await this.request('/exchangeInfo', { permissions: 'SPOT' });
+
+    if (!data || !Array.isArray(data.symbols)) {
+      return [];
+    }
+
+    return data.symbols.map(market => ({
+      symbol: `${market.baseAsset}_${market.quoteAsset}`,
+      base: market.baseAsset,
+      quote: market.quoteAsset,
+      tradable: market.status === 'TRADING',
+      listedAt: null
+    }));
+  }
+
+  normalizeTicker(symbol, ticker) {
+    return {
+      symbol,
+      last: parseFloat(ticker.lastPrice),
+      high24h: parseFloat(ticker.highPrice),
+      low24h: parseFloat(ticker.lowPrice),
+      volume24h: parseFloat(ticker.volume),
+      quoteVolume24h: parseFloat(ticker.quoteVolume),
+      change24h: parseFloat(ticker.priceChangePercent),
+      bid: parseFloat(ticker.bidPrice),
+      ask: parseFloat(ticker.askPrice)
+    };
+  }
+}
+
+module.exports = { BinanceAdapter, BINANCE_API_BASE };
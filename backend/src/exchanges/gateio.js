@@ -0,0 +1,158 @@
+/**
+ * Gate.io 现货适配器
+ */
+
+const { ExchangeAdapter } = require('./base');
+
+const GATEIO_API_BASE = 'https://api.gateio.ws/api/v4';
+
+class GateioAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super({ baseUrl: GATEIO_API_BASE, ...options });
+    this.name = 'gateio';
+    this.displayName = 'Gate.io';
+    this.timeframes = {
+      '1m': '1m',
+      '5m': '5m',
+      '15m': '15m',
+      '30m': '30m',
+      '1h': '1h',
+      '4h': '4h',
+      '8h': '8h',
+      '1d': '1d'
+    };
+  }
+
+  // Gate.io交易对格式与内部一致: BTC_USDT
+  toExchangeSymbol(symbol) {
+    return symbol;
+  }
+
+  fromExchangeSymbol(currencyPair) {
+    return currencyPair;
+  }
+
+  async getKlines(symbol, timeframe, limit) {
+    const data = await this.request('/spot/candlesticks', {
+      currency_pair: this.toExchangeSymbol(symbol),
+      interval: this.mapTimeframe(timeframe),
+      limit
+    });
+
+    return this.parseKlines(data);
+  }
+
+  // Gate.io 的 from/to 为秒，且不能与 limit 同时使用
+  async getKlinesRange(symbol, timeframe, from, to) {
+    const data = await this.request('/spot/candlesticks', {
+      currency_pair: this.toExchangeSymbol(symbol),
+      interval: this.mapTimeframe(timeframe),
+      from: Math.floor(from / 1000),
+      to: Math.floor(to / 1000)
+    });
+
+    return this.parseKlines(data);
+  }
+
+  parseKlines(data) {
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    // Gate.io返回格式: [timestamp, volume, close, high, low, open]
+    return data.map(candle => ({
+      timestamp: parseInt(candle[0]) * 1000,
+      volume: parseFloat(candle[1]),
+      close: parseFloat(candle[2]),
+      high: parseFloat(candle[3]),
+      low: parseFloat(candle[4]),
+      open: parseFloat(candle[5])
+    }));
+  }
+
+  async getTickers(symbols) {
+    const data = await this.request('/spot/tickers');
+
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    const tickers = {};
+    data.forEach(ticker => {
+      const symbol = this.fromExchangeSymbol(ticker.currency_pair);
+      if (!symbols || symbols.includes(symbol)) {
+        tickers[symbol] = this.normalizeTicker(symbol, ticker);
+      }
+    });
+
+    return tickers;
+  }
+
+  async getTicker(symbol) {
+    const data = await this.request(
+      '/spot/tickers',
+      { currency_pair: this.toExchangeSymbol(symbol) },
+      5000
+    );
+
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      return null;
+    }
+
+    return this.normalizeTicker(symbol, data[0]);
+  }
+
+  async getOrderBook(symbol, limit = 100) {
+    const data = await this.request(
+      '/spot/order_book',
+      { currency_pair: this.toExchangeSymbol(symbol), limit },
+      5000
+    );
+
+    if (!data || !Array.isArray(data.bids)) {
+      return null;
+    }
+
+    return {
+      timestamp: data.current || Date.now(),
+      bids: this.parseLevels(data.bids),
+      asks: this.parseLevels(data.asks)
+    };
+  }
+
+  // buy_start / sell_start 为开放交易时间（秒），老交易对为0
+  async getMarkets() {
+    const data = await this.request('/spot/currency_pairs');
+
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+
+    return data.map(pair => {
+      const start = Math.max(parseInt(pair.buy_start || 0), parseInt(pair.sell_start || 0));
+      return {
+        symbol: this.fromExchangeSymbol(pair.id),
+        base: pair.base,
+        quote: pair.quote,
+        tradable: pair.trade_status === 'tradable',
+        listedAt: start > 0 ? start * 1000 : null
+      };
+    });
+  }
+
+  normalizeTicker(symbol, ticker) {
+    return {
+      symbol,
+      last: parseFloat(ticker.last),
+      high24h: parseFloat(ticker.high_24h),
+      low24h: parseFloat(ticker.low_24h),
+      volume24h: parseFloat(ticker.base_volume),
+      quoteVolume24h: parseFloat(ticker.quote_volume),
+      change24h: parseFloat(ticker.change_percentage),
+      bid: parseFloat(ticker.highest_bid),
+      ask: parseFloat(ticker.lowest_ask)
+    };
+  }
+}
+
+module.exports = { GateioAdapter, GATEIO_API_BASE };
@@ -0,0 +1,266 @@
+/**
+ * Gate.io USDT 永续合约适配器
+ *
+ * 合约名与内部交易对格式一致（BTC_USDT）。K线成交量为合约张数；
+ * ticker 额外包含标记价格、指数价格、资金费率和持仓量。
+ */
+
+const { ExchangeAdapter } = require('./base');
+const { GATEIO_API_BASE } = require('./gateio');
+
+const SETTLE = 'usdt';
+
+// 合约面值缓存时间
+const CONTRACTS_TTL_MS = 60 * 60 * 1000;
+
+class GateioFuturesAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super({ baseUrl: GATEIO_API_BASE, ...options });
+    this.name = 'gateio_futures';
+    this.displayName = 'Gate.io Futures';
+    this.maxKlinesPerRequest = 2000;
+    this.timeframes = {
+      '1m': '1m',
+      '5m': '5m',
+      '15m': '15m',
+      '30m': '30m',
+      '1h': '1h',
+      '4h': '4h',
+      '8h': '8h',
+      '1d': '1d'
+    };
+    // 合约名 -> 每张合约对应的基础币数量
+    this.multipliers = null;
+    this.multipliersAt = 0;
+  }
+
+  path(endpoint) {
+    return `/futures/${SETTLE}${endpoint}`;
+  }
+
+  async getKlines(symbol, timeframe, limit) {
+    return this.getContractKlines(this.toExchangeSymbol(symbol), timeframe, { limit });
+  }
+
+  // from/to 为秒，且不能与 limit 同时使用
+  async getKlinesRange(symbol, timeframe, from, to) {
+    return this.getContractKlines(this.toExchangeSymbol(symbol), timeframe, {
+      from: Math.floor(from / 1000),
+      to: Math.floor(to / 1000)
+    });
+  }
+
+  /**
+   * 标记价格K线
+   * @param {string} symbol - 内部交易对
+   * @param {string} timeframe - 时间框架
+   * @param {number} limit - 条数
+   * @returns {Promise<Array|null>}
+   */
+  async getMarkKlines(symbol, timeframe, limit) {
+    return this.getContractKlines(`mark_${this.toExchangeSymbol(symbol)}`, timeframe, { limit });
+  }
+
+  /**
+   * 指数价格K线
+   * @param {string} symbol - 内部交易对
+   * @param {string} timeframe - 时间框架
+   * @param {number} limit - 条数
+   * @returns {Promise<Array|null>}
+   */
+  async getIndexKlines(symbol, timeframe, limit) {
+    return this.getContractKlines(`index_${this.toExchangeSymbol(symbol)}`, timeframe, { limit });
+  }
+
+  async getContractKlines(contract, timeframe, params) {
+    const data = await this.request(this.path('/candlesticks'), {
+      contract,
+      interval: this.mapTimeframe(timeframe),
+      ...params
+    });
+
+    return this.parseKlines(data);
+  }
+
+  parseKlines(data) {
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    // Gate.io合约返回格式: { t, v, c, h, l, o, sum }，标记/指数价格K线没有成交量
+    return data.map(candle => ({
+      timestamp: parseInt(candle.t) * 1000,
+      open: parseFloat(candle.o),
+      high: parseFloat(candle.h),
+      low: parseFloat(candle.l),
+      close: parseFloat(candle.c),
+      volume: parseFloat(candle.v || 0)
+    }));
+  }
+
+  async getContracts() {
+    const data = await this.request(this.path('/contracts'));
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+
+    this.multipliers = {};
+    data.forEach(contract => {
+      this.multipliers[contract.name] = parseFloat(contract.quanto_multiplier) || 1;
+    });
+    this.multipliersAt = Date.now();
+    return data;
+  }
+
+  async getMultipliers() {
+    if (!this.multipliers || Date.now() - this.multipliersAt > CONTRACTS_TTL_MS) {
+      await this.getContracts();
+    }
+    return this.multipliers;
+  }
+
+  async getTickers(symbols) {
+    const [data, multipliers] = await Promise.all([
+      this.request(this.path('/tickers')),
+      this.getMultipliers()
+    ]);
+
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    const tickers = {};
+    data.forEach(ticker => {
+      const symbol = this.fromExchangeSymbol(ticker.contract);
+      if (!symbols || symbols.includes(symbol)) {
+        tickers[symbol] = this.normalizeTicker(symbol, ticker, multipliers[ticker.contract]);
+      }
+    });
+
+    return tickers;
+  }
+
+  async getTicker(symbol) {
+    const [data, multipliers] = await Promise.all([
+      this.request(this.path('/tickers'), { contract: this.toExchangeSymbol(symbol) }, 5000),
+      this.getMultipliers()
+    ]);
+
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      return null;
+    }
+
+    return this.normalizeTicker(symbol, data[0], multipliers[data[0].contract]);
+  }
+
+  // 档位格式: { p, s }，s 为张数；current 为秒
+  async getOrderBook(symbol, limit = 100) {
+    const contract = this.toExchangeSymbol(symbol);
+    const [data, multipliers] = await Promise.all([
+      this.request(this.path('/order_book'), { contract, limit }, 5000),
+      this.getMultipliers()
+    ]);
+
+    if (!data || !Array.isArray(data.bids)) {
+      return null;
+    }
+
+    const multiplier = multipliers[contract] || 1;
+    const levels = side => side.map(level => [parseFloat(level.p), parseFloat(level.s) * multiplier]);
+    return {
+      timestamp: data.current ? Math.round(data.current * 1000) : Date.now(),
+      bids: levels(data.bids),
+      asks: levels(data.asks)
+    };
+  }
+
+  // create_time 为合约上线时间（秒），in_delisting 表示正在下架
+  async getMarkets() {
+    const data = await this.getContracts();
+
+    return data.map(contract => {
+      const [base, quote] = contract.name.split('_');
+      const created = parseInt(contract.create_time || 0);
+      return {
+        symbol: this.fromExchangeSymbol(contract.name),
+        base,
+        quote,
+        tradable: !contract.in_delisting,
+        listedAt: created > 0 ? created * 1000 : null
+      };
+    });
+  }
+
+  /**
+   * 资金费率历史（每个结算周期一条）
+   * @param {string} symbol - 内部交易对
+   * @param {number} limit - 条数
+   * @returns {Promise<Array>} [{ timestamp, rate }]，按时间升序
+   */
+  async getFundingRateHistory(symbol, limit = 21) {
+    const data = await this.request(this.path('/funding_rate'), {
+      contract: this.toExchangeSymbol(symbol),
+      limit
+    });
+
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+
+    return data
+      .map(item => ({ timestamp: parseInt(item.t) * 1000, rate: parseFloat(item.r) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * 持仓量历史
+   * @param {string} symbol - 内部交易对
+   * @param {string} interval - 统计周期 5m | 15m | 30m | 1h | 4h | 1d
+   * @param {number} limit - 条数
+   * @returns {Promise<Array>} [{ timestamp, openInterest, openInterestUsd, markPrice }]，按时间升序
+   */
+  async getOpenInterestHistory(symbol, interval = '1h', limit = 25) {
+    const data = await this.request(this.path('/contract_stats'), {
+      contract: this.toExchangeSymbol(symbol),
+      interval,
+      limit
+    });
+
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+
+    return data
+      .map(item => ({
+        timestamp: parseInt(item.time) * 1000,
+        openInterest: parseFloat(item.open_interest),
+        openInterestUsd: parseFloat(item.open_interest_usd),
+        markPrice: parseFloat(item.mark_price)
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // 持仓量（张）按合约面值换算为基础币数量
+  normalizeTicker(symbol, ticker, multiplier = 1) {
+    const markPrice = parseFloat(ticker.mark_price);
+    const openInterest = parseFloat(ticker.total_size) * multiplier;
+    return {
+      symbol,
+      last: parseFloat(ticker.last),
+      high24h: parseFloat(ticker.high_24h),
+      low24h: parseFloat(ticker.low_24h),
+      volume24h: parseFloat(ticker.volume_24h_base),
+      quoteVolume24h: parseFloat(ticker.volume_24h_quote),
+      change24h: parseFloat(ticker.change_percentage),
+      bid: parseFloat(ticker.highest_bid),
+      ask: parseFloat(ticker.lowest_ask),
+      markPrice,
+      indexPrice: parseFloat(ticker.index_price),
+      fundingRate: parseFloat(ticker.funding_rate),
+      openInterest,
+      openInterestUsd: openInterest * markPrice
+    };
+  }
+}
+
+module.exports = { GateioFuturesAdapter };
@@ -0,0 +1,60 @@
+/**
+ * 交易所适配器注册表
+ */
+
+const { ExchangeAdapter } = require('./base');
+const { GateioAdapter } = require('./gateio');
+const { GateioFuturesAdapter } = require('./gateioFutures');
+const { BinanceAdapter } = require('./binance');
+const { OkxAdapter } = require('./okx');
+const { ValidationError } = require('../utils/errors');
+
+const ADAPTERS = {
+  gateio: GateioAdapter,
+  gateio_futures: GateioFuturesAdapter,
+  binance: BinanceAdapter,
+  okx: OkxAdapter
+};
+
+// 适配器实例缓存
+const instances = new Map();
+
+/**
+ * 获取适配器实例
+ * @param {string} name - 交易所名称 gateio | gateio_futures | binance | okx
+ * @returns {ExchangeAdapter} 适配器
+ */
+function getAdapter(name) {
+  const key = (name || '').toLowerCase();
+  if (!ADAPTERS[key]) {
+    throw new ValidationError(`Unknown exchange: ${name}`, 'exchange', {
+      supported: Object.keys(ADAPTERS)
+    });
+  }
+
+  if (!instances.has(key)) {
+    instances.set(key, new ADAPTERS[key]());
+  }
+  return instances.get(key);
+}
+
+/**
+ * 注册自定义适配器
+ * @param {string} name - 交易所名称
+ * @param {Function} AdapterClass - 继承ExchangeAdapter的类
+ */
+function registerAdapter(name, AdapterClass) {
+  ADAPTERS[name.toLowerCase()] = AdapterClass;
+  instances.delete(name.toLowerCase());
+}
+
+module.exports = {
+  ADAPTERS,
+  ExchangeAdapter,
+  GateioAdapter,
+  GateioFuturesAdapter,
+  BinanceAdapter,
+  OkxAdapter,
+  getAdapter,
+  registerAdapter
+};
@@ -0,0 +1,172 @@
+/**
+ * OKX 现货适配器
+ */
+
+const { ExchangeAdapter } = require('./base');
+const { ExternalServiceError } = require('../utils/errors');
+
+const OKX_API_BASE = 'https://www.okx.com/api/v5';
+
+class OkxAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super({ baseUrl: OKX_API_BASE, ...options });
+    this.name = 'okx';
+    this.displayName = 'OKX';
+    this.maxKlinesPerRequest = 100;
+    // OKX日线默认按香港时间切分，使用UTC版本与其他交易所对齐
+    this.timeframes = {
+      '1m': '1m',
+      '5m': '5m',
+      '15m': '15m',
+      '30m': '30m',
+      '1h': '1H',
+      '2h': '2H',
+      '4h': '4H',
+      '1d': '1Dutc',
+      '1w': '1Wutc'
+    };
+  }
+
+  // BTC_USDT -> BTC-USDT
+  toExchangeSymbol(symbol) {
+    return symbol.replace('_', '-');
+  }
+
+  // BTC-USDT -> BTC_USDT
+  fromExchangeSymbol(instId) {
+    return instId.replace('-', '_');
+  }
+
+  // OKX响应统一包装为 { code, msg, data }
+  async request(path, params = {}, timeout = this.timeout) {
+    const body = await super.request(path, params, timeout);
+    if (!body || body.code !== '0') {
+      throw new ExternalServiceError(`OKX API error: ${body ? body.msg : 'empty response'}`, 'okx', { path });
+    }
+    return body.data;
+  }
+
+  async getKlines(symbol, timeframe, limit) {
+    const data = await this.request('/market/candles', {
+      instId: this.toExchangeSymbol(symbol),
+      bar: this.mapTimeframe(timeframe),
+      limit
+    });
+
+    return this.parseKlines(data);
+  }
+
+  // 历史K线接口：after 返回早于该时间的数据，before 返回晚于该时间的数据
+  async getKlinesRange(symbol, timeframe, from, to) {
+    const data = await this.request('/market/history-candles', {
+      instId: this.toExchangeSymbol(symbol),
+      bar: this.mapTimeframe(timeframe),
+      after: to + 1,
+      before: from - 1,
+      limit: this.maxKlinesPerRequest
+    });
+
+    return this.parseKlines(data);
+  }
+
+  parseKlines(data) {
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    // OKX返回格式: [ts, open, high, low, close, vol, ...]，按时间倒序
+    return data.map(candle => ({
+      timestamp: parseInt(candle[0]),
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[5])
+    })).reverse();
+  }
+
+  async getTickers(symbols) {
+    const data = await this.request('/market/tickers', { instType: 'SPOT' });
+
+    if (!data || !Array.isArray(data)) {
+      return null;
+    }
+
+    const tickers = {};
+    data.forEach(ticker => {
+      const symbol = this.fromExchangeSymbol(ticker.instId);
+      if (!symbols || symbols.includes(symbol)) {
+        tickers[symbol] = this.normalizeTicker(symbol, ticker);
+      }
+    });
+
+    return tickers;
+  }
+
+  async getTicker(symbol) {
+    const data = await this.request(
+      '/market/ticker',
+      { instId: this.toExchangeSymbol(symbol) },
+      5000
+    );
+
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      return null;
+    }
+
+    return this.normalizeTicker(symbol, data[0]);
+  }
+
+  // 档位格式: [price, size, 0, orders]
+  async getOrderBook(symbol, limit = 100) {
+    const data = await this.request(
+      '/market/books',
+      { instId: this.toExchangeSymbol(symbol), sz: limit },
+      5000
+    );
+
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      return null;
+    }
+
+    return {
+      timestamp: parseInt(data[0].ts),
+      bids: this.parseLevels(data[0].bids),
+      asks: this.parseLevels(data[0].asks)
+    };
+  }
+
+  async getMarkets() {
+    const data = await this.request('/public/instruments', { instType: 'SPOT' });
+
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+
+    return data.map(inst => ({
+      symbol: this.fromExchangeSymbol(inst.instId),
+      base: inst.baseCcy,
+      quote: inst.quoteCcy,
+      tradable: inst.state === 'live',
+      listedAt: inst.listTime ? parseInt(inst.listTime) : null
+    }));
+  }
+
+  normalizeTicker(symbol, ticker) {
+    const last = parseFloat(ticker.last);
+    const open24h = parseFloat(ticker.open24h);
+    return {
+      symbol,
+      last,
+      high24h: parseFloat(ticker.high24h),
+      low24h: parseFloat(ticker.low24h),
+      volume24h: parseFloat(ticker.vol24h),
+      quoteVolume24h: parseFloat(ticker.volCcy24h),
+      change24h: open24h > 0 ? ((last - open24h) / open24h) * 100 : 0,
+      bid: parseFloat(ticker.bidPx),
+      ask: parseFloat(ticker.askPx)
+    };
+  }
+}
+
+module.exports = { OkxAdapter, OKX_API_BASE };
@@ -5,7 +5,8 @@
  * 扫荡方向需与预期交易方向相反（做多先扫sell-side，做空先扫buy-side）
  */
 
-const { findSwingPoints } = require('./strategy');
+const { findSwingPoints, detectInducement } = require('./strategy');
+const { ZONE_POI_TYPES } = require('./multiTimeframe');
 
 // 流动性扫荡配置
 const SWEEP_CONFIG = {
@@ -22,16 +23,43 @@ const SWEEP_CONFIG = {
   VALIDITY_WINDOW: 5,
   
   // 最小扫荡幅度（相对于价格）
-  MIN_SWEEP_PERCENT: 0.1
+  MIN_SWEEP_PERCENT: 0.1,
+  
+  // 流动性池评分权重（合计100）：触碰次数、新近程度、与扫荡前价格的距离、高周期来源
+  POOL_SCORE_WEIGHTS: {
+    TOUCHES: 30,
+    RECENCY: 20,
+    DISTANCE: 25,
+    HTF_ORIGIN: 25
+  },
+  
+  // 触碰次数达到该值得满分
+  POOL_MAX_TOUCHES: 4,
+  
+  // 形成超过该K线数的流动性池新近程度得0分
+  POOL_AGE_HORIZON: 100,
+  
+  // 距离超过该百分比得0分
+  POOL_MAX_DISTANCE_PERCENT: 3,
+  
+  // 触碰判定容差（相对价位的百分比）
+  POOL_TOUCH_TOLERANCE_PERCENT: 0.1
 };
 
 /**
  * 识别流动性池
+ * 每个池子带 origin（LTF | HTF | SESSION）、评分和估算的挂单流动性（见 scoreLiquidityPools），
+ * 两侧均按评分从高到低排列
  * @param {Array} klines - K线数据
  * @param {number} lookback - 回望周期
+ * @param {Object} context - 可选的外部价位 {
+ *   sessionLevels 时段关键价位（getSessionLevels 结果），亚洲区间和前一日高低点作为流动性池,
+ *   htf: { swingHighs, swingLows, timeframe } 高周期摆动点
+ * }
  * @returns {Object} 流动性池
  */
-function identifyLiquidityPools(klines, lookback = 20) {
+function identifyLiquidityPools(klines, lookback = 20, context = {}) {
+  const { sessionLevels, htf } = context;
   const { swingHighs, swingLows } = findSwingPoints(klines, 3);
   
   const pools = {
@@ -67,10 +95,14 @@ function identifyLiquidityPools(klines, lookback = 20) {
   const equalHighs = findEqualLevels(klines, 'high', 3);
   const equalLows = findEqualLevels(klines, 'low', 3);
   
+  // findEqualLevels 的下标相对于最近30根K线
+  const equalOffset = Math.max(0, klines.length - 30);
+  
   equalHighs.forEach(level => {
     pools.buySide.push({
       type: 'EQUAL_HIGH',
       level: level.price,
+      index: equalOffset + level.indices[0],
       touches: level.touches,
       priority: 'high',
       description: `等高点 ${level.price.toFixed(4)} (${level.touches}次触碰)`
@@ -81,13 +113,103 @@ function identifyLiquidityPools(klines, lookback = 20) {
     pools.sellSide.push({
       type: 'EQUAL_LOW',
       level: level.price,
+      index: equalOffset + level.indices[0],
       touches: level.touches,
       priority: 'high',
       description: `等低点 ${level.price.toFixed(4)} (${level.touches}次触碰)`
     });
   });
   
-  return pools;
+  // 时段流动性：前一日高低点、亚洲区间高低点
+  if (sessionLevels) {
+    const sessionPool = (side, type, level, priority, label) => {
+      if (level === null || level === undefined) return;
+      pools[side].push({ type, level, priority, origin: 'SESSION', description: `${label} ${level.toFixed(4)}` });
+    };
+    sessionPool('buySide', 'PREVIOUS_DAY_HIGH', sessionLevels.previousDayHigh, 'high', '前一日高点');
+    sessionPool('sellSide', 'PREVIOUS_DAY_LOW', sessionLevels.previousDayLow, 'high', '前一日低点');
+    if (sessionLevels.asianRange && sessionLevels.asianRange.complete) {
+      sessionPool('buySide', 'ASIAN_HIGH', sessionLevels.asianRange.high, 'medium', '亚洲区间高点');
+      sessionPool('sellSide', 'ASIAN_LOW', sessionLevels.asianRange.low, 'medium', '亚洲区间低点');
+    }
+  }
+  
+  // 高周期摆动点（最近3个）
+  if (htf) {
+    const timeframe = htf.timeframe || 'HTF';
+    const htfPool = (side, type, swing, label) => pools[side].push({
+      type,
+      level: swing.price,
+      timestamp: swing.timestamp,
+      timeframe,
+      priority: 'high',
+      origin: 'HTF',
+      description: `${timeframe} ${label} ${swing.price.toFixed(4)}`
+    });
+    (htf.swingHighs || []).slice(-3).forEach(swing => htfPool('buySide', 'HTF_SWING_HIGH', swing, '摆动高点'));
+    (htf.swingLows || []).slice(-3).forEach(swing => htfPool('sellSide', 'HTF_SWING_LOW', swing, '摆动低点'));
+  }
+  
+  const windowStart = Math.max(0, klines.length - SWEEP_CONFIG.VALIDITY_WINDOW);
+  return {
+    buySide: scoreLiquidityPools(klines, pools.buySide, 'high', windowStart),
+    sellSide: scoreLiquidityPools(klines, pools.sellSide, 'low', windowStart)
+  };
+}
+
+/**
+ * 流动性池评分
+ * 只统计扫荡检测窗口之前、池子形成之后的K线：触碰为引线到达价位容差内（摆动点自身算一次），
+ * 挂单流动性以触碰K线的成交量估算；池子形成时间取其K线位置，没有时取首次触碰。
+ * @param {Array} klines - K线数据
+ * @param {Array} pools - 同一侧的流动性池
+ * @param {string} side - 'high' 买方流动性 | 'low' 卖方流动性
+ * @param {number} windowStart - 扫荡检测窗口起点
+ * @returns {Array} 带 origin、formedIndex、distancePercent、
+ *   liquidity: { touches, volume, quoteVolume, touchCandles: [{ index, volume }] }、
+ *   score、scoreBreakdown 的池子，按评分降序
+ */
+function scoreLiquidityPools(klines, pools, side, windowStart) {
+  const weights = SWEEP_CONFIG.POOL_SCORE_WEIGHTS;
+  const referenceIndex = Math.max(0, windowStart - 1);
+  const referencePrice = klines.length > 0 ? klines[referenceIndex].close : 0;
+  
+  return pools.map(pool => {
+    const tolerance = pool.level * (SWEEP_CONFIG.POOL_TOUCH_TOLERANCE_PERCENT / 100);
+    const touching = [];
+    for (let i = 0; i < windowStart; i++) {
+      if (Math.abs(klines[i][side] - pool.level) <= tolerance) touching.push(i);
+    }
+    
+    const formedIndex = pool.index !== undefined ? pool.index : (touching.length > 0 ? touching[0] : null);
+    const touchCandles = touching
+      .filter(i => formedIndex === null || i >= formedIndex)
+      .map(i => ({ index: i, volume: klines[i].volume || 0 }));
+    const touches = touchCandles.length;
+    const volume = touchCandles.reduce((sum, c) => sum + c.volume, 0);
+    
+    const age = formedIndex !== null ? referenceIndex - formedIndex : null;
+    const distancePercent = referencePrice > 0 ? (Math.abs(pool.level - referencePrice) / referencePrice) * 100 : 0;
+    const origin = pool.origin || 'LTF';
+    
+    const scoreBreakdown = {
+      touches: weights.TOUCHES * Math.min(touches, SWEEP_CONFIG.POOL_MAX_TOUCHES) / SWEEP_CONFIG.POOL_MAX_TOUCHES,
+      recency: age !== null ? weights.RECENCY * Math.max(0, 1 - age / SWEEP_CONFIG.POOL_AGE_HORIZON) : 0,
+      distance: weights.DISTANCE * Math.max(0, 1 - distancePercent / SWEEP_CONFIG.POOL_MAX_DISTANCE_PERCENT),
+      htfOrigin: origin === 'LTF' ? 0 : weights.HTF_ORIGIN
+    };
+    const score = Object.values(scoreBreakdown).reduce((sum, v) => sum + v, 0);
+    
+    return {
+      ...pool,
+      origin,
+      formedIndex,
+      distancePercent,
+      liquidity: { touches, volume, quoteVolume: volume * pool.level, touchCandles },
+      score: Math.round(score * 10) / 10,
+      scoreBreakdown
+    };
+  }).sort((a, b) => b.score - a.score);
 }
 
 /**
@@ -156,68 +278,7 @@ function detectLiquiditySweep(klines, pools, expectedDirection) {
  * @returns {Object} 扫荡结果
  */
 function detectSellSideSweep(klines, sellSidePools) {
-  if (!sellSidePools || sellSidePools.length === 0) {
-    return { detected: false, reason: 'NO_LIQUIDITY_POOL' };
-  }
-  
-  // 优先使用高优先级的流动性池
-  const targetPool = sellSidePools.find(p => p.priority === 'high') || sellSidePools[0];
-  
-  for (let i = 0; i < klines.length; i++) {
-    const k = klines[i];
-    const bodySize = Math.abs(k.close - k.open);
-    const lowerWick = Math.min(k.open, k.close) - k.low;
-    
-    // 扫荡条件:
-    // 1. 下引线刺破流动性池
-    // 2. 下引线长度 > 实体长度 × WICK_RATIO
-    // 3. 收盘价回收回流动性池上方
-    
-    const sweptLevel = k.low < targetPool.level;
-    const wickCondition = bodySize > 0 && lowerWick > bodySize * SWEEP_CONFIG.WICK_RATIO;
-    const reclaimCondition = k.close > targetPool.level;
-    
-    // 最小扫荡幅度检查
-    const sweepSize = targetPool.level - k.low;
-    const sweepPercent = (sweepSize / targetPool.level) * 100;
-    const minSweepMet = sweepPercent >= SWEEP_CONFIG.MIN_SWEEP_PERCENT;
-    
-    if (sweptLevel && wickCondition && reclaimCondition && minSweepMet) {
-      // 检查后续确认
-      const confirmation = checkSweepConfirmation(klines, i, 'LONG');
-      
-      return {
-        detected: true,
-        type: 'SELL_SIDE_SWEEP',
-        direction: 'LONG',
-        pool: targetPool,
-        sweepKline: {
-          index: i,
-          timestamp: k.timestamp,
-          open: k.open,
-          high: k.high,
-          low: k.low,
-          close: k.close
-        },
-        sweepMetrics: {
-          wickLength: lowerWick,
-          bodySize: bodySize,
-          wickToBodyRatio: lowerWick / bodySize,
-          sweepDepth: sweepSize,
-          sweepPercent: sweepPercent
-        },
-        confirmation,
-        evidence: `下引线刺破${targetPool.description}后回收，引线/实体=${(lowerWick/bodySize).toFixed(2)}`
-      };
-    }
-  }
-  
-  return { 
-    detected: false, 
-    reason: 'NO_VALID_SWEEP',
-    targetPool: targetPool.level,
-    checkedKlines: klines.length
-  };
+  return detectPoolSweep(klines, sellSidePools, 'LONG');
 }
 
 /**
@@ -227,67 +288,101 @@ function detectSellSideSweep(klines, sellSidePools) {
  * @returns {Object} 扫荡结果
  */
 function detectBuySideSweep(klines, buySidePools) {
-  if (!buySidePools || buySidePools.length === 0) {
+  return detectPoolSweep(klines, buySidePools, 'SHORT');
+}
+
+/**
+ * 对每个流动性池检测扫荡，取被扫池子中评分最高的一个
+ * 做多: 下引线刺破池子、引线 > 实体 × WICK_RATIO、收盘回收到池子上方，做空对称
+ * @param {Array} klines - K线数据（扫荡检测窗口）
+ * @param {Array} pools - 同一侧的流动性池（按评分降序）
+ * @param {string} direction - 'LONG' | 'SHORT'
+ * @returns {Object} 扫荡结果；poolsSwept 为所有被扫的池子，liquidity 为被取走池子的估算挂单流动性
+ */
+function detectPoolSweep(klines, pools, direction) {
+  if (!pools || pools.length === 0) {
     return { detected: false, reason: 'NO_LIQUIDITY_POOL' };
   }
   
-  // 优先使用高优先级的流动性池
-  const targetPool = buySidePools.find(p => p.priority === 'high') || buySidePools[0];
-  
-  for (let i = 0; i < klines.length; i++) {
-    const k = klines[i];
-    const bodySize = Math.abs(k.close - k.open);
-    const upperWick = k.high - Math.max(k.open, k.close);
-    
-    // 扫荡条件:
-    // 1. 上引线刺破流动性池
-    // 2. 上引线长度 > 实体长度 × WICK_RATIO
-    // 3. 收盘价回收回流动性池下方
-    
-    const sweptLevel = k.high > targetPool.level;
-    const wickCondition = bodySize > 0 && upperWick > bodySize * SWEEP_CONFIG.WICK_RATIO;
-    const reclaimCondition = k.close < targetPool.level;
-    
-    // 最小扫荡幅度检查
-    const sweepSize = k.high - targetPool.level;
-    const sweepPercent = (sweepSize / targetPool.level) * 100;
-    const minSweepMet = sweepPercent >= SWEEP_CONFIG.MIN_SWEEP_PERCENT;
-    
-    if (sweptLevel && wickCondition && reclaimCondition && minSweepMet) {
-      // 检查后续确认
-      const confirmation = checkSweepConfirmation(klines, i, 'SHORT');
+  const long = direction === 'LONG';
+  const ranked = [...pools].sort((a, b) => (b.score || 0) - (a.score || 0));
+  const swept = [];
+  
+  ranked.forEach(pool => {
+    for (let i = 0; i < klines.length; i++) {
+      const k = klines[i];
+      const bodySize = Math.abs(k.close - k.open);
+      const wick = long ? Math.min(k.open, k.close) - k.low : k.high - Math.max(k.open, k.close);
+      const sweepSize = long ? pool.level - k.low : k.high - pool.level;
+      const sweepPercent = (sweepSize / pool.level) * 100;
       
-      return {
-        detected: true,
-        type: 'BUY_SIDE_SWEEP',
-        direction: 'SHORT',
-        pool: targetPool,
-        sweepKline: {
-          index: i,
-          timestamp: k.timestamp,
-          open: k.open,
-          high: k.high,
-          low: k.low,
-          close: k.close
-        },
-        sweepMetrics: {
-          wickLength: upperWick,
-          bodySize: bodySize,
-          wickToBodyRatio: upperWick / bodySize,
-          sweepDepth: sweepSize,
-          sweepPercent: sweepPercent
-        },
-        confirmation,
-        evidence: `上引线刺破${targetPool.description}后回收，引线/实体=${(upperWick/bodySize).toFixed(2)}`
-      };
+      if (sweepSize > 0 &&
+        bodySize > 0 && wick > bodySize * SWEEP_CONFIG.WICK_RATIO &&
+        (long ? k.close > pool.level : k.close < pool.level) &&
+        sweepPercent >= SWEEP_CONFIG.MIN_SWEEP_PERCENT) {
+        swept.push({ pool, index: i, wick, bodySize, sweepSize, sweepPercent });
+        break;
+      }
     }
+  });
+  
+  if (swept.length === 0) {
+    return {
+      detected: false,
+      reason: 'NO_VALID_SWEEP',
+      targetPool: ranked[0].level,
+      poolsChecked: ranked.length,
+      checkedKlines: klines.length
+    };
   }
   
-  return { 
-    detected: false, 
-    reason: 'NO_VALID_SWEEP',
-    targetPool: targetPool.level,
-    checkedKlines: klines.length
+  const best = swept[0];
+  const k = klines[best.index];
+  const liquidity = best.pool.liquidity || null;
+  
+  // 相邻池子可能共享触碰K线，合计时每根K线的成交量只算一次
+  const touched = new Map();
+  swept.forEach(s => {
+    ((s.pool.liquidity && s.pool.liquidity.touchCandles) || []).forEach(c => touched.set(c.index, c.volume));
+  });
+  
+  return {
+    detected: true,
+    type: long ? 'SELL_SIDE_SWEEP' : 'BUY_SIDE_SWEEP',
+    direction,
+    pool: best.pool,
+    poolsSwept: swept.map(s => ({
+      type: s.pool.type,
+      level: s.pool.level,
+      origin: s.pool.origin,
+      score: s.pool.score,
+      index: s.index
+    })),
+    liquidity: liquidity ? {
+      ...liquidity,
+      // 同一段扫荡中被扫的所有池子合计（按触碰K线去重）
+      totalVolume: [...touched.values()].reduce((sum, volume) => sum + volume, 0)
+    } : null,
+    sweepKline: {
+      index: best.index,
+      timestamp: k.timestamp,
+      open: k.open,
+      high: k.high,
+      low: k.low,
+      close: k.close,
+      session: k.session,
+      killzone: k.killzone
+    },
+    sweepMetrics: {
+      wickLength: best.wick,
+      bodySize: best.bodySize,
+      wickToBodyRatio: best.wick / best.bodySize,
+      sweepDepth: best.sweepSize,
+      sweepPercent: best.sweepPercent
+    },
+    confirmation: checkSweepConfirmation(klines, best.index, direction),
+    evidence: `${long ? '下' : '上'}引线刺破${best.pool.description}后回收，引线/实体=${(best.wick / best.bodySize).toFixed(2)}` +
+      (best.pool.score !== undefined ? `，池子评分${best.pool.score}` : '')
   };
 }
 
@@ -339,6 +434,30 @@ function checkSweepConfirmation(klines, sweepIndex, direction) {
   };
 }
 
+/**
+ * 检测诱导位扫荡：有效窗口内被引线越过的诱导位
+ * 诱导位是推动段内的次级摆动点，扫掉它只是清理了散户止损，真正的流动性池仍在前方
+ * @param {Array} klines - K线数据
+ * @param {Object} inducement - detectInducement 结果
+ * @returns {Object|null} { type, level, index, timestamp, sweepTimestamp }
+ */
+function detectInducementSweep(klines, inducement) {
+  if (!inducement || inducement.levels.length === 0) return null;
+  
+  const windowStart = klines.length - SWEEP_CONFIG.VALIDITY_WINDOW;
+  const swept = inducement.levels.filter(l => l.swept && l.swept.index >= windowStart);
+  if (swept.length === 0) return null;
+  
+  const latest = swept[swept.length - 1];
+  return {
+    type: latest.type,
+    level: latest.level,
+    index: latest.index,
+    timestamp: latest.timestamp,
+    sweepTimestamp: latest.swept.timestamp
+  };
+}
+
 /**
  * 流动性扫荡前置检查
  * 
@@ -346,17 +465,23 @@ function checkSweepConfirmation(klines, sweepIndex, direction) {
  * 
  * @param {Array} klines - K线数据（通常是MTF或LTF级别）
  * @param {string} direction - 预期交易方向
- * @param {Object} options - 配置选项
- * @returns {Object} 检查结果
+ * @param {Object} options - 配置选项；sessionLevels 为时段关键价位，htf 为高周期摆动点，inducement 为已计算的诱导位（均可选）
+ * @returns {Object} 检查结果；只扫掉诱导位而未扫真正的流动性池时不通过（INDUCEMENT_SWEEP_ONLY）
  */
 function requireLiquiditySweep(klines, direction, options = {}) {
-  const config = { ...SWEEP_CONFIG, ...options };
+  const { sessionLevels, htf, inducement: knownInducement, ...overrides } = options;
+  const config = { ...SWEEP_CONFIG, ...overrides };
   
   // 1. 识别流动性池
-  const pools = identifyLiquidityPools(klines);
+  const pools = identifyLiquidityPools(klines, 20, { sessionLevels, htf });
   
-  // 2. 检测扫荡
+  // 2. 检测扫荡：真正的流动性池与诱导位分开判断
   const sweepResult = detectLiquiditySweep(klines, pools, direction);
+  const inducement = knownInducement || detectInducement(klines, direction);
+  const inducementSweep = detectInducementSweep(klines, inducement);
+  const failureReason = sweepResult.detected
+    ? null
+    : (inducementSweep ? 'INDUCEMENT_SWEEP_ONLY' : sweepResult.reason);
   
   // 3. 构建结果
   const result = {
@@ -369,14 +494,21 @@ function requireLiquiditySweep(klines, direction, options = {}) {
     // 检查结果详情
     check: {
       poolsIdentified: pools,
+      inducementLevels: inducement.levels,
       sweepDetected: sweepResult.detected,
+      // 扫荡目标: 'LIQUIDITY_POOL' 真正的流动性池 | 'INDUCEMENT' 仅诱导位 | null
+      sweepTarget: sweepResult.detected ? 'LIQUIDITY_POOL' : (inducementSweep ? 'INDUCEMENT' : null),
+      inducementSweep,
       sweepDetails: sweepResult.detected ? {
         type: sweepResult.type,
         pool: sweepResult.pool,
+        poolsSwept: sweepResult.poolsSwept,
+        sweepKline: sweepResult.sweepKline,
+        liquidity: sweepResult.liquidity,
         metrics: sweepResult.sweepMetrics,
         confirmation: sweepResult.confirmation
       } : null,
-      failureReason: sweepResult.detected ? null : sweepResult.reason
+      failureReason
     },
     
     // 信号影响
@@ -396,6 +528,7 @@ function requireLiquiditySweep(klines, direction, options = {}) {
       liquidityPoolsCount: pools.buySide.length + pools.sellSide.length,
       sweepDetected: sweepResult.detected,
       sweepType: sweepResult.detected ? sweepResult.type : null,
+      inducementSwept: !!inducementSweep,
       confirmationReceived: sweepResult.detected ? sweepResult.confirmation.confirmed : false
     }
   };
@@ -428,7 +561,7 @@ function waitForSweepWorkflow(params) {
   // 步骤1: 检查价格是否在HTF POI内
   const currentPrice = mtfKlines[mtfKlines.length - 1].close;
   const inPOI = htfPOI.some(p => 
-    (p.type === 'FVG' || p.type === 'ORDER_BLOCK') &&
+    ZONE_POI_TYPES.includes(p.type) &&
     currentPrice >= p.bottom && currentPrice <= p.top
   );
   
@@ -465,7 +598,7 @@ function waitForSweepWorkflow(params) {
   // 步骤3: 等待CHoCH/BOS确认
   const { detectChoCH, findSwingPoints } = require('./strategy');
   const { swingHighs, swingLows } = findSwingPoints(mtfKlines, 3);
-  const choch = detectChoCH(mtfKlines, swingHighs, swingLows);
+  const choch = detectChoCH(mtfKlines, swingHighs, swingLows, 3);
   
   workflow.steps.push({
     name: 'WAIT_FOR_CHOCH_BOS',
@@ -497,6 +630,9 @@ module.exports = {
   detectLiquiditySweep,
   detectSellSideSweep,
   detectBuySideSweep,
+  detectPoolSweep,
+  scoreLiquidityPools,
+  detectInducementSweep,
   checkSweepConfirmation,
   requireLiquiditySweep,
   waitForSweepWorkflow
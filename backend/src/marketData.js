@@ -0,0 +1,684 @@
+/**
+ * 行情数据获取模块
+ * 支持多时间框架数据获取，底层通过交易所适配器（Gate.io / Binance / OKX）
+ * 启用实时推送时优先读取推送缓冲区，缓冲区不可用时回退到 REST
+ * MARKET_TYPE=futures 时改用永续合约数据，ticker 附带资金费率、标记价格和持仓量
+ */
+
+const { ADAPTERS, getAdapter } = require('./exchanges');
+const { ValidationError } = require('./utils/errors');
+const {
+  getTimeframeMs,
+  parseTimeframe,
+  pickSourceTimeframe,
+  requiredSourceCandles,
+  resampleCandles,
+  buildTimeframes
+} = require('./resample');
+const { ORDER_BOOK_CONFIG, computeDepthMetrics } = require('./orderBook');
+
+// 数据源配置
+const MARKET_DATA_CONFIG = {
+  // 默认交易所（按部署选择）
+  DEFAULT_EXCHANGE: process.env.EXCHANGE || 'gateio',
+
+  // 按交易对指定交易所，格式: "BTC_USDT:binance,ETH_USDT:okx"
+  SYMBOL_EXCHANGES: parseSymbolExchanges(process.env.SYMBOL_EXCHANGES),
+
+  // 市场类型: 'spot' 现货 | 'futures' USDT永续合约（使用 `${交易所}_futures` 适配器）
+  MARKET_TYPE: process.env.MARKET_TYPE === 'futures' ? 'futures' : 'spot',
+
+  // 合约指标：平均资金费率的结算次数、持仓量变化的统计周期和小时数、缓存时间
+  FUNDING_HISTORY_COUNT: 9,
+  OPEN_INTEREST_INTERVAL: '1h',
+  OPEN_INTEREST_CHANGE_HOURS: 24,
+  DERIVATIVES_CACHE_MS: 5 * 60 * 1000,
+
+  // MTF数据的聚合源周期（如 1m）：设置后每个交易对只拉一条K线序列，其他周期由其聚合
+  MTF_BASE_TIMEFRAME: process.env.MTF_BASE_TIMEFRAME || null,
+
+  // 聚合源通过REST补齐的最大K线数量（1m 默认7天）；需要更多源K线的周期（1m 聚合 4h 需 24240 根）
+  // 只在本地K线库覆盖时聚合，否则直接获取
+  MTF_BASE_MAX_CANDLES: parseInt(process.env.MTF_BASE_MAX_CANDLES || '10080', 10),
+
+  // 非原生周期的默认条数
+  DEFAULT_LIMIT: 100,
+
+  // 向前分页补足历史时的最大请求数
+  MAX_HISTORY_PAGES: 20
+};
+
+validateMarketConfig(MARKET_DATA_CONFIG);
+
+// 54个交易对（动态交易对列表不可用时的默认列表）
+const SYMBOLS_54 = [
+  'BTC_USDT', 'ETH_USDT', 'BNB_USDT', 'SOL_USDT', 'XRP_USDT',
+  'ADA_USDT', 'AVAX_USDT', 'DOT_USDT', 'MATIC_USDT', 'LINK_USDT',
+  'UNI_USDT', 'LTC_USDT', 'NEAR_USDT', 'APT_USDT', 'ATOM_USDT',
+  'ETC_USDT', 'XLM_USDT', 'FIL_USDT', 'ARB_USDT', 'OP_USDT',
+  'SUI_USDT', 'SEI_USDT', 'TIA_USDT', 'STRK_USDT', 'PYTH_USDT',
+  'JUP_USDT', 'WIF_USDT', 'BONK_USDT', 'PEPE_USDT', 'SHIB_USDT',
+  'DOGE_USDT', 'FLOKI_USDT', 'MEME_USDT', 'ORDI_USDT', 'SATS_USDT',
+  'RATS_USDT', 'CAT_USDT', 'AI_USDT', 'XAI_USDT', 'NFP_USDT',
+  'MANTA_USDT', 'DYM_USDT', 'PIXEL_USDT', 'PORTAL_USDT', 'AEVO_USDT',
+  'WLD_USDT', 'ARKM_USDT', 'TAO_USDT', 'FET_USDT', 'RNDR_USDT',
+  'AGIX_USDT', 'IMX_USDT', 'GRT_USDT', 'LDO_USDT'
+];
+
+// 当前扫描的交易对（由 UniverseManager 更新，默认 SYMBOLS_54）
+let activeSymbols = [...SYMBOLS_54];
+
+/**
+ * 设置扫描的交易对列表
+ * @param {Array<string>} symbols - 交易对
+ */
+function setSymbols(symbols) {
+  activeSymbols = [...symbols];
+}
+
+/**
+ * 当前扫描的交易对列表
+ * @returns {Array<string>}
+ */
+function getSymbols() {
+  return activeSymbols;
+}
+
+// 时间框架配置
+const TIMEFRAME_CONFIG = {
+  '1m': { interval: '1m', limit: 200, msPerCandle: 60 * 1000 },
+  '5m': { interval: '5m', limit: 200, msPerCandle: 5 * 60 * 1000 },
+  '15m': { interval: '15m', limit: 200, msPerCandle: 15 * 60 * 1000 },
+  '1h': { interval: '1h', limit: 100, msPerCandle: 60 * 60 * 1000 },
+  '4h': { interval: '4h', limit: 100, msPerCandle: 4 * 60 * 60 * 1000 },
+  '1d': { interval: '1d', limit: 50, msPerCandle: 24 * 60 * 60 * 1000 }
+};
+
+// 实时行情推送（MarketStream，可选）
+let marketStream = null;
+
+/**
+ * 设置实时行情推送，之后 getKlines / getTickers 优先读取其缓冲区
+ * @param {MarketStream|null} stream - 推送实例
+ */
+function setMarketStream(stream) {
+  marketStream = stream;
+}
+
+// 本地历史K线（CandleStore，可选）
+let candleHistory = null;
+
+/**
+ * 设置本地历史K线来源，getKlineHistory 优先使用已保存的K线
+ * @param {CandleStore|null} history - 需实现 getRecent(symbol, timeframe, count, before)
+ */
+function setCandleHistory(history) {
+  candleHistory = history;
+}
+
+/**
+ * 解析按交易对指定交易所的配置
+ * @param {string} value - 形如 "BTC_USDT:binance,ETH_USDT:okx"
+ * @returns {Object} symbol -> exchange
+ */
+function parseSymbolExchanges(value) {
+  const mapping = {};
+  if (!value) return mapping;
+
+  value.split(',').forEach(pair => {
+    const [symbol, exchange] = pair.split(':').map(s => s && s.trim());
+    if (symbol && exchange) {
+      mapping[symbol] = exchange.toLowerCase();
+    }
+  });
+  return mapping;
+}
+
+/**
+ * 检查默认交易所和 SYMBOL_EXCHANGES 指定的交易所在当前市场类型下都有适配器
+ * （如合约模式目前只有 gateio_futures），启动时即报错而不是在取数据时失败
+ * @param {Object} config - MARKET_DATA_CONFIG
+ * @throws {ValidationError} 不支持的交易所/市场类型组合
+ */
+function validateMarketConfig(config) {
+  const futures = config.MARKET_TYPE === 'futures';
+  const exchanges = [config.DEFAULT_EXCHANGE, ...Object.values(config.SYMBOL_EXCHANGES)];
+  const unsupported = [...new Set(exchanges)].filter(exchange => !ADAPTERS[futures ? `${exchange}_futures` : exchange]);
+  if (unsupported.length === 0) return;
+
+  const supported = Object.keys(ADAPTERS)
+    .filter(name => name.endsWith('_futures') === futures)
+    .map(name => name.replace(/_futures$/, ''));
+  throw new ValidationError(
+    `Exchange ${unsupported.join(', ')} not supported with MARKET_TYPE=${config.MARKET_TYPE} (supported: ${supported.join(', ')})`,
+    'EXCHANGE',
+    { marketType: config.MARKET_TYPE, supported }
+  );
+}
+
+/**
+ * 获取交易对所属交易所的适配器
+ * @param {string} symbol - 交易对
+ * @returns {ExchangeAdapter} 适配器
+ */
+function getAdapterForSymbol(symbol) {
+  return getMarketAdapter(MARKET_DATA_CONFIG.SYMBOL_EXCHANGES[symbol] || MARKET_DATA_CONFIG.DEFAULT_EXCHANGE);
+}
+
+/**
+ * 按市场类型获取交易所适配器（合约模式下为 `${exchange}_futures`）
+ * @param {string} exchange - 交易所名称，默认 DEFAULT_EXCHANGE
+ * @returns {ExchangeAdapter} 适配器
+ */
+function getMarketAdapter(exchange = MARKET_DATA_CONFIG.DEFAULT_EXCHANGE) {
+  return getAdapter(isFutures() ? `${exchange}_futures` : exchange);
+}
+
+function isFutures() {
+  return MARKET_DATA_CONFIG.MARKET_TYPE === 'futures';
+}
+
+/**
+ * 按交易所分组交易对
+ * @param {Array<string>} symbols - 交易对列表
+ * @returns {Map} adapter -> symbols
+ */
+function groupSymbolsByAdapter(symbols) {
+  const groups = new Map();
+  symbols.forEach(symbol => {
+    const adapter = getAdapterForSymbol(symbol);
+    if (!groups.has(adapter)) {
+      groups.set(adapter, []);
+    }
+    groups.get(adapter).push(symbol);
+  });
+  return groups;
+}
+
+/**
+ * 数据源描述（用于API展示）
+ * @returns {string} 如 "Gate.io API" 或 "Gate.io API + Binance API"
+ */
+function describeDataSource() {
+  const names = [...groupSymbolsByAdapter(activeSymbols).keys()].map(a => `${a.displayName} API`);
+  return names.join(' + ');
+}
+
+/**
+ * 根据K线周期标记每根K线是否已收盘
+ * 交易所返回的最后一根K线通常仍在形成中，其高低点可能在收盘前消失
+ * @param {Array} klines - K线数据
+ * @param {string} timeframe - 时间框架
+ * @param {number} now - 当前时间戳
+ * @returns {Array} 带 closed 字段的K线
+ */
+function markCandleClosure(klines, timeframe, now = Date.now()) {
+  if (!klines) return klines;
+  const msPerCandle = getTimeframeMs(timeframe);
+  return klines.map(k => ({
+    ...k,
+    closed: k.timestamp + msPerCandle <= now
+  }));
+}
+
+/**
+ * 获取单个交易对的K线数据
+ * 交易所不提供的周期（如 Gate.io 的 2h、3d）由能整除它的最大原生周期聚合
+ * @param {string} symbol - 交易对，如 BTC_USDT
+ * @param {string} timeframe - 时间框架，如 4h, 15m, 1m, 2h, 3d
+ * @param {number} limit - 获取条数
+ * @returns {Promise<Array>} K线数据数组
+ */
+async function getKlines(symbol, timeframe = '4h', limit = 100) {
+  try {
+    parseTimeframe(timeframe);
+    const config = TIMEFRAME_CONFIG[timeframe];
+    const count = limit || (config ? config.limit : MARKET_DATA_CONFIG.DEFAULT_LIMIT);
+
+    const adapter = getAdapterForSymbol(symbol);
+    if (!adapter.supportsTimeframe(timeframe)) {
+      return await getResampledKlines(symbol, timeframe, count);
+    }
+
+    const buffered = marketStream && marketStream.getKlines(symbol, timeframe, count);
+    if (buffered) {
+      return markCandleClosure(buffered, timeframe);
+    }
+
+    const klines = await adapter.getKlines(symbol, timeframe, count);
+    if (marketStream) {
+      marketStream.seed(symbol, timeframe, klines);
+    }
+    return markCandleClosure(klines, timeframe);
+  } catch (error) {
+    console.error(`Error fetching klines for ${symbol} (${timeframe}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 由原生周期聚合出非原生周期K线
+ * @param {string} symbol - 交易对
+ * @param {string} timeframe - 目标时间框架
+ * @param {number} limit - 条数
+ * @returns {Promise<Array|null>}
+ */
+async function getResampledKlines(symbol, timeframe, limit) {
+  const adapter = getAdapterForSymbol(symbol);
+  const source = pickSourceTimeframe(timeframe, Object.keys(adapter.timeframes));
+  if (!source) {
+    throw new Error(`Unsupported timeframe for ${adapter.name}: ${timeframe}`);
+  }
+
+  const base = await getKlineHistory(symbol, source, requiredSourceCandles(source, timeframe, limit));
+  if (!base) return null;
+  return resampleCandles(base, source, timeframe).slice(-limit);
+}
+
+/**
+ * 获取较长的K线历史（可超过单次请求上限）
+ * 最新部分走 getKlines（推送缓冲区或REST），更早的部分优先取本地K线库，仍不足时向前分页请求
+ * @param {string} symbol - 交易对
+ * @param {string} timeframe - 原生时间框架
+ * @param {number} count - 条数
+ * @param {Object} options - { remoteCount } 向前分页请求最多补到的条数（默认 count），超出部分只用本地K线库
+ * @returns {Promise<Array|null>} 升序K线
+ */
+async function getKlineHistory(symbol, timeframe, count, options = {}) {
+  const adapter = getAdapterForSymbol(symbol);
+  const ms = getTimeframeMs(timeframe);
+  const remoteCount = Math.min(count, options.remoteCount !== undefined ? options.remoteCount : count);
+
+  // 推送缓冲区只保留最近 bufferSize 根，超出部分由本地K线库/REST补足
+  const buffered = marketStream && count > marketStream.bufferSize &&
+    marketStream.getKlines(symbol, timeframe, marketStream.bufferSize);
+  const tail = buffered
+    ? markCandleClosure(buffered, timeframe)
+    : await getKlines(symbol, timeframe, Math.min(count, adapter.maxKlinesPerRequest));
+  if (!tail || tail.length === 0) return null;
+  let candles = tail;
+
+  // 本地K线库只在与最新部分衔接时使用，避免中间出现缺口
+  if (candles.length < count && candleHistory) {
+    const stored = candleHistory.getRecent(symbol, timeframe, count - candles.length, candles[0].timestamp - 1);
+    if (stored.length > 0 && stored[stored.length - 1].timestamp >= candles[0].timestamp - ms) {
+      candles = [...markCandleClosure(stored, timeframe), ...candles];
+    }
+  }
+
+  for (let page = 0; candles.length < remoteCount && page < MARKET_DATA_CONFIG.MAX_HISTORY_PAGES; page++) {
+    const to = candles[0].timestamp - ms;
+    const perPage = Math.min(adapter.maxKlinesPerRequest, remoteCount - candles.length);
+    const older = await adapter.getKlinesRange(symbol, timeframe, to - (perPage - 1) * ms, to);
+    const earlier = (older || []).filter(k => k.timestamp < candles[0].timestamp);
+    if (earlier.length === 0) break;
+    candles = [...markCandleClosure(earlier, timeframe), ...candles];
+  }
+
+  return candles.slice(-count);
+}
+
+// 推送缓冲区能否直接提供该序列（可跳过限流延迟）
+function isBuffered(symbol, timeframe, limit) {
+  const config = TIMEFRAME_CONFIG[timeframe];
+  return !!marketStream && !!config && marketStream.hasKlines(symbol, timeframe, limit || config.limit);
+}
+
+/**
+ * 批量获取所有交易对的K线数据
+ * @param {string} timeframe - 时间框架
+ * @param {number} limit - 获取条数
+ * @returns {Promise<Object>} 以symbol为键的K线数据对象
+ */
+async function getAllKlines(timeframe = '4h', limit = 100) {
+  const results = {};
+  const errors = [];
+
+  const symbols = activeSymbols;
+
+  // 分批获取，避免并发过高
+  const batchSize = 5;
+  for (let i = 0; i < symbols.length; i += batchSize) {
+    const batch = symbols.slice(i, i + batchSize);
+    
+    const promises = batch.map(async (symbol) => {
+      try {
+        const klines = await getKlines(symbol, timeframe, limit);
+        if (klines && klines.length > 0) {
+          results[symbol] = klines;
+        } else {
+          errors.push({ symbol, error: 'No klines returned' });
+        }
+      } catch (error) {
+        errors.push({ symbol, error: error.message });
+      }
+    });
+
+    const remote = batch.some(symbol => !isBuffered(symbol, timeframe, limit));
+    await Promise.all(promises);
+    
+    // 批次间延迟，避免限流（全部来自推送缓冲区时不需要）
+    if (remote && i + batchSize < symbols.length) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
+  if (errors.length > 0) {
+    console.warn(`Klines fetch errors (${errors.length}): ${errors.map(e => e.symbol).join(', ')}`, errors.slice(0, 3));
+  }
+
+  return results;
+}
+
+/**
+ * 获取多时间框架数据（用于MTF分析）
+ * @param {string} symbol - 交易对
+ * @param {Array<string>} timeframes - 时间框架数组，如 ['4h', '15m', '1m']
+ * @param {Object} options - { baseTimeframe } 设置时只拉取该周期并聚合出其他周期
+ * @returns {Promise<Object>} 各时间框架的K线数据
+ */
+async function getMultiTimeframeKlines(symbol, timeframes = ['4h', '15m', '1m'], options = {}) {
+  const baseTimeframe = options.baseTimeframe || MARKET_DATA_CONFIG.MTF_BASE_TIMEFRAME;
+  if (baseTimeframe) {
+    return getResampledMultiTimeframeKlines(symbol, timeframes, baseTimeframe);
+  }
+
+  const results = {};
+  
+  for (const tf of timeframes) {
+    try {
+      const klines = await getKlines(symbol, tf, TIMEFRAME_CONFIG[tf] ? TIMEFRAME_CONFIG[tf].limit : undefined);
+      if (klines) {
+        results[tf] = klines;
+      }
+    } catch (error) {
+      console.error(`Error fetching ${tf} klines for ${symbol}:`, error.message);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * 划分聚合模式下的时间框架：源K线数量不超过 MTF_BASE_MAX_CANDLES 的周期可通过REST补齐源K线，
+ * 其余周期只在本地K线库/推送缓冲区覆盖所需源K线时聚合，否则直接获取
+ * @param {Array<string>} timeframes - 时间框架数组
+ * @param {string} baseTimeframe - 源时间框架
+ * @returns {Object} {
+ *   limits: { tf: 条数 }, resampled, native, sourceCount REST补齐的源K线数量, localCount 本地最多使用的源K线数量
+ * }
+ */
+function planResampledTimeframes(timeframes, baseTimeframe) {
+  const limits = {};
+  const resampled = [];
+  const native = [];
+  let sourceCount = 0;
+  let localCount = 0;
+
+  timeframes.forEach(tf => {
+    limits[tf] = TIMEFRAME_CONFIG[tf] ? TIMEFRAME_CONFIG[tf].limit : MARKET_DATA_CONFIG.DEFAULT_LIMIT;
+    const needed = tf === baseTimeframe ? limits[tf] : requiredSourceCandles(baseTimeframe, tf, limits[tf]);
+    localCount = Math.max(localCount, needed);
+    if (needed <= MARKET_DATA_CONFIG.MTF_BASE_MAX_CANDLES) {
+      resampled.push(tf);
+      sourceCount = Math.max(sourceCount, needed);
+    } else {
+      native.push(tf);
+    }
+  });
+
+  return { limits, resampled, native, sourceCount, localCount };
+}
+
+// 序列是否按周期连续（聚合时丢弃了缺K线的分桶会留下缺口）
+function isContiguous(klines, timeframe) {
+  const ms = getTimeframeMs(timeframe);
+  return klines.every((k, i) => i === 0 || k.timestamp - klines[i - 1].timestamp === ms);
+}
+
+/**
+ * 由单一周期聚合多时间框架数据
+ * 源K线由推送缓冲区、本地K线库和REST组成，REST只补到 MTF_BASE_MAX_CANDLES 以内周期所需的数量；
+ * 本地K线库覆盖更长历史时（如 backfill 保存的1m），4h 等高周期同样由其聚合，不额外请求。
+ * 聚合后条数不足或中间有缺口的周期改为直接获取（推送缓冲区或REST），保证各层分析的K线数量不变
+ * @param {string} symbol - 交易对
+ * @param {Array<string>} timeframes - 时间框架数组
+ * @param {string} baseTimeframe - 源时间框架
+ * @returns {Promise<Object>} 各时间框架的K线数据
+ */
+async function getResampledMultiTimeframeKlines(symbol, timeframes, baseTimeframe) {
+  const { limits, sourceCount, localCount } = planResampledTimeframes(timeframes, baseTimeframe);
+
+  try {
+    const base = await getKlineHistory(symbol, baseTimeframe, localCount, { remoteCount: sourceCount });
+    if (!base) return {};
+    const built = buildTimeframes(base, baseTimeframe, timeframes, { limits });
+
+    const results = {};
+    for (const tf of timeframes) {
+      if (built[tf].length >= limits[tf] && (tf === baseTimeframe || isContiguous(built[tf], tf))) {
+        results[tf] = built[tf];
+        continue;
+      }
+      const klines = await getKlines(symbol, tf, limits[tf]);
+      if (klines) {
+        results[tf] = klines;
+      }
+    }
+    return results;
+  } catch (error) {
+    console.error(`Error building ${timeframes.join('/')} from ${baseTimeframe} for ${symbol}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * 获取所有交易对的多时间框架数据
+ * @param {Array<string>} timeframes - 时间框架数组
+ * @param {Object} options - { onProgress(index, total, symbol), isCancelled() 返回true时提前结束 }
+ * @returns {Promise<Object>} 以symbol为键的多时间框架数据
+ */
+async function getAllMultiTimeframeKlines(timeframes = ['4h', '15m', '1m'], options = {}) {
+  const results = {};
+  
+  const symbols = activeSymbols;
+  
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    if (options.isCancelled && options.isCancelled()) break;
+    if (options.onProgress) options.onProgress(i, symbols.length, symbol);
+
+    const base = MARKET_DATA_CONFIG.MTF_BASE_TIMEFRAME;
+    const fetched = base ? [base, ...planResampledTimeframes(timeframes, base).native] : timeframes;
+    const remote = fetched.some(tf => !isBuffered(symbol, tf));
+    try {
+      const mtfData = await getMultiTimeframeKlines(symbol, timeframes);
+      if (Object.keys(mtfData).length === timeframes.length) {
+        results[symbol] = mtfData;
+      }
+    } catch (error) {
+      console.error(`Error fetching MTF data for ${symbol}:`, error.message);
+    }
+    
+    // 延迟避免限流（全部来自推送缓冲区时不需要）
+    if (remote) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * 获取实时价格（ticker）
+ * @returns {Promise<Object>} 以symbol为键的ticker数据
+ */
+async function getTickers() {
+  try {
+    const tickers = {};
+    let fetched = false;
+
+    for (const [adapter, symbols] of groupSymbolsByAdapter(activeSymbols)) {
+      try {
+        const streamed = marketStream && symbols.every(s => marketStream.covers(s))
+          ? marketStream.getTickers(symbols)
+          : null;
+        const result = streamed || await adapter.getTickers(symbols);
+        if (result) {
+          Object.assign(tickers, result);
+          fetched = true;
+        }
+      } catch (error) {
+        console.error(`Error fetching tickers from ${adapter.name}:`, error.message);
+      }
+    }
+
+    return fetched ? tickers : null;
+  } catch (error) {
+    console.error('Error fetching tickers:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 获取单个交易对实时价格
+ * @param {string} symbol - 交易对
+ * @returns {Promise<Object>} ticker数据
+ */
+async function getTicker(symbol) {
+  try {
+    return await getAdapterForSymbol(symbol).getTicker(symbol);
+  } catch (error) {
+    console.error(`Error fetching ticker for ${symbol}:`, error.message);
+    return null;
+  }
+}
+
+// 合约指标缓存 symbol -> { metrics, fetchedAt }
+const derivativesCache = new Map();
+
+/**
+ * 获取单个合约的资金费率、基差和持仓量指标
+ * @param {string} symbol - 交易对
+ * @param {Object} ticker - 合约ticker（含 fundingRate / markPrice / indexPrice / openInterestUsd）
+ * @returns {Promise<Object|null>} 合约指标，非合约模式或适配器不支持时为null
+ */
+async function getDerivativesMetrics(symbol, ticker) {
+  const adapter = getAdapterForSymbol(symbol);
+  if (!isFutures() || typeof adapter.getFundingRateHistory !== 'function') {
+    return null;
+  }
+
+  const cached = derivativesCache.get(symbol);
+  if (cached && Date.now() - cached.fetchedAt < MARKET_DATA_CONFIG.DERIVATIVES_CACHE_MS) {
+    return cached.metrics;
+  }
+
+  const [funding, openInterest] = await Promise.all([
+    adapter.getFundingRateHistory(symbol, MARKET_DATA_CONFIG.FUNDING_HISTORY_COUNT),
+    adapter.getOpenInterestHistory(
+      symbol,
+      MARKET_DATA_CONFIG.OPEN_INTEREST_INTERVAL,
+      MARKET_DATA_CONFIG.OPEN_INTEREST_CHANGE_HOURS * 3600000 / getTimeframeMs(MARKET_DATA_CONFIG.OPEN_INTEREST_INTERVAL) + 1
+    )
+  ]);
+
+  const current = ticker || {};
+  const first = openInterest[0];
+  const last = openInterest[openInterest.length - 1];
+  const openInterestUsd = current.openInterestUsd || (last ? last.openInterestUsd : null);
+
+  const metrics = {
+    fundingRate: Number.isFinite(current.fundingRate)
+      ? current.fundingRate
+      : (funding.length > 0 ? funding[funding.length - 1].rate : null),
+    avgFundingRate: funding.length > 0 ? funding.reduce((sum, f) => sum + f.rate, 0) / funding.length : null,
+    markPrice: current.markPrice || (last ? last.markPrice : null),
+    indexPrice: current.indexPrice || null,
+    basis: current.markPrice && current.indexPrice ? (current.markPrice - current.indexPrice) / current.indexPrice : null,
+    openInterestUsd,
+    // 统计周期内持仓量（USD）变化比例
+    openInterestChange: first && first.openInterestUsd > 0 && openInterestUsd
+      ? (openInterestUsd - first.openInterestUsd) / first.openInterestUsd
+      : null
+  };
+
+  derivativesCache.set(symbol, { metrics, fetchedAt: Date.now() });
+  return metrics;
+}
+
+/**
+ * 获取订单簿深度指标
+ * @param {string} symbol - 交易对
+ * @returns {Promise<Object|null>} computeDepthMetrics 结果
+ */
+async function getOrderBookMetrics(symbol) {
+  const book = await getAdapterForSymbol(symbol).getOrderBook(symbol, ORDER_BOOK_CONFIG.LEVELS);
+  return computeDepthMetrics(book);
+}
+
+/**
+ * 获取扫描用的ticker：合约模式附带合约指标（ticker.derivatives），
+ * 启用订单簿时附带深度指标（ticker.orderBook）；单个交易对的指标获取失败时不附带
+ * @param {Array<string>} symbols - 交易对列表，默认当前扫描列表
+ * @returns {Promise<Object>} 以symbol为键的ticker数据
+ */
+async function getScanTickers(symbols = activeSymbols) {
+  const tickers = await getTickers();
+  if (!tickers) return tickers;
+
+  const sources = [];
+  if (isFutures()) sources.push(['derivatives', getDerivativesMetrics]);
+  if (ORDER_BOOK_CONFIG.ENABLED) sources.push(['orderBook', getOrderBookMetrics]);
+  if (sources.length === 0) return tickers;
+
+  const batchSize = 5;
+  for (let i = 0; i < symbols.length; i += batchSize) {
+    const batch = symbols.slice(i, i + batchSize).filter(s => tickers[s]);
+
+    await Promise.all(batch.map(async (symbol) => {
+      for (const [key, fetchMetrics] of sources) {
+        try {
+          const value = await fetchMetrics(symbol, tickers[symbol]);
+          if (value) {
+            tickers[symbol] = { ...tickers[symbol], [key]: value };
+          }
+        } catch (error) {
+          console.error(`Error fetching ${key} for ${symbol}:`, error.message);
+        }
+      }
+    }));
+
+    // 批次间延迟，避免限流
+    if (i + batchSize < symbols.length) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
+  return tickers;
+}
+
+module.exports = {
+  MARKET_DATA_CONFIG,
+  SYMBOLS_54,
+  TIMEFRAME_CONFIG,
+  setSymbols,
+  getSymbols,
+  getAdapterForSymbol,
+  getMarketAdapter,
+  isFutures,
+  setMarketStream,
+  setCandleHistory,
+  describeDataSource,
+  markCandleClosure,
+  getKlines,
+  getKlineHistory,
+  getAllKlines,
+  getMultiTimeframeKlines,
+  getAllMultiTimeframeKlines,
+  getTickers,
+  getTicker,
+  getDerivativesMetrics,
+  getOrderBookMetrics,
+  getScanTickers
+};
@@ -0,0 +1,453 @@
+/**
+ * Gate.io 实时行情推送
+ *
+ * 订阅 spot.candlesticks 和 spot.tickers 频道，按交易对/时间框架维护滚动K线缓冲区，
+ * 扫描时直接读缓冲区，不再每次通过 REST 重新下载。
+ * 缓冲区首次由 REST 结果填充；断线重连或推送出现缺口后通过 REST 补齐，补齐前该序列视为不可用。
+ */
+
+const { getAdapter } = require('./exchanges');
+const { getTimeframeMs } = require('./resample');
+const { logger, metrics } = require('./utils/logger');
+
+// 推送配置
+const MARKET_STREAM_CONFIG = {
+  ENABLED: process.env.MARKET_STREAM_ENABLED === 'true',
+  URL: process.env.MARKET_STREAM_URL || 'wss://api.gateio.ws/ws/v4/',
+
+  // 订阅的时间框架
+  TIMEFRAMES: ['4h', '15m', '1m'],
+
+  // 每个序列保留的K线数量
+  BUFFER_SIZE: 500,
+
+  // 心跳间隔；超过 STALE_MS 未收到任何消息视为断线
+  PING_MS: 15000,
+  STALE_MS: 45000,
+
+  // 重连退避
+  RECONNECT_DELAY: 1000,
+  MAX_RECONNECT_DELAY: 30000,
+
+  // 补齐缺口时 REST 请求间隔（避免限流）
+  GAP_FILL_DELAY: 100
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function seriesKey(symbol, timeframe) {
+  return `${symbol}|${timeframe}`;
+}
+
+/**
+ * 解析 spot.candlesticks 推送
+ * result.n 形如 "1m_BTC_USDT"，result.w 为 true 表示该K线已收盘
+ * @param {Object} result - 推送内容
+ * @returns {Object|null} { symbol, timeframe, candle }
+ */
+function parseCandleUpdate(result) {
+  if (!result || typeof result.n !== 'string') return null;
+  const index = result.n.indexOf('_');
+  if (index <= 0) return null;
+
+  const candle = {
+    timestamp: parseInt(result.t, 10) * 1000,
+    open: parseFloat(result.o),
+    high: parseFloat(result.h),
+    low: parseFloat(result.l),
+    close: parseFloat(result.c),
+    volume: parseFloat(result.v)
+  };
+  if (!Number.isFinite(candle.timestamp) || !Number.isFinite(candle.close)) return null;
+
+  return {
+    timeframe: result.n.slice(0, index),
+    symbol: result.n.slice(index + 1),
+    candle
+  };
+}
+
+/**
+ * 将K线写入有序缓冲区（同一时间戳覆盖，保持升序）
+ * @param {Array} candles - 缓冲区
+ * @param {Object} candle - K线
+ * @param {number} maxSize - 最大长度
+ */
+function upsertCandle(candles, candle, maxSize) {
+  const last = candles[candles.length - 1];
+  if (!last || candle.timestamp > last.timestamp) {
+    candles.push(candle);
+  } else if (candle.timestamp === last.timestamp) {
+    candles[candles.length - 1] = candle;
+  } else {
+    const index = candles.findIndex(c => c.timestamp >= candle.timestamp);
+    if (candles[index].timestamp === candle.timestamp) {
+      candles[index] = candle;
+    } else {
+      candles.splice(index, 0, candle);
+    }
+  }
+
+  if (candles.length > maxSize) {
+    candles.splice(0, candles.length - maxSize);
+  }
+}
+
+class MarketStream {
+  /**
+   * @param {Object} options - { symbols, timeframes, url, bufferSize, adapter }
+   */
+  constructor(options = {}) {
+    this.symbols = options.symbols || [];
+    this.timeframes = options.timeframes || MARKET_STREAM_CONFIG.TIMEFRAMES;
+    this.url = options.url || MARKET_STREAM_CONFIG.URL;
+    this.bufferSize = options.bufferSize || MARKET_STREAM_CONFIG.BUFFER_SIZE;
+    this.adapter = options.adapter || getAdapter('gateio');
+
+    // key -> { symbol, timeframe, candles, ready }
+    this.series = new Map();
+    this.tickers = {};
+
+    this.socket = null;
+    this.connected = false;
+    this.stopped = true;
+    this.lastMessageAt = null;
+    this.connectedAt = null;
+    this.reconnects = 0;
+    this.reconnectDelay = MARKET_STREAM_CONFIG.RECONNECT_DELAY;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.gapQueue = new Set();
+    this.gapFilling = false;
+  }
+
+  /**
+   * 是否订阅该交易对/时间框架
+   */
+  covers(symbol, timeframe) {
+    return this.symbols.includes(symbol) && (!timeframe || this.timeframes.includes(timeframe));
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pingTimer);
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.terminate();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+
+  connect() {
+    const WebSocket = require('ws');
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.connected = true;
+      this.connectedAt = Date.now();
+      this.lastMessageAt = Date.now();
+      this.reconnectDelay = MARKET_STREAM_CONFIG.RECONNECT_DELAY;
+      logger.info('Market stream connected', { url: this.url, symbols: this.symbols.length });
+
+      this.subscribe();
+      this.startPing();
+
+      // 断线期间可能错过K线，已有缓冲区全部通过 REST 补齐
+      for (const series of this.series.values()) {
+        this.scheduleGapFill(series);
+      }
+    });
+
+    socket.on('message', data => this.handleMessage(data));
+
+    socket.on('close', () => this.handleDisconnect('close'));
+    socket.on('error', error => {
+      logger.warn('Market stream error', { error: error.message });
+      this.handleDisconnect('error');
+    });
+  }
+
+  handleDisconnect(reason) {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.terminate();
+      this.socket = null;
+    }
+    clearInterval(this.pingTimer);
+
+    if (this.connected) {
+      logger.warn('Market stream disconnected', { reason });
+      metrics.increment('market_stream_disconnects_total', { reason });
+    }
+    this.connected = false;
+    for (const series of this.series.values()) {
+      series.ready = false;
+    }
+
+    if (this.stopped) return;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnects++;
+      this.connect();
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MARKET_STREAM_CONFIG.MAX_RECONNECT_DELAY);
+  }
+
+  send(channel, event, payload) {
+    const message = { time: Math.floor(Date.now() / 1000), channel };
+    if (event) message.event = event;
+    if (payload) message.payload = payload;
+    this.socket.send(JSON.stringify(message));
+  }
+
+  subscribe(symbols = this.symbols, event = 'subscribe') {
+    if (symbols.length === 0) return;
+    this.timeframes.forEach(tf => {
+      symbols.forEach(symbol => {
+        this.send('spot.candlesticks', event, [tf, this.adapter.toExchangeSymbol(symbol)]);
+      });
+    });
+    this.send('spot.tickers', event, symbols.map(s => this.adapter.toExchangeSymbol(s)));
+  }
+
+  /**
+   * 更新订阅的交易对（交易对列表变化时调用）
+   * @param {Array<string>} symbols - 新的交易对列表
+   */
+  setSymbols(symbols) {
+    const added = symbols.filter(s => !this.symbols.includes(s));
+    const removed = this.symbols.filter(s => !symbols.includes(s));
+    this.symbols = [...symbols];
+
+    removed.forEach(symbol => {
+      this.timeframes.forEach(tf => {
+        this.series.delete(seriesKey(symbol, tf));
+        this.gapQueue.delete(seriesKey(symbol, tf));
+      });
+      delete this.tickers[symbol];
+    });
+
+    if (this.connected) {
+      this.subscribe(removed, 'unsubscribe');
+      this.subscribe(added);
+    }
+  }
+
+  startPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > MARKET_STREAM_CONFIG.STALE_MS) {
+        this.handleDisconnect('stale');
+        return;
+      }
+      this.send('spot.ping');
+    }, MARKET_STREAM_CONFIG.PING_MS);
+  }
+
+  handleMessage(data) {
+    this.lastMessageAt = Date.now();
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.error) {
+      logger.warn('Market stream channel error', { channel: message.channel, error: message.error });
+      return;
+    }
+    if (message.event !== 'update' || !message.result) return;
+
+    if (message.channel === 'spot.candlesticks') {
+      const update = parseCandleUpdate(message.result);
+      if (update) {
+        this.applyCandle(this.adapter.fromExchangeSymbol(update.symbol), update.timeframe, update.candle);
+      }
+    } else if (message.channel === 'spot.tickers') {
+      const symbol = this.adapter.fromExchangeSymbol(message.result.currency_pair);
+      this.tickers[symbol] = { ...this.adapter.normalizeTicker(symbol, message.result), updatedAt: Date.now() };
+    }
+  }
+
+  /**
+   * 应用一根推送K线；只更新已由 REST 初始化的序列，发现缺口时排队补齐
+   */
+  applyCandle(symbol, timeframe, candle) {
+    const series = this.series.get(seriesKey(symbol, timeframe));
+    if (!series) return;
+
+    const last = series.candles[series.candles.length - 1];
+    const ms = getTimeframeMs(timeframe);
+    if (last && candle.timestamp - last.timestamp > ms) {
+      series.ready = false;
+      this.scheduleGapFill(series);
+    }
+
+    upsertCandle(series.candles, candle, this.bufferSize);
+    metrics.increment('market_stream_candles_total', { timeframe });
+  }
+
+  /**
+   * 用 REST 结果初始化/合并序列
+   * @param {string} symbol - 交易对
+   * @param {string} timeframe - 时间框架
+   * @param {Array} klines - REST K线（升序）
+   */
+  seed(symbol, timeframe, klines) {
+    if (!this.covers(symbol, timeframe) || !klines || klines.length === 0) return;
+
+    const key = seriesKey(symbol, timeframe);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { symbol, timeframe, candles: [], ready: false };
+      this.series.set(key, series);
+    }
+
+    klines.forEach(({ closed, ...candle }) => upsertCandle(series.candles, candle, this.bufferSize));
+    if (this.connected && !this.gapQueue.has(key)) {
+      series.ready = true;
+    }
+  }
+
+  scheduleGapFill(series) {
+    this.gapQueue.add(seriesKey(series.symbol, series.timeframe));
+    if (!this.gapFilling) {
+      this.drainGapQueue();
+    }
+  }
+
+  // 逐个补齐缺口
+  async drainGapQueue() {
+    this.gapFilling = true;
+    try {
+      while (this.gapQueue.size > 0 && this.connected) {
+        const key = this.gapQueue.values().next().value;
+        this.gapQueue.delete(key);
+        const series = this.series.get(key);
+        if (series) {
+          await this.fillGap(series);
+          await sleep(MARKET_STREAM_CONFIG.GAP_FILL_DELAY);
+        }
+      }
+    } finally {
+      this.gapFilling = false;
+    }
+  }
+
+  /**
+   * 通过 REST 补齐序列末尾到当前时间的K线
+   * @param {Object} series - 序列
+   */
+  async fillGap(series) {
+    const ms = getTimeframeMs(series.timeframe);
+    // 从第一个缺口（或末尾）开始补
+    const candles = series.candles;
+    let base = candles.length > 0 ? candles[candles.length - 1] : null;
+    for (let i = 1; i < candles.length; i++) {
+      if (candles[i].timestamp - candles[i - 1].timestamp > ms) {
+        base = candles[i - 1];
+        break;
+      }
+    }
+    const missing = base ? Math.ceil((Date.now() - base.timestamp) / ms) + 1 : this.bufferSize;
+    const limit = Math.min(Math.max(missing, 2), this.bufferSize);
+
+    try {
+      const klines = await this.adapter.getKlines(series.symbol, series.timeframe, limit);
+      (klines || []).forEach(candle => upsertCandle(series.candles, candle, this.bufferSize));
+      series.ready = this.connected && !this.gapQueue.has(seriesKey(series.symbol, series.timeframe));
+      metrics.increment('market_stream_gap_fills_total', { timeframe: series.timeframe, result: 'success' });
+    } catch (error) {
+      series.ready = false;
+      metrics.increment('market_stream_gap_fills_total', { timeframe: series.timeframe, result: 'failed' });
+      logger.warn('Market stream gap fill failed', {
+        symbol: series.symbol,
+        timeframe: series.timeframe,
+        error: error.message
+      });
+    }
+  }
+
+  // 连接正常且最近收到过消息
+  isHealthy() {
+    return this.connected && this.lastMessageAt !== null &&
+      Date.now() - this.lastMessageAt <= MARKET_STREAM_CONFIG.STALE_MS;
+  }
+
+  /**
+   * 缓冲区能否直接满足请求（连接正常、已补齐、数量足够、最新K线未落后）
+   */
+  hasKlines(symbol, timeframe, limit) {
+    if (!this.isHealthy()) return false;
+    const series = this.series.get(seriesKey(symbol, timeframe));
+    if (!series || !series.ready || series.candles.length < limit) return false;
+
+    const last = series.candles[series.candles.length - 1];
+    return Date.now() - last.timestamp < 2 * getTimeframeMs(timeframe);
+  }
+
+  /**
+   * 从缓冲区读取最近 limit 根K线
+   * @returns {Array|null}
+   */
+  getKlines(symbol, timeframe, limit) {
+    if (!this.hasKlines(symbol, timeframe, limit)) return null;
+    const series = this.series.get(seriesKey(symbol, timeframe));
+    return series.candles.slice(-limit).map(c => ({ ...c }));
+  }
+
+  /**
+   * 读取推送的ticker（需全部交易对都有最新数据）
+   * @param {Array<string>} symbols - 交易对
+   * @returns {Object|null}
+   */
+  getTickers(symbols) {
+    if (!this.isHealthy()) return null;
+    const now = Date.now();
+    const result = {};
+    for (const symbol of symbols) {
+      const ticker = this.tickers[symbol];
+      if (!ticker || now - ticker.updatedAt > MARKET_STREAM_CONFIG.STALE_MS) return null;
+      const { updatedAt, ...rest } = ticker;
+      result[symbol] = rest;
+    }
+    return result;
+  }
+
+  getStats() {
+    const series = [...this.series.values()];
+    return {
+      url: this.url,
+      connected: this.connected,
+      healthy: this.isHealthy(),
+      connected_at: this.connectedAt ? new Date(this.connectedAt).toISOString() : null,
+      last_message_at: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+      reconnects: this.reconnects,
+      symbols: this.symbols.length,
+      timeframes: this.timeframes,
+      series: series.length,
+      series_ready: series.filter(s => s.ready).length,
+      pending_gap_fills: this.gapQueue.size,
+      tickers: Object.keys(this.tickers).length
+    };
+  }
+}
+
+module.exports = {
+  MARKET_STREAM_CONFIG,
+  parseCandleUpdate,
+  MarketStream
+};
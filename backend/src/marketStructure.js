@@ -0,0 +1,243 @@
+/**
+ * 市场结构状态机 (Market Structure)
+ *
+ * 逐根K线推进，跟踪趋势状态和受保护的摆动点：
+ * - BOS (Break of Structure): 顺势突破最近的摆动点，趋势延续
+ * - CHoCH (Change of Character): 趋势中首次反向突破受保护的摆动点，趋势反转
+ * 上涨趋势的受保护低点是造成最近一次向上突破的回调低点，跌破它才算 CHoCH；
+ * 其他摆动低点被跌破只是内部回调，不改变结构。下跌趋势对称。
+ * 摆动点需要右侧 lookback 根K线确认，确认之前不参与突破判断（避免未来函数）。
+ */
+
+// 市场结构配置
+const MARKET_STRUCTURE_CONFIG = {
+  // 突破判定: 'CLOSE' 实体收盘越过摆动点 | 'WICK' 引线越过即算
+  BREAK_TRIGGER: 'CLOSE',
+
+  // 强突破: 收盘突破且突破K线实体占振幅的比例不低于该值
+  STRONG_BODY_RATIO: 0.5
+};
+
+/**
+ * 寻找摆动高低点
+ * @param {Array} klines - K线数据
+ * @param {number} lookback - 回望周期
+ * @returns {Object} 摆动高低点数组
+ */
+function findSwingPoints(klines, lookback = 5) {
+  const swingHighs = [];
+  const swingLows = [];
+  
+  for (let i = lookback; i < klines.length - lookback; i++) {
+    const current = klines[i];
+    
+    // 检查摆动高点
+    let isSwingHigh = true;
+    for (let j = 1; j <= lookback; j++) {
+      if (klines[i - j].high >= current.high || klines[i + j].high >= current.high) {
+        isSwingHigh = false;
+        break;
+      }
+    }
+    if (isSwingHigh) {
+      swingHighs.push({ index: i, price: current.high, timestamp: current.timestamp });
+    }
+    
+    // 检查摆动低点
+    let isSwingLow = true;
+    for (let j = 1; j <= lookback; j++) {
+      if (klines[i - j].low <= current.low || klines[i + j].low <= current.low) {
+        isSwingLow = false;
+        break;
+      }
+    }
+    if (isSwingLow) {
+      swingLows.push({ index: i, price: current.low, timestamp: current.timestamp });
+    }
+  }
+  
+  return { swingHighs, swingLows };
+}
+
+/**
+ * 分析市场结构
+ * @param {Array} klines - K线数据（升序）
+ * @param {Object} options - { lookback 摆动点回望周期, trigger, swings: { swingHighs, swingLows } 已计算的摆动点 }
+ * @returns {Object} {
+ *   trend: 'BULLISH' | 'BEARISH' | 'NEUTRAL',
+ *   events: [结构事件], lastEvent, lastBOS, lastCHoCH,
+ *   protectedHigh, protectedLow, 受保护的摆动点 { index, price, timestamp }
+ *   activeHigh, activeLow, 下一次突破的目标摆动点
+ *   swingHighs, swingLows
+ * }
+ * 结构事件: { type: 'BULLISH_BOS' | 'BEARISH_BOS' | 'BULLISH_CHOCH' | 'BEARISH_CHOCH', kind, direction,
+ *   index, timestamp, closePrice, breakType: 'CLOSE' | 'WICK', bodyBreak, brokenLevel, swing, isStrong, strength }
+ */
+function analyzeMarketStructure(klines, options = {}) {
+  const lookback = options.lookback || 5;
+  const trigger = options.trigger || MARKET_STRUCTURE_CONFIG.BREAK_TRIGGER;
+  const { swingHighs, swingLows } = options.swings || findSwingPoints(klines || [], lookback);
+
+  const result = {
+    trend: 'NEUTRAL',
+    events: [],
+    lastEvent: null,
+    lastBOS: null,
+    lastCHoCH: null,
+    protectedHigh: null,
+    protectedLow: null,
+    activeHigh: null,
+    activeLow: null,
+    swingHighs,
+    swingLows
+  };
+  if (!klines || klines.length === 0) return result;
+
+  // 按确认时间（摆动点右侧第 lookback 根K线）排队
+  const highQueue = swingHighs.map(s => ({ ...s, confirmedAt: s.index + lookback }));
+  const lowQueue = swingLows.map(s => ({ ...s, confirmedAt: s.index + lookback }));
+  let nextHigh = 0;
+  let nextLow = 0;
+
+  // 被突破后，只接受突破K线及之后形成的同侧摆动点作为新目标
+  let highFrom = 0;
+  let lowFrom = 0;
+
+  const point = (s) => ({ index: s.index, price: s.price, timestamp: s.timestamp });
+
+  // 区间内的最低/最高K线
+  const extreme = (from, to, side) => {
+    let best = from;
+    for (let i = from + 1; i <= to; i++) {
+      if (side === 'low' ? klines[i].low < klines[best].low : klines[i].high > klines[best].high) best = i;
+    }
+    const price = side === 'low' ? klines[best].low : klines[best].high;
+    return { index: best, price, timestamp: klines[best].timestamp };
+  };
+
+  // K线 k 是否突破 level（direction 为突破方向）
+  const breaks = (k, level, direction) => {
+    const candle = klines[k];
+    if (direction === 'BULLISH') {
+      return trigger === 'WICK' ? candle.high > level : candle.close > level;
+    }
+    return trigger === 'WICK' ? candle.low < level : candle.close < level;
+  };
+
+  const emit = (k, direction, swing) => {
+    const candle = klines[k];
+    const kind = result.trend !== 'NEUTRAL' && result.trend !== direction ? 'CHOCH' : 'BOS';
+    const bodyBreak = direction === 'BULLISH' ? candle.close > swing.price : candle.close < swing.price;
+    const range = candle.high - candle.low;
+    const bodyRatio = range > 0 ? Math.abs(candle.close - candle.open) / range : 0;
+
+    const event = {
+      type: `${direction}_${kind}`,
+      kind,
+      direction,
+      index: k,
+      timestamp: candle.timestamp,
+      closePrice: candle.close,
+      breakType: bodyBreak ? 'CLOSE' : 'WICK',
+      bodyBreak,
+      brokenLevel: swing.price,
+      swing: point(swing),
+      isStrong: bodyBreak && bodyRatio >= MARKET_STRUCTURE_CONFIG.STRONG_BODY_RATIO,
+      strength: Math.abs(candle.close - swing.price) / swing.price
+    };
+
+    result.events.push(event);
+    result.lastEvent = event;
+    if (kind === 'BOS') result.lastBOS = event;
+    else result.lastCHoCH = event;
+    result.trend = direction;
+
+    // 造成突破的回调极值成为受保护点
+    if (direction === 'BULLISH') {
+      result.protectedLow = extreme(Math.min(swing.index, k), k, 'low');
+      result.protectedHigh = null;
+      result.activeHigh = null;
+      highFrom = k;
+    } else {
+      result.protectedHigh = extreme(Math.min(swing.index, k), k, 'high');
+      result.protectedLow = null;
+      result.activeLow = null;
+      lowFrom = k;
+    }
+  };
+
+  for (let k = 0; k < klines.length; k++) {
+    const candle = klines[k];
+
+    // 无趋势时任一方向突破最近的摆动点确立趋势；
+    // 上涨趋势中突破 activeHigh 为 BOS、跌破 protectedLow 为 CHoCH，下跌趋势对称
+    const upSwing = result.trend === 'BEARISH' ? result.protectedHigh : result.activeHigh;
+    const downSwing = result.trend === 'BULLISH' ? result.protectedLow : result.activeLow;
+
+    const checks = [
+      upSwing && breaks(k, upSwing.price, 'BULLISH') ? ['BULLISH', upSwing] : null,
+      downSwing && breaks(k, downSwing.price, 'BEARISH') ? ['BEARISH', downSwing] : null
+    ].filter(Boolean);
+
+    // 同一根K线两侧都被引线突破时，以K线收盘方向为准
+    if (checks.length > 0) {
+      const [direction, swing] = checks.length === 2
+        ? checks[candle.close >= candle.open ? 0 : 1]
+        : checks[0];
+      emit(k, direction, swing);
+    }
+
+    // K线 k 收盘后确认的摆动点；顺势一侧保留突破后的极值（更低的高点只是内部结构）
+    while (nextHigh < highQueue.length && highQueue[nextHigh].confirmedAt <= k) {
+      const s = highQueue[nextHigh++];
+      if (s.index < highFrom) continue;
+      if (result.trend !== 'BULLISH' || !result.activeHigh || s.price > result.activeHigh.price) {
+        result.activeHigh = point(s);
+      }
+    }
+    while (nextLow < lowQueue.length && lowQueue[nextLow].confirmedAt <= k) {
+      const s = lowQueue[nextLow++];
+      if (s.index < lowFrom) continue;
+      if (result.trend !== 'BEARISH' || !result.activeLow || s.price < result.activeLow.price) {
+        result.activeLow = point(s);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 当前趋势对应的结构事件：开启当前趋势的 CHoCH，以及其后最近一次同向 BOS
+ * @param {Object} structure - analyzeMarketStructure 结果
+ * @returns {Object} { choch, bos }
+ */
+function getTrendEvents(structure) {
+  const choch = structure.lastCHoCH && structure.lastCHoCH.direction === structure.trend
+    ? structure.lastCHoCH
+    : null;
+  const bos = structure.lastBOS && structure.lastBOS.direction === structure.trend &&
+    (!choch || structure.lastBOS.index > choch.index)
+    ? structure.lastBOS
+    : null;
+  return { choch, bos };
+}
+
+/**
+ * 结构趋势 -> 交易方向
+ * @param {string} trend - 'BULLISH' | 'BEARISH' | 'NEUTRAL'
+ * @returns {string} 'LONG' | 'SHORT' | 'NEUTRAL'
+ */
+function trendToDirection(trend) {
+  if (trend === 'BULLISH') return 'LONG';
+  if (trend === 'BEARISH') return 'SHORT';
+  return 'NEUTRAL';
+}
+
+module.exports = {
+  MARKET_STRUCTURE_CONFIG,
+  findSwingPoints,
+  analyzeMarketStructure,
+  getTrendEvents,
+  trendToDirection
+};
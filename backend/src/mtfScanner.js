@@ -22,12 +22,27 @@ const {
   calculateATR,
   calculateRSI,
   frequencyFilter,
+  orderBookChecks,
   environmentFilter,
   degradationFilter,
   riskManagementCheck,
+  resolveEvaluationMode,
+  selectAnalysisKlines,
   CONFIG: STRATEGY_CONFIG
 } = require('./strategy');
 
+const { evaluateEntryLocation } = require('./dealingRange');
+
+const { getTakeProfitTargets } = require('./volumeProfile');
+
+const {
+  SESSION_CONFIG,
+  tagSessions,
+  getSessionLevels
+} = require('./sessions');
+
+const { SMT_CONFIG, analyzeSMTGroups } = require('./smtDivergence');
+
 // MTF扫描器配置
 const MTF_SCANNER_CONFIG = {
   // 时间框架
@@ -60,15 +75,33 @@ const MTF_SCANNER_CONFIG = {
 /**
  * 扫描单个交易对（MTF完整流程）
  * @param {string} symbol - 交易对
- * @param {Object} mtfData - 多时间框架数据
+ * @param {Object} rawMtfData - 多时间框架数据
  * @param {Object} ticker - 实时价格数据
  * @param {Array} scanHistory - 扫描历史
+ * @param {Object} options - 扫描选项
+ * @param {number} options.now - 当前时间戳（回测时传入模拟时间）
+ * @param {boolean} options.intrabar - 是否包含未收盘K线（默认只分析已收盘K线）
+ * @param {Array} options.smtDivergences - 该交易对的SMT背离（analyzeSMT 结果）
  * @returns {Object} 扫描结果
  */
-async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
+async function scanSymbolMTF(symbol, rawMtfData, ticker, scanHistory = [], options = {}) {
+  const now = options.now || Date.now();
+  const evaluationMode = resolveEvaluationMode(options);
+  
+  // 默认剔除各周期正在形成的K线，避免在收盘前消失的引线上触发
+  const mtfData = {};
+  for (const [tf, klines] of Object.entries(rawMtfData)) {
+    mtfData[tf] = selectAnalysisKlines(klines, evaluationMode);
+  }
+  
+  // MTF/LTF K线标记所属时段（session / killzone），扫荡K线和触发K线带出时段信息
+  for (const tf of ['15m', '1m']) {
+    if (mtfData[tf]) mtfData[tf] = tagSessions(mtfData[tf]);
+  }
+  
   const result = {
     symbol,
-    timestamp: new Date().toISOString(),
+    timestamp: new Date(now).toISOString(),
     signal: null,
     blocked: false,
     blockReason: null,
@@ -78,7 +111,7 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
   
   try {
     // ========== 步骤1: 频率过滤 ==========
-    const freqResult = frequencyFilter(symbol, scanHistory);
+    const freqResult = frequencyFilter(symbol, scanHistory, now);
     if (!freqResult.passed) {
       result.blocked = true;
       result.blockReason = freqResult.reason;
@@ -86,6 +119,25 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
       return result;
     }
     
+    // ========== 步骤1.5: 订单簿流动性（有订单簿数据时） ==========
+    const liquidityChecks = orderBookChecks(ticker);
+    if (liquidityChecks.length > 0) {
+      result.evidenceChain.push({
+        step: 'ORDER_BOOK',
+        passed: liquidityChecks.every(c => c.passed),
+        spreadPercent: ticker.orderBook.spreadPercent,
+        depth: ticker.orderBook.depth,
+        imbalance: ticker.orderBook.imbalance
+      });
+      
+      if (!liquidityChecks.every(c => c.passed)) {
+        result.blocked = true;
+        result.blockReason = 'THIN_ORDER_BOOK';
+        result.liquidityChecks = liquidityChecks;
+        return result;
+      }
+    }
+    
     // ========== 步骤2: MTF分析 ==========
     const mtfAnalysis = analyzeMultiTimeframe(mtfData);
     result.analysis.mtf = mtfAnalysis;
@@ -109,10 +161,23 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
     }
     
     // ========== 步骤3: 流动性扫荡前置 ==========
+    // 时段关键价位（亚洲区间、前一日高低点）一并作为流动性池
+    const sessionLevels = getSessionLevels([mtfData['15m'], mtfData['4h']], now);
+    result.analysis.sessionLevels = sessionLevels;
+    
     const sweepResult = requireLiquiditySweep(
       mtfData['15m'],  // 在15M级别检测扫荡
       mtfAnalysis.htf.direction,
-      { CONFIRMATION_REQUIRED: MTF_SCANNER_CONFIG.SWEEP_REQUIRED }
+      {
+        CONFIRMATION_REQUIRED: MTF_SCANNER_CONFIG.SWEEP_REQUIRED,
+        sessionLevels,
+        htf: {
+          swingHighs: mtfAnalysis.htf.swingHighs,
+          swingLows: mtfAnalysis.htf.swingLows,
+          timeframe: '4h'
+        },
+        inducement: mtfAnalysis.mtf.inducement
+      }
     );
     result.analysis.sweep = sweepResult;
     
@@ -121,6 +186,9 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
       passed: sweepResult.passed,
       required: sweepResult.required,
       sweepType: sweepResult.check.sweepDetails?.type,
+      sweepTarget: sweepResult.check.sweepTarget,
+      poolType: sweepResult.check.sweepDetails?.pool.type,
+      poolScore: sweepResult.check.sweepDetails?.pool.score,
       confirmation: sweepResult.check.sweepDetails?.confirmation?.confirmed
     });
     
@@ -128,6 +196,8 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
       result.blocked = true;
       result.blockReason = 'LIQUIDITY_SWEEP_REQUIRED';
       result.missingConfirmation = 'LIQUIDITY_SWEEP';
+      // 只扫掉了诱导位，真正的流动性池仍在前方
+      if (sweepResult.check.sweepTarget === 'INDUCEMENT') result.blockDetail = 'INDUCEMENT_SWEEP_ONLY';
       return result;
     }
     
@@ -153,11 +223,70 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
       return result;
     }
     
+    // ========== 步骤4.5: Killzone ==========
+    // LTF触发时间：高二/低二确认K线，未确认时为最新1M K线
+    const ltfKlines = mtfData['1m'];
+    const triggerIndex = hiloResult.valid
+      ? ltfKlines.length - 10 + (hiloResult.highTwoIndex ?? hiloResult.lowTwoIndex)
+      : ltfKlines.length - 1;
+    const triggerTime = ltfKlines[triggerIndex].timestamp;
+    const killzone = { inKillzone: ltfKlines[triggerIndex].killzone, session: ltfKlines[triggerIndex].session };
+    
+    result.evidenceChain.push({
+      step: 'KILLZONE',
+      passed: killzone.inKillzone,
+      required: SESSION_CONFIG.KILLZONE_REQUIRED,
+      session: killzone.session
+    });
+    
+    if (SESSION_CONFIG.KILLZONE_REQUIRED && !killzone.inKillzone) {
+      result.blocked = true;
+      result.blockReason = 'OUTSIDE_KILLZONE';
+      result.session = killzone.session;
+      return result;
+    }
+    
+    // ========== 步骤4.6: SMT背离（跨交易对汇合，不拦截） ==========
+    const smt = (options.smtDivergences || []).find(d => d.direction === mtfAnalysis.htf.direction) || null;
+    
+    result.evidenceChain.push({
+      step: 'SMT_DIVERGENCE',
+      passed: !!smt,
+      type: smt ? smt.type : null,
+      pairSymbol: smt ? smt.pairSymbol : null,
+      sweptSymbol: smt ? smt.sweptSymbol : null
+    });
+    
     // ========== 步骤5: 生成信号 ==========
-    const signal = generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker, mtfData);
+    const signal = generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker, mtfData, now, { smt });
+    signal.evaluation_mode = evaluationMode;
+    signal.session = {
+      trigger_session: killzone.session,
+      in_killzone: killzone.inKillzone,
+      trigger_time: new Date(triggerTime).toISOString(),
+      levels: sessionLevels
+    };
+    
+    // ========== 步骤5.5: 溢价/折价区 ==========
+    if (signal.dealing_range) {
+      result.evidenceChain.push({
+        step: 'DEALING_RANGE',
+        passed: signal.dealing_range.action !== 'BLOCK',
+        zone: signal.dealing_range.zone,
+        position: signal.dealing_range.position,
+        inOTE: signal.dealing_range.in_ote
+      });
+      
+      if (signal.dealing_range.action === 'BLOCK') {
+        result.blocked = true;
+        result.blockReason = signal.direction === 'LONG' ? 'ENTRY_IN_PREMIUM' : 'ENTRY_IN_DISCOUNT';
+        result.dealingRange = signal.dealing_range;
+        return result;
+      }
+    }
     
     // ========== 步骤6: 风控检查 ==========
-    const riskCheck = riskManagementCheck(signal, 10000);
+    const riskCheck = riskManagementCheck(signal);
     result.analysis.risk = riskCheck;
     
     if (riskCheck.executionStatus === 'BLOCK') {
@@ -187,9 +316,11 @@ async function scanSymbolMTF(symbol, mtfData, ticker, scanHistory = []) {
  * @param {Object} hiloResult - 高二/低二结果
  * @param {Object} ticker - 实时价格数据
  * @param {Object} mtfData - 原始K线数据
+ * @param {number} nowMs - 信号生成时间戳
+ * @param {Object} confluence - 跨交易对汇合证据 { smt }
  * @returns {Object} 信号对象
  */
-function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker, mtfData) {
+function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker, mtfData, nowMs = Date.now(), confluence = {}) {
   const direction = mtfAnalysis.htf.direction;
   const htf = mtfAnalysis.htf;
   const mtf = mtfAnalysis.mtf;
@@ -217,13 +348,16 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
       : entryPrice + atr * 1.5;
   }
   
-  // 计算止盈
-  const risk = Math.abs(entryPrice - stopLoss);
-  const tp1 = direction === 'LONG' ? entryPrice + risk * 2 : entryPrice - risk * 2;
-  const tp2 = direction === 'LONG' ? entryPrice + risk * 3 : entryPrice - risk * 3;
+  // 计算止盈：优先取HTF成交量分布价位，没有合适价位时为 2R / 3R
+  const targets = getTakeProfitTargets(htf.volumeProfile, entryPrice, stopLoss, direction, {
+    minRRR: MTF_SCANNER_CONFIG.MIN_RRR,
+    maxRRR: STRATEGY_CONFIG.MAX_RRR
+  });
+  const tp1 = targets.tp1.price;
+  const tp2 = targets.tp2.price;
   
   // 计算RRR
-  const rrr = Math.abs(tp1 - entryPrice) / risk;
+  const rrr = Math.abs(tp1 - entryPrice) / Math.abs(entryPrice - stopLoss);
   
   // 基础评分
   let baseScore = 70;
@@ -243,26 +377,33 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
   // 趋势置信度加分
   if (htf.trend.confidence === 'high') baseScore += 5;
   
+  // SMT背离加分
+  if (confluence.smt) baseScore += SMT_CONFIG.SCORE_BONUS;
+  
   // 降级过滤
   const degradation = degradationFilter(
-    { baseScore, entry_price: entryPrice, choch: mtf.choch },
+    { baseScore, entry_price: entryPrice, choch: mtf.choch, direction },
     mtfData['15m'],
     ticker
   );
   
+  // 入场在HTF交易区间中的位置：逆向半区降分，OTE加分
+  const entryLocation = evaluateEntryLocation(htf.dealingRange, entryPrice, direction);
+  const score = Math.max(0, degradation.adjustedScore + entryLocation.scoreAdjustment);
+  
   // 确定评级
   let rating = 'C';
-  if (degradation.adjustedScore >= MTF_SCANNER_CONFIG.SCORE_THRESHOLDS.S) rating = 'S';
-  else if (degradation.adjustedScore >= MTF_SCANNER_CONFIG.SCORE_THRESHOLDS.A) rating = 'A';
-  else if (degradation.adjustedScore >= MTF_SCANNER_CONFIG.SCORE_THRESHOLDS.B) rating = 'B';
+  if (score >= MTF_SCANNER_CONFIG.SCORE_THRESHOLDS.S) rating = 'S';
+  else if (score >= MTF_SCANNER_CONFIG.SCORE_THRESHOLDS.A) rating = 'A';
+  else if (score >= MTF_SCANNER_CONFIG.SCORE_THRESHOLDS.B) rating = 'B';
   
   // 计算过期时间（4小时后）
-  const now = new Date();
+  const now = new Date(nowMs);
   const expiresAt = new Date(now.getTime() + 4 * 60 * 60 * 1000);
   
   // 构建信号对象
   const signal = {
-    id: `${symbol}_${Date.now()}`,
+    id: `${symbol}_${nowMs}`,
     symbol,
     direction,
     entry_price: entryPrice,
@@ -270,8 +411,9 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
     tp1,
     tp2,
     rrr,
+    tp_targets: targets,
     rating,
-    score: degradation.adjustedScore,
+    score,
     
     // 状态字段（前端必需）
     status: 'ACTIVE',
@@ -286,7 +428,8 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
       htf: {
         direction: htf.direction,
         trend: htf.trend,
-        poi: htf.poi.slice(0, 3)  // 前3个关键区域
+        structure: htf.structure,
+        poi: htf.poi.slice(0, 3)  // 排序后的前3个关键区域
       },
       mtf: {
         direction: mtf.direction,
@@ -310,10 +453,41 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
       detected: true,
       type: sweepResult.check.sweepDetails.type,
       pool: sweepResult.check.sweepDetails.pool,
+      pools_swept: sweepResult.check.sweepDetails.poolsSwept,
+      liquidity: sweepResult.check.sweepDetails.liquidity,
+      candle: sweepResult.check.sweepDetails.sweepKline,
       metrics: sweepResult.check.sweepDetails.metrics,
       confirmation: sweepResult.check.sweepDetails.confirmation
     } : null,
     
+    // SMT背离
+    smt_divergence: confluence.smt ? {
+      type: confluence.smt.type,
+      group: confluence.smt.group,
+      pair_symbol: confluence.smt.pairSymbol,
+      swept_symbol: confluence.smt.sweptSymbol,
+      failed_symbol: confluence.smt.failedSymbol,
+      swept_level: confluence.smt.sweptLevel,
+      failed_level: confluence.smt.failedLevel,
+      timeframe: confluence.smt.timeframe,
+      sweep_time: new Date(confluence.smt.sweepTimestamp).toISOString()
+    } : null,
+    
+    // 入场在HTF交易区间中的位置
+    dealing_range: entryLocation.location ? {
+      high: htf.dealingRange.high.price,
+      low: htf.dealingRange.low.price,
+      equilibrium: htf.dealingRange.equilibrium,
+      ote: htf.dealingRange.ote[direction === 'LONG' ? 'long' : 'short'],
+      position: entryLocation.location.position,
+      zone: entryLocation.location.zone,
+      retracement: entryLocation.location.retracement,
+      in_ote: entryLocation.location.inOTE,
+      action: entryLocation.action,
+      reason: entryLocation.reason,
+      score_adjustment: entryLocation.scoreAdjustment
+    } : null,
+    
     // 入场确认
     entry_confirmation: hiloResult.valid ? {
       type: hiloResult.type,
@@ -322,7 +496,7 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
     } : null,
     
     // 时间戳
-    timestamp: new Date().toISOString(),
+    timestamp: now.toISOString(),
     timeframe: 'MTF_4H_15M_1M',
     
     // 数据健康
@@ -337,23 +511,53 @@ function generateMTFSignal(symbol, mtfAnalysis, sweepResult, hiloResult, ticker,
   return signal;
 }
 
+/**
+ * 跨交易对SMT背离分析
+ * @param {Object} allMtfData - { symbol: { timeframe: K线数据 } }
+ * @param {Object} options - 扫描选项（intrabar / evaluationMode 决定是否剔除未收盘K线）
+ * @returns {Object} { symbol: [背离] }
+ */
+function analyzeSMT(allMtfData, options = {}) {
+  const evaluationMode = resolveEvaluationMode(options);
+  const klinesBySymbol = {};
+  for (const [symbol, mtfData] of Object.entries(allMtfData)) {
+    klinesBySymbol[symbol] = selectAnalysisKlines(mtfData[SMT_CONFIG.TIMEFRAME], evaluationMode);
+  }
+  return analyzeSMTGroups(klinesBySymbol);
+}
+
 /**
  * 批量扫描所有交易对（MTF）
  * @param {Object} allMtfData - 所有交易对的多时间框架数据
  * @param {Object} tickersData - 实时价格数据
  * @param {Array} scanHistory - 扫描历史
+ * @param {Object} options - 扫描选项（透传给scanSymbolMTF）；
+ *   onProgress(index, total, symbol) 进度回调，isCancelled() 返回true时提前结束，
+ *   onSymbolResult(symbol, result) 单个交易对扫描完成回调
  * @returns {Object} 扫描结果
  */
-async function scanAllSymbolsMTF(allMtfData, tickersData, scanHistory = []) {
+async function scanAllSymbolsMTF(allMtfData, tickersData, scanHistory = [], options = {}) {
   const signals = [];
   const filtered = [];
   const errors = [];
+  const entries = Object.entries(allMtfData);
   
-  for (const [symbol, mtfData] of Object.entries(allMtfData)) {
+  // 跨交易对分析先于逐个扫描
+  const smtDivergences = analyzeSMT(allMtfData, options);
+  
+  for (let i = 0; i < entries.length; i++) {
+    const [symbol, mtfData] = entries[i];
+    if (options.isCancelled && options.isCancelled()) break;
+    if (options.onProgress) options.onProgress(i, entries.length, symbol);
+
     try {
       const ticker = tickersData ? tickersData[symbol] : null;
       
-      const result = await scanSymbolMTF(symbol, mtfData, ticker, scanHistory);
+      const result = await scanSymbolMTF(symbol, mtfData, ticker, scanHistory, {
+        ...options,
+        smtDivergences: smtDivergences[symbol] || []
+      });
+      if (options.onSymbolResult) options.onSymbolResult(symbol, result);
       
       if (result.signal) {
         signals.push(result.signal);
@@ -412,6 +616,16 @@ function explainSignal(signal) {
       ? `已扫荡${signal.liquidity_sweep.type === 'SELL_SIDE_SWEEP' ? '卖方' : '买方'}流动性`
       : '未检测到流动性扫荡',
     
+    smt_divergence: signal.smt_divergence
+      ? `${signal.smt_divergence.swept_symbol}扫过${signal.smt_divergence.type === 'BEARISH_SMT' ? '高点' : '低点'}而${signal.smt_divergence.failed_symbol}未跟随`
+      : '无SMT背离',
+    
+    dealing_range: signal.dealing_range
+      ? `入场位于交易区间${(signal.dealing_range.position * 100).toFixed(0)}%处（${
+        { PREMIUM: '溢价区', DISCOUNT: '折价区', EQUILIBRIUM: '均衡区' }[signal.dealing_range.zone]
+      }）${signal.dealing_range.in_ote ? '，OTE区间内' : ''}`
+      : '无HTF交易区间',
+    
     entry_logic: `入场价: ${signal.entry_price.toFixed(4)}, 止损: ${signal.sl.toFixed(4)}, 止盈1: ${signal.tp1.toFixed(4)} (RRR: ${signal.rrr.toFixed(2)})`,
     
     risk_note: `建议仓位: ${signal.risk_management?.positionSize || 'N/A'}, 杠杆: ${signal.risk_management?.leverage || 'N/A'}x`
@@ -424,6 +638,7 @@ module.exports = {
   MTF_SCANNER_CONFIG,
   scanSymbolMTF,
   scanAllSymbolsMTF,
+  analyzeSMT,
   generateMTFSignal,
   explainSignal
 };
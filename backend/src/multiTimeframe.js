@@ -10,15 +10,29 @@
  */
 
 const {
-  findSwingPoints,
-  detectChoCH,
   detectFVG,
+  getActiveFVGs,
+  getInversionFVGs,
   detectSweep,
+  detectDisplacement,
+  detectInducement,
   detectOrderBlocks,
+  getActiveOrderBlocks,
+  getFlippedBlocks,
   determineTrendDetailed,
   calculateATR
 } = require('./strategy');
 
+const {
+  analyzeMarketStructure,
+  getTrendEvents,
+  trendToDirection
+} = require('./marketStructure');
+
+const { getDealingRange } = require('./dealingRange');
+
+const { buildVolumeProfile } = require('./volumeProfile');
+
 // MTF配置
 const MTF_CONFIG = {
   // 时间框架定义
@@ -42,11 +56,76 @@ const MTF_CONFIG = {
     enabled: true,
     // 强力收盘确认开关
     strongCloseRequired: false,
-    // 实体突破要求
+    // 实体突破要求（false 时引线越过摆动点即算突破）
     bodyBreakRequired: true
-  }
+  },
+  
+  // 各层级摆动点回望周期
+  SWING_LOOKBACK: {
+    HTF: 5,
+    MTF: 3,
+    LTF: 2,
+    // LTF内部结构（最近 INTERNAL_WINDOW 根K线）
+    INTERNAL: 1
+  },
+  INTERNAL_WINDOW: 30,
+  
+  // 只把位移形成的FVG作为HTF关键区域和MTF入场区
+  DISPLACEMENT_REQUIRED: true,
+  
+  // 结果中保留的最近位移段数量
+  DISPLACEMENT_LEGS_KEPT: 3,
+  
+  // 结果中保留的最近结构事件数量
+  STRUCTURE_EVENTS_KEPT: 5
 };
 
+// 可作为价格区域的POI类型（有 top / bottom）
+const ZONE_POI_TYPES = [
+  'FVG', 'IFVG', 'ORDER_BLOCK', 'BREAKER_BLOCK', 'MITIGATION_BLOCK', 'VOLUME_PROFILE', 'VOLUME_NODE'
+];
+
+const POI_PRIORITY_RANK = { high: 0, medium: 1 };
+
+/**
+ * POI排序：优先级高的在前，同优先级按与当前价格的距离（在区域内为0）
+ * @param {Array} poiList - POI列表
+ * @param {number} price - 当前价格
+ * @returns {Array} 新数组
+ */
+function rankPOIs(poiList, price) {
+  const distance = poi => (poi.top !== undefined
+    ? Math.max(0, poi.bottom - price, price - poi.top)
+    : Math.abs(poi.level - price));
+  const rank = poi => (poi.priority in POI_PRIORITY_RANK ? POI_PRIORITY_RANK[poi.priority] : 2);
+  return [...poiList].sort((a, b) => rank(a) - rank(b) || distance(a) - distance(b));
+}
+
+// 按配置筛选位移形成的FVG
+function displacementFVGs(klines) {
+  const fvgs = detectFVG(klines);
+  return MTF_CONFIG.DISPLACEMENT_REQUIRED ? fvgs.filter(f => f.displacement) : fvgs;
+}
+
+// 按配置的突破判定分析结构
+function analyzeStructure(klines, lookback) {
+  return analyzeMarketStructure(klines, {
+    lookback,
+    trigger: MTF_CONFIG.BOS_CONFIRMATION.bodyBreakRequired ? 'CLOSE' : 'WICK'
+  });
+}
+
+// 结构摘要（写入分析结果和信号）
+function summarizeStructure(structure) {
+  return {
+    trend: structure.trend,
+    lastEvent: structure.lastEvent,
+    protectedHigh: structure.protectedHigh,
+    protectedLow: structure.protectedLow,
+    events: structure.events.slice(-MTF_CONFIG.STRUCTURE_EVENTS_KEPT)
+  };
+}
+
 /**
  * HTF分析 - 战略方向与关键区域
  * @param {Array} klines - 4H K线数据
@@ -61,51 +140,61 @@ function analyzeHTF(klines) {
     };
   }
   
-  const { swingHighs, swingLows } = findSwingPoints(klines, 5);
+  const structure = analyzeStructure(klines, MTF_CONFIG.SWING_LOOKBACK.HTF);
+  const { swingHighs, swingLows } = structure;
   const trend = determineTrendDetailed(klines);
-  const fvgList = detectFVG(klines);
-  const obs = detectOrderBlocks(klines);
-  
-  // 确定战略方向
-  let direction = 'NEUTRAL';
-  if (trend.direction === 'BULLISH' || trend.direction === 'WEAK_BULLISH') {
-    direction = 'LONG';
-  } else if (trend.direction === 'BEARISH' || trend.direction === 'WEAK_BEARISH') {
-    direction = 'SHORT';
+  const allFVG = displacementFVGs(klines);
+  const fvgList = getActiveFVGs(allFVG);
+  const ifvgList = getInversionFVGs(allFVG);
+  const allOBs = detectOrderBlocks(klines, { structure });
+  const obs = getActiveOrderBlocks(allOBs);
+  const flippedBlocks = getFlippedBlocks(allOBs);
+  const profile = buildVolumeProfile(klines);
+  
+  // 确定战略方向：以市场结构为准，尚无结构突破时参考均线趋势
+  let direction = trendToDirection(structure.trend);
+  if (direction === 'NEUTRAL') {
+    if (trend.direction === 'BULLISH' || trend.direction === 'WEAK_BULLISH') {
+      direction = 'LONG';
+    } else if (trend.direction === 'BEARISH' || trend.direction === 'WEAK_BEARISH') {
+      direction = 'SHORT';
+    }
   }
   
   // 标记关键区域(POI - Points of Interest)
   const poiList = [];
   
-  // 1. 未测试的FVG作为POI
-  fvgList.slice(-3).forEach(fvg => {
-    const currentPrice = klines[klines.length - 1].close;
-    const isTested = direction === 'LONG' 
-      ? currentPrice <= fvg.top 
-      : currentPrice >= fvg.bottom;
-    
-    poiList.push({
-      type: 'FVG',
-      subtype: fvg.type,
-      top: fvg.top,
-      bottom: fvg.bottom,
-      timeframe: '4h',
-      tested: isTested,
-      priority: fvg.sizePercent > 0.5 ? 'high' : 'medium'
-    });
+  // 1. 未回补的FVG和有效的Inversion FVG作为POI（已完全回补的跳过）
+  const fvgPOI = (fvg, type) => ({
+    type,
+    subtype: fvg.type,
+    top: fvg.top,
+    bottom: fvg.bottom,
+    timeframe: '4h',
+    tested: !!fvg.firstTouch,
+    state: fvg.state,
+    filledPercent: fvg.filledPercent,
+    ceHit: !!fvg.ceHit,
+    priority: fvg.sizePercent > 0.5 && !fvg.ceHit ? 'high' : 'medium'
   });
-  
-  // 2. 订单块作为POI
-  obs.slice(-2).forEach(ob => {
-    poiList.push({
-      type: 'ORDER_BLOCK',
-      subtype: ob.type,
-      top: ob.high,
-      bottom: ob.low,
-      timeframe: '4h',
-      tested: false,
-      priority: ob.strength > 0.02 ? 'high' : 'medium'
-    });
+  fvgList.slice(-3).forEach(fvg => poiList.push(fvgPOI(fvg, 'FVG')));
+  ifvgList.slice(-2).forEach(fvg => poiList.push(fvgPOI(fvg, 'IFVG')));
+  
+  // 2. 未缓解的订单块，以及订单块反转形成的 Breaker / Mitigation Block 作为POI
+  const blockPOI = (ob, type) => ({
+    type,
+    subtype: ob.type,
+    top: ob.high,
+    bottom: ob.low,
+    timeframe: '4h',
+    tested: !!ob.firstTouch,
+    touches: ob.touches,
+    state: ob.state,
+    priority: ob.strength > 0.02 && ob.touches === 0 ? 'high' : 'medium'
+  });
+  obs.slice(-2).forEach(ob => poiList.push(blockPOI(ob, 'ORDER_BLOCK')));
+  flippedBlocks.slice(-2).forEach(ob => {
+    poiList.push(blockPOI(ob, ob.flipType === 'BREAKER' ? 'BREAKER_BLOCK' : 'MITIGATION_BLOCK'));
   });
   
   // 3. 流动性池
@@ -131,16 +220,60 @@ function analyzeHTF(klines) {
     });
   }
   
+  // 4. 成交量分布：POC、价值区上下沿（上下各半个分箱宽度为区域）和成交量最大的3个 HVN
+  if (profile) {
+    [['POC', profile.poc.price], ['VAH', profile.valueAreaHigh], ['VAL', profile.valueAreaLow]].forEach(([subtype, level]) => {
+      poiList.push({
+        type: 'VOLUME_PROFILE',
+        subtype,
+        level,
+        top: level + profile.binSize / 2,
+        bottom: level - profile.binSize / 2,
+        timeframe: '4h',
+        priority: subtype === 'POC' ? 'high' : 'medium'
+      });
+    });
+    profile.hvn
+      .filter(node => Math.abs(node.price - profile.poc.price) >= profile.binSize / 2)
+      .sort((a, b) => b.volume - a.volume)
+      .slice(0, 3)
+      .forEach(node => {
+        poiList.push({
+          type: 'VOLUME_NODE',
+          subtype: 'HVN',
+          level: node.price,
+          top: node.top,
+          bottom: node.bottom,
+          timeframe: '4h',
+          priority: 'medium'
+        });
+      });
+  }
+  
+  const currentPrice = klines[klines.length - 1].close;
+  
   return {
     valid: true,
     direction,
     trend,
+    structure: summarizeStructure(structure),
     swingHighs,
     swingLows,
-    poi: poiList,
+    poi: rankPOIs(poiList, currentPrice),
     fvg: fvgList.slice(-3),
+    ifvg: ifvgList.slice(-2),
     orderBlocks: obs.slice(-2),
-    currentPrice: klines[klines.length - 1].close,
+    flippedBlocks: flippedBlocks.slice(-2),
+    dealingRange: getDealingRange(klines, structure),
+    volumeProfile: profile ? {
+      poc: profile.poc,
+      valueAreaHigh: profile.valueAreaHigh,
+      valueAreaLow: profile.valueAreaLow,
+      hvn: profile.hvn,
+      lvn: profile.lvn,
+      binSize: profile.binSize
+    } : null,
+    currentPrice,
     atr: calculateATR(klines, 14)
   };
 }
@@ -162,23 +295,20 @@ function analyzeMTF(klines, htfDirection, htfPOI) {
     };
   }
   
-  const { swingHighs, swingLows } = findSwingPoints(klines, 3);
-  const choch = detectChoCH(klines, swingHighs, swingLows);
-  const fvgList = detectFVG(klines);
-  
-  // 检测BOS
-  const bos = detectBOS(klines, swingHighs, swingLows);
+  const structure = analyzeStructure(klines, MTF_CONFIG.SWING_LOOKBACK.MTF);
+  const { swingHighs, swingLows } = structure;
+  const { choch, bos } = getTrendEvents(structure);
+  const allFVG = displacementFVGs(klines);
+  const fvgList = getActiveFVGs(allFVG);
+  const ifvgList = getInversionFVGs(allFVG);
+  const displacement = detectDisplacement(klines).slice(-MTF_CONFIG.DISPLACEMENT_LEGS_KEPT);
   
-  // 强力收盘确认
-  const strongCloseConfirmed = bos ? confirmStrongClose(klines, bos) : false;
+  // 强力收盘确认（以当前趋势中最近一次突破为准）
+  const lastBreak = bos || choch;
+  const strongCloseConfirmed = lastBreak ? confirmStrongClose(klines, lastBreak) : false;
   
   // 确定MTF方向
-  let direction = 'NEUTRAL';
-  if (choch) {
-    direction = choch.type === 'BULLISH_CHOCH' ? 'LONG' : 'SHORT';
-  } else if (bos) {
-    direction = bos.type === 'BULLISH_BOS' ? 'LONG' : 'SHORT';
-  }
+  const direction = trendToDirection(structure.trend);
   
   // 检查是否在HTF POI内
   const currentPrice = klines[klines.length - 1].close;
@@ -187,15 +317,25 @@ function analyzeMTF(klines, htfDirection, htfPOI) {
   // 对齐检查
   const aligned = direction === htfDirection || htfDirection === 'NEUTRAL';
   
+  // 交易方向上的诱导位（进入真正的POI之前会先被扫的次级摆动点）
+  const inducement = detectInducement(klines, htfDirection !== 'NEUTRAL' ? htfDirection : direction, {
+    majorLookback: MTF_CONFIG.SWING_LOOKBACK.MTF,
+    minorLookback: MTF_CONFIG.SWING_LOOKBACK.INTERNAL
+  });
+  
   return {
     valid: true,
     direction,
     choch,
     bos,
     strongCloseConfirmed,
+    displacement,
+    inducement,
+    structure: summarizeStructure(structure),
     swingHighs,
     swingLows,
     fvg: fvgList.slice(-2),
+    ifvg: ifvgList.slice(-2),
     inHTFPOI,
     aligned,
     alignmentCheck: {
@@ -213,7 +353,7 @@ function analyzeMTF(klines, htfDirection, htfPOI) {
  * @param {Array} klines - 1M K线数据
  * @param {string} htfDirection - HTF方向
  * @param {string} mtfDirection - MTF方向
- * @param {Array} mtfFVG - MTF的FVG列表
+ * @param {Array} mtfFVG - MTF的有效FVG和Inversion FVG列表
  * @returns {Object} LTF分析结果
  */
 function analyzeLTF(klines, htfDirection, mtfDirection, mtfFVG) {
@@ -226,23 +366,21 @@ function analyzeLTF(klines, htfDirection, mtfDirection, mtfFVG) {
     };
   }
   
-  const { swingHighs, swingLows } = findSwingPoints(klines, 2);
-  const choch = detectChoCH(klines, swingHighs, swingLows);
+  const structure = analyzeStructure(klines, MTF_CONFIG.SWING_LOOKBACK.LTF);
+  const { choch } = getTrendEvents(structure);
   const sweep = detectSweep(klines);
-  const fvgList = detectFVG(klines);
+  const fvgList = getActiveFVGs(detectFVG(klines));
   
   // 检测内部结构突破
-  const internalBOS = detectInternalBOS(klines, swingHighs, swingLows);
+  const internalBOS = detectInternalBOS(klines);
   
   // 高二/低二计数
   const hiloCount = detectHiLoTwo(klines, htfDirection);
   
-  // 确定LTF方向
-  let direction = 'NEUTRAL';
-  if (choch) {
-    direction = choch.type === 'BULLISH_CHOCH' ? 'LONG' : 'SHORT';
-  } else if (internalBOS) {
-    direction = internalBOS.type === 'BULLISH_BOS' ? 'LONG' : 'SHORT';
+  // 确定LTF方向：以结构趋势为准，尚无结构突破时参考内部结构
+  let direction = trendToDirection(structure.trend);
+  if (direction === 'NEUTRAL' && internalBOS) {
+    direction = internalBOS.direction === 'BULLISH' ? 'LONG' : 'SHORT';
   }
   
   // 对齐检查
@@ -250,18 +388,19 @@ function analyzeLTF(klines, htfDirection, mtfDirection, mtfFVG) {
   
   // 入场区域检查
   const currentPrice = klines[klines.length - 1].close;
-  const inEntryZone = mtfFVG && mtfFVG.length > 0 
-    ? checkPriceInFVG(currentPrice, mtfFVG[mtfFVG.length - 1])
-    : false;
+  const entryZone = selectEntryZone(mtfFVG, mtfDirection);
+  const inEntryZone = checkPriceInFVG(currentPrice, entryZone);
   
   return {
     valid: true,
     direction,
     choch,
+    structure: summarizeStructure(structure),
     sweep,
     internalBOS,
     hiloCount,
     fvg: fvgList.slice(-2),
+    entryZone,
     inEntryZone,
     aligned,
     alignmentCheck: {
@@ -280,115 +419,61 @@ function analyzeLTF(klines, htfDirection, mtfDirection, mtfFVG) {
  * @param {Array} klines - K线数据
  * @param {Array} swingHighs - 摆动高点
  * @param {Array} swingLows - 摆动低点
- * @returns {Object|null} BOS检测结果
+ * @param {number} lookback - 摆动点回望周期（确认延迟）
+ * @returns {Object|null} 当前趋势中最近一次顺势突破（结构事件）
  */
-function detectBOS(klines, swingHighs, swingLows) {
-  if (swingHighs.length < 2 || swingLows.length < 2) return null;
-  
-  const lastKline = klines[klines.length - 1];
-  const prevSwingHigh = swingHighs[swingHighs.length - 2];
-  const prevSwingLow = swingLows[swingLows.length - 2];
-  
-  // 看涨BOS: 突破前高
-  const bodyTop = Math.max(lastKline.open, lastKline.close);
-  const bodyBottom = Math.min(lastKline.open, lastKline.close);
-  
-  if (bodyTop > prevSwingHigh.price && lastKline.close > prevSwingHigh.price) {
-    return {
-      type: 'BULLISH_BOS',
-      brokenLevel: prevSwingHigh.price,
-      closePrice: lastKline.close,
-      bodyBreak: true,
-      timestamp: lastKline.timestamp
-    };
-  }
-  
-  // 看跌BOS: 突破前低
-  if (bodyBottom < prevSwingLow.price && lastKline.close < prevSwingLow.price) {
-    return {
-      type: 'BEARISH_BOS',
-      brokenLevel: prevSwingLow.price,
-      closePrice: lastKline.close,
-      bodyBreak: true,
-      timestamp: lastKline.timestamp
-    };
-  }
-  
-  return null;
+function detectBOS(klines, swingHighs, swingLows, lookback = MTF_CONFIG.SWING_LOOKBACK.MTF) {
+  const structure = analyzeMarketStructure(klines, {
+    lookback,
+    swings: { swingHighs, swingLows },
+    trigger: MTF_CONFIG.BOS_CONFIRMATION.bodyBreakRequired ? 'CLOSE' : 'WICK'
+  });
+  return getTrendEvents(structure).bos;
 }
 
 /**
- * 强力收盘确认
+ * 强力收盘确认：突破K线的下一根K线收盘仍在突破位之外，且颜色与突破方向一致
  * @param {Array} klines - K线数据
- * @param {Object} bos - BOS检测结果
+ * @param {Object} breakEvent - 结构事件（BOS/CHoCH）
  * @returns {boolean} 是否确认
  */
-function confirmStrongClose(klines, bos) {
-  if (klines.length < 2) return false;
+function confirmStrongClose(klines, breakEvent) {
+  const confirmKline = klines[breakEvent.index + 1];
+  if (!confirmKline) return false;
   
-  const confirmKline = klines[klines.length - 1];
-  const breakKline = klines[klines.length - 2];
+  const bullish = breakEvent.direction === 'BULLISH';
   
   // 位置确认: 确认K线收盘仍在突破位之外
-  let positionConfirmed = false;
-  if (bos.type === 'BULLISH_BOS') {
-    positionConfirmed = confirmKline.close > bos.brokenLevel;
-  } else {
-    positionConfirmed = confirmKline.close < bos.brokenLevel;
-  }
+  const positionConfirmed = bullish
+    ? confirmKline.close > breakEvent.brokenLevel
+    : confirmKline.close < breakEvent.brokenLevel;
   
   // 动能确认: 确认K线颜色与突破方向一致
-  let momentumConfirmed = false;
-  if (bos.type === 'BULLISH_BOS') {
-    momentumConfirmed = confirmKline.close > confirmKline.open; // 阳线
-  } else {
-    momentumConfirmed = confirmKline.close < confirmKline.open; // 阴线
-  }
+  const momentumConfirmed = bullish
+    ? confirmKline.close > confirmKline.open  // 阳线
+    : confirmKline.close < confirmKline.open; // 阴线
   
   return positionConfirmed && momentumConfirmed;
 }
 
 /**
  * 检测内部结构突破 (LTF级别)
+ * 在最近 INTERNAL_WINDOW 根K线上用更短的摆动点运行结构状态机
  * @param {Array} klines - K线数据
- * @param {Array} swingHighs - 摆动高点
- * @param {Array} swingLows - 摆动低点
- * @returns {Object|null} 内部BOS
+ * @returns {Object|null} 最近一次内部结构事件，type 为 BULLISH_INTERNAL_BOS / BEARISH_INTERNAL_BOS 等
  */
-function detectInternalBOS(klines, swingHighs, swingLows) {
-  // 使用更短的摆动点检测内部结构
-  const recentKlines = klines.slice(-10);
-  const { swingHighs: internalHighs, swingLows: internalLows } = findSwingPoints(recentKlines, 2);
-  
-  if (internalHighs.length < 2 && internalLows.length < 2) return null;
-  
-  const lastKline = klines[klines.length - 1];
-  
-  // 内部看涨突破
-  if (internalHighs.length >= 2) {
-    const prevInternalHigh = internalHighs[internalHighs.length - 2];
-    if (lastKline.close > prevInternalHigh.price) {
-      return {
-        type: 'BULLISH_INTERNAL_BOS',
-        brokenLevel: prevInternalHigh.price,
-        timestamp: lastKline.timestamp
-      };
-    }
-  }
+function detectInternalBOS(klines) {
+  const offset = Math.max(0, klines.length - MTF_CONFIG.INTERNAL_WINDOW);
+  const structure = analyzeStructure(klines.slice(offset), MTF_CONFIG.SWING_LOOKBACK.INTERNAL);
+  const event = structure.lastEvent;
+  if (!event) return null;
   
-  // 内部看跌突破
-  if (internalLows.length >= 2) {
-    const prevInternalLow = internalLows[internalLows.length - 2];
-    if (lastKline.close < prevInternalLow.price) {
-      return {
-        type: 'BEARISH_INTERNAL_BOS',
-        brokenLevel: prevInternalLow.price,
-        timestamp: lastKline.timestamp
-      };
-    }
-  }
-  
-  return null;
+  return {
+    ...event,
+    type: `${event.direction}_INTERNAL_${event.kind}`,
+    index: event.index + offset,
+    swing: { ...event.swing, index: event.swing.index + offset }
+  };
 }
 
 /**
@@ -586,7 +671,7 @@ function checkPriceInPOI(price, poiList) {
   if (!poiList || poiList.length === 0) return false;
   
   return poiList.some(poi => {
-    if (poi.type === 'FVG' || poi.type === 'ORDER_BLOCK') {
+    if (ZONE_POI_TYPES.includes(poi.type)) {
       return price >= poi.bottom && price <= poi.top;
     }
     return false;
@@ -601,9 +686,26 @@ function checkPriceInPOI(price, poiList) {
  */
 function checkPriceInFVG(price, fvg) {
   if (!fvg) return false;
+  // 已完全回补的FVG、已失效的Inversion FVG不再作为入场区域
+  if (fvg.inversion ? fvg.inversionBroken : (fvg.mitigated || fvg.inverted)) return false;
   return price >= fvg.bottom && price <= fvg.top;
 }
 
+/**
+ * 选择入场区域：最近形成的与方向一致的FVG/Inversion FVG，没有一致的时取最近一个
+ * @param {Array} zones - FVG和Inversion FVG列表
+ * @param {string} direction - 'LONG' | 'SHORT' | 'NEUTRAL'
+ * @returns {Object|null}
+ */
+function selectEntryZone(zones, direction) {
+  if (!zones || zones.length === 0) return null;
+  const sorted = [...zones].sort((a, b) => a.index - b.index);
+  const side = direction === 'LONG' ? 'BULLISH' : direction === 'SHORT' ? 'BEARISH' : null;
+  const aligned = side ? sorted.filter(z => z.type.startsWith(side)) : [];
+  const candidates = aligned.length > 0 ? aligned : sorted;
+  return candidates[candidates.length - 1];
+}
+
 /**
  * MTF对齐门控检查
  * @param {Object} htf - HTF分析结果
@@ -704,7 +806,7 @@ function analyzeMultiTimeframe(mtfData) {
   // 各层级分析
   const htf = analyzeHTF(htfKlines);
   const mtf = analyzeMTF(mtfKlines, htf.direction, htf.poi);
-  const ltf = analyzeLTF(ltfKlines, htf.direction, mtf.direction, mtf.fvg);
+  const ltf = analyzeLTF(ltfKlines, htf.direction, mtf.direction, [...(mtf.fvg || []), ...(mtf.ifvg || [])]);
   
   // 对齐门控
   const gate = checkAlignmentGate(htf, mtf, ltf);
@@ -723,6 +825,7 @@ function analyzeMultiTimeframe(mtfData) {
 
 module.exports = {
   MTF_CONFIG,
+  ZONE_POI_TYPES,
   analyzeHTF,
   analyzeMTF,
   analyzeLTF,
@@ -736,5 +839,6 @@ module.exports = {
   checkRanging,
   checkAlignmentGate,
   checkPriceInPOI,
-  checkPriceInFVG
+  checkPriceInFVG,
+  selectEntryZone
 };
@@ -0,0 +1,307 @@
+/**
+ * Webhook 通知
+ *
+ * 信号生成、触发入场、止损出场、过期时向配置的URL POST JSON。
+ * 每个端点可按评级/方向/交易对/事件过滤，可选 HMAC-SHA256 签名，
+ * 失败按 withRetry 退避重试，最终失败写入死信列表，可手动重投。
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { withRetry, ValidationError } = require('./utils/errors');
+const { logger, metrics } = require('./utils/logger');
+
+// 通知事件
+const NOTIFY_EVENTS = {
+  SIGNAL_CREATED: 'signal.created',
+  SIGNAL_TRIGGERED: 'signal.triggered',
+  SIGNAL_STOPPED_OUT: 'signal.stopped_out',
+  SIGNAL_EXPIRED: 'signal.expired'
+};
+
+// 生命周期状态 -> 通知事件
+const STATUS_EVENTS = {
+  TRIGGERED: NOTIFY_EVENTS.SIGNAL_TRIGGERED,
+  STOPPED_OUT: NOTIFY_EVENTS.SIGNAL_STOPPED_OUT,
+  EXPIRED: NOTIFY_EVENTS.SIGNAL_EXPIRED
+};
+
+// 通知配置
+const NOTIFIER_CONFIG = {
+  // 默认只通知的评级
+  DEFAULT_RATINGS: ['S', 'A'],
+
+  // 单次请求超时
+  TIMEOUT: 5000,
+
+  // 重试
+  MAX_RETRIES: 3,
+  RETRY_DELAY: 1000,
+
+  // 签名请求头
+  SIGNATURE_HEADER: 'X-Signature',
+  TIMESTAMP_HEADER: 'X-Signature-Timestamp'
+};
+
+/**
+ * 解析Webhook配置
+ * WEBHOOKS 环境变量为JSON数组：
+ * [{ "name": "tg", "url": "https://...", "secret": "...", "ratings": ["S"], "directions": ["LONG"],
+ *    "symbols": ["BTC_USDT"], "events": ["signal.created"] }]
+ * @param {string|Array} raw - JSON字符串或数组
+ * @returns {Array} 端点配置
+ */
+function parseWebhookConfig(raw) {
+  if (!raw) return [];
+  const list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!Array.isArray(list)) {
+    throw new ValidationError('WEBHOOKS must be a JSON array', 'WEBHOOKS');
+  }
+
+  const validEvents = Object.values(NOTIFY_EVENTS);
+
+  return list.map((entry, index) => {
+    if (!entry || !/^https?:\/\//.test(entry.url || '')) {
+      throw new ValidationError(`Invalid webhook url at index ${index}`, 'WEBHOOKS');
+    }
+    const events = entry.events || validEvents;
+    const unknown = events.filter(e => !validEvents.includes(e));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown webhook events: ${unknown.join(', ')}`, 'WEBHOOKS');
+    }
+
+    return {
+      name: entry.name || `webhook_${index + 1}`,
+      url: entry.url,
+      secret: entry.secret || null,
+      events,
+      ratings: entry.ratings || NOTIFIER_CONFIG.DEFAULT_RATINGS,
+      directions: entry.directions || null,
+      symbols: entry.symbols || null
+    };
+  });
+}
+
+/**
+ * 计算签名：HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * @param {string} secret - 密钥
+ * @param {string} timestamp - 时间戳（秒）
+ * @param {string} body - 请求体
+ * @returns {string} `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * 端点是否接收该事件
+ * @param {Object} endpoint - 端点配置
+ * @param {string} event - 通知事件
+ * @param {Object} signal - 信号
+ * @returns {boolean}
+ */
+function matchesEndpoint(endpoint, event, signal) {
+  if (!endpoint.events.includes(event)) return false;
+  if (endpoint.ratings && !endpoint.ratings.includes(signal.rating)) return false;
+  if (endpoint.directions && !endpoint.directions.includes(signal.direction)) return false;
+  if (endpoint.symbols && !endpoint.symbols.includes(signal.symbol)) return false;
+  return true;
+}
+
+// 4xx（408/429除外）不重试
+function isRetryable(error) {
+  const status = error.response && error.response.status;
+  if (!status) return true;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// 通知载荷中的信号字段
+function summarizeSignal(signal) {
+  return {
+    id: signal.id,
+    symbol: signal.symbol,
+    direction: signal.direction,
+    rating: signal.rating,
+    score: signal.score,
+    entry_price: signal.entry_price,
+    sl: signal.sl,
+    tp1: signal.tp1,
+    tp2: signal.tp2,
+    rrr: signal.rrr,
+    status: signal.status,
+    timestamp: signal.timestamp
+  };
+}
+
+class WebhookNotifier {
+  /**
+   * @param {SqliteStore} store - 死信存储
+   * @param {Object} options - { endpoints, maxRetries, retryDelay, timeout }
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.endpoints = options.endpoints || [];
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : NOTIFIER_CONFIG.MAX_RETRIES;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : NOTIFIER_CONFIG.RETRY_DELAY;
+    this.timeout = options.timeout || NOTIFIER_CONFIG.TIMEOUT;
+    this.seq = 0;
+  }
+
+  get enabled() {
+    return this.endpoints.length > 0;
+  }
+
+  /**
+   * 新信号通知
+   * @param {Object} signal - 信号
+   * @returns {Promise<Array>} 各端点投递结果
+   */
+  notifySignalCreated(signal) {
+    return this.dispatch(NOTIFY_EVENTS.SIGNAL_CREATED, signal);
+  }
+
+  /**
+   * 状态转换通知（只有 TRIGGERED / STOPPED_OUT / EXPIRED 会发送）
+   * @param {Object} signal - 信号
+   * @param {Object} transition - { from, to, time, price, reason }
+   * @returns {Promise<Array>} 各端点投递结果
+   */
+  notifyTransition(signal, transition) {
+    const event = STATUS_EVENTS[transition.to];
+    if (!event) return Promise.resolve([]);
+    return this.dispatch(event, signal, { transition });
+  }
+
+  /**
+   * 分发事件到所有匹配的端点
+   * @param {string} event - 通知事件
+   * @param {Object} signal - 信号
+   * @param {Object} extra - 附加字段
+   * @returns {Promise<Array>} 各端点投递结果
+   */
+  async dispatch(event, signal, extra = {}) {
+    const targets = this.endpoints.filter(endpoint => matchesEndpoint(endpoint, event, signal));
+    if (targets.length === 0) return [];
+
+    const payload = {
+      event,
+      delivery_id: `dlv_${Date.now()}_${++this.seq}`,
+      sent_at: new Date().toISOString(),
+      signal: summarizeSignal(signal),
+      ...extra
+    };
+
+    return Promise.all(targets.map(endpoint => this.deliver(endpoint, payload)));
+  }
+
+  /**
+   * 投递到单个端点（失败重试，最终失败写入死信）
+   * @param {Object} endpoint - 端点配置
+   * @param {Object} payload - 载荷
+   * @returns {Promise<Object>} { endpoint, delivered, attempts, status, deadLetterId }
+   */
+  async deliver(endpoint, payload) {
+    const body = JSON.stringify(payload);
+    let attempts = 0;
+
+    try {
+      const response = await withRetry(() => {
+        attempts++;
+        return axios.post(endpoint.url, body, {
+          timeout: this.timeout,
+          headers: this.buildHeaders(endpoint, payload, body)
+        });
+      }, {
+        maxRetries: this.maxRetries,
+        retryDelay: this.retryDelay,
+        timeout: this.timeout + 1000,
+        shouldRetry: isRetryable,
+        onRetry: (attempt, maxRetries, error) => {
+          logger.warn('Retrying webhook delivery', {
+            endpoint: endpoint.name,
+            event: payload.event,
+            attempt,
+            maxRetries,
+            error: error.message
+          });
+        }
+      });
+
+      metrics.increment('webhook_deliveries_total', { endpoint: endpoint.name, result: 'success' });
+      return { endpoint: endpoint.name, delivered: true, attempts, status: response.status };
+    } catch (error) {
+      metrics.increment('webhook_deliveries_total', { endpoint: endpoint.name, result: 'failed' });
+      logger.error('Webhook delivery failed', {
+        endpoint: endpoint.name,
+        event: payload.event,
+        deliveryId: payload.delivery_id,
+        attempts,
+        error: error.message
+      });
+
+      const deadLetterId = this.store.saveDeadLetter({
+        endpoint: endpoint.name,
+        event: payload.event,
+        deliveryId: payload.delivery_id,
+        payload,
+        error: error.response ? `HTTP ${error.response.status}` : error.message,
+        attempts
+      });
+
+      return { endpoint: endpoint.name, delivered: false, attempts, error: error.message, deadLetterId };
+    }
+  }
+
+  buildHeaders(endpoint, payload, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': payload.event,
+      'X-Delivery-Id': payload.delivery_id
+    };
+
+    if (endpoint.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers[NOTIFIER_CONFIG.TIMESTAMP_HEADER] = timestamp;
+      headers[NOTIFIER_CONFIG.SIGNATURE_HEADER] = signPayload(endpoint.secret, timestamp, body);
+    }
+
+    return headers;
+  }
+
+  /**
+   * 重投死信（成功后删除记录，失败会生成新的死信）
+   * @param {number} id - 死信ID
+   * @returns {Promise<Object|null>} 投递结果，记录不存在返回null
+   */
+  async retryDeadLetter(id) {
+    const entry = this.store.getDeadLetter(id);
+    if (!entry) return null;
+
+    const endpoint = this.endpoints.find(e => e.name === entry.endpoint);
+    if (!endpoint) {
+      throw new ValidationError(`Webhook endpoint not configured: ${entry.endpoint}`, 'endpoint');
+    }
+
+    this.store.deleteDeadLetter(id);
+    return this.deliver(endpoint, entry.payload);
+  }
+
+  listDeadLetters(filters = {}) {
+    return this.store.listDeadLetters(filters);
+  }
+
+  // 端点配置（隐藏密钥）
+  describeEndpoints() {
+    return this.endpoints.map(({ secret, ...rest }) => ({ ...rest, signed: !!secret }));
+  }
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  NOTIFIER_CONFIG,
+  parseWebhookConfig,
+  signPayload,
+  matchesEndpoint,
+  WebhookNotifier
+};
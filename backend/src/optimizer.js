@@ -0,0 +1,428 @@
+/**
+ * 参数优化 - 滚动窗口（walk-forward）网格/随机搜索
+ *
+ * 对声明的参数空间逐组回测：每组参数在整段历史上回放一次，
+ * 再按信号时间把交易切分到各个训练/测试窗口。
+ * 参数组按样本外（测试窗口）R期望和最大回撤排序；另外模拟真实的滚动选参：
+ * 每个窗口取训练期最优的参数，统计其在下一段测试期的表现。
+ * 报告写入 backend/reports，可与之前的报告比较后再修改默认值。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runBacktest, computeBacktestStats } = require('./backtest');
+const { CONFIG } = require('./strategy');
+const { SWEEP_CONFIG } = require('./liquiditySweep');
+const { MTF_CONFIG } = require('./multiTimeframe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 可优化的配置对象
+const PARAMETER_TARGETS = {
+  CONFIG,
+  SWEEP_CONFIG,
+  MTF_CONFIG
+};
+
+// 各扫描模式的默认参数空间（键为 `对象.字段`，可嵌套如 `MTF_CONFIG.SWING_LOOKBACK.HTF`）
+// 只包含该模式实际读取的参数：单层扫描不用 SWEEP_CONFIG，MTF 扫描的摆动点回望周期来自 MTF_CONFIG
+const PARAMETER_SPACES = {
+  SINGLE: {
+    'CONFIG.SWING_LOOKBACK': [3, 5, 7],
+    'CONFIG.FVG_MIN_SIZE_PERCENT': [0.05, 0.1, 0.2],
+    'CONFIG.SWEP_WICK_RATIO': [1.5, 2.0, 2.5]
+  },
+  MTF: {
+    'MTF_CONFIG.SWING_LOOKBACK.HTF': [3, 5, 7],
+    'MTF_CONFIG.SWING_LOOKBACK.MTF': [2, 3, 4],
+    'CONFIG.FVG_MIN_SIZE_PERCENT': [0.05, 0.1, 0.2],
+    'SWEEP_CONFIG.WICK_RATIO': [1.5, 2.0, 2.5],
+    'SWEEP_CONFIG.MIN_SWEEP_PERCENT': [0.05, 0.1, 0.2]
+  }
+};
+
+// 优化配置
+const OPTIMIZER_CONFIG = {
+  // 搜索方式: 'grid' | 'random'
+  METHOD: 'grid',
+
+  // 随机搜索的样本数和随机种子（固定种子便于复现）
+  RANDOM_SAMPLES: 30,
+  RANDOM_SEED: 42,
+
+  // 滚动窗口（天）
+  TRAIN_DAYS: 60,
+  TEST_DAYS: 20,
+
+  // 样本外交易少于该数量的参数组不参与排名
+  MIN_TEST_TRADES: 5,
+
+  // 排名分数 = 样本外R期望 - 回撤惩罚系数 × 样本外最大回撤(R)
+  DRAWDOWN_PENALTY: 0.1,
+
+  // 报告目录
+  REPORT_DIR: path.join(__dirname, '..', 'reports')
+};
+
+/**
+ * 解析参数键
+ * @param {string} key - `对象.字段` 或 `对象.子对象.字段`
+ * @returns {Object} { target, field }
+ */
+function resolveParameter(key) {
+  const [targetName, ...fields] = key.split('.');
+  const field = fields.pop();
+  const target = fields.reduce((obj, name) => (obj && typeof obj[name] === 'object' ? obj[name] : null),
+    PARAMETER_TARGETS[targetName]);
+  if (!target || !(field in target)) {
+    throw new Error(`Unknown parameter: ${key}`);
+  }
+  return { target, field };
+}
+
+/**
+ * 读取参数当前值
+ * @param {Object} space - 参数空间
+ * @returns {Object} { key: value }
+ */
+function getCurrentParameters(space = PARAMETER_SPACES.SINGLE) {
+  const params = {};
+  Object.keys(space).forEach(key => {
+    const { target, field } = resolveParameter(key);
+    params[key] = target[field];
+  });
+  return params;
+}
+
+/**
+ * 临时应用参数执行函数，结束后恢复原值
+ * @param {Object} params - { key: value }
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn 的返回值
+ */
+async function withParameters(params, fn) {
+  const previous = [];
+  try {
+    for (const [key, value] of Object.entries(params)) {
+      const { target, field } = resolveParameter(key);
+      previous.push({ target, field, value: target[field] });
+      target[field] = value;
+    }
+    return await fn();
+  } finally {
+    previous.reverse().forEach(({ target, field, value }) => {
+      target[field] = value;
+    });
+  }
+}
+
+/**
+ * 网格搜索：参数空间的全部组合
+ * @param {Object} space - 参数空间
+ * @returns {Array<Object>} 参数组
+ */
+function generateGrid(space = PARAMETER_SPACES.SINGLE) {
+  return Object.entries(space).reduce(
+    (combos, [key, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+    [{}]
+  );
+}
+
+// 可复现的伪随机数（mulberry32）
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 随机搜索：从参数空间中不重复抽样
+ * @param {Object} space - 参数空间
+ * @param {number} samples - 样本数
+ * @param {number} seed - 随机种子
+ * @returns {Array<Object>} 参数组
+ */
+function generateRandom(space = PARAMETER_SPACES.SINGLE, samples = OPTIMIZER_CONFIG.RANDOM_SAMPLES, seed = OPTIMIZER_CONFIG.RANDOM_SEED) {
+  const random = createRandom(seed);
+  const total = Object.values(space).reduce((n, values) => n * values.length, 1);
+  const target = Math.min(samples, total);
+  const seen = new Set();
+  const combos = [];
+
+  while (combos.length < target) {
+    const combo = {};
+    for (const [key, values] of Object.entries(space)) {
+      combo[key] = values[Math.floor(random() * values.length)];
+    }
+    const id = JSON.stringify(combo);
+    if (!seen.has(id)) {
+      seen.add(id);
+      combos.push(combo);
+    }
+  }
+
+  return combos;
+}
+
+/**
+ * 划分滚动窗口：[训练 | 测试]，每次向后移动一个测试期
+ * @param {number} from - 起始时间戳
+ * @param {number} to - 结束时间戳
+ * @param {Object} options - { trainDays, testDays }
+ * @returns {Array} [{ index, train: {from, to}, test: {from, to} }]
+ */
+function buildWalkForwardWindows(from, to, options = {}) {
+  const trainMs = (options.trainDays || OPTIMIZER_CONFIG.TRAIN_DAYS) * DAY_MS;
+  const testMs = (options.testDays || OPTIMIZER_CONFIG.TEST_DAYS) * DAY_MS;
+  const windows = [];
+
+  for (let start = from; start + trainMs + testMs <= to; start += testMs) {
+    windows.push({
+      index: windows.length,
+      train: { from: start, to: start + trainMs },
+      test: { from: start + trainMs, to: start + trainMs + testMs }
+    });
+  }
+
+  return windows;
+}
+
+// 数据的时间范围（按步进周期）
+function getCandleRange(candles, timeframe) {
+  let from = Infinity;
+  let to = -Infinity;
+  for (const series of Object.values(candles)) {
+    const klines = series[timeframe] || [];
+    if (klines.length === 0) continue;
+    from = Math.min(from, klines[0].timestamp);
+    to = Math.max(to, klines[klines.length - 1].timestamp);
+  }
+  return Number.isFinite(from) ? { from, to } : null;
+}
+
+function inRange(trade, range) {
+  return trade.signal_time >= range.from && trade.signal_time < range.to;
+}
+
+function rankingScore(stats, config) {
+  return stats.expectancyR - config.DRAWDOWN_PENALTY * stats.maxDrawdownR;
+}
+
+// 报告中只保留主要统计字段
+function compactStats(stats) {
+  return {
+    trades: stats.trades,
+    winRate: stats.winRate,
+    expectancyR: stats.expectancyR,
+    totalR: stats.totalR,
+    maxDrawdownR: stats.maxDrawdownR
+  };
+}
+
+/**
+ * 运行参数优化
+ * @param {Object} candles - 历史K线 { symbol: { '4h': [...], ... } }
+ * @param {Object} options - { mode, method, space（默认 PARAMETER_SPACES[mode]）, samples, seed, trainDays, testDays, onProgress }
+ * @returns {Promise<Object>} 优化报告
+ */
+async function runOptimization(candles, options = {}) {
+  const config = { ...OPTIMIZER_CONFIG, ...(options.config || {}) };
+  const mode = options.mode || 'SINGLE';
+  const method = options.method || config.METHOD;
+  const space = options.space || PARAMETER_SPACES[mode];
+  if (!space) {
+    throw new Error(`Unknown backtest mode: ${mode}`);
+  }
+
+  const sorted = {};
+  for (const [symbol, series] of Object.entries(candles)) {
+    sorted[symbol] = {};
+    for (const [tf, klines] of Object.entries(series)) {
+      sorted[symbol][tf] = [...klines].sort((a, b) => a.timestamp - b.timestamp);
+    }
+  }
+
+  const range = getCandleRange(sorted, '4h');
+  if (!range) {
+    throw new Error('No candles to optimise on');
+  }
+
+  const windows = buildWalkForwardWindows(range.from, range.to, {
+    trainDays: options.trainDays || config.TRAIN_DAYS,
+    testDays: options.testDays || config.TEST_DAYS
+  });
+  if (windows.length === 0) {
+    throw new Error('Not enough history for one train/test window');
+  }
+
+  const combos = method === 'random'
+    ? generateRandom(space, options.samples || config.RANDOM_SAMPLES, options.seed || config.RANDOM_SEED)
+    : generateGrid(space);
+
+  const results = [];
+  for (let i = 0; i < combos.length; i++) {
+    const params = combos[i];
+
+    // 每组参数在整段历史上回放一次，交易按信号时间归入窗口
+    const backtest = await withParameters(params, () => runBacktest(sorted, {
+      mode,
+      from: windows[0].train.from,
+      to: windows[windows.length - 1].test.to
+    }));
+
+    const perWindow = windows.map(w => ({
+      index: w.index,
+      train: computeBacktestStats(backtest.trades.filter(t => inRange(t, w.train))),
+      test: computeBacktestStats(backtest.trades.filter(t => inRange(t, w.test)))
+    }));
+
+    const testTrades = backtest.trades.filter(t => windows.some(w => inRange(t, w.test)));
+    const testStats = computeBacktestStats(testTrades);
+
+    results.push({
+      params,
+      test: compactStats(testStats),
+      full: compactStats(backtest.stats),
+      score: rankingScore(testStats, config),
+      ranked: testStats.trades >= config.MIN_TEST_TRADES,
+      windows: perWindow.map(w => ({ index: w.index, train: compactStats(w.train), test: compactStats(w.test) }))
+    });
+
+    if (options.onProgress) {
+      options.onProgress({ processed: i + 1, total: combos.length, params });
+    }
+  }
+
+  const ranking = results
+    .filter(r => r.ranked)
+    .sort((a, b) => b.score - a.score || a.test.maxDrawdownR - b.test.maxDrawdownR);
+
+  return {
+    generated_at: new Date().toISOString(),
+    mode,
+    method,
+    space,
+    defaults: getCurrentParameters(space),
+    range: { from: new Date(range.from).toISOString(), to: new Date(range.to).toISOString() },
+    symbols: Object.keys(sorted).length,
+    windows: windows.map(w => ({
+      index: w.index,
+      train: { from: new Date(w.train.from).toISOString(), to: new Date(w.train.to).toISOString() },
+      test: { from: new Date(w.test.from).toISOString(), to: new Date(w.test.to).toISOString() }
+    })),
+    ranking_rule: {
+      score: `expectancyR - ${config.DRAWDOWN_PENALTY} × maxDrawdownR (out-of-sample)`,
+      min_test_trades: config.MIN_TEST_TRADES
+    },
+    best: ranking[0] || null,
+    walk_forward: selectWalkForward(results, windows, config),
+    results: ranking.concat(results.filter(r => !r.ranked))
+  };
+}
+
+/**
+ * 滚动选参：每个窗口用训练期最优参数，统计测试期表现
+ * @param {Array} results - 各参数组结果
+ * @param {Array} windows - 窗口
+ * @param {Object} config - 优化配置
+ * @returns {Object} { selections, test }
+ */
+function selectWalkForward(results, windows, config) {
+  const selections = windows.map(w => {
+    let best = null;
+    for (const result of results) {
+      const { train, test } = result.windows[w.index];
+      const score = rankingScore(train, config);
+      if (train.trades > 0 && (!best || score > best.trainScore)) {
+        best = { params: result.params, trainScore: score, train, test };
+      }
+    }
+    return { index: w.index, ...(best || { params: null, train: null, test: null }) };
+  });
+
+  // 各窗口测试期的合并表现（按交易数加权）
+  const chosen = selections.filter(s => s.test);
+  const trades = chosen.reduce((n, s) => n + s.test.trades, 0);
+  const totalR = chosen.reduce((sum, s) => sum + s.test.totalR, 0);
+
+  return {
+    selections,
+    test: {
+      trades,
+      totalR,
+      expectancyR: trades > 0 ? totalR / trades : 0,
+      maxWindowDrawdownR: chosen.reduce((max, s) => Math.max(max, s.test.maxDrawdownR), 0)
+    }
+  };
+}
+
+/**
+ * 写入报告
+ * @param {Object} report - 优化报告
+ * @param {string} dir - 目录
+ * @returns {string} 文件路径
+ */
+function writeReport(report, dir = OPTIMIZER_CONFIG.REPORT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = report.generated_at.replace(/[:.]/g, '-');
+  const file = path.join(dir, `optimization-${report.mode.toLowerCase()}-${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+/**
+ * 比较两份报告（同一参数组的样本外表现变化、最优参数变化）
+ * @param {Object} previous - 旧报告
+ * @param {Object} current - 新报告
+ * @returns {Object} 比较结果
+ */
+function compareReports(previous, current) {
+  const key = params => JSON.stringify(params);
+  const previousByParams = new Map(previous.results.map(r => [key(r.params), r]));
+
+  const changes = current.results
+    .filter(r => previousByParams.has(key(r.params)))
+    .map(r => {
+      const before = previousByParams.get(key(r.params));
+      return {
+        params: r.params,
+        expectancyR: { before: before.test.expectancyR, after: r.test.expectancyR, delta: r.test.expectancyR - before.test.expectancyR },
+        maxDrawdownR: { before: before.test.maxDrawdownR, after: r.test.maxDrawdownR, delta: r.test.maxDrawdownR - before.test.maxDrawdownR },
+        score: { before: before.score, after: r.score, delta: r.score - before.score }
+      };
+    })
+    .sort((a, b) => Math.abs(b.score.delta) - Math.abs(a.score.delta));
+
+  const bestChanged = key(previous.best && previous.best.params) !== key(current.best && current.best.params);
+
+  return {
+    previous: { generated_at: previous.generated_at, range: previous.range, best: previous.best },
+    current: { generated_at: current.generated_at, range: current.range, best: current.best },
+    best_changed: bestChanged,
+    walk_forward: {
+      before: previous.walk_forward.test,
+      after: current.walk_forward.test
+    },
+    common_parameter_sets: changes.length,
+    changes
+  };
+}
+
+module.exports = {
+  PARAMETER_SPACES,
+  OPTIMIZER_CONFIG,
+  getCurrentParameters,
+  withParameters,
+  generateGrid,
+  generateRandom,
+  buildWalkForwardWindows,
+  runOptimization,
+  selectWalkForward,
+  writeReport,
+  compareReports
+};
@@ -0,0 +1,60 @@
+/**
+ * 订单簿深度指标
+ *
+ * 由订单簿快照计算点差、中间价 ±1% 内的买卖盘深度（计价币）和买卖失衡，
+ * 供 environmentFilter / degradationFilter 拦截或降级薄订单簿上的信号。
+ */
+
+// 订单簿配置
+const ORDER_BOOK_CONFIG = {
+  // 设为 true 时每次扫描为每个交易对获取订单簿（默认关闭，相关检查跳过）
+  ENABLED: process.env.ORDER_BOOK_ENABLED === 'true',
+
+  // 每侧请求的档位数
+  LEVELS: 100,
+
+  // 深度统计范围（中间价上下百分比）
+  DEPTH_BAND_PERCENT: 1
+};
+
+/**
+ * 计算订单簿深度指标
+ * @param {Object} book - { timestamp, bids: [[price, amount]], asks: [[price, amount]] }
+ * @param {Object} options - { bandPercent }
+ * @returns {Object|null} { mid, spreadPercent, bidDepth, askDepth, depth, imbalance, complete, timestamp }
+ *   imbalance 为 (买盘 - 卖盘) / (买盘 + 卖盘)，正值表示买盘更厚；
+ *   complete 为 false 表示返回的档位未覆盖整个统计范围，深度可能偏低
+ */
+function computeDepthMetrics(book, options = {}) {
+  if (!book || !book.bids || !book.asks || book.bids.length === 0 || book.asks.length === 0) {
+    return null;
+  }
+
+  const band = (options.bandPercent || ORDER_BOOK_CONFIG.DEPTH_BAND_PERCENT) / 100;
+  const bestBid = book.bids[0][0];
+  const bestAsk = book.asks[0][0];
+  const mid = (bestBid + bestAsk) / 2;
+  const lower = mid * (1 - band);
+  const upper = mid * (1 + band);
+
+  const sum = levels => levels.reduce((total, [price, amount]) => total + price * amount, 0);
+  const bidDepth = sum(book.bids.filter(([price]) => price >= lower));
+  const askDepth = sum(book.asks.filter(([price]) => price <= upper));
+  const depth = bidDepth + askDepth;
+
+  return {
+    mid,
+    spreadPercent: ((bestAsk - bestBid) / mid) * 100,
+    bidDepth,
+    askDepth,
+    depth,
+    imbalance: depth > 0 ? (bidDepth - askDepth) / depth : 0,
+    complete: book.bids[book.bids.length - 1][0] < lower && book.asks[book.asks.length - 1][0] > upper,
+    timestamp: book.timestamp
+  };
+}
+
+module.exports = {
+  ORDER_BOOK_CONFIG,
+  computeDepthMetrics
+};
@@ -0,0 +1,232 @@
+/**
+ * 组合风控
+ *
+ * riskManagementCheck 只看单个信号；这里把新信号和已入场仓位放在一起，
+ * 按总风险预算、单方向敞口、最大同时持仓数、相关性分组上限筛选新信号，
+ * 预算不足时按比例缩小仓位，并报告被丢弃或缩仓的信号。
+ */
+
+const { CONFIG } = require('./strategy');
+
+// 组合风控配置（风险均为占账户资金的比例）
+const PORTFOLIO_RISK_CONFIG = {
+  // 单方向（多/空）最大风险
+  MAX_DIRECTION_RISK: 0.03,
+
+  // 最大同时持仓数（含待入场信号）
+  MAX_CONCURRENT_POSITIONS: 5,
+
+  // 同一相关性分组内最多持仓数
+  MAX_CORRELATED_POSITIONS: 2,
+
+  // 缩仓后风险低于原风险的该比例时直接丢弃
+  MIN_RESIZE_RATIO: 0.25,
+
+  // 相关性分组（未列出的交易对单独成组）
+  CORRELATION_GROUPS: {
+    MAJORS: ['BTC_USDT', 'ETH_USDT', 'BNB_USDT'],
+    ETH_L2: ['ARB_USDT', 'OP_USDT', 'STRK_USDT', 'MATIC_USDT', 'IMX_USDT', 'MANTA_USDT'],
+    ALT_L1: [
+      'SOL_USDT', 'ADA_USDT', 'AVAX_USDT', 'DOT_USDT', 'NEAR_USDT', 'APT_USDT',
+      'ATOM_USDT', 'SUI_USDT', 'SEI_USDT', 'TIA_USDT', 'DYM_USDT'
+    ],
+    PAYMENTS: ['XRP_USDT', 'XLM_USDT', 'LTC_USDT', 'ETC_USDT'],
+    MEME: ['DOGE_USDT', 'SHIB_USDT', 'PEPE_USDT', 'WIF_USDT', 'BONK_USDT', 'FLOKI_USDT', 'MEME_USDT', 'CAT_USDT'],
+    BRC20: ['ORDI_USDT', 'SATS_USDT', 'RATS_USDT'],
+    AI: ['FET_USDT', 'AGIX_USDT', 'TAO_USDT', 'RNDR_USDT', 'WLD_USDT', 'ARKM_USDT', 'AI_USDT'],
+    DEFI: ['UNI_USDT', 'LINK_USDT', 'LDO_USDT', 'JUP_USDT', 'PYTH_USDT', 'AEVO_USDT', 'GRT_USDT']
+  }
+};
+
+// 浮点比较容差
+const EPSILON = 1e-9;
+
+// 评级优先级（预算先分给高评级）
+const RATING_PRIORITY = { S: 0, A: 1, B: 2, C: 3 };
+
+/**
+ * 获取交易对所属的相关性分组
+ * @param {string} symbol - 交易对
+ * @param {Object} groups - 分组配置
+ * @returns {string} 分组名（未分组返回交易对本身）
+ */
+function getCorrelationGroup(symbol, groups = PORTFOLIO_RISK_CONFIG.CORRELATION_GROUPS) {
+  for (const [group, symbols] of Object.entries(groups)) {
+    if (symbols.includes(symbol)) return group;
+  }
+  return symbol;
+}
+
+/**
+ * 信号占用的风险（占账户资金比例）
+ * @param {Object} signal - 信号
+ * @param {number} balance - 账户资金
+ * @returns {number}
+ */
+function getSignalRisk(signal, balance) {
+  const riskAmount = signal.risk_management && signal.risk_management.riskAmount;
+  return riskAmount > 0 ? riskAmount / balance : CONFIG.MAX_RISK_PER_TRADE;
+}
+
+/**
+ * 汇总当前敞口
+ * @param {Array} positions - 持仓/待入场信号
+ * @param {Object} options - { balance, groups }
+ * @returns {Object} 敞口
+ */
+function summarizeExposure(positions, options = {}) {
+  const balance = options.balance || CONFIG.ACCOUNT_BALANCE;
+  const groups = options.groups || PORTFOLIO_RISK_CONFIG.CORRELATION_GROUPS;
+
+  const exposure = {
+    positions: positions.length,
+    total_risk: 0,
+    by_direction: { LONG: 0, SHORT: 0 },
+    by_group: {}
+  };
+
+  positions.forEach(position => {
+    const risk = getSignalRisk(position, balance);
+    const group = getCorrelationGroup(position.symbol, groups);
+    exposure.total_risk += risk;
+    exposure.by_direction[position.direction] = (exposure.by_direction[position.direction] || 0) + risk;
+    if (!exposure.by_group[group]) {
+      exposure.by_group[group] = { count: 0, risk: 0, symbols: [] };
+    }
+    exposure.by_group[group].count++;
+    exposure.by_group[group].risk += risk;
+    exposure.by_group[group].symbols.push(position.symbol);
+  });
+
+  return exposure;
+}
+
+// 按比例缩小仓位
+function resizeSignal(signal, scale, balance) {
+  const risk = signal.risk_management || {};
+  const riskAmount = (risk.riskAmount || CONFIG.MAX_RISK_PER_TRADE * balance) * scale;
+  return {
+    ...signal,
+    risk_management: {
+      ...risk,
+      riskAmount,
+      positionSize: Math.floor((risk.positionSize || 0) * scale)
+    }
+  };
+}
+
+/**
+ * 组合风控：在已有仓位基础上筛选新信号
+ * @param {Array} candidates - 本次扫描的新信号
+ * @param {Array} openPositions - 已占用预算的信号（已入场未平仓）
+ * @param {Object} options - { balance, limits }
+ * @returns {Object} { accepted, dropped, resized, exposure, limits }
+ */
+function applyPortfolioRisk(candidates, openPositions = [], options = {}) {
+  const balance = options.balance || CONFIG.ACCOUNT_BALANCE;
+  const limits = {
+    maxTotalRisk: CONFIG.MAX_TOTAL_RISK,
+    maxDirectionRisk: PORTFOLIO_RISK_CONFIG.MAX_DIRECTION_RISK,
+    maxConcurrentPositions: PORTFOLIO_RISK_CONFIG.MAX_CONCURRENT_POSITIONS,
+    maxCorrelatedPositions: PORTFOLIO_RISK_CONFIG.MAX_CORRELATED_POSITIONS,
+    minResizeRatio: PORTFOLIO_RISK_CONFIG.MIN_RESIZE_RATIO,
+    groups: PORTFOLIO_RISK_CONFIG.CORRELATION_GROUPS,
+    ...(options.limits || {})
+  };
+
+  const book = [...openPositions];
+  const accepted = [];
+  const dropped = [];
+  const resized = [];
+
+  // 高评级、高分优先分配预算
+  const ordered = [...candidates].sort((a, b) =>
+    (RATING_PRIORITY[a.rating] ?? 9) - (RATING_PRIORITY[b.rating] ?? 9) || (b.score || 0) - (a.score || 0)
+  );
+
+  for (const signal of ordered) {
+    const exposure = summarizeExposure(book, { balance, groups: limits.groups });
+    const group = getCorrelationGroup(signal.symbol, limits.groups);
+    const risk = getSignalRisk(signal, balance);
+    const drop = (reason, detail) => dropped.push({ symbol: signal.symbol, signal_id: signal.id, reason, detail });
+
+    if (book.some(p => p.symbol === signal.symbol)) {
+      drop('SYMBOL_ALREADY_OPEN', `${signal.symbol} 已有持仓`);
+      continue;
+    }
+
+    if (exposure.positions >= limits.maxConcurrentPositions) {
+      drop('MAX_POSITIONS', `持仓数 ${exposure.positions}/${limits.maxConcurrentPositions}`);
+      continue;
+    }
+
+    const groupCount = exposure.by_group[group] ? exposure.by_group[group].count : 0;
+    if (groupCount >= limits.maxCorrelatedPositions) {
+      drop('CORRELATION_LIMIT', `${group} 分组持仓数 ${groupCount}/${limits.maxCorrelatedPositions}`);
+      continue;
+    }
+
+    const totalAvailable = limits.maxTotalRisk - exposure.total_risk;
+    const directionAvailable = limits.maxDirectionRisk - (exposure.by_direction[signal.direction] || 0);
+    const available = Math.min(totalAvailable, directionAvailable);
+
+    let finalSignal = signal;
+    let scale = 1;
+    if (available + EPSILON < risk) {
+      scale = Math.max(0, available) / risk;
+      if (scale < limits.minResizeRatio) {
+        const byDirection = directionAvailable < totalAvailable;
+        drop(
+          byDirection ? 'DIRECTION_RISK_LIMIT' : 'TOTAL_RISK_LIMIT',
+          byDirection
+            ? `${signal.direction} 方向剩余风险 ${(Math.max(0, directionAvailable) * 100).toFixed(2)}%`
+            : `总风险剩余 ${(Math.max(0, totalAvailable) * 100).toFixed(2)}%`
+        );
+        continue;
+      }
+      finalSignal = resizeSignal(signal, scale, balance);
+      resized.push({
+        symbol: signal.symbol,
+        signal_id: signal.id,
+        scale,
+        risk_before: risk,
+        risk_after: risk * scale
+      });
+    }
+
+    finalSignal = {
+      ...finalSignal,
+      portfolio_risk: {
+        correlation_group: group,
+        risk_fraction: risk * scale,
+        resized: scale < 1,
+        scale
+      }
+    };
+
+    book.push(finalSignal);
+    accepted.push(finalSignal);
+  }
+
+  return {
+    accepted,
+    dropped,
+    resized,
+    exposure: summarizeExposure(book, { balance, groups: limits.groups }),
+    limits: {
+      balance,
+      max_total_risk: limits.maxTotalRisk,
+      max_direction_risk: limits.maxDirectionRisk,
+      max_concurrent_positions: limits.maxConcurrentPositions,
+      max_correlated_positions: limits.maxCorrelatedPositions
+    }
+  };
+}
+
+module.exports = {
+  PORTFOLIO_RISK_CONFIG,
+  getCorrelationGroup,
+  getSignalRisk,
+  summarizeExposure,
+  applyPortfolioRisk
+};
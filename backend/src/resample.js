@@ -0,0 +1,203 @@
+/**
+ * K线周期转换
+ *
+ * 把低周期K线聚合为任意高周期（如 1m -> 15m/4h，1h -> 2h/8h，1d -> 3d/1w）：
+ * 开盘取首根、收盘取末根、高低取极值、成交量求和。
+ * 分桶按 UTC 对齐：分钟/小时/日周期从 Unix 纪元起等分（与交易所一致），周线从周一 00:00 开始。
+ */
+
+const { ValidationError } = require('./utils/errors');
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// 1970-01-01 是周四，周线需偏移到周一
+const WEEK_OFFSET_MS = 4 * UNIT_MS.d;
+
+/**
+ * 解析时间框架
+ * @param {string} timeframe - 如 1m, 15m, 2h, 8h, 1d, 3d, 1w
+ * @returns {Object} { ms, offset }
+ */
+function parseTimeframe(timeframe) {
+  const match = /^(\d+)([mhdw])$/.exec(timeframe || '');
+  if (!match || parseInt(match[1], 10) <= 0) {
+    throw new ValidationError(`Invalid timeframe: ${timeframe}`, 'timeframe');
+  }
+  const unit = match[2];
+  return {
+    ms: parseInt(match[1], 10) * UNIT_MS[unit],
+    offset: unit === 'w' ? WEEK_OFFSET_MS : 0
+  };
+}
+
+/**
+ * 时间框架对应的毫秒数
+ * @param {string} timeframe - 时间框架
+ * @returns {number}
+ */
+function getTimeframeMs(timeframe) {
+  return parseTimeframe(timeframe).ms;
+}
+
+/**
+ * 时间戳所在K线的开盘时间（UTC对齐）
+ * @param {number} timestamp - 时间戳
+ * @param {string} timeframe - 时间框架
+ * @returns {number}
+ */
+function getBucketStart(timestamp, timeframe) {
+  const { ms, offset } = parseTimeframe(timeframe);
+  return Math.floor((timestamp - offset) / ms) * ms + offset;
+}
+
+/**
+ * 低周期能否无损聚合为高周期（周期整除且分桶边界对齐）
+ * @param {string} source - 源时间框架
+ * @param {string} target - 目标时间框架
+ * @returns {boolean}
+ */
+function canResample(source, target) {
+  const src = parseTimeframe(source);
+  const dst = parseTimeframe(target);
+  return dst.ms >= src.ms && dst.ms % src.ms === 0 && (dst.offset - src.offset) % src.ms === 0;
+}
+
+/**
+ * 从可用时间框架中选择聚合源（能整除目标的最大周期）
+ * @param {string} target - 目标时间框架
+ * @param {Array<string>} available - 可用时间框架
+ * @returns {string|null}
+ */
+function pickSourceTimeframe(target, available) {
+  const candidates = available.filter(tf => canResample(tf, target));
+  if (candidates.length === 0) return null;
+  return candidates.sort((a, b) => getTimeframeMs(b) - getTimeframeMs(a))[0];
+}
+
+/**
+ * 生成 count 根目标K线需要的源K线数量（多一根目标周期用于补齐首个不完整分桶）
+ * @param {string} source - 源时间框架
+ * @param {string} target - 目标时间框架
+ * @param {number} count - 目标K线数量
+ * @returns {number}
+ */
+function requiredSourceCandles(source, target, count) {
+  return (count + 1) * (getTimeframeMs(target) / getTimeframeMs(source));
+}
+
+/**
+ * 聚合K线
+ * 开头不完整的分桶（数据从分桶中间开始）默认丢弃，因为其开盘价不准确；
+ * 中间缺少源K线的分桶丢弃（成交量和高低点不完整），调用方可据此发现缺口；
+ * 末尾分桶在源K线覆盖到分桶结束且全部收盘前标记为未收盘
+ * @param {Array} candles - 源K线（升序）
+ * @param {string} source - 源时间框架
+ * @param {string} target - 目标时间框架
+ * @param {Object} options - { keepPartialFirst, now }
+ * @returns {Array} 目标K线
+ */
+function resampleCandles(candles, source, target, options = {}) {
+  if (!canResample(source, target)) {
+    throw new ValidationError(`Cannot resample ${source} into ${target}`, 'timeframe');
+  }
+  if (!candles || candles.length === 0) return [];
+
+  const sourceMs = getTimeframeMs(source);
+  const targetMs = getTimeframeMs(target);
+  const now = options.now || Date.now();
+  const result = [];
+  let current = null;
+
+  // last: 是否为最后一个分桶（只有它允许尚未覆盖到分桶结束）
+  const finish = (last) => {
+    const end = current.timestamp + targetMs;
+    const covered = current.lastSource + sourceMs >= end;
+    if (!covered && !last) return;
+    // 分桶内从起点（保留的首个不完整分桶从首根源K线）到末根源K线不能缺K线
+    const from = options.keepPartialFirst && current.firstSource === candles[0].timestamp
+      ? current.firstSource
+      : current.timestamp;
+    const expected = ((covered ? end - sourceMs : current.lastSource) - from) / sourceMs + 1;
+    if (current.count < expected) return;
+
+    result.push({
+      timestamp: current.timestamp,
+      open: current.open,
+      high: current.high,
+      low: current.low,
+      close: current.close,
+      volume: current.volume,
+      closed: covered && current.allClosed && end <= now
+    });
+  };
+
+  for (const k of candles) {
+    const bucket = getBucketStart(k.timestamp, target);
+
+    if (!current || bucket !== current.timestamp) {
+      if (current) finish(false);
+      current = {
+        timestamp: bucket,
+        open: k.open,
+        high: k.high,
+        low: k.low,
+        close: k.close,
+        volume: k.volume,
+        firstSource: k.timestamp,
+        lastSource: k.timestamp,
+        count: 1,
+        allClosed: k.closed !== false
+      };
+      continue;
+    }
+
+    current.high = Math.max(current.high, k.high);
+    current.low = Math.min(current.low, k.low);
+    current.close = k.close;
+    current.volume += k.volume;
+    current.lastSource = k.timestamp;
+    current.count++;
+    current.allClosed = current.allClosed && k.closed !== false;
+  }
+  if (current) finish(true);
+
+  return result;
+}
+
+/**
+ * 用一组源K线生成多个时间框架
+ * @param {Array} candles - 源K线（升序）
+ * @param {string} source - 源时间框架
+ * @param {Array<string>} targets - 目标时间框架
+ * @param {Object} options - { limits: { tf: count }, now }
+ * @returns {Object} { tf: [...] }
+ */
+function buildTimeframes(candles, source, targets, options = {}) {
+  const limits = options.limits || {};
+  const result = {};
+
+  targets.forEach(tf => {
+    const series = tf === source
+      ? candles
+      : resampleCandles(candles, source, tf, { now: options.now });
+    result[tf] = limits[tf] ? series.slice(-limits[tf]) : series;
+  });
+
+  return result;
+}
+
+module.exports = {
+  parseTimeframe,
+  getTimeframeMs,
+  getBucketStart,
+  canResample,
+  pickSourceTimeframe,
+  requiredSourceCandles,
+  resampleCandles,
+  buildTimeframes
+};
@@ -0,0 +1,255 @@
+/**
+ * 扫描任务管理
+ *
+ * POST /api/scan 不再阻塞等待扫描完成：提交任务后立即返回任务ID，
+ * 扫描在后台执行，进度和结果通过任务记录查询，运行中的任务可取消。
+ * 任务记录写入 SQLite，重启后仍可查询；重启时未结束的任务标记为失败。
+ */
+
+const { CancelledError } = require('./utils/errors');
+
+// 任务状态
+const JOB_STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+// 未结束的任务状态
+const ACTIVE_JOB_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// 任务配置
+const SCAN_JOB_CONFIG = {
+  // 进度写库的最小间隔（结束状态总是立即写入）
+  PERSIST_INTERVAL_MS: 1000,
+
+  // 内存中保留的已结束任务数量
+  MAX_FINISHED_IN_MEMORY: 20
+};
+
+function isActiveJob(job) {
+  return ACTIVE_JOB_STATUSES.includes(job.status);
+}
+
+// 错误转为可持久化的对象
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code || null,
+    name: error.name
+  };
+}
+
+class ScanJobManager {
+  /**
+   * @param {SqliteStore} store - 持久化存储
+   * @param {Object} options - { onUpdate(job, changes) 任务变化回调 }
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.onUpdate = options.onUpdate || null;
+    this.jobs = new Map();
+    this.lastPersistAt = new Map();
+    this.seq = 0;
+  }
+
+  /**
+   * 把上次进程遗留的未结束任务标记为失败
+   * @returns {number} 标记条数
+   */
+  recoverInterrupted() {
+    return this.store.failInterruptedJobs(ACTIVE_JOB_STATUSES, '服务重启，任务中断');
+  }
+
+  /**
+   * 获取正在执行（或排队）的任务
+   * @returns {Object|null} 任务快照
+   */
+  getActiveJob() {
+    for (const job of this.jobs.values()) {
+      if (isActiveJob(job)) return this.snapshot(job);
+    }
+    return null;
+  }
+
+  /**
+   * 提交任务（后台执行，立即返回）
+   * @param {string} type - 任务类型（SINGLE / MTF）
+   * @param {Function} runner - async (context) => result
+   * @param {Object} options - { userId, params }
+   * @returns {Object} 任务快照
+   */
+  submit(type, runner, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${++this.seq}`,
+      type,
+      status: JOB_STATUS.QUEUED,
+      userId: options.userId || 'anonymous',
+      params: options.params || {},
+      progress: 0,
+      message: '等待执行',
+      result: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist(job, true);
+
+    setImmediate(() => {
+      this.run(job, runner).catch(() => {});
+    });
+
+    return this.snapshot(job);
+  }
+
+  // 执行任务
+  async run(job, runner) {
+    if (job.status !== JOB_STATUS.QUEUED) return;
+
+    this.update(job, {
+      status: JOB_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+      message: '正在执行'
+    }, true);
+
+    try {
+      const result = await runner(this.createContext(job));
+      if (job.cancelRequested) {
+        throw new CancelledError('Scan job cancelled', job.type, { jobId: job.id });
+      }
+      this.update(job, {
+        status: JOB_STATUS.COMPLETED,
+        progress: 100,
+        message: '任务完成',
+        result,
+        finishedAt: new Date().toISOString()
+      }, true);
+    } catch (error) {
+      const cancelled = error instanceof CancelledError || job.cancelRequested;
+      this.update(job, {
+        status: cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+        message: cancelled ? '任务已取消' : `任务失败: ${error.message}`,
+        error: cancelled ? null : serializeError(error),
+        finishedAt: new Date().toISOString()
+      }, true);
+    }
+
+    this.trimFinished();
+  }
+
+  // 传给runner的上下文：进度上报和取消检查
+  createContext(job) {
+    return {
+      jobId: job.id,
+      reportProgress: (progress, message) => {
+        if (!isActiveJob(job)) return;
+        this.update(job, {
+          progress: typeof progress === 'number' ? progress : job.progress,
+          message: message || job.message
+        });
+      },
+      isCancelled: () => job.cancelRequested,
+      throwIfCancelled: () => {
+        if (job.cancelRequested) {
+          throw new CancelledError('Scan job cancelled', job.type, { jobId: job.id });
+        }
+      }
+    };
+  }
+
+  /**
+   * 取消任务（排队中的立即取消，运行中的在下一个检查点停止）
+   * @param {string} id - 任务ID
+   * @returns {Object} { found, cancelled, job }
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      const stored = this.store.getJob(id);
+      return { found: !!stored, cancelled: false, job: stored };
+    }
+
+    if (!isActiveJob(job)) {
+      return { found: true, cancelled: false, job: this.snapshot(job) };
+    }
+
+    job.cancelRequested = true;
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.update(job, {
+        status: JOB_STATUS.CANCELLED,
+        message: '任务已取消',
+        finishedAt: new Date().toISOString()
+      }, true);
+    } else {
+      this.update(job, { message: '正在取消...' }, true);
+    }
+
+    return { found: true, cancelled: true, job: this.snapshot(job) };
+  }
+
+  /**
+   * 获取任务（内存优先，其次数据库）
+   * @param {string} id - 任务ID
+   * @returns {Object|null} 任务快照
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : this.store.getJob(id);
+  }
+
+  /**
+   * 获取最近的任务
+   * @param {number} limit - 条数
+   * @returns {Array} 任务列表
+   */
+  listJobs(limit = 20) {
+    return this.store.listJobs(limit).map(stored => {
+      const job = this.jobs.get(stored.id);
+      return job ? this.snapshot(job) : stored;
+    });
+  }
+
+  update(job, changes, force = false) {
+    Object.assign(job, changes);
+    this.persist(job, force);
+    if (this.onUpdate) this.onUpdate(this.snapshot(job), changes);
+  }
+
+  // 写库（进度更新按间隔节流）
+  persist(job, force = false) {
+    const now = Date.now();
+    const last = this.lastPersistAt.get(job.id) || 0;
+    if (!force && now - last < SCAN_JOB_CONFIG.PERSIST_INTERVAL_MS) return;
+
+    this.lastPersistAt.set(job.id, now);
+    this.store.saveJob(job);
+  }
+
+  // 清理内存中多余的已结束任务（数据库中仍保留）
+  trimFinished() {
+    const finished = [...this.jobs.values()].filter(job => !isActiveJob(job));
+    const excess = finished.length - SCAN_JOB_CONFIG.MAX_FINISHED_IN_MEMORY;
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+      this.lastPersistAt.delete(finished[i].id);
+    }
+  }
+
+  snapshot(job) {
+    return { ...job };
+  }
+}
+
+module.exports = {
+  JOB_STATUS,
+  ACTIVE_JOB_STATUSES,
+  SCAN_JOB_CONFIG,
+  ScanJobManager
+};
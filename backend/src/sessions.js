@@ -0,0 +1,197 @@
+/**
+ * 交易时段与 ICT Killzone
+ *
+ * 时段按纽约时间划分（自动处理夏令时）：亚洲 20:00–24:00、伦敦 02:00–05:00、
+ * 纽约 07:00–10:00、伦敦收盘 10:00–12:00，其余为 OFF_SESSION。
+ * 日/周/月开盘价以纽约午夜为界（周一开周、1日开月），前一日高低点同样按纽约日计算。
+ * 亚洲区间高低点和前一日高低点作为流动性池供扫荡检测使用。
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function parseList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// 时段配置
+const SESSION_CONFIG = {
+  TIMEZONE: 'America/New_York',
+
+  // 时段定义（纽约时间，start 含、end 不含）
+  SESSIONS: [
+    { name: 'ASIA', start: '20:00', end: '24:00' },
+    { name: 'LONDON', start: '02:00', end: '05:00' },
+    { name: 'NEW_YORK', start: '07:00', end: '10:00' },
+    { name: 'LONDON_CLOSE', start: '10:00', end: '12:00' }
+  ],
+
+  // 允许LTF触发的 killzone（逗号分隔的时段名）
+  KILLZONES: parseList(process.env.SESSION_KILLZONES || 'LONDON,NEW_YORK'),
+
+  // 设为 true 时LTF触发不在 killzone 内的信号被拦截
+  KILLZONE_REQUIRED: process.env.KILLZONE_REQUIRED === 'true'
+};
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: SESSION_CONFIG.TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// 按UTC小时缓存的时区偏移（毫秒）
+const offsetCache = new Map();
+
+function offsetOf(timestamp) {
+  const hour = Math.floor(timestamp / HOUR_MS);
+  if (!offsetCache.has(hour)) {
+    if (offsetCache.size > 10000) offsetCache.clear();
+    const parts = {};
+    formatter.formatToParts(new Date(hour * HOUR_MS)).forEach(p => { parts[p.type] = parseInt(p.value, 10); });
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    offsetCache.set(hour, local - hour * HOUR_MS);
+  }
+  return offsetCache.get(hour);
+}
+
+// 纽约本地时间（以UTC字段表示的 Date）
+function toLocal(timestamp) {
+  return new Date(timestamp + offsetOf(timestamp));
+}
+
+// 纽约本地时间 -> 时间戳
+function fromLocal(localMs) {
+  return localMs - offsetOf(localMs - offsetOf(localMs));
+}
+
+// 序列周期（相邻K线的最小间隔）
+function intervalOf(klines) {
+  let interval = Infinity;
+  for (let i = 1; i < klines.length; i++) {
+    interval = Math.min(interval, klines[i].timestamp - klines[i - 1].timestamp);
+  }
+  return interval;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * 时间戳所在的时段
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @returns {string} 时段名，不在任何时段内为 'OFF_SESSION'
+ */
+function getSession(timestamp) {
+  const local = toLocal(timestamp);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const session = SESSION_CONFIG.SESSIONS.find(s => minutes >= toMinutes(s.start) && minutes < toMinutes(s.end));
+  return session ? session.name : 'OFF_SESSION';
+}
+
+/**
+ * 为K线标记时段（按开盘时间）
+ * @param {Array} klines - K线数据
+ * @param {Array<string>} killzones - killzone 时段名（默认 SESSION_CONFIG.KILLZONES）
+ * @returns {Array} 新数组，每根K线附加 session 和 killzone
+ */
+function tagSessions(klines, killzones = SESSION_CONFIG.KILLZONES) {
+  return klines.map(k => {
+    const session = getSession(k.timestamp);
+    return { ...k, session, killzone: killzones.includes(session) };
+  });
+}
+
+/**
+ * 检查时间是否在 killzone 内
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @param {Array<string>} killzones - killzone 时段名（默认 SESSION_CONFIG.KILLZONES）
+ * @returns {Object} { inKillzone, session }
+ */
+function checkKillzone(timestamp, killzones = SESSION_CONFIG.KILLZONES) {
+  const session = getSession(timestamp);
+  return { inKillzone: killzones.includes(session), session };
+}
+
+/**
+ * 时段关键价位
+ * @param {Array|Array<Array>} series - K线数据，或按周期从小到大排列的多条K线序列；
+ *   每个价位取第一条覆盖对应时段起点、且K线边界与时段边界对齐的序列计算，都没有时为 null
+ *   （冬令时纽约午夜为 05:00 UTC，4H K线跨越该边界，只能在夏令时使用）
+ * @param {number} now - 当前时间
+ * @returns {Object} {
+ *   session 当前时段, dailyOpen, weeklyOpen, monthlyOpen, previousDayHigh, previousDayLow,
+ *   asianRange: { high, low, start, end, complete } 最近一个亚洲时段（进行中时 complete 为 false）
+ * }
+ */
+function getSessionLevels(series, now = Date.now()) {
+  const list = (Array.isArray(series[0]) ? series : [series])
+    .filter(s => s && s.length > 1)
+    .map(klines => ({ klines, interval: intervalOf(klines) }));
+
+  const local = toLocal(now);
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  const weekday = (local.getUTCDay() + 6) % 7;  // 周一为0
+
+  const dayStart = fromLocal(midnight);
+  const previousDayStart = fromLocal(midnight - DAY_MS);
+  const weekStart = fromLocal(midnight - weekday * DAY_MS);
+  const monthStart = fromLocal(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1));
+
+  const asia = SESSION_CONFIG.SESSIONS.find(s => s.name === 'ASIA');
+  let asiaStart = fromLocal(midnight + toMinutes(asia.start) * 60 * 1000);
+  if (asiaStart > now) asiaStart = fromLocal(midnight - DAY_MS + toMinutes(asia.start) * 60 * 1000);
+  const asiaEnd = asiaStart + (toMinutes(asia.end) - toMinutes(asia.start)) * 60 * 1000;
+
+  const covering = (from, to = from) => {
+    const match = list.find(s => s.klines[0].timestamp <= from && from % s.interval === 0 && to % s.interval === 0);
+    return match ? match.klines : null;
+  };
+
+  const openAt = from => {
+    const klines = covering(from);
+    const candle = klines && klines.find(k => k.timestamp >= from && k.timestamp <= now);
+    return candle ? candle.open : null;
+  };
+
+  const rangeOf = (from, to) => {
+    const klines = covering(from, to);
+    const inRange = klines ? klines.filter(k => k.timestamp >= from && k.timestamp < to && k.timestamp <= now) : [];
+    if (inRange.length === 0) return null;
+    return {
+      high: Math.max(...inRange.map(k => k.high)),
+      low: Math.min(...inRange.map(k => k.low))
+    };
+  };
+
+  const previousDay = rangeOf(previousDayStart, dayStart);
+  const asianRange = rangeOf(asiaStart, asiaEnd);
+
+  return {
+    session: getSession(now),
+    dailyOpen: openAt(dayStart),
+    weeklyOpen: openAt(weekStart),
+    monthlyOpen: openAt(monthStart),
+    previousDayHigh: previousDay ? previousDay.high : null,
+    previousDayLow: previousDay ? previousDay.low : null,
+    asianRange: asianRange ? {
+      ...asianRange,
+      start: asiaStart,
+      end: asiaEnd,
+      complete: now >= asiaEnd
+    } : null
+  };
+}
+
+module.exports = {
+  SESSION_CONFIG,
+  getSession,
+  tagSessions,
+  checkKillzone,
+  getSessionLevels
+};
@@ -0,0 +1,266 @@
+/**
+ * 信号生命周期追踪模块
+ *
+ * 信号发出后跟踪价格（1M K线 + ticker），推进状态：
+ * PENDING → TRIGGERED（触及入场价）→ TP1_HIT → TP2_HIT / STOPPED_OUT
+ * 入场前先触及止损则为 INVALIDATED。每次状态转换都记录时间和价格。
+ */
+
+// 生命周期状态
+const SIGNAL_STATUS = {
+  PENDING: 'PENDING',
+  TRIGGERED: 'TRIGGERED',
+  TP1_HIT: 'TP1_HIT',
+  TP2_HIT: 'TP2_HIT',
+  STOPPED_OUT: 'STOPPED_OUT',
+  INVALIDATED: 'INVALIDATED',
+  EXPIRED: 'EXPIRED'
+};
+
+// 状态描述（前端展示）
+const STATUS_DESC = {
+  PENDING: '等待入场',
+  TRIGGERED: '已触发入场',
+  TP1_HIT: '已触及止盈1',
+  TP2_HIT: '已触及止盈2',
+  STOPPED_OUT: '已止损出场',
+  INVALIDATED: '入场前触及止损，信号失效',
+  EXPIRED: '信号已过期（超过4小时）'
+};
+
+// 终止状态
+const TERMINAL_STATUSES = ['TP2_HIT', 'STOPPED_OUT', 'INVALIDATED', 'EXPIRED'];
+
+// 生命周期配置
+const LIFECYCLE_CONFIG = {
+  // 每次追踪拉取的1M K线数量
+  KLINE_LOOKBACK: 30,
+  KLINE_TIMEFRAME: '1m'
+};
+
+/**
+ * 是否为等待入场状态（兼容扫描器生成的ACTIVE）
+ * @param {string} status - 信号状态
+ * @returns {boolean}
+ */
+function isPendingStatus(status) {
+  return status === 'ACTIVE' || status === SIGNAL_STATUS.PENDING;
+}
+
+/**
+ * 是否为终止状态
+ * @param {string} status - 信号状态
+ * @returns {boolean}
+ */
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * 是否为已入场且未平仓状态
+ * @param {string} status - 信号状态
+ * @returns {boolean}
+ */
+function isOpenPosition(status) {
+  return status === SIGNAL_STATUS.TRIGGERED || status === SIGNAL_STATUS.TP1_HIT;
+}
+
+/**
+ * 状态转换（返回新对象，并记录转换时间与价格）
+ * @param {Object} signal - 信号对象
+ * @param {string} to - 目标状态
+ * @param {Object} stamp - { time, price, reason }
+ * @returns {Object} { signal, transition }
+ */
+function transitionSignal(signal, to, stamp = {}) {
+  const time = new Date(stamp.time || Date.now()).toISOString();
+  const transition = {
+    from: signal.status,
+    to,
+    time,
+    price: stamp.price !== undefined ? stamp.price : null,
+    reason: stamp.reason || null
+  };
+
+  const next = {
+    ...signal,
+    status: to,
+    status_desc: STATUS_DESC[to],
+    transitions: [...(signal.transitions || []), transition]
+  };
+
+  if (to === SIGNAL_STATUS.TRIGGERED) {
+    next.triggered_at = time;
+    next.triggered_price = transition.price;
+  } else if (to === SIGNAL_STATUS.TP1_HIT) {
+    next.tp1_hit_at = time;
+  }
+
+  if (isTerminalStatus(to)) {
+    next.closed_at = time;
+    next.close_price = transition.price;
+    next.status_reason = transition.reason;
+  }
+
+  return { signal: next, transition };
+}
+
+/**
+ * 初始化信号生命周期（新信号进入PENDING）
+ * @param {Object} signal - 扫描器生成的信号
+ * @returns {Object} 初始化后的信号
+ */
+function initLifecycle(signal) {
+  if (signal.transitions && signal.transitions.length > 0) return signal;
+
+  const { signal: next } = transitionSignal(
+    { ...signal, status: null, triggered_at: null, closed_at: null },
+    SIGNAL_STATUS.PENDING,
+    { time: signal.created_at || signal.timestamp, price: signal.entry_price, reason: 'SIGNAL_CREATED' }
+  );
+  next.lifecycle = { last_candle_ts: null, last_price: null };
+  return next;
+}
+
+/**
+ * 用一根K线（或价格区间）推进信号状态
+ * 同一根K线内顺序未知时保守处理：先入场、后止损、再止盈
+ * @param {Object} signal - 信号对象
+ * @param {Object} candle - { timestamp, high, low, close }
+ * @returns {Object} { signal, transitions }
+ */
+function applyCandle(signal, candle) {
+  const transitions = [];
+  const isLong = signal.direction === 'LONG';
+  const hitSL = isLong ? candle.low <= signal.sl : candle.high >= signal.sl;
+  const hitTP1 = isLong ? candle.high >= signal.tp1 : candle.low <= signal.tp1;
+  const hitTP2 = isLong ? candle.high >= signal.tp2 : candle.low <= signal.tp2;
+  const time = candle.timestamp;
+
+  let current = signal;
+  const move = (to, price, reason) => {
+    const result = transitionSignal(current, to, { time, price, reason });
+    current = result.signal;
+    transitions.push(result.transition);
+  };
+
+  if (isPendingStatus(current.status)) {
+    const touchedEntry = candle.low <= signal.entry_price && candle.high >= signal.entry_price;
+    if (!touchedEntry) {
+      if (hitSL) move(SIGNAL_STATUS.INVALIDATED, signal.sl, 'SL_HIT_BEFORE_ENTRY');
+      return { signal: current, transitions };
+    }
+    move(SIGNAL_STATUS.TRIGGERED, signal.entry_price, 'ENTRY_TOUCHED');
+  }
+
+  if (isOpenPosition(current.status) && hitSL) {
+    move(SIGNAL_STATUS.STOPPED_OUT, signal.sl, 'SL_HIT');
+    return { signal: current, transitions };
+  }
+
+  if (current.status === SIGNAL_STATUS.TRIGGERED && hitTP1) {
+    move(SIGNAL_STATUS.TP1_HIT, signal.tp1, 'TP1_HIT');
+  }
+
+  if (current.status === SIGNAL_STATUS.TP1_HIT && hitTP2) {
+    move(SIGNAL_STATUS.TP2_HIT, signal.tp2, 'TP2_HIT');
+  }
+
+  return { signal: current, transitions };
+}
+
+/**
+ * 用K线和ticker推进单个信号
+ * @param {Object} signal - 信号对象
+ * @param {Object} market - { klines, ticker, now }
+ * @returns {Object} { signal, transitions }
+ */
+function advanceSignal(signal, market = {}) {
+  let current = signal.transitions ? signal : initLifecycle(signal);
+  if (isTerminalStatus(current.status)) {
+    return { signal: current, transitions: [] };
+  }
+
+  const transitions = [];
+  const createdMs = new Date(current.created_at || current.timestamp).getTime();
+  const lifecycle = { ...(current.lifecycle || {}) };
+
+  // 1. 逐根处理尚未处理过的已收盘K线（形成中的K线由ticker覆盖）
+  const klines = (market.klines || []).filter(k =>
+    k.closed !== false &&
+    k.timestamp >= createdMs &&
+    (lifecycle.last_candle_ts === null || lifecycle.last_candle_ts === undefined || k.timestamp > lifecycle.last_candle_ts)
+  );
+
+  for (const k of klines) {
+    const result = applyCandle(current, k);
+    current = result.signal;
+    transitions.push(...result.transitions);
+    lifecycle.last_candle_ts = k.timestamp;
+    lifecycle.last_price = k.close;
+    if (isTerminalStatus(current.status)) break;
+  }
+
+  // 2. 用ticker补充K线之间的最新价格（与上次价格构成区间，避免跳价遗漏）
+  const ticker = market.ticker;
+  if (!isTerminalStatus(current.status) && ticker && ticker.last > 0) {
+    const prev = lifecycle.last_price || ticker.last;
+    const result = applyCandle(current, {
+      timestamp: market.now || Date.now(),
+      high: Math.max(prev, ticker.last),
+      low: Math.min(prev, ticker.last),
+      close: ticker.last
+    });
+    current = result.signal;
+    transitions.push(...result.transitions);
+    lifecycle.last_price = ticker.last;
+  }
+
+  current = { ...current, lifecycle };
+  return { signal: current, transitions };
+}
+
+/**
+ * 批量追踪信号
+ * @param {Array} signals - 信号列表
+ * @param {Object} market - { klinesBySymbol, tickers, now }
+ * @returns {Object} { signals, transitions }
+ */
+function trackSignals(signals, market = {}) {
+  const klinesBySymbol = market.klinesBySymbol || {};
+  const tickers = market.tickers || {};
+  const allTransitions = [];
+
+  const updated = signals.map(signal => {
+    if (isTerminalStatus(signal.status)) return signal;
+
+    const result = advanceSignal(signal, {
+      klines: klinesBySymbol[signal.symbol],
+      ticker: tickers[signal.symbol],
+      now: market.now
+    });
+
+    result.transitions.forEach(t => {
+      allTransitions.push({ signal_id: signal.id, symbol: signal.symbol, direction: signal.direction, ...t });
+    });
+
+    return result.signal;
+  });
+
+  return { signals: updated, transitions: allTransitions };
+}
+
+module.exports = {
+  SIGNAL_STATUS,
+  STATUS_DESC,
+  TERMINAL_STATUSES,
+  LIFECYCLE_CONFIG,
+  isPendingStatus,
+  isTerminalStatus,
+  isOpenPosition,
+  transitionSignal,
+  initLifecycle,
+  applyCandle,
+  advanceSignal,
+  trackSignals
+};
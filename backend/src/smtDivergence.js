@@ -0,0 +1,175 @@
+/**
+ * SMT 背离 (Smart Money Technique Divergence)
+ *
+ * 同一相关性分组内的两个交易对，一个扫过了参考摆动高点/低点而另一个没有，
+ * 说明这次突破缺乏跨市场确认，更可能是扫流动性后的反转：
+ * - 看跌 SMT: 一方创出更高的高点，另一方未能突破对应高点
+ * - 看涨 SMT: 一方创出更低的低点，另一方未能跌破对应低点
+ * 参考摆动点取两者中最近形成的一个，另一方的对应价位为同一时间附近的极值。
+ */
+
+const { findSwingPoints } = require('./marketStructure');
+
+function parseGroups(value) {
+  if (!value) return null;
+  const groups = {};
+  value.split(';').map(s => s.trim()).filter(Boolean).forEach((group, index) => {
+    groups[`GROUP_${index + 1}`] = group.split(',').map(s => s.trim()).filter(Boolean);
+  });
+  return groups;
+}
+
+// SMT配置
+const SMT_CONFIG = {
+  // 相关性分组（环境变量格式: BTC_USDT,ETH_USDT,SOL_USDT;ARB_USDT,OP_USDT）
+  GROUPS: parseGroups(process.env.SMT_GROUPS) || {
+    MAJORS: ['BTC_USDT', 'ETH_USDT', 'SOL_USDT']
+  },
+
+  // 检测周期
+  TIMEFRAME: '15m',
+
+  // 摆动点回望周期
+  SWING_LOOKBACK: 3,
+
+  // 最近多少根K线内的扫荡有效
+  WINDOW: 10,
+
+  // 与信号方向一致的SMT背离加分
+  SCORE_BONUS: 10
+};
+
+/**
+ * 按时间戳对齐两条K线序列
+ * @returns {Array} [alignedA, alignedB]
+ */
+function alignSeries(klinesA, klinesB) {
+  const byTime = new Map(klinesB.map(k => [k.timestamp, k]));
+  const a = [];
+  const b = [];
+  klinesA.forEach(k => {
+    const other = byTime.get(k.timestamp);
+    if (other) {
+      a.push(k);
+      b.push(other);
+    }
+  });
+  return [a, b];
+}
+
+/**
+ * 检测两个交易对之间的SMT背离
+ * @param {Array} klinesA - 交易对A的K线
+ * @param {Array} klinesB - 交易对B的K线
+ * @param {Object} options - { lookback, window }
+ * @returns {Array} 背离列表 [{ type: 'BULLISH_SMT' | 'BEARISH_SMT', direction, swept: 'A' | 'B',
+ *   referenceTimestamp, levels: { A, B }, extremes: { A, B }, sweepTimestamp }]
+ */
+function detectSMTDivergence(klinesA, klinesB, options = {}) {
+  const lookback = options.lookback || SMT_CONFIG.SWING_LOOKBACK;
+  const window = options.window || SMT_CONFIG.WINDOW;
+  const [a, b] = alignSeries(klinesA || [], klinesB || []);
+  const divergences = [];
+
+  // 参考摆动点需在检测窗口之前确认
+  const cutoff = a.length - window;
+  if (cutoff < lookback * 2 + 1) return divergences;
+
+  const series = { A: a, B: b };
+  const swingsA = findSwingPoints(a.slice(0, cutoff), lookback);
+  const swingsB = findSwingPoints(b.slice(0, cutoff), lookback);
+
+  const sides = [
+    { side: 'high', type: 'BEARISH_SMT', direction: 'SHORT', swings: [swingsA.swingHighs, swingsB.swingHighs] },
+    { side: 'low', type: 'BULLISH_SMT', direction: 'LONG', swings: [swingsA.swingLows, swingsB.swingLows] }
+  ];
+
+  sides.forEach(({ side, type, direction, swings }) => {
+    const latest = swings.map(list => list[list.length - 1]).filter(Boolean);
+    if (latest.length === 0) return;
+    const reference = Math.max(...latest.map(s => s.index));
+
+    // 各自在参考时间附近的极值，以及检测窗口内的极值
+    const extreme = (klines, from, to) => {
+      const values = klines.slice(from, to).map(k => k[side]);
+      return side === 'high' ? Math.max(...values) : Math.min(...values);
+    };
+    const beyond = (price, level) => (side === 'high' ? price > level : price < level);
+
+    const levels = {};
+    const extremes = {};
+    const swept = {};
+    for (const key of ['A', 'B']) {
+      const klines = series[key];
+      levels[key] = extreme(klines, Math.max(0, reference - lookback), reference + lookback + 1);
+      extremes[key] = extreme(klines, cutoff, klines.length);
+      swept[key] = beyond(extremes[key], levels[key]);
+    }
+
+    if (swept.A === swept.B) return;
+
+    const sweptKey = swept.A ? 'A' : 'B';
+    const sweepIndex = series[sweptKey].findIndex((k, i) => i >= cutoff && beyond(k[side], levels[sweptKey]));
+    divergences.push({
+      type,
+      direction,
+      swept: sweptKey,
+      referenceTimestamp: a[reference].timestamp,
+      levels,
+      extremes,
+      sweepTimestamp: series[sweptKey][sweepIndex].timestamp
+    });
+  });
+
+  return divergences;
+}
+
+/**
+ * 按相关性分组检测所有交易对的SMT背离
+ * @param {Object} klinesBySymbol - { symbol: K线数据 }
+ * @param {Object} groups - 相关性分组（默认 SMT_CONFIG.GROUPS）
+ * @param {Object} options - 透传给 detectSMTDivergence
+ * @returns {Object} { symbol: [{ type, direction, group, symbol, pairSymbol, sweptSymbol, failedSymbol,
+ *   timeframe, referenceTimestamp, sweptLevel, failedLevel, sweepTimestamp }] }
+ */
+function analyzeSMTGroups(klinesBySymbol, groups = SMT_CONFIG.GROUPS, options = {}) {
+  const result = {};
+
+  for (const [group, symbols] of Object.entries(groups)) {
+    const present = symbols.filter(s => klinesBySymbol[s] && klinesBySymbol[s].length > 0);
+
+    for (let i = 0; i < present.length; i++) {
+      for (let j = i + 1; j < present.length; j++) {
+        const pair = { A: present[i], B: present[j] };
+
+        detectSMTDivergence(klinesBySymbol[pair.A], klinesBySymbol[pair.B], options).forEach(div => {
+          const failed = div.swept === 'A' ? 'B' : 'A';
+          const base = {
+            type: div.type,
+            direction: div.direction,
+            group,
+            sweptSymbol: pair[div.swept],
+            failedSymbol: pair[failed],
+            timeframe: options.timeframe || SMT_CONFIG.TIMEFRAME,
+            referenceTimestamp: div.referenceTimestamp,
+            sweptLevel: div.levels[div.swept],
+            failedLevel: div.levels[failed],
+            sweepTimestamp: div.sweepTimestamp
+          };
+          [pair.A, pair.B].forEach(symbol => {
+            if (!result[symbol]) result[symbol] = [];
+            result[symbol].push({ ...base, symbol, pairSymbol: symbol === pair.A ? pair.B : pair.A });
+          });
+        });
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  SMT_CONFIG,
+  detectSMTDivergence,
+  analyzeSMTGroups
+};
@@ -0,0 +1,130 @@
+/**
+ * JSON 数据一次性导入
+ *
+ * 把旧版 backend/data 下的 signals.json / history.json / scanLogs.json / klines.json
+ * 导入 SQLite。整个导入在一个事务中完成，中途失败不会留下部分数据；
+ * 完成后在 meta 表记录标记，重复调用不会再次导入。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_META_KEY = 'json_imported_at';
+
+// 日志与历史记录时间相差在该窗口内视为同一次扫描
+const SCAN_MATCH_WINDOW_MS = 60 * 1000;
+
+function readJSON(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * 去掉每个交易对最后一根K线
+ * 旧版保存的是交易所原始返回，最后一根在保存时仍在形成中；文件没有 closed 标记，
+ * 按导入时的时间判断会把它当成已收盘，只能直接丢弃
+ * @param {Object} klinesBySymbol - { symbol: [...] }
+ * @returns {Object} { symbol: [...] }
+ */
+function dropFormingCandles(klinesBySymbol) {
+  return Object.fromEntries(Object.entries(klinesBySymbol).map(([symbol, klines]) => [
+    symbol,
+    [...(klines || [])].sort((a, b) => a.timestamp - b.timestamp).slice(0, -1)
+  ]));
+}
+
+/**
+ * 导入旧版JSON数据
+ * @param {SqliteStore} store - 存储实例
+ * @param {string} dataDir - JSON文件所在目录
+ * @param {Object} options - { force: 忽略已导入标记 }
+ * @returns {Object} 导入统计
+ */
+function importJsonData(store, dataDir, options = {}) {
+  const alreadyImported = store.getMeta(IMPORT_META_KEY);
+  if (alreadyImported && !options.force) {
+    return { skipped: true, importedAt: alreadyImported };
+  }
+
+  const history = readJSON(path.join(dataDir, 'history.json')) || [];
+  const logs = readJSON(path.join(dataDir, 'scanLogs.json')) || [];
+  const snapshot = readJSON(path.join(dataDir, 'signals.json'));
+  const klines = readJSON(path.join(dataDir, 'klines.json'));
+
+  const stats = { scans: 0, signals: 0, filtered: 0, candles: 0 };
+  const scanIds = new Set();
+
+  const run = store.db.transaction(() => {
+    // 1. 扫描日志 -> scans
+    const logTimes = logs.map(log => ({ id: log.id, time: new Date(log.endTime || log.timestamp).getTime() }));
+    logs.forEach(log => {
+      store.saveScan({ ...log, scanType: log.scanType || 'SINGLE' });
+      scanIds.add(log.id);
+    });
+
+    // 查找与某时刻对应的扫描ID（优先复用日志ID）
+    const resolveScanId = (time) => {
+      const ms = new Date(time).getTime();
+      const match = logTimes.find(l => Math.abs(l.time - ms) <= SCAN_MATCH_WINDOW_MS);
+      return match ? match.id : `history_${ms}`;
+    };
+
+    const snapshotScanId = snapshot && snapshot.scan_time ? resolveScanId(snapshot.scan_time) : null;
+
+    // 2. 扫描历史 -> scans + 信号摘要（最新快照对应的扫描由第3步写入完整信号）
+    history.forEach(entry => {
+      const scanId = resolveScanId(entry.time);
+      const summaries = scanId === snapshotScanId ? [] : (entry.signals || []);
+      const signals = summaries.map(s => ({
+        ...s,
+        id: `${s.symbol}_${new Date(entry.time).getTime()}`,
+        status: 'ARCHIVED',
+        timestamp: entry.time
+      }));
+
+      store.saveScan({
+        id: scanId,
+        endTime: entry.time,
+        signalsGenerated: entry.signal_count,
+        signalsFiltered: entry.filtered_count
+      }, signals);
+
+      scanIds.add(scanId);
+      stats.signals += signals.length;
+    });
+
+    // 3. 最新信号快照 -> signals + filtered_results（完整数据覆盖摘要）
+    if (snapshotScanId) {
+      const scanId = snapshotScanId;
+      const signals = snapshot.signals || [];
+      const filtered = snapshot.filtered || [];
+
+      store.saveScan({
+        id: scanId,
+        endTime: snapshot.scan_time,
+        signalsGenerated: signals.length,
+        signalsFiltered: filtered.length
+      }, signals, filtered);
+
+      scanIds.add(scanId);
+      stats.signals += signals.length;
+      stats.filtered += filtered.length;
+    }
+
+    // 4. K线 -> candles（klines.json 保存的是4H数据）
+    if (klines) {
+      stats.candles = store.saveCandles(dropFormingCandles(klines), '4h');
+    }
+
+    const importedAt = new Date().toISOString();
+    store.setMeta(IMPORT_META_KEY, importedAt);
+    return importedAt;
+  });
+
+  const importedAt = run();
+  stats.scans = scanIds.size;
+
+  return { skipped: false, importedAt, ...stats };
+}
+
+module.exports = { IMPORT_META_KEY, importJsonData };
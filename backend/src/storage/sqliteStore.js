@@ -0,0 +1,682 @@
+/**
+ * SQLite 持久化层
+ *
+ * 替代 backend/data 下的 JSON 文件，保存扫描记录、信号、过滤结果、
+ * 信号状态转换、K线、扫描任务和投递失败的Webhook。所有写入都在事务中完成，旧数据按保留窗口清理。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// 存储配置
+const STORAGE_CONFIG = {
+  // 数据库文件路径
+  DB_PATH: process.env.DB_PATH || path.join(__dirname, '..', '..', 'data', 'signals.db'),
+
+  // 数据保留天数（扫描、信号、过滤结果、状态转换）
+  RETENTION_DAYS: parseInt(process.env.RETENTION_DAYS || '90', 10),
+
+  // K线保留天数
+  CANDLE_RETENTION_DAYS: parseInt(process.env.CANDLE_RETENTION_DAYS || '365', 10)
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS scans (
+    id TEXT PRIMARY KEY,
+    scan_type TEXT NOT NULL DEFAULT 'SINGLE',
+    started_at TEXT,
+    finished_at TEXT NOT NULL,
+    duration TEXT,
+    total_symbols INTEGER,
+    signal_count INTEGER NOT NULL DEFAULT 0,
+    filtered_count INTEGER NOT NULL DEFAULT 0,
+    rating_distribution TEXT,
+    filter_reasons TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_scans_finished_at ON scans(finished_at);
+
+  CREATE TABLE IF NOT EXISTS signals (
+    id TEXT PRIMARY KEY,
+    scan_id TEXT,
+    symbol TEXT NOT NULL,
+    direction TEXT,
+    rating TEXT,
+    score REAL,
+    rrr REAL,
+    status TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    closed_at TEXT,
+    payload TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_signals_scan_id ON signals(scan_id);
+  CREATE INDEX IF NOT EXISTS idx_signals_symbol_created ON signals(symbol, created_at);
+  CREATE INDEX IF NOT EXISTS idx_signals_status ON signals(status);
+
+  CREATE TABLE IF NOT EXISTS filtered_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scan_id TEXT,
+    symbol TEXT,
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    payload TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_filtered_scan_id ON filtered_results(scan_id);
+
+  CREATE TABLE IF NOT EXISTS signal_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signal_id TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    price REAL,
+    reason TEXT,
+    time TEXT NOT NULL,
+    UNIQUE(signal_id, to_status, time)
+  );
+  CREATE INDEX IF NOT EXISTS idx_transitions_signal_id ON signal_transitions(signal_id);
+
+  CREATE TABLE IF NOT EXISTS candles (
+    symbol TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    open REAL NOT NULL,
+    high REAL NOT NULL,
+    low REAL NOT NULL,
+    close REAL NOT NULL,
+    volume REAL NOT NULL,
+    PRIMARY KEY (symbol, timeframe, timestamp)
+  ) WITHOUT ROWID;
+
+  CREATE TABLE IF NOT EXISTS scan_jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    user_id TEXT,
+    params TEXT,
+    progress INTEGER NOT NULL DEFAULT 0,
+    message TEXT,
+    result TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_scan_jobs_created_at ON scan_jobs(created_at);
+
+  CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    endpoint TEXT NOT NULL,
+    event TEXT NOT NULL,
+    delivery_id TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  );
+`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toJSON(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJSON(value, fallback = null) {
+  return value ? JSON.parse(value) : fallback;
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    userId: row.user_id,
+    params: fromJSON(row.params, {}),
+    progress: row.progress,
+    message: row.message,
+    result: fromJSON(row.result),
+    error: fromJSON(row.error),
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+function rowToDeadLetter(row) {
+  return {
+    id: row.id,
+    endpoint: row.endpoint,
+    event: row.event,
+    deliveryId: row.delivery_id,
+    payload: JSON.parse(row.payload),
+    error: row.error,
+    attempts: row.attempts,
+    createdAt: row.created_at
+  };
+}
+
+class SqliteStore {
+  constructor(dbPath = STORAGE_CONFIG.DB_PATH) {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+    this.prepareStatements();
+  }
+
+  prepareStatements() {
+    this.stmts = {
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare(
+        'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+      ),
+      insertScan: this.db.prepare(`
+        INSERT INTO scans (id, scan_type, started_at, finished_at, duration, total_symbols,
+          signal_count, filtered_count, rating_distribution, filter_reasons)
+        VALUES (@id, @scan_type, @started_at, @finished_at, @duration, @total_symbols,
+          @signal_count, @filtered_count, @rating_distribution, @filter_reasons)
+        ON CONFLICT(id) DO UPDATE SET
+          scan_type = excluded.scan_type,
+          started_at = COALESCE(excluded.started_at, scans.started_at),
+          finished_at = excluded.finished_at,
+          duration = COALESCE(excluded.duration, scans.duration),
+          total_symbols = COALESCE(excluded.total_symbols, scans.total_symbols),
+          signal_count = excluded.signal_count,
+          filtered_count = excluded.filtered_count,
+          rating_distribution = COALESCE(excluded.rating_distribution, scans.rating_distribution),
+          filter_reasons = COALESCE(excluded.filter_reasons, scans.filter_reasons)
+      `),
+      upsertSignal: this.db.prepare(`
+        INSERT INTO signals (id, scan_id, symbol, direction, rating, score, rrr, status,
+          created_at, updated_at, closed_at, payload)
+        VALUES (@id, @scan_id, @symbol, @direction, @rating, @score, @rrr, @status,
+          @created_at, @updated_at, @closed_at, @payload)
+        ON CONFLICT(id) DO UPDATE SET
+          scan_id = COALESCE(signals.scan_id, excluded.scan_id),
+          status = excluded.status,
+          rating = excluded.rating,
+          score = excluded.score,
+          updated_at = excluded.updated_at,
+          closed_at = excluded.closed_at,
+          payload = excluded.payload
+      `),
+      insertFiltered: this.db.prepare(`
+        INSERT INTO filtered_results (scan_id, symbol, reason, created_at, payload)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      deleteFiltered: this.db.prepare('DELETE FROM filtered_results WHERE scan_id = ?'),
+      insertTransition: this.db.prepare(`
+        INSERT OR IGNORE INTO signal_transitions (signal_id, from_status, to_status, price, reason, time)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      upsertCandle: this.db.prepare(`
+        INSERT INTO candles (symbol, timeframe, timestamp, open, high, low, close, volume)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(symbol, timeframe, timestamp) DO UPDATE SET
+          open = excluded.open, high = excluded.high, low = excluded.low,
+          close = excluded.close, volume = excluded.volume
+      `),
+      upsertJob: this.db.prepare(`
+        INSERT INTO scan_jobs (id, type, status, user_id, params, progress, message, result, error,
+          created_at, started_at, finished_at)
+        VALUES (@id, @type, @status, @user_id, @params, @progress, @message, @result, @error,
+          @created_at, @started_at, @finished_at)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          progress = excluded.progress,
+          message = excluded.message,
+          result = excluded.result,
+          error = excluded.error,
+          started_at = excluded.started_at,
+          finished_at = excluded.finished_at
+      `)
+    };
+  }
+
+  // ========== 元数据 ==========
+
+  getMeta(key) {
+    const row = this.stmts.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.stmts.setMeta.run(key, value);
+  }
+
+  // ========== 写入 ==========
+
+  /**
+   * 保存一次扫描（扫描记录 + 信号 + 过滤结果，单个事务）
+   * @param {Object} log - 扫描日志（recordScanLog生成）
+   * @param {Array} signals - 本次扫描产生的信号
+   * @param {Array} filtered - 本次扫描的过滤结果（非空时整体替换该扫描已有的过滤结果）
+   */
+  saveScan(log, signals = [], filtered = []) {
+    const run = this.db.transaction(() => {
+      this.stmts.insertScan.run({
+        id: log.id,
+        scan_type: log.scanType || 'SINGLE',
+        started_at: log.startTime || null,
+        finished_at: log.endTime || log.timestamp,
+        duration: log.duration || null,
+        total_symbols: log.totalSymbols || null,
+        signal_count: log.signalsGenerated || signals.length,
+        filtered_count: log.signalsFiltered || filtered.length,
+        rating_distribution: toJSON(log.ratingDistribution),
+        filter_reasons: toJSON(log.filterReasons)
+      });
+
+      signals.forEach(signal => this.upsertSignal(signal, log.id));
+
+      const createdAt = log.endTime || log.timestamp;
+      if (filtered.length > 0) this.stmts.deleteFiltered.run(log.id);
+      filtered.forEach(f => {
+        this.stmts.insertFiltered.run(log.id, f.symbol || null, f.reason || null, createdAt, JSON.stringify(f));
+      });
+    });
+    run();
+  }
+
+  /**
+   * 批量更新信号（状态变化等），同时记录状态转换
+   * @param {Array} signals - 信号列表
+   */
+  saveSignals(signals) {
+    const run = this.db.transaction(() => {
+      signals.forEach(signal => this.upsertSignal(signal, null));
+    });
+    run();
+  }
+
+  // 单条信号写入（需在事务内调用）
+  upsertSignal(signal, scanId) {
+    const createdAt = signal.created_at || signal.timestamp || new Date().toISOString();
+    this.stmts.upsertSignal.run({
+      id: signal.id,
+      scan_id: scanId,
+      symbol: signal.symbol,
+      direction: signal.direction || null,
+      rating: signal.rating || null,
+      score: typeof signal.score === 'number' ? signal.score : null,
+      rrr: typeof signal.rrr === 'number' ? signal.rrr : null,
+      status: signal.status || null,
+      created_at: createdAt,
+      updated_at: new Date().toISOString(),
+      closed_at: signal.closed_at || null,
+      payload: JSON.stringify(signal)
+    });
+
+    (signal.transitions || []).forEach(t => {
+      this.stmts.insertTransition.run(
+        signal.id,
+        t.from || null,
+        t.to,
+        typeof t.price === 'number' ? t.price : null,
+        t.reason || null,
+        t.time
+      );
+    });
+  }
+
+  /**
+   * 保存K线（按symbol/timeframe/timestamp去重）
+   * @param {Object} klinesBySymbol - { symbol: [...] }
+   * @param {string} timeframe - 时间框架
+   * @returns {number} 写入条数
+   */
+  saveCandles(klinesBySymbol, timeframe) {
+    let count = 0;
+    const run = this.db.transaction(() => {
+      for (const [symbol, klines] of Object.entries(klinesBySymbol || {})) {
+        for (const k of klines || []) {
+          // 未收盘K线不落库，避免保存会变化的数据
+          if (k.closed === false) continue;
+          this.stmts.upsertCandle.run(symbol, timeframe, k.timestamp, k.open, k.high, k.low, k.close, k.volume);
+          count++;
+        }
+      }
+    });
+    run();
+    return count;
+  }
+
+  /**
+   * 保存扫描任务（新建或更新）
+   * @param {Object} job - 任务对象（ScanJobManager生成）
+   */
+  saveJob(job) {
+    this.stmts.upsertJob.run({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      user_id: job.userId || null,
+      params: toJSON(job.params),
+      progress: job.progress || 0,
+      message: job.message || null,
+      result: toJSON(job.result),
+      error: toJSON(job.error),
+      created_at: job.createdAt,
+      started_at: job.startedAt || null,
+      finished_at: job.finishedAt || null
+    });
+  }
+
+  /**
+   * 把未结束的任务标记为失败（进程重启后无法继续执行）
+   * @param {Array<string>} activeStatuses - 未结束状态
+   * @param {string} message - 失败原因
+   * @returns {number} 更新条数
+   */
+  failInterruptedJobs(activeStatuses, message) {
+    return this.db.prepare(`
+      UPDATE scan_jobs
+      SET status = 'FAILED', message = ?, error = ?, finished_at = ?
+      WHERE status IN (SELECT value FROM json_each(?))
+    `).run(
+      message,
+      JSON.stringify({ message, code: 'INTERRUPTED' }),
+      new Date().toISOString(),
+      JSON.stringify(activeStatuses)
+    ).changes;
+  }
+
+  /**
+   * 记录投递失败的Webhook
+   * @param {Object} entry - { endpoint, event, deliveryId, payload, error, attempts }
+   * @returns {number} 记录ID
+   */
+  saveDeadLetter(entry) {
+    return Number(this.db.prepare(`
+      INSERT INTO webhook_dead_letters (endpoint, event, delivery_id, payload, error, attempts, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.endpoint,
+      entry.event,
+      entry.deliveryId,
+      JSON.stringify(entry.payload),
+      entry.error || null,
+      entry.attempts || 0,
+      new Date().toISOString()
+    ).lastInsertRowid);
+  }
+
+  deleteDeadLetter(id) {
+    return this.db.prepare('DELETE FROM webhook_dead_letters WHERE id = ?').run(id).changes > 0;
+  }
+
+  // ========== 查询 ==========
+
+  /**
+   * 获取投递失败的Webhook（最新在前）
+   * @param {Object} filters - { endpoint, limit }
+   * @returns {Array} 失败记录
+   */
+  listDeadLetters(filters = {}) {
+    const where = filters.endpoint ? 'WHERE endpoint = ?' : '';
+    const params = filters.endpoint ? [filters.endpoint] : [];
+    params.push(filters.limit || 100);
+    return this.db.prepare(`SELECT * FROM webhook_dead_letters ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params)
+      .map(rowToDeadLetter);
+  }
+
+  getDeadLetter(id) {
+    const row = this.db.prepare('SELECT * FROM webhook_dead_letters WHERE id = ?').get(id);
+    return row ? rowToDeadLetter(row) : null;
+  }
+
+  /**
+   * 获取扫描任务
+   * @param {string} id - 任务ID
+   * @returns {Object|null} 任务对象
+   */
+  getJob(id) {
+    const row = this.db.prepare('SELECT * FROM scan_jobs WHERE id = ?').get(id);
+    return row ? rowToJob(row) : null;
+  }
+
+  /**
+   * 获取最近的扫描任务（最新在前）
+   * @param {number} limit - 条数
+   * @returns {Array} 任务列表
+   */
+  listJobs(limit = 20) {
+    return this.db.prepare('SELECT * FROM scan_jobs ORDER BY created_at DESC LIMIT ?').all(limit).map(rowToJob);
+  }
+
+  /**
+   * 获取扫描日志（最新在前）
+   * @param {number} limit - 条数
+   * @returns {Array} 与原 scanLogs.json 相同结构
+   */
+  getScanLogs(limit = 10) {
+    return this.db.prepare('SELECT * FROM scans ORDER BY finished_at DESC LIMIT ?').all(limit).map(row => ({
+      id: row.id,
+      scanType: row.scan_type,
+      startTime: row.started_at,
+      endTime: row.finished_at,
+      duration: row.duration,
+      totalSymbols: row.total_symbols,
+      signalsGenerated: row.signal_count,
+      signalsFiltered: row.filtered_count,
+      ratingDistribution: fromJSON(row.rating_distribution, {}),
+      filterReasons: fromJSON(row.filter_reasons, {}),
+      timestamp: row.finished_at
+    }));
+  }
+
+  /**
+   * 获取扫描历史（最新在前）
+   * @param {number} limit - 条数
+   * @returns {Array} 与原 history.json 相同结构
+   */
+  getScanHistory(limit = 100) {
+    const scans = this.db.prepare('SELECT * FROM scans ORDER BY finished_at DESC LIMIT ?').all(limit);
+    const signalsStmt = this.db.prepare(
+      'SELECT symbol, direction, rating, rrr, score FROM signals WHERE scan_id = ? ORDER BY created_at'
+    );
+
+    return scans.map(scan => ({
+      id: scan.id,
+      time: scan.finished_at,
+      scan_type: scan.scan_type,
+      signal_count: scan.signal_count,
+      filtered_count: scan.filtered_count,
+      signals: signalsStmt.all(scan.id)
+    }));
+  }
+
+  /**
+   * 获取最近一次扫描的信号及仍未结束的信号
+   * @param {Array<string>} openStatuses - 视为未结束的状态
+   * @returns {Array} 信号列表
+   */
+  getLatestSignals(openStatuses = []) {
+    const lastScan = this.db.prepare('SELECT id FROM scans ORDER BY finished_at DESC LIMIT 1').get();
+    const rows = this.db.prepare(`
+      SELECT payload FROM signals
+      WHERE scan_id = ? OR status IN (SELECT value FROM json_each(?))
+      ORDER BY created_at DESC
+    `).all(lastScan ? lastScan.id : null, JSON.stringify(openStatuses));
+    return rows.map(row => JSON.parse(row.payload));
+  }
+
+  /**
+   * 获取最近一次扫描的过滤结果
+   * @returns {Array} 过滤结果
+   */
+  getLatestFiltered() {
+    const lastScan = this.db.prepare('SELECT id FROM scans ORDER BY finished_at DESC LIMIT 1').get();
+    if (!lastScan) return [];
+    return this.db.prepare('SELECT payload FROM filtered_results WHERE scan_id = ? ORDER BY id')
+      .all(lastScan.id)
+      .map(row => JSON.parse(row.payload));
+  }
+
+  /**
+   * 查询信号
+   * @param {Object} filters - { symbol, status, from, to, limit }
+   * @returns {Array} 信号列表
+   */
+  querySignals(filters = {}) {
+    const where = [];
+    const params = [];
+    if (filters.symbol) { where.push('symbol = ?'); params.push(filters.symbol); }
+    if (filters.status) { where.push('status = ?'); params.push(filters.status); }
+    if (filters.from) { where.push('created_at >= ?'); params.push(filters.from); }
+    if (filters.to) { where.push('created_at <= ?'); params.push(filters.to); }
+    params.push(filters.limit || 500);
+
+    const sql = `SELECT payload FROM signals ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC LIMIT ?`;
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.payload));
+  }
+
+  /**
+   * 获取信号的状态转换记录
+   * @param {string} signalId - 信号ID
+   * @returns {Array} 状态转换
+   */
+  getSignalTransitions(signalId) {
+    return this.db.prepare(`
+      SELECT from_status AS "from", to_status AS "to", price, reason, time
+      FROM signal_transitions WHERE signal_id = ? ORDER BY time, id
+    `).all(signalId);
+  }
+
+  /**
+   * 查询K线（按时间升序）
+   * @param {string} symbol - 交易对
+   * @param {string} timeframe - 时间框架
+   * @param {Object} options - { from, to, limit }
+   * @returns {Array} K线
+   */
+  getCandles(symbol, timeframe, options = {}) {
+    const from = options.from || 0;
+    const to = options.to || Number.MAX_SAFE_INTEGER;
+
+    if (options.limit) {
+      // 取区间内最新的limit条
+      return this.db.prepare(`
+        SELECT timestamp, open, high, low, close, volume FROM (
+          SELECT * FROM candles
+          WHERE symbol = ? AND timeframe = ? AND timestamp >= ? AND timestamp <= ?
+          ORDER BY timestamp DESC LIMIT ?
+        ) ORDER BY timestamp ASC
+      `).all(symbol, timeframe, from, to, options.limit);
+    }
+
+    return this.db.prepare(`
+      SELECT timestamp, open, high, low, close, volume FROM candles
+      WHERE symbol = ? AND timeframe = ? AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp ASC
+    `).all(symbol, timeframe, from, to);
+  }
+
+  /**
+   * 已保存的K线序列概况
+   * @returns {Array} [{ symbol, timeframe, count, from, to }]
+   */
+  listCandleSeries() {
+    return this.db.prepare(`
+      SELECT symbol, timeframe, COUNT(*) AS count, MIN(timestamp) AS "from", MAX(timestamp) AS "to"
+      FROM candles GROUP BY symbol, timeframe ORDER BY symbol, timeframe
+    `).all();
+  }
+
+  /**
+   * 单个K线序列的范围
+   * @param {string} symbol - 交易对
+   * @param {string} timeframe - 时间框架
+   * @returns {Object} { count, from, to }（无数据时 from/to 为null）
+   */
+  getCandleRange(symbol, timeframe) {
+    return this.db.prepare(`
+      SELECT COUNT(*) AS count, MIN(timestamp) AS "from", MAX(timestamp) AS "to"
+      FROM candles WHERE symbol = ? AND timeframe = ?
+    `).get(symbol, timeframe);
+  }
+
+  /**
+   * 查找K线序列中的缺口（相邻K线间隔大于一个周期）
+   * @param {string} symbol - 交易对
+   * @param {string} timeframe - 时间框架
+   * @param {number} intervalMs - K线周期（毫秒）
+   * @param {Object} options - { from, to, limit }
+   * @returns {Array} [{ after, before, missing }]，after/before 为缺口两侧已有K线的时间戳
+   */
+  findCandleGaps(symbol, timeframe, intervalMs, options = {}) {
+    return this.db.prepare(`
+      SELECT prev AS after, timestamp AS before, (timestamp - prev) / ? - 1 AS missing FROM (
+        SELECT timestamp, LAG(timestamp) OVER (ORDER BY timestamp) AS prev
+        FROM candles
+        WHERE symbol = ? AND timeframe = ? AND timestamp >= ? AND timestamp <= ?
+      )
+      WHERE prev IS NOT NULL AND timestamp - prev > ?
+      ORDER BY timestamp ASC
+      LIMIT ?
+    `).all(
+      intervalMs,
+      symbol,
+      timeframe,
+      options.from || 0,
+      options.to || Number.MAX_SAFE_INTEGER,
+      intervalMs,
+      options.limit || 1000
+    );
+  }
+
+  // ========== 清理 ==========
+
+  /**
+   * 按保留窗口清理旧数据（单个事务）
+   * 仍在持仓中的信号（keepStatuses）即使超过保留期也保留
+   * @param {Object} options - { retentionDays, candleRetentionDays, keepStatuses, now }
+   * @returns {Object} 各表删除条数
+   */
+  prune(options = {}) {
+    const now = options.now || Date.now();
+    const retentionDays = options.retentionDays || STORAGE_CONFIG.RETENTION_DAYS;
+    const candleRetentionDays = options.candleRetentionDays || STORAGE_CONFIG.CANDLE_RETENTION_DAYS;
+    const keepStatuses = JSON.stringify(options.keepStatuses || ['TRIGGERED', 'TP1_HIT']);
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+    const candleCutoff = now - candleRetentionDays * DAY_MS;
+
+    const expiredSignals = `
+      SELECT id FROM signals
+      WHERE created_at < ? AND COALESCE(status, '') NOT IN (SELECT value FROM json_each(?))
+    `;
+
+    const run = this.db.transaction(() => ({
+      transitions: this.db.prepare(`DELETE FROM signal_transitions WHERE signal_id IN (${expiredSignals})`)
+        .run(cutoff, keepStatuses).changes,
+      signals: this.db.prepare(`DELETE FROM signals WHERE id IN (${expiredSignals})`)
+        .run(cutoff, keepStatuses).changes,
+      filtered: this.db.prepare('DELETE FROM filtered_results WHERE created_at < ?').run(cutoff).changes,
+      scans: this.db.prepare('DELETE FROM scans WHERE finished_at < ?').run(cutoff).changes,
+      jobs: this.db.prepare('DELETE FROM scan_jobs WHERE created_at < ?').run(cutoff).changes,
+      deadLetters: this.db.prepare('DELETE FROM webhook_dead_letters WHERE created_at < ?').run(cutoff).changes,
+      candles: this.db.prepare('DELETE FROM candles WHERE timestamp < ?').run(candleCutoff).changes
+    }));
+
+    return run();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { STORAGE_CONFIG, SqliteStore };
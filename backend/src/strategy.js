@@ -3,6 +3,9 @@
  * 包含ChoCH、FVG、Sweep、Order Block等核心检测功能
  */
 
+const { findSwingPoints, analyzeMarketStructure, getTrendEvents } = require('./marketStructure');
+const { buildVolumeProfile, getTakeProfitTargets } = require('./volumeProfile');
+
 // 策略配置
 const CONFIG = {
   // 摆动点检测
@@ -12,6 +15,19 @@ const CONFIG = {
   // FVG检测
   FVG_MIN_SIZE_PERCENT: 0.1,
   
+  // 位移：连续同向的强实体K线（实体占振幅 ≥ DISPLACEMENT_BODY_RATIO），
+  // 单根实体 ≥ ATR × DISPLACEMENT_ATR，或至少 DISPLACEMENT_MIN_CANDLES 根合计 ≥ ATR × DISPLACEMENT_LEG_ATR
+  DISPLACEMENT_ATR: 1.2,
+  DISPLACEMENT_LEG_ATR: 2.0,
+  DISPLACEMENT_MIN_CANDLES: 2,
+  DISPLACEMENT_BODY_RATIO: 0.5,
+  
+  // 诱导 (Inducement)：主要摆动点之后形成的次级摆动点回望周期
+  INDUCEMENT_LOOKBACK: 1,
+  
+  // 订单块：从推动起点向前查找反向K线的最大数量
+  OB_SEARCH_CANDLES: 5,
+  
   // Sweep检测
   SWEP_WICK_RATIO: 2.0,
   SWEP_RECLAIM_RATIO: 0.5,
@@ -32,15 +48,67 @@ const CONFIG = {
   MIN_RRR: 2.0,
   MAX_RRR: 5.0,
   MAX_RISK_PER_TRADE: 0.01,
+  MAX_TOTAL_RISK: 0.05,
   DEFAULT_LEVERAGE: 3,
+  MAX_LEVERAGE: 10,
+  
+  // 账户资金（仓位计算基准）
+  ACCOUNT_BALANCE: parseFloat(process.env.ACCOUNT_BALANCE || '10000'),
+  
+  // K线评估模式: 'CLOSED' 仅分析已收盘K线 | 'INTRABAR' 包含正在形成的K线
+  EVALUATION_MODE: process.env.EVALUATION_MODE || 'CLOSED',
   
   // 信号有效期
   SIGNAL_TTL_HOURS: 4,
+  SIGNAL_TTL_MS: 4 * 60 * 60 * 1000,
   
   // 频率限制
-  MIN_SIGNAL_INTERVAL_HOURS: 4
+  MIN_SIGNAL_INTERVAL_HOURS: 4,
+  
+  // 合约指标（仅 ticker 带 derivatives 时生效，见 marketData.getScanTickers）
+  // 资金费率（单次结算）：信号方向一侧过于拥挤时拦截，偏高时降分
+  MAX_FUNDING_RATE: 0.001,
+  FUNDING_WARN_RATE: 0.0003,
+  FUNDING_PENALTY: 10,
+  // 最小持仓量（USD）
+  MIN_OPEN_INTEREST_USD: 5000000,
+  // 持仓量下降超过该比例时降分（资金离场，行情缺乏跟进）
+  OI_DECLINE_THRESHOLD: 0.1,
+  OI_DECLINE_PENALTY: 5,
+  
+  // 订单簿（仅 ticker 带 orderBook 时生效）：深度为中间价 ±1% 内买卖盘合计（USDT）
+  MAX_SPREAD_PERCENT: 0.15,
+  MIN_BOOK_DEPTH_USD: 50000,
+  THIN_BOOK_DEPTH_USD: 250000,
+  THIN_BOOK_PENALTY: 5,
+  // 反方向一侧更厚（失衡超过该值）时降分
+  BOOK_IMBALANCE_THRESHOLD: 0.4,
+  BOOK_IMBALANCE_PENALTY: 5
 };
 
+/**
+ * 解析K线评估模式
+ * @param {Object} options - 扫描选项 { intrabar, evaluationMode }
+ * @returns {string} 'CLOSED' | 'INTRABAR'
+ */
+function resolveEvaluationMode(options = {}) {
+  if (options.intrabar === true) return 'INTRABAR';
+  if (options.intrabar === false) return 'CLOSED';
+  return options.evaluationMode || CONFIG.EVALUATION_MODE;
+}
+
+/**
+ * 选取用于分析的K线
+ * CLOSED模式下剔除未收盘K线（closed === false）；没有closed字段的K线视为已收盘
+ * @param {Array} klines - K线数据
+ * @param {string} evaluationMode - 'CLOSED' | 'INTRABAR'
+ * @returns {Array} 分析用K线
+ */
+function selectAnalysisKlines(klines, evaluationMode = CONFIG.EVALUATION_MODE) {
+  if (!klines || evaluationMode === 'INTRABAR') return klines;
+  return klines.filter(k => k.closed !== false);
+}
+
 /**
  * 计算ATR (Average True Range)
  * @param {Array} klines - K线数据
@@ -95,99 +163,104 @@ function calculateRSI(klines, period = 14) {
 }
 
 /**
- * 寻找摆动高低点
+ * 检测结构转变 (Change of Character, ChoCH)
+ * 由市场结构状态机判定：返回开启当前趋势的 CHoCH（趋势中首次反向突破受保护摆动点），
+ * 当前趋势不是由 CHoCH 开启时返回null
  * @param {Array} klines - K线数据
- * @param {number} lookback - 回望周期
- * @returns {Object} 摆动高低点数组
+ * @param {Array} swingHighs - 摆动高点
+ * @param {Array} swingLows - 摆动低点
+ * @param {number} lookback - 摆动点回望周期（确认延迟）
+ * @returns {Object|null} ChoCH检测结果（结构事件，level 为被突破的摆动点价格）
  */
-function findSwingPoints(klines, lookback = 5) {
-  const swingHighs = [];
-  const swingLows = [];
-  
-  for (let i = lookback; i < klines.length - lookback; i++) {
-    const current = klines[i];
-    
-    // 检查摆动高点
-    let isSwingHigh = true;
-    for (let j = 1; j <= lookback; j++) {
-      if (klines[i - j].high >= current.high || klines[i + j].high >= current.high) {
-        isSwingHigh = false;
-        break;
-      }
-    }
-    if (isSwingHigh) {
-      swingHighs.push({ index: i, price: current.high, timestamp: current.timestamp });
-    }
-    
-    // 检查摆动低点
-    let isSwingLow = true;
-    for (let j = 1; j <= lookback; j++) {
-      if (klines[i - j].low <= current.low || klines[i + j].low <= current.low) {
-        isSwingLow = false;
-        break;
-      }
-    }
-    if (isSwingLow) {
-      swingLows.push({ index: i, price: current.low, timestamp: current.timestamp });
-    }
-  }
-  
-  return { swingHighs, swingLows };
+function detectChoCH(klines, swingHighs, swingLows, lookback = CONFIG.SWING_LOOKBACK) {
+  const structure = analyzeMarketStructure(klines, { lookback, swings: { swingHighs, swingLows } });
+  const { choch } = getTrendEvents(structure);
+  return choch ? { ...choch, level: choch.brokenLevel } : null;
 }
 
 /**
- * 检测结构转变 (Change of Character, ChoCH)
+ * 检测位移 (Displacement)
+ * 连续同向的强实体K线组成一段位移：单根实体 ≥ ATR × DISPLACEMENT_ATR，
+ * 或至少 DISPLACEMENT_MIN_CANDLES 根实体合计 ≥ ATR × DISPLACEMENT_LEG_ATR
  * @param {Array} klines - K线数据
- * @param {Array} swingHighs - 摆动高点
- * @param {Array} swingLows - 摆动低点
- * @returns {Object|null} ChoCH检测结果
+ * @param {Object} options - { atr 已计算的ATR }
+ * @returns {Array} 位移段 [{ direction: 'BULLISH' | 'BEARISH', startIndex, endIndex, timestamp 结束K线时间,
+ *   candles, high, low, bodyAtr 最大单根实体/ATR, legAtr 实体合计/ATR, fvg 是否留下同向FVG }]
  */
-function detectChoCH(klines, swingHighs, swingLows) {
-  if (swingHighs.length < 2 || swingLows.length < 2) return null;
+function detectDisplacement(klines, options = {}) {
+  const atr = options.atr || calculateATR(klines || [], 14);
+  if (!klines || atr <= 0) return [];
   
-  const recentHighs = swingHighs.slice(-3);
-  const recentLows = swingLows.slice(-3);
+  const legs = [];
+  const strong = (k) => {
+    const range = k.high - k.low;
+    return range > 0 && Math.abs(k.close - k.open) / range >= CONFIG.DISPLACEMENT_BODY_RATIO;
+  };
+  const directionOf = (k) => (k.close > k.open ? 'BULLISH' : k.close < k.open ? 'BEARISH' : null);
   
-  // 看涨ChoCH: 低点抬高
-  if (recentLows.length >= 2) {
-    const lastLow = recentLows[recentLows.length - 1];
-    const prevLow = recentLows[recentLows.length - 2];
-    
-    if (lastLow.price > prevLow.price) {
-      return {
-        type: 'BULLISH_CHOCH',
-        level: lastLow.price,
-        strength: (lastLow.price - prevLow.price) / prevLow.price,
-        timestamp: lastLow.timestamp
-      };
+  let start = 0;
+  while (start < klines.length) {
+    const direction = directionOf(klines[start]);
+    if (!direction || !strong(klines[start])) {
+      start++;
+      continue;
     }
-  }
-  
-  // 看跌ChoCH: 高点降低
-  if (recentHighs.length >= 2) {
-    const lastHigh = recentHighs[recentHighs.length - 1];
-    const prevHigh = recentHighs[recentHighs.length - 2];
     
-    if (lastHigh.price < prevHigh.price) {
-      return {
-        type: 'BEARISH_CHOCH',
-        level: lastHigh.price,
-        strength: (prevHigh.price - lastHigh.price) / prevHigh.price,
-        timestamp: lastHigh.timestamp
-      };
+    let end = start;
+    while (end + 1 < klines.length && directionOf(klines[end + 1]) === direction && strong(klines[end + 1])) end++;
+    
+    const run = klines.slice(start, end + 1);
+    const bodies = run.map(k => Math.abs(k.close - k.open));
+    const maxBody = Math.max(...bodies);
+    const totalBody = bodies.reduce((sum, b) => sum + b, 0);
+    
+    if (maxBody >= atr * CONFIG.DISPLACEMENT_ATR ||
+      (run.length >= CONFIG.DISPLACEMENT_MIN_CANDLES && totalBody >= atr * CONFIG.DISPLACEMENT_LEG_ATR)) {
+      // 位移段中任一K线作为中间K线留下的同向缺口
+      let fvg = false;
+      for (let i = Math.max(start, 1); i <= end && i + 1 < klines.length; i++) {
+        if (direction === 'BULLISH' ? klines[i - 1].high < klines[i + 1].low : klines[i - 1].low > klines[i + 1].high) {
+          fvg = true;
+          break;
+        }
+      }
+      
+      legs.push({
+        direction,
+        startIndex: start,
+        endIndex: end,
+        timestamp: klines[end].timestamp,
+        candles: run.length,
+        high: Math.max(...run.map(k => k.high)),
+        low: Math.min(...run.map(k => k.low)),
+        bodyAtr: maxBody / atr,
+        legAtr: totalBody / atr,
+        fvg
+      });
     }
+    
+    start = end + 1;
   }
   
-  return null;
+  return legs;
 }
 
 /**
  * 检测FVG (Fair Value Gap)
+ * 每个FVG附带其后K线的回补记录（见 trackFVGFill），
+ * displacement 为缺口中间K线所在的同向位移段（不是位移形成的缺口为 null）
  * @param {Array} klines - K线数据
- * @returns {Array} FVG列表
+ * @returns {Array} FVG列表（含已回补的，筛选用 getActiveFVGs / getInversionFVGs）
  */
 function detectFVG(klines) {
   const fvgList = [];
+  const legs = detectDisplacement(klines);
+  
+  // 缺口中间K线所在的同向位移段
+  const legAt = (index, direction) => {
+    const leg = legs.find(l => l.direction === direction && index >= l.startIndex && index <= l.endIndex);
+    return leg || null;
+  };
   
   for (let i = 2; i < klines.length; i++) {
     const k1 = klines[i - 2];
@@ -201,15 +274,16 @@ function detectFVG(klines) {
       const sizePercent = (size / midPrice) * 100;
       
       if (sizePercent >= CONFIG.FVG_MIN_SIZE_PERCENT) {
-        fvgList.push({
+        fvgList.push(trackFVGFill({
           type: 'BULLISH_FVG',
           top: k3.low,
           bottom: k1.high,
           size: size,
           sizePercent: sizePercent,
           timestamp: k3.timestamp,
-          index: i
-        });
+          index: i,
+          displacement: legAt(i - 1, 'BULLISH')
+        }, klines));
       }
     }
     
@@ -220,15 +294,16 @@ function detectFVG(klines) {
       const sizePercent = (size / midPrice) * 100;
       
       if (sizePercent >= CONFIG.FVG_MIN_SIZE_PERCENT) {
-        fvgList.push({
+        fvgList.push(trackFVGFill({
           type: 'BEARISH_FVG',
           top: k1.low,
           bottom: k3.high,
           size: size,
           sizePercent: sizePercent,
           timestamp: k3.timestamp,
-          index: i
-        });
+          index: i,
+          displacement: legAt(i - 1, 'BEARISH')
+        }, klines));
       }
     }
   }
@@ -236,6 +311,93 @@ function detectFVG(klines) {
   return fvgList;
 }
 
+/**
+ * 记录FVG形成后的回补过程
+ * 看涨FVG在价格上方，回落进入缺口为回补：
+ * - firstTouch: 首次触及缺口边缘
+ * - filledPercent: 最大回补比例（0-100）
+ * - ceHit: 触及缺口50%（Consequent Encroachment）
+ * - mitigated: 引线完全穿过缺口，缺口失效
+ * - inverted: 收盘越过缺口另一侧，缺口反转为反向的 Inversion FVG；inversionBroken 为其后被反向收盘突破
+ * 看跌FVG对称。事件均为 { index, timestamp }，未发生为null；
+ * state 为 OPEN | TOUCHED | HALF_FILLED | MITIGATED | INVERTED | INVALIDATED
+ * @param {Object} fvg - FVG
+ * @param {Array} klines - K线数据
+ * @returns {Object} 带回补记录和状态 state 的FVG
+ */
+function trackFVGFill(fvg, klines) {
+  const bullish = fvg.type === 'BULLISH_FVG';
+  const ce = (fvg.top + fvg.bottom) / 2;
+  const size = fvg.top - fvg.bottom;
+  const result = {
+    ...fvg,
+    ce,
+    firstTouch: null,
+    filledPercent: 0,
+    ceHit: null,
+    mitigated: null,
+    inverted: null,
+    inversionBroken: null
+  };
+  const at = (i) => ({ index: i, timestamp: klines[i].timestamp });
+  
+  for (let i = fvg.index + 1; i < klines.length; i++) {
+    const k = klines[i];
+    
+    if (result.inverted) {
+      // 反转后收盘回到原缺口的近端之外，Inversion FVG 失效
+      if (bullish ? k.close > fvg.top : k.close < fvg.bottom) {
+        result.inversionBroken = at(i);
+        break;
+      }
+      continue;
+    }
+    
+    const reach = bullish ? k.low : k.high;
+    const depth = bullish ? fvg.top - reach : reach - fvg.bottom;
+    if (depth < 0) continue;
+    
+    if (!result.firstTouch) result.firstTouch = at(i);
+    result.filledPercent = Math.max(result.filledPercent, Math.min(100, (depth / size) * 100));
+    if (!result.ceHit && (bullish ? reach <= ce : reach >= ce)) result.ceHit = at(i);
+    if (!result.mitigated && (bullish ? reach <= fvg.bottom : reach >= fvg.top)) result.mitigated = at(i);
+    if (bullish ? k.close < fvg.bottom : k.close > fvg.top) result.inverted = at(i);
+  }
+  
+  result.state = result.inversionBroken ? 'INVALIDATED'
+    : result.inverted ? 'INVERTED'
+    : result.mitigated ? 'MITIGATED'
+      : result.ceHit ? 'HALF_FILLED'
+        : result.firstTouch ? 'TOUCHED'
+          : 'OPEN';
+  return result;
+}
+
+/**
+ * 仍有效的FVG（未完全回补、未反转）
+ * @param {Array} fvgList - detectFVG 结果
+ * @returns {Array}
+ */
+function getActiveFVGs(fvgList) {
+  return fvgList.filter(f => !f.mitigated && !f.inverted);
+}
+
+/**
+ * 有效的 Inversion FVG：被收盘穿越的FVG反向使用（看涨FVG反转为阻力，看跌FVG反转为支撑）
+ * @param {Array} fvgList - detectFVG 结果
+ * @returns {Array} type 为 BULLISH_IFVG / BEARISH_IFVG，inversion 为 true
+ */
+function getInversionFVGs(fvgList) {
+  return fvgList
+    .filter(f => f.inverted && !f.inversionBroken)
+    .map(f => ({
+      ...f,
+      type: f.type === 'BULLISH_FVG' ? 'BEARISH_IFVG' : 'BULLISH_IFVG',
+      originalType: f.type,
+      inversion: true
+    }));
+}
+
 /**
  * 检测流动性扫荡 (Liquidity Sweep)
  * @param {Array} klines - K线数据
@@ -297,51 +459,221 @@ function detectSweep(klines) {
   return null;
 }
 
+/**
+ * 检测诱导 (Inducement)
+ * 主要摆动点之后、推动段内形成的次级摆动点：做多时为最近主要低点之上的次级低点，
+ * 做空时为最近主要高点之下的次级高点。价格在到达真正的POI/流动性之前往往先扫掉这些位置。
+ * @param {Array} klines - K线数据
+ * @param {string} direction - 'LONG' | 'SHORT'
+ * @param {Object} options - { majorLookback 主要摆动点回望周期, minorLookback 次级摆动点回望周期 }
+ * @returns {Object} { levels: [{ type: 'INDUCEMENT_LOW' | 'INDUCEMENT_HIGH', level, index, timestamp, swept }],
+ *   latest 最近的诱导位, majorLevel 其后的主要流动性位 }；swept 为首次被引线越过 { index, timestamp }，未发生为 null
+ */
+function detectInducement(klines, direction, options = {}) {
+  const majorLookback = options.majorLookback || 3;
+  const minorLookback = options.minorLookback || CONFIG.INDUCEMENT_LOOKBACK;
+  const result = { levels: [], latest: null, majorLevel: null };
+  if (!klines || klines.length < majorLookback * 2 + 1 || (direction !== 'LONG' && direction !== 'SHORT')) {
+    return result;
+  }
+  
+  const long = direction === 'LONG';
+  const major = findSwingPoints(klines, majorLookback);
+  const minor = findSwingPoints(klines, minorLookback);
+  const majors = long ? major.swingLows : major.swingHighs;
+  const anchor = majors[majors.length - 1];
+  if (!anchor) return result;
+  
+  const majorIndices = new Set(majors.map(s => s.index));
+  (long ? minor.swingLows : minor.swingHighs)
+    .filter(s => s.index > anchor.index && !majorIndices.has(s.index) &&
+      (long ? s.price > anchor.price : s.price < anchor.price))
+    .forEach(s => {
+      let swept = null;
+      for (let i = s.index + minorLookback + 1; i < klines.length; i++) {
+        if (long ? klines[i].low < s.price : klines[i].high > s.price) {
+          swept = { index: i, timestamp: klines[i].timestamp };
+          break;
+        }
+      }
+      result.levels.push({
+        type: long ? 'INDUCEMENT_LOW' : 'INDUCEMENT_HIGH',
+        level: s.price,
+        index: s.index,
+        timestamp: s.timestamp,
+        swept
+      });
+    });
+  
+  result.latest = result.levels[result.levels.length - 1] || null;
+  result.majorLevel = { level: anchor.price, index: anchor.index, timestamp: anchor.timestamp };
+  return result;
+}
+
 /**
  * 检测订单块 (Order Block)
+ * 只保留之后出现位移并造成结构突破（BOS/CHoCH）的订单块：
+ * 看涨订单块为向上突破前推动段起点处最后一根下跌K线，看跌对称。
+ * 每个订单块附带其后的测试记录（见 trackOrderBlock）
  * @param {Array} klines - K线数据
- * @returns {Array} 订单块列表
+ * @param {Object} options - { lookback 结构摆动点回望周期, structure 已计算的 analyzeMarketStructure 结果 }
+ * @returns {Array} 订单块列表（含已失效的，筛选用 getActiveOrderBlocks / getFlippedBlocks）
  */
-function detectOrderBlocks(klines) {
+function detectOrderBlocks(klines, options = {}) {
+  if (!klines || klines.length < 15) return [];
+  
+  const structure = options.structure ||
+    analyzeMarketStructure(klines, { lookback: options.lookback || CONFIG.SWING_LOOKBACK });
+  const atr = calculateATR(klines, 14);
+  const legs = detectDisplacement(klines, { atr });
   const obs = [];
+  const seen = new Set();
   
-  for (let i = 3; i < klines.length - 1; i++) {
-    const k0 = klines[i - 1]; // 推动K线前的K线
-    const k1 = klines[i];     // 推动K线
-    const k2 = klines[i + 1]; // 后续K线
+  structure.events.forEach(event => {
+    const bullish = event.direction === 'BULLISH';
     
-    // 看涨订单块: 下跌后强势上涨
-    if (k0.close < k0.open && // 前一根下跌
-        k1.close > k1.open && // 当前上涨
-        k1.close > k0.high && // 突破前高
-        k2.close > k2.open) { // 后续继续上涨
-      obs.push({
-        type: 'BULLISH_OB',
-        high: k1.high,
-        low: k1.low,
-        timestamp: k1.timestamp,
-        index: i,
-        strength: (k1.close - k1.open) / k1.open
-      });
+    // 推动段起点：被突破摆动点到突破K线之间的极值
+    let origin = event.swing.index;
+    for (let i = event.swing.index; i <= event.index; i++) {
+      if (bullish ? klines[i].low < klines[origin].low : klines[i].high > klines[origin].high) origin = i;
     }
     
-    // 看跌订单块: 上涨后强势下跌
-    if (k0.close > k0.open && // 前一根上涨
-        k1.close < k1.open && // 当前下跌
-        k1.close < k0.low &&  // 突破前低
-        k2.close < k2.open) { // 后续继续下跌
-      obs.push({
-        type: 'BEARISH_OB',
-        high: k1.high,
-        low: k1.low,
-        timestamp: k1.timestamp,
-        index: i,
-        strength: (k1.open - k1.close) / k1.open
-      });
+    // 起点及之前最近的一根反向K线
+    let obIndex = -1;
+    for (let i = origin; i >= Math.max(0, origin - CONFIG.OB_SEARCH_CANDLES); i--) {
+      const k = klines[i];
+      if (bullish ? k.close < k.open : k.close > k.open) {
+        obIndex = i;
+        break;
+      }
+    }
+    if (obIndex < 0 || seen.has(obIndex)) return;
+    
+    // 位移：推动段中有同向位移段，或留下同向FVG
+    let displacement = null;
+    const leg = legs.find(l => l.direction === event.direction && l.endIndex > obIndex && l.startIndex <= event.index);
+    if (leg) {
+      const index = Math.max(leg.startIndex, obIndex + 1);
+      displacement = { index, timestamp: klines[index].timestamp, bodyAtr: leg.bodyAtr, fvg: leg.fvg };
+    } else {
+      for (let i = obIndex + 1; i <= event.index; i++) {
+        const k = klines[i];
+        if (i >= 2 && (bullish ? klines[i - 2].high < k.low : klines[i - 2].low > k.high)) {
+          displacement = { index: i, timestamp: k.timestamp, bodyAtr: atr > 0 ? Math.abs(k.close - k.open) / atr : 0, fvg: true };
+          break;
+        }
+      }
+    }
+    if (!displacement) return;
+    
+    // 订单块是否扫过此前的摆动点（决定失效后成为 Breaker 还是 Mitigation Block）
+    const ob = klines[obIndex];
+    const priorSwings = (bullish ? structure.swingLows : structure.swingHighs).filter(s => s.index < obIndex);
+    const extreme = bullish ? Math.min(ob.low, klines[origin].low) : Math.max(ob.high, klines[origin].high);
+    const sweptLiquidity = priorSwings.length > 0 && (bullish
+      ? extreme < priorSwings[priorSwings.length - 1].price
+      : extreme > priorSwings[priorSwings.length - 1].price);
+    
+    seen.add(obIndex);
+    obs.push(trackOrderBlock({
+      type: bullish ? 'BULLISH_OB' : 'BEARISH_OB',
+      high: ob.high,
+      low: ob.low,
+      timestamp: ob.timestamp,
+      index: obIndex,
+      strength: Math.abs(event.closePrice - (bullish ? ob.low : ob.high)) / (bullish ? ob.low : ob.high),
+      structureBreak: { type: event.type, index: event.index, timestamp: event.timestamp, brokenLevel: event.brokenLevel },
+      displacement,
+      sweptLiquidity
+    }, klines, event.index));
+  });
+  
+  return obs.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 记录订单块在结构突破之后的测试过程
+ * 看涨订单块在价格下方：
+ * - touches / firstTouch: 价格离开后重新进入区域的次数和首次时间
+ * - mitigated: 引线穿过整个区域（完全缓解）
+ * - flipped: 收盘跌破区域，反转为看跌的 Breaker Block（订单块曾扫过流动性）或 Mitigation Block（未扫流动性）；
+ *   flipBroken 为其后收盘重新站上区域，反转区域失效
+ * 看跌对称。事件均为 { index, timestamp }，未发生为null；
+ * state 为 FRESH | TESTED | MITIGATED | BREAKER | MITIGATION_BLOCK | INVALIDATED
+ * @param {Object} ob - 订单块
+ * @param {Array} klines - K线数据
+ * @param {number} startIndex - 从该K线之后开始跟踪（结构突破K线）
+ * @returns {Object} 带测试记录的订单块
+ */
+function trackOrderBlock(ob, klines, startIndex) {
+  const bullish = ob.type === 'BULLISH_OB';
+  const result = {
+    ...ob,
+    touches: 0,
+    firstTouch: null,
+    mitigated: null,
+    flipped: null,
+    flipType: null,
+    flipBroken: null
+  };
+  const at = (i) => ({ index: i, timestamp: klines[i].timestamp });
+  let inside = false;
+  
+  for (let i = startIndex + 1; i < klines.length; i++) {
+    const k = klines[i];
+    
+    if (result.flipped) {
+      if (bullish ? k.close > ob.high : k.close < ob.low) {
+        result.flipBroken = at(i);
+        break;
+      }
+      continue;
+    }
+    
+    const entered = bullish ? k.low <= ob.high : k.high >= ob.low;
+    if (entered && !inside) {
+      result.touches++;
+      if (!result.firstTouch) result.firstTouch = at(i);
+    }
+    inside = entered;
+    
+    if (!result.mitigated && (bullish ? k.low <= ob.low : k.high >= ob.high)) result.mitigated = at(i);
+    if (bullish ? k.close < ob.low : k.close > ob.high) {
+      result.flipped = at(i);
+      result.flipType = ob.sweptLiquidity ? 'BREAKER' : 'MITIGATION';
     }
   }
   
-  return obs;
+  result.state = result.flipBroken ? 'INVALIDATED'
+    : result.flipped ? (result.flipType === 'BREAKER' ? 'BREAKER' : 'MITIGATION_BLOCK')
+      : result.mitigated ? 'MITIGATED'
+        : result.firstTouch ? 'TESTED'
+          : 'FRESH';
+  return result;
+}
+
+/**
+ * 仍有效的订单块（未完全缓解、未反转）
+ * @param {Array} obs - detectOrderBlocks 结果
+ * @returns {Array}
+ */
+function getActiveOrderBlocks(obs) {
+  return obs.filter(ob => !ob.mitigated && !ob.flipped);
+}
+
+/**
+ * 有效的 Breaker / Mitigation Block：被收盘穿越的订单块反向使用
+ * @param {Array} obs - detectOrderBlocks 结果
+ * @returns {Array} type 为 BULLISH_BREAKER / BEARISH_BREAKER / BULLISH_MITIGATION / BEARISH_MITIGATION
+ */
+function getFlippedBlocks(obs) {
+  return obs
+    .filter(ob => ob.flipped && !ob.flipBroken)
+    .map(ob => ({
+      ...ob,
+      type: `${ob.type === 'BULLISH_OB' ? 'BEARISH' : 'BULLISH'}_${ob.flipType}`,
+      originalType: ob.type
+    }));
 }
 
 /**
@@ -389,10 +721,10 @@ function determineTrendDetailed(klines) {
  * 频率过滤器
  * @param {string} symbol - 交易对
  * @param {Array} recentSignals - 近期信号
+ * @param {number} now - 当前时间戳（回测时传入模拟时间）
  * @returns {Object} 过滤结果
  */
-function frequencyFilter(symbol, recentSignals) {
-  const now = Date.now();
+function frequencyFilter(symbol, recentSignals, now = Date.now()) {
   const cutoff = now - CONFIG.MIN_SIGNAL_INTERVAL_HOURS * 3600 * 1000;
   
   const recentSymbolSignals = recentSignals.filter(s => 
@@ -411,6 +743,33 @@ function frequencyFilter(symbol, recentSignals) {
   return { passed: true };
 }
 
+/**
+ * 订单簿流动性检查（点差、±1% 深度），ticker 不带 orderBook 时返回空数组
+ * @param {Object} ticker - 实时价格数据
+ * @returns {Array} 检查项
+ */
+function orderBookChecks(ticker) {
+  const book = ticker && ticker.orderBook;
+  if (!book) return [];
+  
+  return [
+    {
+      name: 'spread',
+      passed: book.spreadPercent <= CONFIG.MAX_SPREAD_PERCENT,
+      value: book.spreadPercent,
+      threshold: CONFIG.MAX_SPREAD_PERCENT,
+      detail: `Spread: ${book.spreadPercent.toFixed(3)}%`
+    },
+    {
+      name: 'book_depth',
+      passed: book.depth >= CONFIG.MIN_BOOK_DEPTH_USD,
+      value: book.depth,
+      threshold: CONFIG.MIN_BOOK_DEPTH_USD,
+      detail: `Depth ±1%: $${Math.round(book.depth)} (bid $${Math.round(book.bidDepth)} / ask $${Math.round(book.askDepth)})`
+    }
+  ];
+}
+
 /**
  * 环境过滤器
  * @param {Array} klines - K线数据
@@ -451,6 +810,33 @@ function environmentFilter(klines, direction, ticker) {
   };
   checks.push(trendCheck);
   
+  // 合约：资金费率和持仓量
+  const derivatives = ticker && ticker.derivatives;
+  if (derivatives) {
+    // 做多时正费率、做空时负费率表示同方向仓位拥挤
+    const funding = derivatives.fundingRate;
+    const against = funding !== null && (direction === 'LONG' ? funding : -funding) > CONFIG.MAX_FUNDING_RATE;
+    checks.push({
+      name: 'funding',
+      passed: !against,
+      value: funding,
+      threshold: CONFIG.MAX_FUNDING_RATE,
+      detail: funding !== null ? `Funding: ${(funding * 100).toFixed(4)}%` : 'No funding data'
+    });
+    
+    const oi = derivatives.openInterestUsd;
+    checks.push({
+      name: 'open_interest',
+      passed: !oi || oi >= CONFIG.MIN_OPEN_INTEREST_USD,
+      value: oi,
+      threshold: CONFIG.MIN_OPEN_INTEREST_USD,
+      detail: oi ? `OI: $${Math.round(oi)}` : 'No open interest data'
+    });
+  }
+  
+  // 订单簿流动性
+  checks.push(...orderBookChecks(ticker));
+  
   const passed = checks.every(c => c.passed);
   
   return { passed, checks };
@@ -490,6 +876,40 @@ function degradationFilter(signal, klines, ticker) {
     penalties.push({ reason: 'FAR_ENTRY', penalty: Math.round(penalty), detail: `Distance: ${(distance * 100).toFixed(2)}%` });
   }
   
+  // 合约：平均资金费率偏向信号方向、持仓量下降
+  const derivatives = ticker && ticker.derivatives;
+  if (derivatives && signal.direction) {
+    const funding = derivatives.avgFundingRate !== null ? derivatives.avgFundingRate : derivatives.fundingRate;
+    if (funding !== null && (signal.direction === 'LONG' ? funding : -funding) > CONFIG.FUNDING_WARN_RATE) {
+      const penalty = CONFIG.FUNDING_PENALTY;
+      adjustedScore -= penalty;
+      penalties.push({ reason: 'FUNDING_AGAINST', penalty, detail: `Funding: ${(funding * 100).toFixed(4)}%` });
+    }
+    
+    if (derivatives.openInterestChange !== null && derivatives.openInterestChange < -CONFIG.OI_DECLINE_THRESHOLD) {
+      const penalty = CONFIG.OI_DECLINE_PENALTY;
+      adjustedScore -= penalty;
+      penalties.push({ reason: 'OI_DECLINING', penalty, detail: `OI change: ${(derivatives.openInterestChange * 100).toFixed(2)}%` });
+    }
+  }
+  
+  // 订单簿：深度偏薄、反方向一侧更厚
+  const book = ticker && ticker.orderBook;
+  if (book) {
+    if (book.depth < CONFIG.THIN_BOOK_DEPTH_USD) {
+      const penalty = CONFIG.THIN_BOOK_PENALTY;
+      adjustedScore -= penalty;
+      penalties.push({ reason: 'THIN_BOOK', penalty, detail: `Depth ±1%: $${Math.round(book.depth)}` });
+    }
+    
+    const imbalance = signal.direction === 'SHORT' ? -book.imbalance : book.imbalance;
+    if (signal.direction && imbalance < -CONFIG.BOOK_IMBALANCE_THRESHOLD) {
+      const penalty = CONFIG.BOOK_IMBALANCE_PENALTY;
+      adjustedScore -= penalty;
+      penalties.push({ reason: 'BOOK_IMBALANCE', penalty, detail: `Imbalance: ${book.imbalance.toFixed(2)}` });
+    }
+  }
+  
   return {
     originalScore: signal.baseScore || 70,
     adjustedScore: Math.max(0, adjustedScore),
@@ -504,7 +924,7 @@ function degradationFilter(signal, klines, ticker) {
  * @param {number} accountBalance - 账户余额
  * @returns {Object} 风控结果
  */
-function riskManagementCheck(signal, accountBalance = 10000) {
+function riskManagementCheck(signal, accountBalance = CONFIG.ACCOUNT_BALANCE) {
   const checks = [];
   
   // RRR检查
@@ -531,7 +951,7 @@ function riskManagementCheck(signal, accountBalance = 10000) {
   const riskAmount = accountBalance * CONFIG.MAX_RISK_PER_TRADE;
   const slPercent = slDistance;
   const positionSize = riskAmount / (signal.entry_price * slPercent);
-  const leverage = Math.min(CONFIG.DEFAULT_LEVERAGE, Math.floor(1 / slPercent));
+  const leverage = Math.min(CONFIG.DEFAULT_LEVERAGE, CONFIG.MAX_LEVERAGE, Math.floor(1 / slPercent));
   
   const allPassed = checks.every(c => c.passed);
   
@@ -555,29 +975,35 @@ function riskManagementCheck(signal, accountBalance = 10000) {
  * @param {Object} klinesData - K线数据对象
  * @param {Object} tickersData - 实时价格数据
  * @param {Array} scanHistory - 扫描历史
+ * @param {Object} options - 扫描选项
+ * @param {number} options.now - 当前时间戳（回测时传入模拟时间）
+ * @param {boolean} options.intrabar - 是否包含未收盘K线（默认只分析已收盘K线）
  * @returns {Object} 扫描结果
  */
-function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
+function scanAllSymbols(klinesData, tickersData, scanHistory = [], options = {}) {
   const signals = [];
   const filtered = [];
+  const now = options.now || Date.now();
+  const evaluationMode = resolveEvaluationMode(options);
   
-  for (const [symbol, klines] of Object.entries(klinesData)) {
+  for (const [symbol, rawKlines] of Object.entries(klinesData)) {
     try {
+      const klines = selectAnalysisKlines(rawKlines, evaluationMode);
       const ticker = tickersData ? tickersData[symbol] : null;
       
       // 频率过滤
-      const freqResult = frequencyFilter(symbol, scanHistory);
+      const freqResult = frequencyFilter(symbol, scanHistory, now);
       if (!freqResult.passed) {
         filtered.push({ symbol, reason: freqResult.reason, detail: freqResult.detail });
         continue;
       }
       
       // 分析
-      const { swingHighs, swingLows } = findSwingPoints(klines);
+      const { swingHighs, swingLows } = findSwingPoints(klines, CONFIG.SWING_LOOKBACK);
       const choch = detectChoCH(klines, swingHighs, swingLows);
-      const fvgList = detectFVG(klines);
+      const fvgList = getActiveFVGs(detectFVG(klines));
       const sweep = detectSweep(klines);
-      const obs = detectOrderBlocks(klines);
+      const obs = getActiveOrderBlocks(detectOrderBlocks(klines));
       const trend = determineTrendDetailed(klines);
       
       // 生成信号条件
@@ -598,16 +1024,17 @@ function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
         const entryPrice = klines[klines.length - 1].close;
         const atr = calculateATR(klines, 14);
         
-        let sl, tp1, tp2;
-        if (direction === 'LONG') {
-          sl = Math.min(relevantFVG.bottom, swingLows[swingLows.length - 1]?.price || entryPrice * 0.95);
-          tp1 = entryPrice + (entryPrice - sl) * 2;
-          tp2 = entryPrice + (entryPrice - sl) * 3;
-        } else {
-          sl = Math.max(relevantFVG.top, swingHighs[swingHighs.length - 1]?.price || entryPrice * 1.05);
-          tp1 = entryPrice - (sl - entryPrice) * 2;
-          tp2 = entryPrice - (sl - entryPrice) * 3;
-        }
+        const sl = direction === 'LONG'
+          ? Math.min(relevantFVG.bottom, swingLows[swingLows.length - 1]?.price || entryPrice * 0.95)
+          : Math.max(relevantFVG.top, swingHighs[swingHighs.length - 1]?.price || entryPrice * 1.05);
+        
+        // 止盈优先取成交量分布价位，没有合适价位时为 2R / 3R
+        const targets = getTakeProfitTargets(buildVolumeProfile(klines), entryPrice, sl, direction, {
+          minRRR: CONFIG.MIN_RRR,
+          maxRRR: CONFIG.MAX_RRR
+        });
+        const tp1 = targets.tp1.price;
+        const tp2 = targets.tp2.price;
         
         const rrr = Math.abs(tp1 - entryPrice) / Math.abs(entryPrice - sl);
         
@@ -619,7 +1046,7 @@ function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
         
         // 降级过滤
         const degradation = degradationFilter(
-          { baseScore, entry_price: entryPrice, choch },
+          { baseScore, entry_price: entryPrice, choch, direction },
           klines,
           ticker
         );
@@ -639,7 +1066,7 @@ function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
         else if (degradation.adjustedScore >= CONFIG.SCORE_THRESHOLDS.B) rating = 'B';
         
         signal = {
-          id: `${symbol}_${Date.now()}`,
+          id: `${symbol}_${now}`,
           symbol,
           direction,
           entry_price: entryPrice,
@@ -647,6 +1074,7 @@ function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
           tp1,
           tp2,
           rrr,
+          tp_targets: targets,
           rating,
           score: degradation.adjustedScore,
           status: 'ACTIVE',
@@ -657,8 +1085,9 @@ function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
           order_blocks: obs.slice(-2),
           trend,
           risk_management: riskCheck,
-          timestamp: new Date().toISOString(),
-          timeframe: '4h'
+          timestamp: new Date(now).toISOString(),
+          timeframe: '4h',
+          evaluation_mode: evaluationMode
         };
         
         signals.push(signal);
@@ -673,15 +1102,26 @@ function scanAllSymbols(klinesData, tickersData, scanHistory = []) {
 
 module.exports = {
   CONFIG,
+  resolveEvaluationMode,
+  selectAnalysisKlines,
   calculateATR,
   calculateRSI,
   findSwingPoints,
   detectChoCH,
   detectFVG,
+  trackFVGFill,
+  getActiveFVGs,
+  getInversionFVGs,
   detectSweep,
+  detectDisplacement,
+  detectInducement,
   detectOrderBlocks,
+  trackOrderBlock,
+  getActiveOrderBlocks,
+  getFlippedBlocks,
   determineTrendDetailed,
   frequencyFilter,
+  orderBookChecks,
   environmentFilter,
   degradationFilter,
   riskManagementCheck,
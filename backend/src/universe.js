@@ -0,0 +1,313 @@
+/**
+ * 动态交易对列表
+ *
+ * 用交易所元数据（交易对状态、上线时间）和24h成交额生成扫描列表，替代写死的 SYMBOLS_54，
+ * 已改名或下架的交易对（如 MATIC、RNDR、AGIX）会自动移出。
+ * 支持强制包含/排除列表，定时刷新，每次变化（新增/移除及原因）记录在 meta 表并通过API查询。
+ * 刷新失败或结果过少时保留上一次的列表。
+ * 默认关闭（固定使用 SYMBOLS_54），UNIVERSE_DYNAMIC=true 启用。
+ * SYMBOL_EXCHANGES 指定的交易对取其所属交易所的元数据，其余取默认交易所。
+ */
+
+const { getMarketAdapter, getAdapterForSymbol, MARKET_DATA_CONFIG, SYMBOLS_54 } = require('./marketData');
+const { logger, metrics } = require('./utils/logger');
+
+function parseList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+const MAX_SYMBOLS = parseInt(process.env.UNIVERSE_MAX_SYMBOLS || '60', 10);
+
+// 交易对列表配置
+const UNIVERSE_CONFIG = {
+  // 设为 true 时由交易所元数据生成列表，否则固定使用 SYMBOLS_54
+  DYNAMIC: process.env.UNIVERSE_DYNAMIC === 'true',
+
+  // 计价币
+  QUOTE: process.env.UNIVERSE_QUOTE || 'USDT',
+
+  // 最小24h成交额（计价币）
+  MIN_QUOTE_VOLUME: parseFloat(process.env.UNIVERSE_MIN_QUOTE_VOLUME || '5000000'),
+
+  // 最短上线天数（交易所未提供上线时间时不检查）
+  MIN_LISTING_DAYS: parseInt(process.env.UNIVERSE_MIN_LISTING_DAYS || '30', 10),
+
+  // 最多扫描的交易对数量（按成交额排序，强制包含的优先）
+  MAX_SYMBOLS,
+
+  // 结果少于该数量视为刷新异常，保留旧列表（不超过 MAX_SYMBOLS）
+  MIN_SYMBOLS: parseInt(process.env.UNIVERSE_MIN_SYMBOLS || String(Math.min(10, MAX_SYMBOLS)), 10),
+
+  // 强制包含/排除（逗号分隔，如 BTC_USDT,ETH_USDT）
+  INCLUDE: parseList(process.env.UNIVERSE_INCLUDE),
+  EXCLUDE: parseList(process.env.UNIVERSE_EXCLUDE),
+
+  // 排除的基础币：稳定币、杠杆代币（如 BTC3L、ETH5S）
+  EXCLUDE_BASES: ['USDC', 'FDUSD', 'TUSD', 'DAI', 'USDD', 'USDE', 'PYUSD', 'EUR', 'BUSD'],
+  EXCLUDE_BASE_PATTERN: /\d+[LS]$|(UP|DOWN|BULL|BEAR)$/,
+
+  // 刷新计划（cron）
+  REFRESH_CRON: process.env.UNIVERSE_REFRESH_CRON || '0 */6 * * *',
+
+  // 保留的变化记录数量
+  MAX_CHANGES: 50
+};
+
+// 过滤原因
+const UNIVERSE_REASONS = {
+  NOT_LISTED: 'NOT_LISTED',
+  NOT_TRADABLE: 'NOT_TRADABLE',
+  WRONG_QUOTE: 'WRONG_QUOTE',
+  EXCLUDED: 'EXCLUDED',
+  LOW_VOLUME: 'LOW_VOLUME',
+  TOO_NEW: 'TOO_NEW',
+  RANK_CUTOFF: 'RANK_CUTOFF'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const META_KEY = 'universe';
+
+/**
+ * 按规则筛选交易对
+ * @param {Array} markets - 交易对元数据 [{ symbol, base, quote, tradable, listedAt }]
+ * @param {Object} tickers - { symbol: { quoteVolume24h } }
+ * @param {Object} config - 配置（默认 UNIVERSE_CONFIG）
+ * @param {number} now - 当前时间
+ * @returns {Object} { selected: [{ symbol, quote_volume, listed_at, included }], rejected: { symbol: reason } }
+ */
+function selectUniverse(markets, tickers, config = UNIVERSE_CONFIG, now = Date.now()) {
+  const bySymbol = new Map(markets.map(m => [m.symbol, m]));
+  const rejected = {};
+  const candidates = [];
+
+  const describe = (market, included) => ({
+    symbol: market.symbol,
+    quote_volume: tickers[market.symbol] ? tickers[market.symbol].quoteVolume24h || 0 : 0,
+    listed_at: market.listedAt ? new Date(market.listedAt).toISOString() : null,
+    included
+  });
+
+  // 强制包含：只要求交易对存在且可交易
+  config.INCLUDE.forEach(symbol => {
+    const market = bySymbol.get(symbol);
+    if (!market) {
+      rejected[symbol] = UNIVERSE_REASONS.NOT_LISTED;
+    } else if (!market.tradable) {
+      rejected[symbol] = UNIVERSE_REASONS.NOT_TRADABLE;
+    } else {
+      candidates.push(describe(market, true));
+    }
+  });
+
+  markets.forEach(market => {
+    if (config.INCLUDE.includes(market.symbol)) return;
+
+    let reason = null;
+    if (market.quote !== config.QUOTE) {
+      reason = UNIVERSE_REASONS.WRONG_QUOTE;
+    } else if (!market.tradable) {
+      reason = UNIVERSE_REASONS.NOT_TRADABLE;
+    } else if (config.EXCLUDE.includes(market.symbol) ||
+      config.EXCLUDE_BASES.includes(market.base) ||
+      config.EXCLUDE_BASE_PATTERN.test(market.base)) {
+      reason = UNIVERSE_REASONS.EXCLUDED;
+    } else if (market.listedAt && now - market.listedAt < config.MIN_LISTING_DAYS * DAY_MS) {
+      reason = UNIVERSE_REASONS.TOO_NEW;
+    } else {
+      const entry = describe(market, false);
+      if (entry.quote_volume < config.MIN_QUOTE_VOLUME) {
+        reason = UNIVERSE_REASONS.LOW_VOLUME;
+      } else {
+        candidates.push(entry);
+      }
+    }
+
+    if (reason) rejected[market.symbol] = reason;
+  });
+
+  candidates.sort((a, b) => (b.included - a.included) || (b.quote_volume - a.quote_volume));
+  candidates.slice(config.MAX_SYMBOLS).forEach(c => {
+    rejected[c.symbol] = UNIVERSE_REASONS.RANK_CUTOFF;
+  });
+
+  return { selected: candidates.slice(0, config.MAX_SYMBOLS), rejected };
+}
+
+/**
+ * 生成列表使用的适配器：默认交易所，加上 SYMBOL_EXCHANGES 中指定的交易所
+ * @returns {Array<ExchangeAdapter>}
+ */
+function getUniverseAdapters() {
+  const adapters = new Set([getMarketAdapter()]);
+  Object.keys(MARKET_DATA_CONFIG.SYMBOL_EXCHANGES).forEach(symbol => adapters.add(getAdapterForSymbol(symbol)));
+  return [...adapters];
+}
+
+/**
+ * 合并多个交易所的元数据，每个交易对只保留其所属交易所的数据
+ * @param {Array<ExchangeAdapter>} adapters - 适配器
+ * @param {Array} results - 对应的 [markets, tickers]
+ * @returns {Object} { markets, tickers }
+ */
+function mergeExchangeMarkets(adapters, results) {
+  const markets = [];
+  const tickers = {};
+
+  results.forEach(([adapterMarkets, adapterTickers], i) => {
+    (adapterMarkets || []).forEach(market => {
+      if (adapters.length > 1 && getAdapterForSymbol(market.symbol) !== adapters[i]) return;
+      markets.push(market);
+      if (adapterTickers && adapterTickers[market.symbol]) {
+        tickers[market.symbol] = adapterTickers[market.symbol];
+      }
+    });
+  });
+
+  return { markets, tickers };
+}
+
+class UniverseManager {
+  /**
+   * @param {SqliteStore} store - 保存当前列表和变化记录
+   * @param {Object} options - { adapter 指定单个适配器（默认按 SYMBOL_EXCHANGES 使用各交易所）, config, onChange(symbols, change) }
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.config = { ...UNIVERSE_CONFIG, ...(options.config || {}) };
+    this.adapter = options.adapter || null;
+    this.onChange = options.onChange || (() => {});
+
+    this.symbols = [...SYMBOLS_54];
+    this.details = [];
+    this.changes = [];
+    this.refreshedAt = null;
+    this.lastError = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * 读取上次保存的列表（启动时调用，未启用动态列表时为 SYMBOLS_54）
+   * @returns {Array<string>} 当前列表
+   */
+  load() {
+    if (!this.config.DYNAMIC) return this.symbols;
+
+    const raw = this.store.getMeta(META_KEY);
+    if (raw) {
+      const saved = JSON.parse(raw);
+      this.symbols = saved.symbols;
+      this.details = saved.details || [];
+      this.changes = saved.changes || [];
+      this.refreshedAt = saved.refreshed_at || null;
+    }
+    return this.symbols;
+  }
+
+  save() {
+    this.store.setMeta(META_KEY, JSON.stringify({
+      symbols: this.symbols,
+      details: this.details,
+      changes: this.changes,
+      refreshed_at: this.refreshedAt
+    }));
+  }
+
+  /**
+   * 从交易所重新生成列表（并发调用共用同一次刷新）
+   * @returns {Promise<Object>} { changed, symbols, change }
+   */
+  refresh() {
+    if (!this.config.DYNAMIC) {
+      return Promise.resolve({ changed: false, symbols: this.symbols, change: null });
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.doRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  getAdapters() {
+    return this.adapter ? [this.adapter] : getUniverseAdapters();
+  }
+
+  async doRefresh() {
+    const adapters = this.getAdapters();
+    const op = logger.startOperation('universe_refresh', { exchange: adapters.map(a => a.name).join(',') });
+
+    try {
+      const results = await Promise.all(adapters.map(adapter => Promise.all([adapter.getMarkets(), adapter.getTickers()])));
+      const { markets, tickers } = mergeExchangeMarkets(adapters, results);
+      const { selected, rejected } = selectUniverse(markets, tickers, this.config);
+
+      const minSymbols = Math.min(this.config.MIN_SYMBOLS, this.config.MAX_SYMBOLS);
+      if (selected.length < minSymbols) {
+        throw new Error(`Universe too small (${selected.length} < ${minSymbols}), keeping previous list`);
+      }
+
+      const next = selected.map(s => s.symbol);
+      const previous = new Set(this.symbols);
+      const added = next.filter(s => !previous.has(s));
+      const removed = this.symbols
+        .filter(s => !next.includes(s))
+        .map(symbol => ({ symbol, reason: rejected[symbol] || UNIVERSE_REASONS.NOT_LISTED }));
+
+      this.details = selected;
+      this.refreshedAt = new Date().toISOString();
+      this.lastError = null;
+
+      let change = null;
+      if (added.length > 0 || removed.length > 0) {
+        change = { time: this.refreshedAt, added, removed, count: next.length };
+        this.changes = [change, ...this.changes].slice(0, this.config.MAX_CHANGES);
+        this.symbols = next;
+        metrics.increment('universe_changes_total', {}, added.length + removed.length);
+        logger.info('Universe changed', { added, removed: removed.map(r => `${r.symbol}:${r.reason}`), count: next.length });
+        this.onChange(this.symbols, change);
+      }
+
+      metrics.gauge('universe_symbols', this.symbols.length);
+      this.save();
+      op.end('success', { count: this.symbols.length, added: added.length, removed: removed.length });
+      return { changed: !!change, symbols: this.symbols, change };
+    } catch (error) {
+      this.lastError = { message: error.message, time: new Date().toISOString() };
+      logger.error('Universe refresh failed', { error: error.message });
+      op.end('error', { error: error.message });
+      throw error;
+    }
+  }
+
+  getSymbols() {
+    return this.symbols;
+  }
+
+  getStatus() {
+    return {
+      dynamic: this.config.DYNAMIC,
+      exchange: this.getAdapters().map(a => a.name).join(','),
+      count: this.symbols.length,
+      symbols: this.symbols,
+      details: this.details,
+      refreshed_at: this.refreshedAt,
+      last_error: this.lastError,
+      rules: {
+        quote: this.config.QUOTE,
+        min_quote_volume: this.config.MIN_QUOTE_VOLUME,
+        min_listing_days: this.config.MIN_LISTING_DAYS,
+        max_symbols: this.config.MAX_SYMBOLS,
+        include: this.config.INCLUDE,
+        exclude: this.config.EXCLUDE
+      },
+      changes: this.changes
+    };
+  }
+}
+
+module.exports = {
+  UNIVERSE_CONFIG,
+  UNIVERSE_REASONS,
+  selectUniverse,
+  UniverseManager
+};
@@ -65,6 +65,14 @@ class RateLimitError extends AppError {
   }
 }
 
+// 任务取消错误
+class CancelledError extends AppError {
+  constructor(message, operation, metadata = {}) {
+    super(message, 'CANCELLED', 409, { operation, ...metadata });
+    this.name = 'CancelledError';
+  }
+}
+
 // 输入验证器
 class InputValidator {
   // 验证symbol格式
@@ -386,6 +394,7 @@ module.exports = {
   ExternalServiceError,
   TimeoutError,
   RateLimitError,
+  CancelledError,
   InputValidator,
   withRetry,
   RateLimiter,
@@ -0,0 +1,167 @@
+/**
+ * 成交量分布 (Volume Profile)
+ *
+ * 把一段K线的成交量按价格分箱（每根K线的成交量按其高低点区间均匀分摊），得到：
+ * - POC (Point of Control): 成交量最大的价格
+ * - 价值区 (Value Area): 从 POC 向两侧扩展、覆盖 70% 成交量的区间，上下沿为 VAH / VAL
+ * - HVN / LVN: 成交量明显高于/低于平均的局部峰谷（价格容易在 HVN 停顿、快速穿过 LVN）
+ * POC、价值区上下沿和 HVN 作为 HTF 关键区域和止盈目标。
+ */
+
+// 成交量分布配置
+const VOLUME_PROFILE_CONFIG = {
+  // 统计的K线数量（取最近的）
+  WINDOW: 100,
+
+  // 价格分箱数量
+  BINS: 50,
+
+  // 价值区覆盖的成交量比例
+  VALUE_AREA_PERCENT: 0.7,
+
+  // 局部峰值成交量 ≥ 平均 × 该值为 HVN，局部谷值 ≤ 平均 × 该值为 LVN
+  HVN_RATIO: 1.5,
+  LVN_RATIO: 0.5
+};
+
+/**
+ * 计算成交量分布
+ * @param {Array} klines - K线数据
+ * @param {Object} options - { window, bins }
+ * @returns {Object|null} {
+ *   high, low, binSize, totalVolume, poc: { price, volume }, valueAreaHigh, valueAreaLow,
+ *   hvn: [{ price, top, bottom, volume, ratio }], lvn: [...], bins: [{ price, volume }]
+ * }
+ */
+function buildVolumeProfile(klines, options = {}) {
+  const window = options.window || VOLUME_PROFILE_CONFIG.WINDOW;
+  const binCount = options.bins || VOLUME_PROFILE_CONFIG.BINS;
+  const data = (klines || []).slice(-window).filter(k => k.volume > 0);
+  if (data.length === 0) return null;
+
+  const high = Math.max(...data.map(k => k.high));
+  const low = Math.min(...data.map(k => k.low));
+  if (!(high > low)) return null;
+
+  const binSize = (high - low) / binCount;
+  const volumes = new Array(binCount).fill(0);
+  const binOf = price => Math.min(binCount - 1, Math.floor((price - low) / binSize));
+
+  data.forEach(k => {
+    const range = k.high - k.low;
+    if (range <= 0) {
+      volumes[binOf(k.close)] += k.volume;
+      return;
+    }
+    for (let b = binOf(k.low); b <= binOf(k.high); b++) {
+      const overlap = Math.min(k.high, low + (b + 1) * binSize) - Math.max(k.low, low + b * binSize);
+      if (overlap > 0) volumes[b] += k.volume * (overlap / range);
+    }
+  });
+
+  const totalVolume = volumes.reduce((sum, v) => sum + v, 0);
+  const mid = b => low + (b + 0.5) * binSize;
+
+  // POC
+  let poc = 0;
+  volumes.forEach((v, b) => {
+    if (v > volumes[poc]) poc = b;
+  });
+
+  // 价值区：每次向成交量更大的一侧扩展一格
+  let lower = poc;
+  let upper = poc;
+  let covered = volumes[poc];
+  while (covered < totalVolume * VOLUME_PROFILE_CONFIG.VALUE_AREA_PERCENT && (lower > 0 || upper < binCount - 1)) {
+    const below = lower > 0 ? volumes[lower - 1] : -1;
+    const above = upper < binCount - 1 ? volumes[upper + 1] : -1;
+    if (above >= below) covered += volumes[++upper];
+    else covered += volumes[--lower];
+  }
+
+  // 局部峰谷
+  const average = totalVolume / binCount;
+  const node = b => ({
+    price: mid(b),
+    top: low + (b + 1) * binSize,
+    bottom: low + b * binSize,
+    volume: volumes[b],
+    ratio: average > 0 ? volumes[b] / average : 0
+  });
+  const hvn = [];
+  const lvn = [];
+  for (let b = 1; b < binCount - 1; b++) {
+    const v = volumes[b];
+    if (v >= volumes[b - 1] && v >= volumes[b + 1] && v >= average * VOLUME_PROFILE_CONFIG.HVN_RATIO) hvn.push(node(b));
+    if (v <= volumes[b - 1] && v <= volumes[b + 1] && v <= average * VOLUME_PROFILE_CONFIG.LVN_RATIO) lvn.push(node(b));
+  }
+
+  return {
+    high,
+    low,
+    binSize,
+    totalVolume,
+    poc: { price: mid(poc), volume: volumes[poc] },
+    valueAreaHigh: low + (upper + 1) * binSize,
+    valueAreaLow: low + lower * binSize,
+    hvn,
+    lvn,
+    bins: volumes.map((volume, b) => ({ price: mid(b), volume }))
+  };
+}
+
+/**
+ * 成交量分布的关键价位（POC、VAH、VAL、HVN）
+ * @param {Object} profile - buildVolumeProfile 结果
+ * @returns {Array} [{ price, source: 'POC' | 'VAH' | 'VAL' | 'HVN' }]，同价位只保留靠前的来源
+ */
+function getProfileLevels(profile) {
+  if (!profile) return [];
+  const levels = [
+    { price: profile.poc.price, source: 'POC' },
+    { price: profile.valueAreaHigh, source: 'VAH' },
+    { price: profile.valueAreaLow, source: 'VAL' },
+    ...profile.hvn.map(n => ({ price: n.price, source: 'HVN' }))
+  ];
+  return levels.filter((level, i) =>
+    levels.findIndex(other => Math.abs(other.price - level.price) < profile.binSize / 2) === i);
+}
+
+/**
+ * 以成交量分布价位作为止盈目标
+ * tp1 为入场方向上第一个盈亏比不低于 minRRR 的价位，tp2 为其后的下一个价位（均不超过 maxRRR）；
+ * 没有合适价位时分别退回 2R / 3R（tp2 至少比 tp1 远 1R，但不超过 maxRRR；tp1 已在 maxRRR 时 tp2 与 tp1 相同）
+ * @param {Object|null} profile - buildVolumeProfile 结果
+ * @param {number} entryPrice - 入场价
+ * @param {number} stopLoss - 止损价
+ * @param {string} direction - 'LONG' | 'SHORT'
+ * @param {Object} options - { minRRR, maxRRR }
+ * @returns {Object} { tp1: { price, source, rrr }, tp2: { price, source, rrr } }，source 为 'RR_MULTIPLE' 表示固定倍数
+ */
+function getTakeProfitTargets(profile, entryPrice, stopLoss, direction, options = {}) {
+  const minRRR = options.minRRR || 2;
+  const maxRRR = options.maxRRR || 5;
+  const risk = Math.abs(entryPrice - stopLoss);
+  const sign = direction === 'LONG' ? 1 : -1;
+  const target = (rrr, source) => ({ price: entryPrice + sign * risk * rrr, source, rrr });
+
+  const candidates = risk > 0
+    ? getProfileLevels(profile)
+      .map(level => ({ ...level, rrr: (sign * (level.price - entryPrice)) / risk }))
+      .filter(level => level.rrr >= minRRR && level.rrr <= maxRRR)
+      .sort((a, b) => a.rrr - b.rrr)
+    : [];
+
+  const tp1 = candidates[0] || target(2, 'RR_MULTIPLE');
+  const fallbackRRR = Math.min(Math.max(3, tp1.rrr + 1), maxRRR);
+  const tp2 = candidates.find(level => level.rrr > tp1.rrr) ||
+    (fallbackRRR > tp1.rrr ? target(fallbackRRR, 'RR_MULTIPLE') : tp1);
+  return { tp1, tp2 };
+}
+
+module.exports = {
+  VOLUME_PROFILE_CONFIG,
+  buildVolumeProfile,
+  getProfileLevels,
+  getTakeProfitTargets
+};
@@ -0,0 +1,100 @@
+/**
+ * 回测引擎测试（可见K线窗口与交易模拟）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BACKTEST_CONFIG, getVisibleKlines, simulateTrade } = require('../src/backtest');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const START = Date.UTC(2026, 0, 1);
+
+function series(count, msPerCandle) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: START + i * msPerCandle,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: 1
+  }));
+}
+
+test('never exposes a candle whose close time is after the replay time', () => {
+  const klines = series(50, 4 * HOUR_MS);
+
+  for (let time = START; time <= START + 50 * 4 * HOUR_MS; time += 30 * MINUTE_MS) {
+    const visible = getVisibleKlines(klines, '4h', time, 1000);
+    visible.forEach(k => assert.ok(k.timestamp + 4 * HOUR_MS <= time));
+
+    // 已收盘的K线全部可见
+    const closed = klines.filter(k => k.timestamp + 4 * HOUR_MS <= time);
+    assert.strictEqual(visible.length, closed.length);
+  }
+});
+
+test('includes a candle exactly at its close time and not a millisecond earlier', () => {
+  const klines = series(10, 15 * MINUTE_MS);
+  const closeOfThird = START + 3 * 15 * MINUTE_MS;
+
+  const before = getVisibleKlines(klines, '15m', closeOfThird - 1, 100);
+  assert.strictEqual(before.length, 2);
+
+  const at = getVisibleKlines(klines, '15m', closeOfThird, 100);
+  assert.strictEqual(at.length, 3);
+  assert.strictEqual(at[at.length - 1].timestamp, START + 2 * 15 * MINUTE_MS);
+
+  assert.deepStrictEqual(getVisibleKlines(klines, '15m', START, 100), []);
+});
+
+test('limits the window to the most recent closed candles', () => {
+  const klines = series(100, MINUTE_MS);
+  const time = START + 60 * MINUTE_MS + 30 * 1000;
+
+  const visible = getVisibleKlines(klines, '1m', time, 20);
+  assert.strictEqual(visible.length, 20);
+  assert.strictEqual(visible[0].timestamp, START + 40 * MINUTE_MS);
+  assert.strictEqual(visible[19].timestamp, START + 59 * MINUTE_MS);
+});
+
+const signal = {
+  id: 'sig_1',
+  symbol: 'BTC_USDT',
+  direction: 'LONG',
+  rating: 'A',
+  score: 80,
+  entry_price: 100,
+  sl: 95,
+  tp1: 110,
+  tp2: 115
+};
+
+function bar(i, low, high) {
+  return { timestamp: START + i * HOUR_MS, open: (low + high) / 2, high, low, close: (low + high) / 2, volume: 1 };
+}
+
+test('simulates a fill, TP1 partial close and TP2 exit in R', () => {
+  const trade = simulateTrade(signal, [bar(1, 102, 104), bar(2, 99, 103), bar(3, 104, 111), bar(4, 108, 116)], START);
+
+  assert.strictEqual(trade.filled, true);
+  assert.strictEqual(trade.entry_time, START + 2 * HOUR_MS);
+  assert.strictEqual(trade.tp1_hit, true);
+  assert.strictEqual(trade.outcome, 'TP2');
+  assert.strictEqual(trade.exit_price, 115);
+  // 50% @ 2R + 50% @ 3R
+  assert.strictEqual(trade.r_multiple, BACKTEST_CONFIG.TP1_CLOSE_RATIO * 2 + (1 - BACKTEST_CONFIG.TP1_CLOSE_RATIO) * 3);
+});
+
+test('treats a candle touching both stop and target as a stop', () => {
+  const trade = simulateTrade(signal, [bar(1, 99, 101), bar(2, 94, 111)], START);
+  assert.strictEqual(trade.outcome, 'SL');
+  assert.strictEqual(trade.r_multiple, -1);
+});
+
+test('invalidates a signal whose stop is hit before entry', () => {
+  const shortSignal = { ...signal, direction: 'SHORT', entry_price: 100, sl: 105, tp1: 90, tp2: 85 };
+  const trade = simulateTrade(shortSignal, [bar(1, 96, 99), bar(2, 101, 106)], START);
+  assert.strictEqual(trade.filled, false);
+  assert.strictEqual(trade.outcome, 'INVALIDATED');
+});
@@ -0,0 +1,141 @@
+/**
+ * 本地历史K线库测试（脚本化的区间接口 + 内存SQLite）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { inspectCandles, CandleStore } = require('../src/candleStore');
+
+const SYMBOL = 'BTC_USDT';
+const HOUR_MS = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5);
+
+const candle = (hour, extra = {}) => ({
+  timestamp: T0 + hour * HOUR_MS, open: 100, high: 101, low: 99, close: 100, volume: 1, ...extra
+});
+const hours = (from, to, skip = []) => {
+  const list = [];
+  for (let h = from; h <= to; h++) if (!skip.includes(h)) list.push(h);
+  return list;
+};
+
+// 交易所只有 available 中的小时K线，每页最多10根，记录每次请求的区间（小时）
+function createAdapter(available) {
+  const adapter = {
+    maxKlinesPerRequest: 10,
+    available: new Set(available),
+    calls: [],
+    async getKlinesRange(symbol, timeframe, from, to) {
+      adapter.calls.push([(from - T0) / HOUR_MS, (to - T0) / HOUR_MS]);
+      return hours((from - T0) / HOUR_MS, (to - T0) / HOUR_MS).filter(h => adapter.available.has(h)).map(h => candle(h));
+    }
+  };
+  return adapter;
+}
+
+function setup(available, stored = []) {
+  const store = new SqliteStore(':memory:');
+  const adapter = createAdapter(available);
+  if (stored.length > 0) store.saveCandles({ [SYMBOL]: stored.map(h => candle(h)) }, '1h');
+  return { store, adapter, candles: new CandleStore(store, { getAdapter: () => adapter, pageDelay: 0 }) };
+}
+
+const storedHours = store => store.getCandles(SYMBOL, '1h').map(k => (k.timestamp - T0) / HOUR_MS);
+
+test('sorts, deduplicates and finds gaps in a batch', () => {
+  const { candles, duplicates, gaps } = inspectCandles(
+    [candle(3), candle(0), candle(1, { close: 90 }), candle(1, { close: 95 }), candle(7)],
+    '1h'
+  );
+
+  assert.deepStrictEqual(candles.map(k => (k.timestamp - T0) / HOUR_MS), [0, 1, 3, 7]);
+  assert.strictEqual(candles[1].close, 95);
+  assert.deepStrictEqual(duplicates, [T0 + HOUR_MS]);
+  assert.deepStrictEqual(gaps, [
+    { after: T0 + HOUR_MS, before: T0 + 3 * HOUR_MS, missing: 1 },
+    { after: T0 + 3 * HOUR_MS, before: T0 + 7 * HOUR_MS, missing: 3 }
+  ]);
+});
+
+test('pages backward from the last closed candle until the exchange runs out', async () => {
+  // 交易所从第50小时开始有数据，第100小时尚未收盘
+  const { store, adapter, candles } = setup(hours(50, 100));
+
+  const result = await candles.backfill(SYMBOL, '1h', { from: T0, now: T0 + 100 * HOUR_MS + 1000 });
+
+  assert.deepStrictEqual(adapter.calls, [[90, 99], [80, 89], [70, 79], [60, 69], [50, 59], [40, 49]]);
+  assert.strictEqual(result.saved, 50);
+  assert.strictEqual(result.history_start_reached, true);
+  assert.deepStrictEqual(storedHours(store), hours(50, 99));
+  assert.strictEqual(candles.getState(SYMBOL, '1h').history_start_reached, true);
+
+  // 已到交易所最早数据：再次回补不再向前翻页
+  adapter.calls = [];
+  const again = await candles.backfill(SYMBOL, '1h', { from: T0, now: T0 + 100 * HOUR_MS + 1000 });
+  assert.deepStrictEqual(adapter.calls, []);
+  assert.strictEqual(again.pages, 0);
+  store.close();
+});
+
+test('fetches new candles, repairs gaps and pages back to the start', async () => {
+  // 已保存 30–49（缺 35–37），交易所从0开始都有
+  const { store, adapter, candles } = setup(hours(0, 60), hours(30, 49, [35, 36, 37]));
+
+  const result = await candles.backfill(SYMBOL, '1h', { from: T0, now: T0 + 55 * HOUR_MS });
+
+  assert.deepStrictEqual(adapter.calls, [
+    [50, 54],                   // 1. 49之后到最新收盘的54
+    [35, 37],                   // 2. 缺口 34→38
+    [20, 29], [10, 19], [0, 9]  // 3. 从29向前翻页到起点
+  ]);
+  assert.strictEqual(result.gaps_repaired, 1);
+  assert.strictEqual(result.gaps_unrepairable, 0);
+  assert.strictEqual(result.history_start_reached, false);
+  assert.deepStrictEqual(storedHours(store), hours(0, 54));
+  store.close();
+});
+
+test('records a gap the exchange has no data for and skips it afterwards', async () => {
+  const { store, adapter, candles } = setup(hours(0, 30, [12, 13]), hours(0, 20, [12, 13]));
+
+  const first = await candles.backfill(SYMBOL, '1h', { from: T0, now: T0 + 21 * HOUR_MS });
+  assert.deepStrictEqual(adapter.calls, [[12, 13]]);
+  assert.strictEqual(first.gaps_repaired, 0);
+  assert.strictEqual(first.gaps_unrepairable, 1);
+  assert.deepStrictEqual(candles.getState(SYMBOL, '1h').unrepairable_gaps, [
+    { after: T0 + 11 * HOUR_MS, before: T0 + 14 * HOUR_MS }
+  ]);
+
+  adapter.calls = [];
+  const second = await candles.backfill(SYMBOL, '1h', { from: T0, now: T0 + 23 * HOUR_MS });
+  assert.deepStrictEqual(adapter.calls, [[21, 22]]);
+  assert.strictEqual(second.gaps_unrepairable, 0);
+  assert.strictEqual(candles.getState(SYMBOL, '1h').unrepairable_gaps.length, 1);
+
+  const [report] = candles.report();
+  assert.strictEqual(report.gap_count, 1);
+  assert.strictEqual(report.gaps[0].unrepairable, true);
+  assert.strictEqual(report.missing, 2);
+  store.close();
+});
+
+test('appends only newer closed candles and reports gaps against stored data', () => {
+  const { store, candles } = setup([], hours(0, 9));
+
+  const first = candles.appendNew({
+    [SYMBOL]: [candle(8), candle(9), candle(10), candle(10), candle(11, { closed: false })],
+    ETH_USDT: [candle(0), candle(1)]
+  }, '1h');
+  assert.deepStrictEqual(first, { saved: 3, gaps: [] });
+  assert.deepStrictEqual(storedHours(store), hours(0, 10));
+  assert.strictEqual(candles.getState(SYMBOL, '1h').duplicates, 1);
+
+  // 服务停机期间错过 11–13
+  const second = candles.appendNew({ [SYMBOL]: [candle(14), candle(15)] }, '1h');
+  assert.deepStrictEqual(second, {
+    saved: 2,
+    gaps: [{ symbol: SYMBOL, after: T0 + 10 * HOUR_MS, before: T0 + 14 * HOUR_MS, missing: 3 }]
+  });
+  store.close();
+});
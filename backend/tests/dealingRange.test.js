@@ -0,0 +1,117 @@
+/**
+ * 交易区间测试（溢价/折价/均衡区、OTE、BLOCK/DOWNGRADE/OFF 模式）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEALING_RANGE_CONFIG,
+  getDealingRange,
+  locateInRange,
+  evaluateEntryLocation
+} = require('../src/dealingRange');
+
+const HOUR_MS = 60 * 60 * 1000;
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// 低点 90（第1根）、高点 110（第4根），之后回落
+const klines = [[95, 100], [90, 96], [94, 102], [100, 106], [104, 110], [99, 107]]
+  .map(([low, high], i) => ({ timestamp: i * 4 * HOUR_MS, open: low, high, low, close: high, volume: 1 }));
+const point = (i, side) => ({ index: i, price: klines[i][side], timestamp: klines[i].timestamp });
+
+const bullish = { trend: 'BULLISH', protectedLow: point(1, 'low'), swingHighs: [], swingLows: [] };
+const range = getDealingRange(klines, bullish);
+
+test('builds the range from the protected low to the highest high after it', () => {
+  assert.strictEqual(range.source, 'STRUCTURE');
+  assert.deepStrictEqual(range.low, point(1, 'low'));
+  assert.deepStrictEqual(range.high, point(4, 'high'));
+  assert.strictEqual(range.size, 20);
+  assert.strictEqual(range.equilibrium, 100);
+  assert.deepStrictEqual(range.premium, { top: 110, bottom: 100 });
+  assert.deepStrictEqual(range.discount, { top: 100, bottom: 90 });
+
+  // 做多 OTE 为从高点回撤 62%–79%，做空为从低点反弹 62%–79%
+  near(range.ote.long.top, 97.6);
+  near(range.ote.long.bottom, 94.2);
+  near(range.ote.short.top, 105.8);
+  near(range.ote.short.bottom, 102.4);
+});
+
+test('uses the protected high in a down-trend and the latest swings otherwise', () => {
+  const bearish = getDealingRange(klines, { trend: 'BEARISH', protectedHigh: point(3, 'high'), swingHighs: [], swingLows: [] });
+  assert.deepStrictEqual([bearish.high.price, bearish.low.price], [106, 99]);
+
+  const swings = getDealingRange(klines, {
+    trend: 'NEUTRAL',
+    swingHighs: [{ index: 0, price: 100, timestamp: 0 }, { index: 4, price: 110, timestamp: klines[4].timestamp }],
+    swingLows: [{ index: 1, price: 90, timestamp: klines[1].timestamp }]
+  });
+  assert.strictEqual(swings.source, 'SWINGS');
+  assert.deepStrictEqual([swings.high.price, swings.low.price], [110, 90]);
+
+  assert.strictEqual(getDealingRange(klines, { trend: 'NEUTRAL', swingHighs: [], swingLows: [] }), null);
+  assert.strictEqual(getDealingRange([], bullish), null);
+});
+
+test('locates prices in premium, discount and equilibrium', () => {
+  assert.strictEqual(locateInRange(range, 108, 'LONG').zone, 'PREMIUM');
+  assert.strictEqual(locateInRange(range, 92, 'LONG').zone, 'DISCOUNT');
+  // 均衡价上下 2% 区间高度（±0.4）内为均衡区
+  assert.strictEqual(locateInRange(range, 100.3, 'LONG').zone, 'EQUILIBRIUM');
+  assert.strictEqual(locateInRange(range, 99.7, 'SHORT').zone, 'EQUILIBRIUM');
+  assert.strictEqual(locateInRange(range, 100.5, 'LONG').zone, 'PREMIUM');
+
+  const long = locateInRange(range, 96, 'LONG');
+  near(long.position, 0.3);
+  near(long.retracement, 0.7);
+  assert.strictEqual(long.inOTE, true);
+  assert.strictEqual(locateInRange(range, 98, 'LONG').inOTE, false);
+  assert.strictEqual(locateInRange(range, 93, 'LONG').inOTE, false);
+
+  const short = locateInRange(range, 104, 'SHORT');
+  near(short.retracement, 0.7);
+  assert.strictEqual(short.inOTE, true);
+  assert.strictEqual(locateInRange(range, 96, 'SHORT').inOTE, false);
+
+  // 区间外位置超出 0–1
+  near(locateInRange(range, 115, 'LONG').position, 1.25);
+});
+
+test('blocks, downgrades or only records entries on the wrong side', () => {
+  const mode = MODE => ({ ...DEALING_RANGE_CONFIG, MODE });
+
+  const blocked = evaluateEntryLocation(range, 108, 'LONG', mode('BLOCK'));
+  assert.deepStrictEqual([blocked.passed, blocked.action, blocked.reason, blocked.scoreAdjustment],
+    [false, 'BLOCK', 'LONG_IN_PREMIUM', 0]);
+  assert.strictEqual(blocked.location.zone, 'PREMIUM');
+
+  const shortBlocked = evaluateEntryLocation(range, 92, 'SHORT', mode('BLOCK'));
+  assert.deepStrictEqual([shortBlocked.passed, shortBlocked.reason], [false, 'SHORT_IN_DISCOUNT']);
+
+  const downgraded = evaluateEntryLocation(range, 108, 'LONG', mode('DOWNGRADE'));
+  assert.deepStrictEqual([downgraded.passed, downgraded.action, downgraded.reason, downgraded.scoreAdjustment],
+    [true, 'DOWNGRADE', 'LONG_IN_PREMIUM', -DEALING_RANGE_CONFIG.PENALTY]);
+
+  const off = evaluateEntryLocation(range, 92, 'SHORT', mode('OFF'));
+  assert.deepStrictEqual([off.passed, off.action, off.reason, off.scoreAdjustment],
+    [true, 'PASS', 'SHORT_IN_DISCOUNT', 0]);
+});
+
+test('rewards OTE entries on the right side and passes without a range', () => {
+  const block = { ...DEALING_RANGE_CONFIG, MODE: 'BLOCK' };
+
+  const ote = evaluateEntryLocation(range, 96, 'LONG', block);
+  assert.deepStrictEqual([ote.passed, ote.action, ote.reason, ote.scoreAdjustment],
+    [true, 'PASS', 'IN_OTE', DEALING_RANGE_CONFIG.OTE_BONUS]);
+
+  const shortOTE = evaluateEntryLocation(range, 104, 'SHORT', block);
+  assert.strictEqual(shortOTE.reason, 'IN_OTE');
+
+  const discount = evaluateEntryLocation(range, 99, 'LONG', block);
+  assert.deepStrictEqual([discount.reason, discount.scoreAdjustment], [null, 0]);
+
+  assert.deepStrictEqual(evaluateEntryLocation(null, 108, 'LONG', block), {
+    passed: true, action: 'PASS', reason: 'NO_DEALING_RANGE', scoreAdjustment: 0, location: null
+  });
+});
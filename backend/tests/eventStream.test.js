@@ -0,0 +1,112 @@
+/**
+ * 事件推送测试（本地 HTTP 服务上的 SSE：Last-Event-ID 补发、类型过滤、跨进程ID重置）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { EVENT_TYPES, parseEventId, EventHub } = require('../src/eventStream');
+
+const hub = new EventHub({ bufferSize: 5 });
+let server;
+let port;
+
+before(async () => {
+  const app = express();
+  app.get('/api/events', (req, res) => hub.handleSSE(req, res));
+  server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * 连接 SSE 并收集事件，收到 count 个（含 stream.reset）后断开
+ * onOpen 在响应头到达后调用，用于在连接期间发布新事件
+ */
+function collect(count, { path = '/api/events', lastEventId, onOpen } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = lastEventId ? { 'Last-Event-ID': lastEventId } : {};
+    const req = http.get({ host: '127.0.0.1', port, path, headers }, res => {
+      const events = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => /^(id|event|data): /.test(line))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.event) events.push({ id: fields.id || null, type: fields.event, data: JSON.parse(fields.data) });
+        });
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+      if (onOpen) onOpen();
+    });
+    req.on('error', error => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+}
+
+const publish = (type, n) => hub.publish(type, { n });
+const numbers = events => events.map(e => e.data.data && e.data.data.n);
+
+test('replays events after Last-Event-ID and then streams live ones', async () => {
+  const first = publish(EVENT_TYPES.SCAN_PROGRESS, 1);
+  publish(EVENT_TYPES.SIGNAL_NEW, 2);
+  publish(EVENT_TYPES.SCAN_SYMBOL, 3);
+
+  const events = await collect(3, {
+    lastEventId: first.id,
+    onOpen: () => setImmediate(() => publish(EVENT_TYPES.SIGNAL_STATUS, 4))
+  });
+
+  assert.deepStrictEqual(events.map(e => e.type), [EVENT_TYPES.SIGNAL_NEW, EVENT_TYPES.SCAN_SYMBOL, EVENT_TYPES.SIGNAL_STATUS]);
+  assert.deepStrictEqual(numbers(events), [2, 3, 4]);
+  assert.deepStrictEqual(events.map(e => parseEventId(e.id).seq), [2, 3, 4]);
+  assert.strictEqual(events[0].id, events[0].data.id);
+
+  // 客户端断开后取消订阅
+  for (let i = 0; i < 100 && hub.getStats().subscribers > 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(hub.getStats().subscribers, 0);
+});
+
+test('filters replayed events by type and accepts the ID as a query parameter', async () => {
+  const from = publish(EVENT_TYPES.DATA_HEALTH, 5);
+  publish(EVENT_TYPES.SCAN_PROGRESS, 6);
+  publish(EVENT_TYPES.SIGNAL_NEW, 7);
+  publish(EVENT_TYPES.SCAN_JOB, 8);
+
+  const events = await collect(2, { path: `/api/events?types=scan.*&lastEventId=${from.id}` });
+  assert.deepStrictEqual(numbers(events), [6, 8]);
+});
+
+test('sends a reset and the whole buffer for IDs it can no longer resume from', async () => {
+  // 其他进程实例的ID
+  const foreign = await collect(6, { lastEventId: 'oldepoch-3' });
+  assert.deepStrictEqual(foreign[0], { id: null, type: 'stream.reset', data: { reason: 'EVENTS_MISSED' } });
+  assert.deepStrictEqual(numbers(foreign.slice(1)), [4, 5, 6, 7, 8]);
+
+  // 已被挤出缓冲区（只保留最近5个）
+  const evicted = await collect(6, { lastEventId: `${hub.epoch}-1` });
+  assert.strictEqual(evicted[0].type, 'stream.reset');
+  assert.deepStrictEqual(numbers(evicted.slice(1)), [4, 5, 6, 7, 8]);
+
+  // 缓冲区中最早事件的前一个仍可无缝续传
+  const resumed = await collect(5, { lastEventId: `${hub.epoch}-3` });
+  assert.deepStrictEqual(numbers(resumed), [4, 5, 6, 7, 8]);
+});
@@ -0,0 +1,120 @@
+/**
+ * 交易所适配器测试（本地 HTTP 服务返回固定响应，不访问交易所）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { GateioAdapter } = require('../src/exchanges/gateio');
+const { BinanceAdapter } = require('../src/exchanges/binance');
+const { OkxAdapter } = require('../src/exchanges/okx');
+const { ExternalServiceError } = require('../src/utils/errors');
+
+const T0 = Date.UTC(2026, 0, 5);
+
+// 本地服务：按路径返回 fixtures 中的响应，记录每次请求的路径和参数
+const fixtures = {};
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams) });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(fixtures[url.pathname] === undefined ? null : fixtures[url.pathname]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const lastRequest = () => requests[requests.length - 1];
+
+// 统一格式的K线
+const candle = (i, open, high, low, close, volume) => ({ timestamp: T0 + i * 3600000, open, high, low, close, volume });
+
+test('parses Gate.io candles and tickers', async () => {
+  const gateio = new GateioAdapter({ baseUrl });
+  fixtures['/spot/candlesticks'] = [
+    [String(T0 / 1000), '12.5', '101', '102', '99', '100'],
+    [String(T0 / 1000 + 3600), '8', '103', '104', '100.5', '101']
+  ];
+  fixtures['/spot/tickers'] = [
+    { currency_pair: 'BTC_USDT', last: '101', high_24h: '105', low_24h: '95', base_volume: '10', quote_volume: '1000',
+      change_percentage: '-1.5', highest_bid: '100.9', lowest_ask: '101.1' },
+    { currency_pair: 'ETH_USDT', last: '5' }
+  ];
+
+  assert.deepStrictEqual(await gateio.getKlines('BTC_USDT', '1h', 2), [
+    candle(0, 100, 102, 99, 101, 12.5),
+    candle(1, 101, 104, 100.5, 103, 8)
+  ]);
+  assert.deepStrictEqual(lastRequest().params, { currency_pair: 'BTC_USDT', interval: '1h', limit: '2' });
+
+  assert.deepStrictEqual(await gateio.getTickers(['BTC_USDT']), {
+    BTC_USDT: { symbol: 'BTC_USDT', last: 101, high24h: 105, low24h: 95, volume24h: 10, quoteVolume24h: 1000,
+      change24h: -1.5, bid: 100.9, ask: 101.1 }
+  });
+  assert.throws(() => gateio.mapTimeframe('2h'), /Unsupported timeframe for gateio: 2h/);
+});
+
+test('converts Binance symbols by their quote suffix', async () => {
+  const binance = new BinanceAdapter({ baseUrl });
+  assert.strictEqual(binance.toExchangeSymbol('BTC_USDT'), 'BTCUSDT');
+  assert.deepStrictEqual(
+    ['BTCUSDT', 'ETHFDUSD', 'SOLUSDC', 'ETHBTC', 'BNBETH', 'DOGEBNB', 'USDT', 'BTCTRY'].map(s => binance.fromExchangeSymbol(s)),
+    ['BTC_USDT', 'ETH_FDUSD', 'SOL_USDC', 'ETH_BTC', 'BNB_ETH', 'DOGE_BNB', 'USDT', 'BTCTRY']
+  );
+
+  fixtures['/klines'] = [[T0, '100', '102', '99', '101', '12.5', T0 + 3599999, '1262.5']];
+  fixtures['/ticker/24hr'] = [
+    { symbol: 'BTCUSDT', lastPrice: '101', highPrice: '105', lowPrice: '95', volume: '10', quoteVolume: '1000',
+      priceChangePercent: '2', bidPrice: '100.9', askPrice: '101.1' },
+    { symbol: 'ETHBTC', lastPrice: '0.05' }
+  ];
+
+  assert.deepStrictEqual(await binance.getKlines('BTC_USDT', '1h', 1), [candle(0, 100, 102, 99, 101, 12.5)]);
+  assert.deepStrictEqual(lastRequest().params, { symbol: 'BTCUSDT', interval: '1h', limit: '1' });
+
+  const tickers = await binance.getTickers();
+  assert.deepStrictEqual(Object.keys(tickers), ['BTC_USDT', 'ETH_BTC']);
+  assert.deepStrictEqual([tickers.BTC_USDT.quoteVolume24h, tickers.BTC_USDT.change24h], [1000, 2]);
+});
+
+test('reverses OKX candles and rejects error responses', async () => {
+  const okx = new OkxAdapter({ baseUrl });
+  assert.deepStrictEqual([okx.toExchangeSymbol('BTC_USDT'), okx.fromExchangeSymbol('BTC-USDT')], ['BTC-USDT', 'BTC_USDT']);
+
+  // OKX 按时间倒序返回
+  fixtures['/market/candles'] = {
+    code: '0',
+    msg: '',
+    data: [
+      [String(T0 + 3600000), '101', '104', '100.5', '103', '8', '808', '808', '1'],
+      [String(T0), '100', '102', '99', '101', '12.5', '1262.5', '1262.5', '1']
+    ]
+  };
+  assert.deepStrictEqual(await okx.getKlines('BTC_USDT', '1h', 2), [
+    candle(0, 100, 102, 99, 101, 12.5),
+    candle(1, 101, 104, 100.5, 103, 8)
+  ]);
+  assert.deepStrictEqual(lastRequest().params, { instId: 'BTC-USDT', bar: '1H', limit: '2' });
+
+  fixtures['/market/tickers'] = {
+    code: '0',
+    data: [{ instId: 'BTC-USDT', last: '110', open24h: '100', high24h: '112', low24h: '99', vol24h: '10',
+      volCcy24h: '1050', bidPx: '109.9', askPx: '110.1' }]
+  };
+  const { BTC_USDT: ticker } = await okx.getTickers(['BTC_USDT']);
+  assert.deepStrictEqual([ticker.symbol, ticker.change24h, ticker.quoteVolume24h], ['BTC_USDT', 10, 1050]);
+
+  fixtures['/market/candles'] = { code: '51001', msg: 'Instrument ID does not exist', data: [] };
+  await assert.rejects(okx.getKlines('NOPE_USDT', '1h', 10), error =>
+    error instanceof ExternalServiceError && /OKX API error: Instrument ID does not exist/.test(error.message));
+
+  delete fixtures['/market/candles'];
+  await assert.rejects(okx.getKlines('BTC_USDT', '1h', 10), /OKX API error: empty response/);
+});
@@ -0,0 +1,92 @@
+/**
+ * FVG 状态测试（OPEN → TOUCHED → HALF_FILLED → MITIGATED / INVERTED → INVALIDATED）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectFVG, trackFVGFill, getActiveFVGs, getInversionFVGs } = require('../src/strategy');
+const { checkPriceInFVG } = require('../src/multiTimeframe');
+
+const MINUTE_MS = 60 * 1000;
+
+function bar(i, low, high, close = (low + high) / 2) {
+  return { timestamp: i * 15 * MINUTE_MS, open: (low + high) / 2, high, low, close, volume: 1 };
+}
+
+// 第2根形成的看涨FVG 100–102（CE 101），之后逐根回落、收盘跌破、再收回缺口上方
+const bullishFVG = { type: 'BULLISH_FVG', top: 102, bottom: 100, size: 2, timestamp: 2 * 15 * MINUTE_MS, index: 2 };
+const bars = [
+  bar(0, 97, 100),
+  bar(1, 99, 104),
+  bar(2, 102, 105),
+  bar(3, 103, 106),              // 未触及
+  bar(4, 101.5, 104),            // 触及，回补 25%
+  bar(5, 100.8, 103),            // 过 CE
+  bar(6, 99.9, 102, 100.5),      // 引线穿过缺口底部，收盘仍在缺口内
+  bar(7, 99, 101, 99.5),         // 收盘跌破缺口：反转为阻力
+  bar(8, 99.5, 101.5, 101),      // 反转后仍在原缺口内
+  bar(9, 100, 103, 102.5)        // 收盘回到原缺口上方：Inversion FVG 失效
+];
+const stateAfter = (i, fvg = bullishFVG) => trackFVGFill(fvg, bars.slice(0, i + 1));
+
+test('walks a bullish FVG through every state', () => {
+  assert.deepStrictEqual([2, 3, 4, 5, 6, 7, 8, 9].map(i => stateAfter(i).state), [
+    'OPEN', 'OPEN', 'TOUCHED', 'HALF_FILLED', 'MITIGATED', 'INVERTED', 'INVERTED', 'INVALIDATED'
+  ]);
+
+  const full = stateAfter(9);
+  assert.strictEqual(full.ce, 101);
+  assert.deepStrictEqual(full.firstTouch, { index: 4, timestamp: bars[4].timestamp });
+  assert.deepStrictEqual(full.ceHit, { index: 5, timestamp: bars[5].timestamp });
+  assert.deepStrictEqual(full.mitigated, { index: 6, timestamp: bars[6].timestamp });
+  assert.deepStrictEqual(full.inverted, { index: 7, timestamp: bars[7].timestamp });
+  assert.deepStrictEqual(full.inversionBroken, { index: 9, timestamp: bars[9].timestamp });
+  assert.strictEqual(full.filledPercent, 100);
+  assert.strictEqual(stateAfter(4).filledPercent, 25);
+});
+
+test('tracks a bearish FVG symmetrically', () => {
+  const bearish = { type: 'BEARISH_FVG', top: 102, bottom: 100, size: 2, timestamp: 0, index: 0 };
+  const klines = [bar(0, 97, 99), bar(1, 96, 100.5), bar(2, 98, 101.2), bar(3, 99, 102.5, 102.2), bar(4, 98, 100, 99.5)];
+  const states = [1, 2, 3, 4].map(i => trackFVGFill(bearish, klines.slice(0, i + 1)).state);
+  assert.deepStrictEqual(states, ['TOUCHED', 'HALF_FILLED', 'INVERTED', 'INVALIDATED']);
+});
+
+test('detects the gap left by a displacement candle', () => {
+  const klines = Array.from({ length: 18 }, (_, i) => ({
+    timestamp: i * 15 * MINUTE_MS, open: 100, high: 100.5, low: 99.8, close: 100.2, volume: 1
+  }));
+  klines.push({ timestamp: 18 * 15 * MINUTE_MS, open: 100.3, high: 104.2, low: 100.2, close: 104, volume: 1 });
+  klines.push({ timestamp: 19 * 15 * MINUTE_MS, open: 104, high: 105, low: 101, close: 104.5, volume: 1 });
+
+  const [fvg, ...rest] = detectFVG(klines);
+  assert.deepStrictEqual(rest, []);
+  assert.deepStrictEqual([fvg.type, fvg.top, fvg.bottom, fvg.index, fvg.state], ['BULLISH_FVG', 101, 100.5, 19, 'OPEN']);
+  assert.strictEqual(fvg.displacement.direction, 'BULLISH');
+  assert.strictEqual(fvg.displacement.startIndex, 18);
+  assert.strictEqual(fvg.displacement.fvg, true);
+});
+
+test('keeps only live gaps as active and live inversions as IFVGs', () => {
+  const list = [stateAfter(5), stateAfter(6), stateAfter(8), stateAfter(9)];
+
+  assert.deepStrictEqual(getActiveFVGs(list).map(f => f.state), ['HALF_FILLED']);
+
+  const inversions = getInversionFVGs(list);
+  assert.strictEqual(inversions.length, 1);
+  assert.deepStrictEqual([inversions[0].type, inversions[0].originalType, inversions[0].inversion, inversions[0].state],
+    ['BEARISH_IFVG', 'BULLISH_FVG', true, 'INVERTED']);
+});
+
+test('rejects mitigated gaps and broken inversions as entry zones', () => {
+  assert.strictEqual(checkPriceInFVG(101, stateAfter(5)), true);
+  assert.strictEqual(checkPriceInFVG(103, stateAfter(5)), false);
+  assert.strictEqual(checkPriceInFVG(101, stateAfter(6)), false);
+  assert.strictEqual(checkPriceInFVG(101, stateAfter(8)), false);
+
+  const [inversion] = getInversionFVGs([stateAfter(8)]);
+  assert.strictEqual(checkPriceInFVG(101, inversion), true);
+  const broken = { ...stateAfter(9), type: 'BEARISH_IFVG', inversion: true };
+  assert.strictEqual(checkPriceInFVG(101, broken), false);
+  assert.strictEqual(checkPriceInFVG(101, null), false);
+});
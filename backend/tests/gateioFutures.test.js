@@ -0,0 +1,127 @@
+/**
+ * Gate.io 永续合约测试（本地 HTTP 服务：合约面值换算、资金费率/持仓量历史；资金费率和持仓量过滤）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { GateioFuturesAdapter } = require('../src/exchanges/gateioFutures');
+const { CONFIG, environmentFilter, degradationFilter } = require('../src/strategy');
+
+const T0 = Date.UTC(2026, 0, 5);
+
+// 本地服务：按路径返回 fixtures 中的响应，记录每次请求的路径
+const fixtures = {
+  '/futures/usdt/contracts': [
+    { name: 'BTC_USDT', quanto_multiplier: '0.0001' },
+    { name: 'DOGE_USDT', quanto_multiplier: '10' },
+    { name: 'XYZ_USDT', quanto_multiplier: '' }
+  ],
+  '/futures/usdt/tickers': [
+    { contract: 'BTC_USDT', last: '100000', mark_price: '100010', index_price: '99990', funding_rate: '0.0001',
+      total_size: '500000', volume_24h_base: '1200', volume_24h_quote: '120000000', change_percentage: '1.2',
+      high_24h: '101000', low_24h: '98000', highest_bid: '99999.9', lowest_ask: '100000.1' },
+    { contract: 'DOGE_USDT', last: '0.2', mark_price: '0.2', total_size: '3000000' },
+    { contract: 'XYZ_USDT', last: '2', mark_price: '2', total_size: '700' }
+  ],
+  '/futures/usdt/funding_rate': [
+    { t: T0 / 1000 + 16 * 3600, r: '0.0003' },
+    { t: T0 / 1000, r: '0.0001' },
+    { t: T0 / 1000 + 8 * 3600, r: '-0.0002' }
+  ],
+  '/futures/usdt/contract_stats': [
+    { time: T0 / 1000 + 3600, open_interest: 450000, open_interest_usd: 45000000, mark_price: 100000 },
+    { time: T0 / 1000, open_interest: 500000, open_interest_usd: 49000000, mark_price: 98000 }
+  ]
+};
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(fixtures[url.pathname] === undefined ? null : fixtures[url.pathname]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// 平稳小幅波动的K线，环境过滤只看合约相关检查项
+const klines = Array.from({ length: 30 }, (_, i) => {
+  const close = 100 + (i % 2 === 0 ? 1 : -1);
+  return { timestamp: T0 + i * 4 * 3600000, open: 100, high: close + 1, low: close - 2, close, volume: 1000 };
+});
+const check = (result, name) => result.checks.find(c => c.name === name);
+const reasons = result => result.penalties.map(p => p.reason);
+
+test('converts open interest from contracts with the cached multiplier', async () => {
+  const futures = new GateioFuturesAdapter({ baseUrl });
+  const tickers = await futures.getTickers(['BTC_USDT', 'DOGE_USDT', 'XYZ_USDT']);
+
+  assert.deepStrictEqual(tickers.BTC_USDT, {
+    symbol: 'BTC_USDT', last: 100000, high24h: 101000, low24h: 98000, volume24h: 1200, quoteVolume24h: 120000000,
+    change24h: 1.2, bid: 99999.9, ask: 100000.1, markPrice: 100010, indexPrice: 99990, fundingRate: 0.0001,
+    openInterest: 50, openInterestUsd: 5000500
+  });
+  assert.deepStrictEqual([tickers.DOGE_USDT.openInterest, tickers.DOGE_USDT.openInterestUsd], [30000000, 6000000]);
+  // 没有面值时按1张=1个基础币
+  assert.strictEqual(tickers.XYZ_USDT.openInterest, 700);
+
+  // 面值在缓存期内只请求一次
+  await futures.getTicker('DOGE_USDT');
+  assert.strictEqual(requests.filter(p => p === '/futures/usdt/contracts').length, 1);
+});
+
+test('returns funding and open interest history in ascending order', async () => {
+  const futures = new GateioFuturesAdapter({ baseUrl });
+
+  assert.deepStrictEqual(await futures.getFundingRateHistory('BTC_USDT'), [
+    { timestamp: T0, rate: 0.0001 },
+    { timestamp: T0 + 8 * 3600000, rate: -0.0002 },
+    { timestamp: T0 + 16 * 3600000, rate: 0.0003 }
+  ]);
+  assert.deepStrictEqual(await futures.getOpenInterestHistory('BTC_USDT'), [
+    { timestamp: T0, openInterest: 500000, openInterestUsd: 49000000, markPrice: 98000 },
+    { timestamp: T0 + 3600000, openInterest: 450000, openInterestUsd: 45000000, markPrice: 100000 }
+  ]);
+});
+
+test('fails the funding check only for crowded positions on the signal side', () => {
+  const ticker = derivatives => ({ volume24h: 1000000, derivatives });
+  const crowdedLongs = ticker({ fundingRate: 0.002, openInterestUsd: 20000000 });
+
+  assert.strictEqual(check(environmentFilter(klines, 'LONG', crowdedLongs), 'funding').passed, false);
+  assert.strictEqual(check(environmentFilter(klines, 'SHORT', crowdedLongs), 'funding').passed, true);
+  assert.strictEqual(check(environmentFilter(klines, 'SHORT', ticker({ fundingRate: -0.002 })), 'funding').passed, false);
+  assert.strictEqual(check(environmentFilter(klines, 'LONG', ticker({ fundingRate: null })), 'funding').passed, true);
+
+  // 持仓量过低不通过，缺少持仓量数据时不拦截
+  assert.strictEqual(check(environmentFilter(klines, 'LONG', crowdedLongs), 'open_interest').passed, true);
+  assert.strictEqual(check(environmentFilter(klines, 'LONG', ticker({ fundingRate: 0, openInterestUsd: 1000000 })), 'open_interest').passed, false);
+  assert.strictEqual(check(environmentFilter(klines, 'LONG', ticker({ fundingRate: 0, openInterestUsd: null })), 'open_interest').passed, true);
+
+  // 现货 ticker 没有合约检查项
+  assert.strictEqual(check(environmentFilter(klines, 'LONG', { volume24h: 1000000 }), 'funding'), undefined);
+});
+
+test('penalizes average funding against the signal and declining open interest', () => {
+  const signal = direction => ({ direction, entry_price: klines[klines.length - 1].close, baseScore: 80 });
+  const ticker = derivatives => ({ volume24h: 1000000, derivatives });
+
+  // 平均费率优先于当前费率
+  const crowded = ticker({ fundingRate: -0.0001, avgFundingRate: 0.0005, openInterestChange: -0.15 });
+  const long = degradationFilter(signal('LONG'), klines, crowded);
+  assert.deepStrictEqual(reasons(long), ['FUNDING_AGAINST', 'OI_DECLINING']);
+  assert.strictEqual(long.adjustedScore, 80 - CONFIG.FUNDING_PENALTY - CONFIG.OI_DECLINE_PENALTY);
+  assert.deepStrictEqual(reasons(degradationFilter(signal('SHORT'), klines, crowded)), ['OI_DECLINING']);
+
+  // 没有历史时退回当前费率；持仓量小幅下降不扣分
+  const current = ticker({ fundingRate: -0.0005, avgFundingRate: null, openInterestChange: -0.05 });
+  assert.deepStrictEqual(reasons(degradationFilter(signal('SHORT'), klines, current)), ['FUNDING_AGAINST']);
+  assert.deepStrictEqual(reasons(degradationFilter(signal('LONG'), klines, current)), []);
+});
@@ -0,0 +1,113 @@
+/**
+ * 位移与诱导测试（位移段、诱导位、只扫诱导位时不通过扫荡检查）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectDisplacement, detectInducement } = require('../src/strategy');
+const { detectInducementSweep, requireLiquiditySweep } = require('../src/liquiditySweep');
+
+const MINUTE_MS = 60 * 1000;
+const at = i => i * 15 * MINUTE_MS;
+
+function bar(i, open, close, high, low) {
+  return { timestamp: at(i), open, high, low, close, volume: 1 };
+}
+
+// 低点序列：第5根为主要低点 95，第10根为其后的次级低点 100（诱导位），之后抬高；
+// 第17根下引线刺到 99.5 扫掉诱导位后收在 100.8，没有刺破其下方真正的流动性池
+const LOWS = [120, 119, 118, 117, 116, 95, 97, 99, 101, 102, 100, 103, 104, 105, 106, 107, 108, 99.5, 110, 111];
+
+function series(changes = {}) {
+  const klines = LOWS.map((low, i) => bar(i, low + 1, low + 1.5, low + 2, low));
+  klines[17] = bar(17, 101, 100.8, 101.2, 99.5);
+  Object.entries(changes).forEach(([i, k]) => { klines[i] = bar(Number(i), ...k); });
+  return klines;
+}
+
+// 价格镜像（200 - p）：做空方向的对称场景
+const mirror = klines => klines.map(k => ({ ...k, open: 200 - k.open, close: 200 - k.close, high: 200 - k.low, low: 200 - k.high }));
+
+test('detects single-candle and multi-candle displacement legs', () => {
+  const klines = Array.from({ length: 12 }, (_, i) => bar(i, 100, 100, 100.5, 99.5));
+  klines[2] = bar(2, 100, 101.3, 101.4, 99.9);     // 单根实体 1.3 ATR
+  klines[5] = bar(5, 100, 99, 100.1, 98.8);        // 两根下跌，合计 2 ATR
+  klines[6] = bar(6, 99, 98, 99.1, 97.8);
+  klines[8] = bar(8, 100, 101, 101.1, 99.9);       // 单根 1 ATR：不够
+  klines[10] = bar(10, 100, 101.3, 102, 98);       // 实体占比不足一半
+
+  const legs = detectDisplacement(klines, { atr: 1 });
+  assert.deepStrictEqual(legs.map(l => [l.direction, l.startIndex, l.endIndex, l.candles]), [
+    ['BULLISH', 2, 2, 1],
+    ['BEARISH', 5, 6, 2]
+  ]);
+
+  const [single, leg] = legs;
+  assert.ok(Math.abs(single.bodyAtr - 1.3) < 1e-9);
+  assert.strictEqual(single.fvg, false);
+  assert.deepStrictEqual([leg.high, leg.low, leg.timestamp], [100.1, 97.8, at(6)]);
+  assert.ok(Math.abs(leg.legAtr - 2) < 1e-9);
+  assert.ok(leg.bodyAtr < 1.2);
+  assert.strictEqual(leg.fvg, true);
+
+  assert.deepStrictEqual(detectDisplacement(klines, { atr: 2 }).map(l => l.startIndex), []);
+});
+
+test('finds minor lows above the latest major low and records their sweep', () => {
+  const inducement = detectInducement(series(), 'LONG');
+
+  assert.deepStrictEqual(inducement.majorLevel, { level: 95, index: 5, timestamp: at(5) });
+  assert.deepStrictEqual(inducement.levels, [
+    { type: 'INDUCEMENT_LOW', level: 100, index: 10, timestamp: at(10), swept: { index: 17, timestamp: at(17) } },
+    { type: 'INDUCEMENT_LOW', level: 99.5, index: 17, timestamp: at(17), swept: null }
+  ]);
+  assert.strictEqual(inducement.latest.level, 99.5);
+
+  // 做空对称：主要高点之下的次级高点
+  const short = detectInducement(mirror(series()), 'SHORT');
+  assert.strictEqual(short.majorLevel.level, 105);
+  assert.deepStrictEqual(short.levels.map(l => [l.type, l.level, l.swept && l.swept.index]), [
+    ['INDUCEMENT_HIGH', 100, 17],
+    ['INDUCEMENT_HIGH', 100.5, null]
+  ]);
+
+  assert.deepStrictEqual(detectInducement(series(), 'NEUTRAL').levels, []);
+});
+
+test('reports an inducement sweep only inside the validity window', () => {
+  const klines = series();
+  assert.deepStrictEqual(detectInducementSweep(klines, detectInducement(klines, 'LONG')), {
+    type: 'INDUCEMENT_LOW',
+    level: 100,
+    index: 10,
+    timestamp: at(10),
+    sweepTimestamp: at(17)
+  });
+
+  // 之后又走了5根K线，扫荡已不在有效窗口内
+  const later = [...klines, ...[112, 113, 114, 115, 116].map((low, j) => bar(20 + j, low + 1, low + 1.5, low + 2, low))];
+  assert.strictEqual(detectInducementSweep(later, detectInducement(later, 'LONG')), null);
+  assert.strictEqual(detectInducementSweep(klines, null), null);
+});
+
+test('fails the sweep check when only an inducement level was taken', () => {
+  const result = requireLiquiditySweep(series(), 'LONG');
+
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.check.sweepTarget, 'INDUCEMENT');
+  assert.strictEqual(result.check.failureReason, 'INDUCEMENT_SWEEP_ONLY');
+  assert.strictEqual(result.check.inducementSweep.level, 100);
+  assert.strictEqual(result.check.sweepDetails, null);
+  assert.strictEqual(result.observable.inducementSwept, true);
+  assert.strictEqual(result.signalImpact.action, 'BLOCK');
+});
+
+test('passes when the same wick also takes the major low', () => {
+  const result = requireLiquiditySweep(series({ 17: [101, 100.8, 101.2, 94.5] }), 'LONG');
+
+  assert.strictEqual(result.passed, true);
+  assert.strictEqual(result.check.sweepTarget, 'LIQUIDITY_POOL');
+  assert.strictEqual(result.check.failureReason, null);
+  assert.ok(result.check.sweepDetails.poolsSwept.some(p => p.type === 'SWING_LOW' && p.level === 95));
+  assert.strictEqual(result.observable.inducementSwept, true);
+});
@@ -0,0 +1,109 @@
+/**
+ * 流动性池评分与扫荡检测测试
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SWEEP_CONFIG, scoreLiquidityPools, detectPoolSweep } = require('../src/liquiditySweep');
+
+const MINUTE_MS = 60 * 1000;
+const WINDOW_START = 25;
+
+// 横盘K线：收盘 100，低点 99；成交量为 下标 + 1，便于核对合计
+function flat(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: i * MINUTE_MS,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: i + 1
+  }));
+}
+
+test('ranks pools by touches, recency, distance and HTF origin', () => {
+  const klines = flat(30);
+  // 98 的触碰：2 在形成之前、27 在扫荡检测窗口内，都不计入
+  [2, 4, 10, 16, 27].forEach(i => { klines[i].low = 98; });
+  [20, 22].forEach(i => { klines[i].low = 97; });
+  klines[23].low = 98.5;
+
+  const pools = scoreLiquidityPools(klines, [
+    { type: 'SWING_LOW', level: 98, index: 4 },
+    { type: 'HTF_SWING_LOW', level: 97, origin: 'HTF' },
+    { type: 'SWING_LOW', level: 98.5, index: 23 }
+  ], 'low', WINDOW_START);
+
+  assert.deepStrictEqual(pools.map(p => [p.level, p.score]), [[97, 59.2], [98, 46.8], [98.5, 39.8]]);
+
+  const [htf, swing, recent] = pools;
+  const weights = SWEEP_CONFIG.POOL_SCORE_WEIGHTS;
+
+  // 没有K线位置的高周期池子以首次触碰为形成时间
+  assert.strictEqual(htf.origin, 'HTF');
+  assert.strictEqual(htf.formedIndex, 20);
+  assert.strictEqual(htf.scoreBreakdown.htfOrigin, weights.HTF_ORIGIN);
+  assert.strictEqual(htf.scoreBreakdown.distance, 0);
+
+  assert.strictEqual(swing.origin, 'LTF');
+  assert.deepStrictEqual(swing.liquidity.touchCandles.map(c => c.index), [4, 10, 16]);
+  assert.strictEqual(swing.liquidity.touches, 3);
+  assert.strictEqual(swing.liquidity.volume, 5 + 11 + 17);
+  assert.strictEqual(swing.liquidity.quoteVolume, (5 + 11 + 17) * 98);
+  assert.strictEqual(swing.scoreBreakdown.touches, weights.TOUCHES * 3 / SWEEP_CONFIG.POOL_MAX_TOUCHES);
+
+  // 距离更近、形成更晚的池子在这两项得分更高
+  assert.ok(recent.scoreBreakdown.distance > swing.scoreBreakdown.distance);
+  assert.ok(recent.scoreBreakdown.recency > swing.scoreBreakdown.recency);
+  assert.strictEqual(recent.liquidity.touches, 1);
+});
+
+test('caps the touch score and zeroes recency beyond the age horizon', () => {
+  const klines = flat(SWEEP_CONFIG.POOL_AGE_HORIZON + 20);
+  const windowStart = klines.length - SWEEP_CONFIG.VALIDITY_WINDOW;
+  [0, 3, 6, 9, 12, 15].forEach(i => { klines[i].low = 99.5; });
+
+  const [pool] = scoreLiquidityPools(klines, [{ type: 'EQUAL_LOW', level: 99.5, index: 0 }], 'low', windowStart);
+  assert.strictEqual(pool.liquidity.touches, 6);
+  assert.strictEqual(pool.scoreBreakdown.touches, SWEEP_CONFIG.POOL_SCORE_WEIGHTS.TOUCHES);
+  assert.strictEqual(pool.scoreBreakdown.recency, 0);
+});
+
+test('sweeps the best-ranked pool and counts shared touch volume once', () => {
+  const klines = flat(30);
+  // 98 与 98.05 的触碰容差重叠：4、10 同时触碰两者，8 只触碰 98，16 只触碰 98.05
+  [4, 10].forEach(i => { klines[i].low = 98.02; });
+  klines[8].low = 97.92;
+  klines[16].low = 98.14;
+  // 窗口内一根长下引线刺破两个池子后收回
+  klines[27] = { ...klines[27], open: 99.8, close: 100, low: 97.5 };
+
+  const pools = scoreLiquidityPools(klines, [
+    { type: 'SWING_LOW', level: 98, index: 4, description: '摆动低点 98' },
+    { type: 'EQUAL_LOW', level: 98.05, index: 4, description: '等低点 98.05' }
+  ], 'low', WINDOW_START);
+  assert.deepStrictEqual(pools.map(p => p.liquidity.touchCandles.map(c => c.index)), [[4, 10, 16], [4, 8, 10]]);
+
+  const sweep = detectPoolSweep(klines.slice(WINDOW_START), pools, 'LONG');
+  assert.strictEqual(sweep.detected, true);
+  assert.strictEqual(sweep.type, 'SELL_SIDE_SWEEP');
+  assert.strictEqual(sweep.pool.level, 98.05);
+  assert.deepStrictEqual(sweep.poolsSwept.map(p => p.level), [98.05, 98]);
+  assert.strictEqual(sweep.sweepKline.index, 2);
+
+  // 被取走池子自身的流动性 + 所有被扫池子按触碰K线去重后的合计
+  assert.strictEqual(sweep.liquidity.volume, 5 + 11 + 17);
+  assert.strictEqual(sweep.liquidity.totalVolume, 5 + 9 + 11 + 17);
+});
+
+test('ignores a wick that does not close back above the pool', () => {
+  const klines = flat(30);
+  klines[10].low = 98;
+  klines[27] = { ...klines[27], open: 99.8, close: 97.9, high: 100, low: 97.5 };
+
+  const pools = scoreLiquidityPools(klines, [{ type: 'SWING_LOW', level: 98, index: 10 }], 'low', WINDOW_START);
+  const sweep = detectPoolSweep(klines.slice(WINDOW_START), pools, 'LONG');
+  assert.strictEqual(sweep.detected, false);
+  assert.strictEqual(sweep.reason, 'NO_VALID_SWEEP');
+  assert.strictEqual(sweep.targetPool, 98);
+});
@@ -0,0 +1,98 @@
+/**
+ * 单一源周期MTF数据测试（本地K线库 + 本地K线数据源，不访问交易所）
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { CandleStore } = require('../src/candleStore');
+const { getAdapter } = require('../src/exchanges');
+const { getTimeframeMs } = require('../src/resample');
+const { getMultiTimeframeKlines, setCandleHistory } = require('../src/marketData');
+
+const SYMBOL = 'BTC_USDT';
+const NOW = Math.floor(Date.now() / 60000) * 60000;
+
+// 按周期生成 [from, to] 内的连续K线
+function generate(timeframe, from, to) {
+  const ms = getTimeframeMs(timeframe);
+  const candles = [];
+  for (let t = Math.ceil(from / ms) * ms; t <= to; t += ms) {
+    candles.push({ timestamp: t, open: 100, high: 101, low: 99, close: 100, volume: 1 });
+  }
+  return candles;
+}
+
+// 用本地数据替换默认适配器的网络请求，记录请求次数
+const adapter = getAdapter('gateio');
+const original = { getKlines: adapter.getKlines, getKlinesRange: adapter.getKlinesRange };
+let calls = [];
+
+before(() => {
+  adapter.getKlines = async (symbol, timeframe, limit) => {
+    calls.push(`${timeframe}:${limit}`);
+    const ms = getTimeframeMs(timeframe);
+    const end = Math.floor(NOW / ms) * ms;
+    return generate(timeframe, end - (limit - 1) * ms, end);
+  };
+  adapter.getKlinesRange = async (symbol, timeframe, from, to) => {
+    calls.push(`${timeframe}:range`);
+    return generate(timeframe, from, to);
+  };
+});
+
+after(() => {
+  Object.assign(adapter, original);
+  setCandleHistory(null);
+});
+
+beforeEach(() => {
+  calls = [];
+  setCandleHistory(null);
+});
+
+const TIMEFRAMES = ['4h', '15m', '1m'];
+
+test('fetches 4h natively when no local 1m history covers it', async () => {
+  const data = await getMultiTimeframeKlines(SYMBOL, TIMEFRAMES, { baseTimeframe: '1m' });
+
+  assert.deepStrictEqual(TIMEFRAMES.map(tf => data[tf].length), [100, 200, 200]);
+  // 1 次最新1M + 3 页向前补足 15M 所需的 3015 根，4H 直接获取
+  assert.deepStrictEqual(calls, ['1m:1000', '1m:range', '1m:range', '1m:range', '4h:100']);
+});
+
+test('builds every timeframe from stored 1m history with a single request', async () => {
+  const store = new SqliteStore(':memory:');
+  const candles = new CandleStore(store);
+  const lastClosed = NOW - 1000 * 60000;
+  store.saveCandles({ [SYMBOL]: generate('1m', lastClosed - 25000 * 60000, lastClosed) }, '1m');
+  setCandleHistory(candles);
+
+  const data = await getMultiTimeframeKlines(SYMBOL, TIMEFRAMES, { baseTimeframe: '1m' });
+
+  assert.deepStrictEqual(calls, ['1m:1000']);
+  assert.deepStrictEqual(TIMEFRAMES.map(tf => data[tf].length), [100, 200, 200]);
+  TIMEFRAMES.forEach(tf => {
+    const ms = getTimeframeMs(tf);
+    data[tf].forEach((k, i) => i === 0 || assert.strictEqual(k.timestamp - data[tf][i - 1].timestamp, ms));
+  });
+  assert.strictEqual(data['4h'][0].volume, 240);
+  store.close();
+});
+
+test('falls back to a native fetch when stored history has a gap', async () => {
+  const store = new SqliteStore(':memory:');
+  const lastClosed = NOW - 1000 * 60000;
+  // 缺少中间 10 根1M：聚合后的15M/4H出现缺口
+  const stored = generate('1m', lastClosed - 25000 * 60000, lastClosed)
+    .filter((k, i, all) => i < all.length - 1500 || i >= all.length - 1490);
+  store.saveCandles({ [SYMBOL]: stored }, '1m');
+  setCandleHistory(new CandleStore(store));
+
+  const data = await getMultiTimeframeKlines(SYMBOL, TIMEFRAMES, { baseTimeframe: '1m' });
+
+  assert.ok(calls.includes('15m:200'));
+  assert.ok(calls.includes('4h:100'));
+  assert.deepStrictEqual(TIMEFRAMES.map(tf => data[tf].length), [100, 200, 200]);
+  store.close();
+});
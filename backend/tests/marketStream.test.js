@@ -0,0 +1,159 @@
+/**
+ * 实时行情推送测试（本地 WebSocket 服务端 + 本地K线数据源）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { GateioAdapter } = require('../src/exchanges/gateio');
+const { MARKET_STREAM_CONFIG, parseCandleUpdate, MarketStream } = require('../src/marketStream');
+
+const MINUTE_MS = 60 * 1000;
+const SYMBOL = 'BTC_USDT';
+const NOW = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+
+// 缩短重连和补齐间隔
+MARKET_STREAM_CONFIG.RECONNECT_DELAY = 200;
+MARKET_STREAM_CONFIG.GAP_FILL_DELAY = 0;
+
+function candleAt(timestamp, close = 100) {
+  return { timestamp, open: close, high: close + 1, low: close - 1, close, volume: 10 };
+}
+
+// REST 数据源：Gate.io 的交易对转换，K线来自本地数组
+class LocalAdapter extends GateioAdapter {
+  constructor(candles) {
+    super();
+    this.candles = candles;
+    this.calls = [];
+  }
+
+  async getKlines(symbol, timeframe, limit) {
+    this.calls.push({ symbol, timeframe, limit });
+    return this.candles.slice(-limit).map(c => ({ ...c }));
+  }
+}
+
+// 本地推送服务端：记录订阅消息，可向当前连接推送K线
+const server = {
+  wss: null,
+  url: null,
+  sockets: [],
+  messages: []
+};
+
+before(async () => {
+  server.wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  server.wss.on('connection', socket => {
+    server.sockets.push(socket);
+    socket.on('message', data => server.messages.push(JSON.parse(data.toString())));
+  });
+  await new Promise(resolve => server.wss.on('listening', resolve));
+  server.url = `ws://127.0.0.1:${server.wss.address().port}`;
+});
+
+after(() => new Promise(resolve => server.wss.close(resolve)));
+
+function pushCandle(candle, timeframe = '1m') {
+  const socket = server.sockets[server.sockets.length - 1];
+  socket.send(JSON.stringify({
+    time: Math.floor(Date.now() / 1000),
+    channel: 'spot.candlesticks',
+    event: 'update',
+    result: {
+      t: String(candle.timestamp / 1000),
+      o: String(candle.open),
+      h: String(candle.high),
+      l: String(candle.low),
+      c: String(candle.close),
+      v: String(candle.volume),
+      n: `${timeframe}_${SYMBOL}`,
+      w: true
+    }
+  }));
+}
+
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function assertContiguous(candles) {
+  for (let i = 1; i < candles.length; i++) {
+    assert.strictEqual(candles[i].timestamp - candles[i - 1].timestamp, MINUTE_MS);
+  }
+}
+
+test('parses candlestick updates', () => {
+  assert.deepStrictEqual(parseCandleUpdate({ t: '60', o: '1', h: '2', l: '0.5', c: '1.5', v: '3', n: '1m_BTC_USDT' }), {
+    timeframe: '1m',
+    symbol: 'BTC_USDT',
+    candle: { timestamp: 60000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 3 }
+  });
+  assert.strictEqual(parseCandleUpdate({ t: '60', c: '1', n: 'BTC' }), null);
+});
+
+test('fills gaps over REST on connect, on pushed gaps and after a reconnect', async () => {
+  // 交易所数据截至 3 分钟前，缓冲区只用前 50 根初始化
+  const exchange = Array.from({ length: 60 }, (_, i) => candleAt(NOW - (62 - i) * MINUTE_MS));
+  const adapter = new LocalAdapter(exchange);
+  const stream = new MarketStream({ symbols: [SYMBOL], timeframes: ['1m'], url: server.url, adapter });
+  const series = () => stream.series.get(`${SYMBOL}|1m`);
+
+  stream.seed(SYMBOL, '1m', exchange.slice(0, 50));
+  assert.strictEqual(series().ready, false);
+  assert.strictEqual(stream.getKlines(SYMBOL, '1m', 10), null);
+
+  try {
+    // 1. 连接后订阅并补齐初始化之后缺失的K线
+    stream.start();
+    await waitFor(() => adapter.calls.length === 1 && series().ready && server.messages.length === 2);
+
+    assert.deepStrictEqual(
+      server.messages.filter(m => m.event === 'subscribe').map(m => [m.channel, m.payload]),
+      [['spot.candlesticks', ['1m', SYMBOL]], ['spot.tickers', [SYMBOL]]]
+    );
+    assert.ok(adapter.calls[0].limit >= 13);
+    assert.strictEqual(series().candles.length, 60);
+    assert.strictEqual(series().candles[59].timestamp, NOW - 3 * MINUTE_MS);
+    assertContiguous(series().candles);
+
+    // 2. 推送更新最后一根K线，不触发补齐
+    pushCandle(candleAt(NOW - 3 * MINUTE_MS, 105));
+    await waitFor(() => series().candles[59].close === 105);
+    assert.strictEqual(series().candles.length, 60);
+    assert.strictEqual(adapter.calls.length, 1);
+
+    // 3. 推送出现缺口：补齐前序列不可用，补齐后连续
+    exchange.push(candleAt(NOW - 2 * MINUTE_MS), candleAt(NOW - MINUTE_MS), candleAt(NOW, 110));
+    pushCandle(candleAt(NOW, 110));
+    await waitFor(() => adapter.calls.length === 2 && series().ready);
+
+    assert.strictEqual(series().candles[series().candles.length - 1].timestamp, NOW);
+    assertContiguous(series().candles);
+    const klines = stream.getKlines(SYMBOL, '1m', 60);
+    assert.strictEqual(klines.length, 60);
+    assert.strictEqual(klines[59].close, 110);
+
+    // 4. 服务端断开：序列立即不可用，重连后重新订阅并补齐
+    server.sockets[0].terminate();
+    await waitFor(() => !stream.connected);
+    assert.strictEqual(series().ready, false);
+    assert.strictEqual(stream.getKlines(SYMBOL, '1m', 10), null);
+
+    exchange.push(candleAt(NOW + MINUTE_MS, 111));
+    await waitFor(() => stream.connected && adapter.calls.length === 3 && series().ready && server.messages.length === 4);
+
+    assert.strictEqual(server.sockets.length, 2);
+    assert.strictEqual(server.messages.filter(m => m.event === 'subscribe').length, 4);
+    assert.strictEqual(stream.getStats().reconnects, 1);
+    assert.strictEqual(series().candles[series().candles.length - 1].timestamp, NOW + MINUTE_MS);
+    assertContiguous(series().candles);
+    assert.strictEqual(series().candles.length, 64);
+  } finally {
+    stream.stop();
+  }
+});
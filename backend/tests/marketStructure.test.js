@@ -0,0 +1,104 @@
+/**
+ * 市场结构状态机测试（BOS / CHoCH 序列）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeMarketStructure, getTrendEvents, findSwingPoints } = require('../src/marketStructure');
+
+const MINUTE_MS = 60 * 1000;
+const LOOKBACK = 2;
+
+/**
+ * 按转折点逐价位生成K线：每根K线以价位 p 为中心，振幅 ±0.5，实体 ±0.3 顺着走势方向
+ * 转折点本身即为严格的摆动高低点
+ */
+function path(points) {
+  const prices = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const step = points[i] > points[i - 1] ? 1 : -1;
+    for (let p = points[i - 1] + step; step > 0 ? p <= points[i] : p >= points[i]; p += step) prices.push(p);
+  }
+  return prices.map((p, i) => {
+    const up = i === 0 || p >= prices[i - 1];
+    return {
+      timestamp: i * MINUTE_MS,
+      open: up ? p - 0.3 : p + 0.3,
+      high: p + 0.5,
+      low: p - 0.5,
+      close: up ? p + 0.3 : p - 0.3,
+      volume: 1
+    };
+  });
+}
+
+const summarize = events => events.map(e => [e.type, e.index, e.brokenLevel]);
+
+test('confirms swing points only at the turning candles', () => {
+  const { swingHighs, swingLows } = findSwingPoints(path([100, 110, 105, 115, 108]), LOOKBACK);
+  assert.deepStrictEqual(swingHighs.map(s => [s.index, s.price]), [[10, 110.5], [25, 115.5]]);
+  // 最后一根K线右侧不足 lookback 根，尚未确认
+  assert.deepStrictEqual(swingLows.map(s => [s.index, s.price]), [[15, 104.5]]);
+});
+
+test('emits BOS, BOS, CHoCH, BOS through an up-trend reversal', () => {
+  // 高点 110 → 低点 105 → 115 突破 → 低点 108 → 120 突破 → 100 跌破受保护低点 → 反弹 104 → 95 跌破
+  const klines = path([100, 110, 105, 115, 108, 120, 100, 104, 95, 97]);
+  const structure = analyzeMarketStructure(klines, { lookback: LOOKBACK });
+
+  assert.deepStrictEqual(summarize(structure.events), [
+    ['BULLISH_BOS', 21, 110.5],
+    ['BULLISH_BOS', 40, 115.5],
+    ['BEARISH_CHOCH', 57, 107.5],
+    ['BEARISH_BOS', 73, 99.5]
+  ]);
+  assert.strictEqual(structure.trend, 'BEARISH');
+  assert.ok(structure.events.every(e => e.breakType === 'CLOSE' && e.isStrong));
+
+  // 第二次向上突破后，造成突破的回调低点（108）成为受保护低点，跌破它即 CHoCH
+  assert.strictEqual(structure.events[2].swing.index, 32);
+  // 最近一次向下突破的反弹高点受保护
+  assert.deepStrictEqual(structure.protectedHigh, { index: 68, price: 104.5, timestamp: 68 * MINUTE_MS });
+
+  const { choch, bos } = getTrendEvents(structure);
+  assert.strictEqual(choch.index, 57);
+  assert.strictEqual(bos.index, 73);
+});
+
+test('treats a pullback above the protected low as internal structure', () => {
+  const klines = path([100, 110, 105, 115, 108, 120, 110, 118, 100]);
+
+  // 回调到 110 只是内部结构，趋势保持
+  const pullback = analyzeMarketStructure(klines.slice(0, 63), { lookback: LOOKBACK });
+  assert.strictEqual(pullback.trend, 'BULLISH');
+  assert.strictEqual(pullback.events.length, 2);
+  assert.strictEqual(pullback.protectedLow.price, 107.5);
+  assert.strictEqual(pullback.activeHigh.price, 120.5);
+
+  const structure = analyzeMarketStructure(klines, { lookback: LOOKBACK });
+  assert.deepStrictEqual(summarize(structure.events).slice(2), [['BEARISH_CHOCH', 73, 107.5]]);
+  assert.deepStrictEqual(getTrendEvents(structure), { choch: structure.lastCHoCH, bos: null });
+});
+
+test('never changes past events when more candles arrive', () => {
+  const klines = path([100, 110, 105, 115, 108, 120, 100, 104, 95, 97]);
+  const full = analyzeMarketStructure(klines, { lookback: LOOKBACK }).events;
+
+  for (let n = 1; n <= klines.length; n++) {
+    const partial = analyzeMarketStructure(klines.slice(0, n), { lookback: LOOKBACK }).events;
+    assert.deepStrictEqual(partial, full.filter(e => e.index < n), `prefix of ${n} candles`);
+  }
+});
+
+test('counts a wick-only break only with the WICK trigger', () => {
+  const klines = path([100, 110, 105, 109]);
+  klines.push({ timestamp: klines.length * MINUTE_MS, open: 109, high: 111, low: 108.8, close: 109.5, volume: 1 });
+
+  assert.deepStrictEqual(analyzeMarketStructure(klines, { lookback: LOOKBACK }).events, []);
+
+  const [event] = analyzeMarketStructure(klines, { lookback: LOOKBACK, trigger: 'WICK' }).events;
+  assert.strictEqual(event.type, 'BULLISH_BOS');
+  assert.strictEqual(event.breakType, 'WICK');
+  assert.strictEqual(event.bodyBreak, false);
+  assert.strictEqual(event.isStrong, false);
+});
@@ -0,0 +1,70 @@
+/**
+ * 多时间框架分析测试（HTF 关键区域）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeHTF, checkPriceInPOI, ZONE_POI_TYPES } = require('../src/multiTimeframe');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 带缓慢上移的正弦震荡，产生摆动点、订单块和成交量分布
+function oscillating(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const mid = 100 + 6 * Math.sin(i / 3) + i * 0.05;
+    const open = mid - 0.4 * Math.cos(i / 3);
+    const close = mid + 0.4 * Math.cos(i / 3);
+    return {
+      timestamp: i * 4 * HOUR_MS,
+      open,
+      high: Math.max(open, close) + 0.5,
+      low: Math.min(open, close) - 0.5,
+      close,
+      volume: 100 + (i % 7) * 20
+    };
+  });
+}
+
+test('rejects short series', () => {
+  assert.deepStrictEqual(analyzeHTF(oscillating(10)), { valid: false, reason: 'INSUFFICIENT_DATA', direction: 'NEUTRAL' });
+});
+
+test('turns volume profile levels into half-bin zones usable as POIs', () => {
+  const htf = analyzeHTF(oscillating(80));
+  const { binSize, poc, valueAreaHigh, valueAreaLow } = htf.volumeProfile;
+
+  const profilePOIs = htf.poi.filter(p => p.type === 'VOLUME_PROFILE');
+  assert.deepStrictEqual(profilePOIs.map(p => p.subtype).sort(), ['POC', 'VAH', 'VAL']);
+
+  const levels = { POC: poc.price, VAH: valueAreaHigh, VAL: valueAreaLow };
+  profilePOIs.forEach(p => {
+    assert.strictEqual(p.level, levels[p.subtype]);
+    assert.strictEqual(p.top, p.level + binSize / 2);
+    assert.strictEqual(p.bottom, p.level - binSize / 2);
+  });
+
+  const nodes = htf.poi.filter(p => p.type === 'VOLUME_NODE');
+  assert.ok(nodes.length > 0 && nodes.length <= 3);
+  nodes.forEach(p => assert.ok(p.bottom < p.level && p.level < p.top));
+  assert.ok(ZONE_POI_TYPES.includes('VOLUME_PROFILE') && ZONE_POI_TYPES.includes('VOLUME_NODE'));
+
+  const pocPOI = profilePOIs.find(p => p.subtype === 'POC');
+  assert.strictEqual(pocPOI.priority, 'high');
+  assert.strictEqual(checkPriceInPOI(poc.price, [pocPOI]), true);
+  assert.strictEqual(checkPriceInPOI(pocPOI.top, [pocPOI]), true);
+  assert.strictEqual(checkPriceInPOI(pocPOI.top + binSize / 10, [pocPOI]), false);
+});
+
+test('ranks POIs by priority, then by distance from the current price', () => {
+  const htf = analyzeHTF(oscillating(80));
+  const price = htf.currentPrice;
+  const rank = p => ({ high: 0, medium: 1 }[p.priority] ?? 2);
+  const distance = p => (p.top !== undefined ? Math.max(0, p.bottom - price, price - p.top) : Math.abs(p.level - price));
+
+  assert.ok(htf.poi.length > 3);
+  for (let i = 1; i < htf.poi.length; i++) {
+    const [a, b] = [htf.poi[i - 1], htf.poi[i]];
+    assert.ok(rank(a) < rank(b) || (rank(a) === rank(b) && distance(a) <= distance(b)),
+      `${a.type}/${a.subtype} should not precede ${b.type}/${b.subtype}`);
+  }
+});
@@ -0,0 +1,132 @@
+/**
+ * MTF扫描器测试（溢价/折价区拦截）
+ *
+ * 对齐、扫荡和高二/低二的判定由各自的测试覆盖；这里在加载扫描器前替换为固定结果，
+ * 只验证交易区间步骤在真实的信号生成流程中如何拦截或降分。
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const multiTimeframe = require('../src/multiTimeframe');
+const liquiditySweep = require('../src/liquiditySweep');
+const { DEALING_RANGE_CONFIG, getDealingRange } = require('../src/dealingRange');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const NOW = Date.UTC(2026, 0, 14, 13, 0);
+
+function series(count, intervalMs, price) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: NOW - (count - i) * intervalMs,
+    open: price,
+    high: price + 0.5,
+    low: price - 0.5,
+    close: price,
+    volume: 1000
+  }));
+}
+
+// HTF 区间：低点 90、高点 110，均衡价 100
+const htfKlines = [[90, 96], [94, 102], [104, 110]]
+  .map(([low, high], i) => ({ timestamp: i * 4 * HOUR_MS, open: low, high, low, close: high, volume: 1 }));
+const dealingRange = getDealingRange(htfKlines, {
+  trend: 'BULLISH',
+  protectedLow: { index: 0, price: 90, timestamp: 0 },
+  swingHighs: [],
+  swingLows: []
+});
+
+let entry = { entryPrice: 108, stopLoss: 106 };
+
+multiTimeframe.analyzeMultiTimeframe = () => ({
+  htf: {
+    direction: 'LONG',
+    trend: { confidence: 'medium' },
+    structure: {},
+    poi: [],
+    swingHighs: [],
+    swingLows: [],
+    volumeProfile: null,
+    dealingRange
+  },
+  mtf: { direction: 'LONG', fvg: [], choch: null, bos: null, strongCloseConfirmed: false, inHTFPOI: true, inducement: null },
+  ltf: { direction: 'LONG', sweep: null, internalBOS: null, inEntryZone: true },
+  aligned: true,
+  gate: { passed: true, details: [] },
+  canGenerateSignal: true
+});
+multiTimeframe.detectHiLoTwo = () => ({ valid: true, type: 'HIGH_TWO', highTwoIndex: 9, ...entry });
+liquiditySweep.requireLiquiditySweep = () => ({
+  passed: true,
+  required: true,
+  check: {
+    sweepTarget: 'POOL',
+    sweepDetails: {
+      type: 'SELL_SIDE_SWEEP',
+      pool: { type: 'SWING_LOW', score: 60 },
+      poolsSwept: [],
+      liquidity: {},
+      sweepKline: {},
+      metrics: {},
+      confirmation: { confirmed: true }
+    }
+  }
+});
+
+// 替换后再加载，扫描器解构导入时拿到上面的固定结果
+const { scanSymbolMTF } = require('../src/mtfScanner');
+
+const originalMode = DEALING_RANGE_CONFIG.MODE;
+afterEach(() => {
+  DEALING_RANGE_CONFIG.MODE = originalMode;
+});
+
+const scan = () => {
+  const price = entry.entryPrice;
+  return scanSymbolMTF('BTC_USDT', {
+    '4h': series(100, 4 * HOUR_MS, price),
+    '15m': series(200, 15 * MINUTE_MS, price),
+    '1m': series(200, MINUTE_MS, price)
+  }, { volume24h: 10000000 }, [], { now: NOW });
+};
+
+test('blocks a long entry in the premium half in BLOCK mode', async () => {
+  DEALING_RANGE_CONFIG.MODE = 'BLOCK';
+  entry = { entryPrice: 108, stopLoss: 106 };
+
+  const result = await scan();
+  assert.strictEqual(result.blocked, true);
+  assert.strictEqual(result.blockReason, 'ENTRY_IN_PREMIUM');
+  assert.strictEqual(result.signal, null);
+  assert.strictEqual(result.dealingRange.zone, 'PREMIUM');
+  assert.strictEqual(result.dealingRange.reason, 'LONG_IN_PREMIUM');
+
+  const step = result.evidenceChain.find(e => e.step === 'DEALING_RANGE');
+  assert.deepStrictEqual([step.passed, step.zone], [false, 'PREMIUM']);
+});
+
+test('keeps the signal with a lower score in DOWNGRADE mode', async () => {
+  entry = { entryPrice: 108, stopLoss: 106 };
+
+  DEALING_RANGE_CONFIG.MODE = 'OFF';
+  const recorded = await scan();
+  DEALING_RANGE_CONFIG.MODE = 'DOWNGRADE';
+  const downgraded = await scan();
+
+  assert.strictEqual(downgraded.blocked, false);
+  assert.strictEqual(downgraded.signal.dealing_range.action, 'DOWNGRADE');
+  assert.strictEqual(downgraded.signal.dealing_range.score_adjustment, -DEALING_RANGE_CONFIG.PENALTY);
+  assert.strictEqual(recorded.signal.dealing_range.action, 'PASS');
+  assert.strictEqual(recorded.signal.score - downgraded.signal.score, DEALING_RANGE_CONFIG.PENALTY);
+});
+
+test('passes a discount OTE entry even in BLOCK mode', async () => {
+  DEALING_RANGE_CONFIG.MODE = 'BLOCK';
+  entry = { entryPrice: 96, stopLoss: 94 };
+
+  const result = await scan();
+  assert.strictEqual(result.blocked, false);
+  assert.strictEqual(result.signal.dealing_range.zone, 'DISCOUNT');
+  assert.strictEqual(result.signal.dealing_range.in_ote, true);
+  assert.strictEqual(result.signal.dealing_range.score_adjustment, DEALING_RANGE_CONFIG.OTE_BONUS);
+});
@@ -0,0 +1,176 @@
+/**
+ * Webhook 通知测试（本地 HTTP 接收端）
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const {
+  NOTIFY_EVENTS,
+  NOTIFIER_CONFIG,
+  parseWebhookConfig,
+  signPayload,
+  matchesEndpoint,
+  WebhookNotifier
+} = require('../src/notifier');
+
+// 本地接收端：按 responses 依次返回状态码（用完后返回 200），记录收到的请求
+const receiver = {
+  server: null,
+  url: null,
+  requests: [],
+  responses: []
+};
+
+before(async () => {
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = receiver.responses.length > 0 ? receiver.responses.shift() : 200;
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+});
+
+after(() => new Promise(resolve => receiver.server.close(resolve)));
+
+beforeEach(() => {
+  receiver.requests = [];
+  receiver.responses = [];
+});
+
+const signal = {
+  id: 'sig_1',
+  symbol: 'BTC_USDT',
+  direction: 'LONG',
+  rating: 'S',
+  score: 90,
+  entry_price: 100,
+  sl: 95,
+  tp1: 110,
+  tp2: 115,
+  rrr: 2,
+  status: 'PENDING',
+  timestamp: '2026-01-01T00:00:00.000Z'
+};
+
+function createNotifier(endpoints, options = {}) {
+  const store = new SqliteStore(':memory:');
+  const notifier = new WebhookNotifier(store, {
+    endpoints: parseWebhookConfig(endpoints),
+    maxRetries: 2,
+    retryDelay: 10,
+    timeout: 1000,
+    ...options
+  });
+  return { store, notifier };
+}
+
+test('signs `${timestamp}.${body}` with HMAC-SHA256 as sha256=<hex>', async () => {
+  const secret = 'test-secret';
+  const { notifier } = createNotifier([{ name: 'signed', url: `${receiver.url}/hook`, secret }]);
+
+  const [result] = await notifier.notifySignalCreated(signal);
+  assert.strictEqual(result.delivered, true);
+  assert.strictEqual(receiver.requests.length, 1);
+
+  const { headers, body } = receiver.requests[0];
+  const timestamp = headers[NOTIFIER_CONFIG.TIMESTAMP_HEADER.toLowerCase()];
+  const signature = headers[NOTIFIER_CONFIG.SIGNATURE_HEADER.toLowerCase()];
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  assert.match(timestamp, /^\d+$/);
+  assert.strictEqual(signature, `sha256=${expected}`);
+  assert.strictEqual(signPayload(secret, timestamp, body), signature);
+  assert.strictEqual(JSON.parse(body).event, NOTIFY_EVENTS.SIGNAL_CREATED);
+  assert.strictEqual(JSON.parse(body).signal.id, signal.id);
+});
+
+test('sends no signature headers without a secret', async () => {
+  const { notifier } = createNotifier([{ url: receiver.url }]);
+
+  await notifier.notifySignalCreated(signal);
+  const { headers } = receiver.requests[0];
+  assert.strictEqual(headers[NOTIFIER_CONFIG.SIGNATURE_HEADER.toLowerCase()], undefined);
+  assert.strictEqual(headers[NOTIFIER_CONFIG.TIMESTAMP_HEADER.toLowerCase()], undefined);
+});
+
+test('retries 5xx responses and delivers once the receiver recovers', async () => {
+  const { store, notifier } = createNotifier([{ url: receiver.url }]);
+  receiver.responses = [500, 503];
+
+  const [result] = await notifier.notifySignalCreated(signal);
+  assert.strictEqual(result.delivered, true);
+  assert.strictEqual(result.attempts, 3);
+  assert.strictEqual(receiver.requests.length, 3);
+  assert.strictEqual(store.listDeadLetters().length, 0);
+
+  // 重试使用同一个 delivery_id，接收端可据此去重
+  const ids = receiver.requests.map(r => JSON.parse(r.body).delivery_id);
+  assert.strictEqual(new Set(ids).size, 1);
+});
+
+test('writes a dead letter after retries are exhausted and redelivers it', async () => {
+  const { store, notifier } = createNotifier([{ name: 'flaky', url: receiver.url }]);
+  receiver.responses = [500, 500, 500];
+
+  const [result] = await notifier.notifySignalCreated(signal);
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(result.attempts, 3);
+
+  const [deadLetter] = notifier.listDeadLetters();
+  assert.strictEqual(deadLetter.id, result.deadLetterId);
+  assert.strictEqual(deadLetter.endpoint, 'flaky');
+  assert.strictEqual(deadLetter.event, NOTIFY_EVENTS.SIGNAL_CREATED);
+  assert.strictEqual(deadLetter.error, 'HTTP 500');
+  assert.strictEqual(deadLetter.attempts, 3);
+
+  const retried = await notifier.retryDeadLetter(deadLetter.id);
+  assert.strictEqual(retried.delivered, true);
+  assert.strictEqual(store.listDeadLetters().length, 0);
+  assert.strictEqual(JSON.parse(receiver.requests[3].body).delivery_id, deadLetter.payload.delivery_id);
+});
+
+test('does not retry 4xx responses other than 408/429', async () => {
+  const { store, notifier } = createNotifier([{ url: receiver.url }]);
+  receiver.responses = [400];
+
+  const [result] = await notifier.notifySignalCreated(signal);
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(store.listDeadLetters().length, 1);
+});
+
+test('filters endpoints by event, rating, direction and symbol', async () => {
+  const { notifier } = createNotifier([
+    { name: 'all', url: `${receiver.url}/all` },
+    { name: 'shorts', url: `${receiver.url}/shorts`, directions: ['SHORT'] },
+    { name: 'eth', url: `${receiver.url}/eth`, symbols: ['ETH_USDT'] },
+    { name: 'stops', url: `${receiver.url}/stops`, events: [NOTIFY_EVENTS.SIGNAL_STOPPED_OUT], ratings: ['S', 'A', 'B'] }
+  ]);
+
+  const results = await notifier.notifySignalCreated(signal);
+  assert.deepStrictEqual(results.map(r => r.endpoint), ['all']);
+
+  receiver.requests = [];
+  await notifier.notifyTransition({ ...signal, rating: 'B' }, { from: 'TRIGGERED', to: 'STOPPED_OUT' });
+  assert.deepStrictEqual(receiver.requests.map(r => r.path), ['/stops']);
+
+  // 不发送通知的状态
+  assert.deepStrictEqual(await notifier.notifyTransition(signal, { from: 'PENDING', to: 'TP1_HIT' }), []);
+
+  const [endpoint] = parseWebhookConfig([{ url: receiver.url }]);
+  assert.strictEqual(matchesEndpoint(endpoint, NOTIFY_EVENTS.SIGNAL_CREATED, { ...signal, rating: 'C' }), false);
+});
+
+test('rejects invalid webhook configuration', () => {
+  assert.throws(() => parseWebhookConfig('{"url": "http://x"}'), /JSON array/);
+  assert.throws(() => parseWebhookConfig([{ url: 'ftp://x' }]), /Invalid webhook url/);
+  assert.throws(() => parseWebhookConfig([{ url: 'http://x', events: ['signal.unknown'] }]), /Unknown webhook events/);
+});
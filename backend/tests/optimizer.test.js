@@ -0,0 +1,138 @@
+/**
+ * 参数优化测试（滚动窗口、网格/随机搜索、参数恢复、排名与滚动选参）
+ *
+ * 回测在加载优化器前替换为按当前参数生成固定交易的函数，只验证优化流程本身。
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const backtest = require('../src/backtest');
+const { CONFIG } = require('../src/strategy');
+const { SWEEP_CONFIG } = require('../src/liquiditySweep');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+// 每天一笔交易：SWING_LOOKBACK=3 时前20天每笔 +2R、之后 -1R，=5 时始终 +0.5R；
+// WICK_RATIO > 2 时只在偶数天出信号
+const calls = [];
+backtest.runBacktest = async (candles, options) => {
+  calls.push({ lookback: CONFIG.SWING_LOOKBACK, wick: SWEEP_CONFIG.WICK_RATIO, from: options.from, to: options.to });
+  const trades = [];
+  for (let day = 0; day < 50; day++) {
+    if (SWEEP_CONFIG.WICK_RATIO > 2 && day % 2 === 1) continue;
+    const signalTime = T0 + day * DAY_MS + HOUR_MS;
+    trades.push({
+      signal_time: signalTime,
+      filled: true,
+      exit_time: signalTime + HOUR_MS,
+      holding_ms: HOUR_MS,
+      outcome: 'TP1',
+      r_multiple: CONFIG.SWING_LOOKBACK === 3 ? (day < 20 ? 2 : -1) : 0.5
+    });
+  }
+  return { trades, stats: backtest.computeBacktestStats(trades) };
+};
+
+// 替换后再加载，优化器解构导入时拿到上面的回测
+const {
+  getCurrentParameters,
+  withParameters,
+  generateGrid,
+  generateRandom,
+  buildWalkForwardWindows,
+  runOptimization
+} = require('../src/optimizer');
+
+const SPACE = {
+  'CONFIG.SWING_LOOKBACK': [3, 5],
+  'SWEEP_CONFIG.WICK_RATIO': [1.5, 2.5]
+};
+
+test('slides train/test windows forward by one test period', () => {
+  const windows = buildWalkForwardWindows(T0, T0 + 50 * DAY_MS, { trainDays: 20, testDays: 10 });
+  assert.deepStrictEqual(windows.map(w => [w.index, (w.train.from - T0) / DAY_MS, (w.test.from - T0) / DAY_MS, (w.test.to - T0) / DAY_MS]), [
+    [0, 0, 20, 30],
+    [1, 10, 30, 40],
+    [2, 20, 40, 50]
+  ]);
+  assert.deepStrictEqual(buildWalkForwardWindows(T0, T0 + 29 * DAY_MS, { trainDays: 20, testDays: 10 }), []);
+});
+
+test('enumerates the grid and samples reproducibly without repeats', () => {
+  assert.deepStrictEqual(generateGrid(SPACE), [
+    { 'CONFIG.SWING_LOOKBACK': 3, 'SWEEP_CONFIG.WICK_RATIO': 1.5 },
+    { 'CONFIG.SWING_LOOKBACK': 3, 'SWEEP_CONFIG.WICK_RATIO': 2.5 },
+    { 'CONFIG.SWING_LOOKBACK': 5, 'SWEEP_CONFIG.WICK_RATIO': 1.5 },
+    { 'CONFIG.SWING_LOOKBACK': 5, 'SWEEP_CONFIG.WICK_RATIO': 2.5 }
+  ]);
+
+  const space = { a: [1, 2, 3, 4], b: [1, 2, 3], c: [1, 2] };
+  const sample = generateRandom(space, 10, 7);
+  assert.strictEqual(sample.length, 10);
+  assert.strictEqual(new Set(sample.map(s => JSON.stringify(s))).size, 10);
+  assert.deepStrictEqual(generateRandom(space, 10, 7), sample);
+  assert.notDeepStrictEqual(generateRandom(space, 10, 8), sample);
+
+  // 样本数超过组合总数时取全部组合
+  assert.strictEqual(generateRandom(SPACE, 50, 1).length, 4);
+});
+
+test('restores parameters even when the run throws', async () => {
+  const before = getCurrentParameters(SPACE);
+
+  await assert.rejects(withParameters({ 'CONFIG.SWING_LOOKBACK': 9, 'SWEEP_CONFIG.WICK_RATIO': 9 }, async () => {
+    assert.deepStrictEqual([CONFIG.SWING_LOOKBACK, SWEEP_CONFIG.WICK_RATIO], [9, 9]);
+    throw new Error('backtest failed');
+  }), /backtest failed/);
+  assert.deepStrictEqual(getCurrentParameters(SPACE), before);
+
+  // 未知参数在应用到一半时报错，已修改的参数同样恢复
+  await assert.rejects(withParameters({ 'CONFIG.SWING_LOOKBACK': 9, 'CONFIG.NO_SUCH_FIELD': 1 }, async () => {}),
+    /Unknown parameter: CONFIG.NO_SUCH_FIELD/);
+  assert.deepStrictEqual(getCurrentParameters(SPACE), before);
+});
+
+test('ranks parameter sets out of sample and selects per window on training data', async () => {
+  const before = getCurrentParameters(SPACE);
+  const candles = {
+    BTC_USDT: { '4h': Array.from({ length: 300 }, (_, i) => ({ timestamp: T0 + i * 4 * HOUR_MS })).reverse() }
+  };
+  const progress = [];
+  calls.length = 0;
+
+  const report = await runOptimization(candles, {
+    space: SPACE,
+    trainDays: 20,
+    testDays: 10,
+    config: { MIN_TEST_TRADES: 15 },
+    onProgress: p => progress.push(p.processed)
+  });
+
+  // 数据到第49.8天：两个窗口，每组参数在整段窗口上回放一次
+  assert.strictEqual(report.windows.length, 2);
+  assert.deepStrictEqual(calls.map(c => [c.lookback, c.wick]), [[3, 1.5], [3, 2.5], [5, 1.5], [5, 2.5]]);
+  assert.deepStrictEqual(calls.map(c => [c.from, c.to])[0], [T0, T0 + 40 * DAY_MS]);
+  assert.deepStrictEqual(progress, [1, 2, 3, 4]);
+  assert.deepStrictEqual(getCurrentParameters(SPACE), before);
+  assert.deepStrictEqual(report.defaults, before);
+
+  // 样本外：lookback=5 每笔 +0.5R；lookback=3 每笔 -1R 且回撤扣分；交易少于15笔的不参与排名
+  const row = r => [r.params['CONFIG.SWING_LOOKBACK'], r.params['SWEEP_CONFIG.WICK_RATIO'], r.test.trades, r.ranked];
+  assert.deepStrictEqual(report.results.map(row), [
+    [5, 1.5, 20, true],
+    [3, 1.5, 20, true],
+    [3, 2.5, 10, false],
+    [5, 2.5, 10, false]
+  ]);
+  assert.deepStrictEqual([report.best.score, report.results[1].score], [0.5, -3]);
+
+  // 第一个窗口训练期 lookback=3 最好但测试期亏损，第二个窗口回撤扣分后选中 lookback=5
+  const { selections, test: combined } = report.walk_forward;
+  assert.deepStrictEqual(selections.map(s => [s.index, s.params['CONFIG.SWING_LOOKBACK'], s.params['SWEEP_CONFIG.WICK_RATIO'], s.test.totalR]), [
+    [0, 3, 1.5, -10],
+    [1, 5, 1.5, 5]
+  ]);
+  assert.deepStrictEqual(combined, { trades: 20, totalR: -5, expectancyR: -0.25, maxWindowDrawdownR: 10 });
+});
@@ -0,0 +1,127 @@
+/**
+ * 订单块测试（位移 + 结构突破、测试次数与缓解、Breaker / Mitigation Block）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectOrderBlocks, trackOrderBlock, getActiveOrderBlocks, getFlippedBlocks } = require('../src/strategy');
+
+const MINUTE_MS = 60 * 1000;
+const at = i => i * 15 * MINUTE_MS;
+
+function bar(i, open, close, high, low) {
+  return { timestamp: at(i), open, high, low, close, volume: 1 };
+}
+
+// 20根K线：第5根高点 101 被第9根收盘突破，突破前第7根为下跌K线（低点 97.5，扫过第3根的摆动低点 98）
+function series(changes = {}) {
+  const klines = Array.from({ length: 20 }, (_, i) => bar(i, 100, 100.1, 100.3, 99.8));
+  klines[3] = bar(3, 99.9, 99.5, 100, 98);
+  klines[5] = bar(5, 100, 100.4, 101, 99.9);
+  klines[7] = bar(7, 100.5, 99, 100.6, 97.5);
+  klines[8] = bar(8, 99.1, 103, 103.2, 99);
+  klines[9] = bar(9, 103, 103.5, 103.8, 102);
+  for (let i = 10; i < 20; i++) klines[i] = bar(i, 103.4, 103.5, 103.8, 103);
+  Object.entries(changes).forEach(([i, k]) => { klines[i] = bar(Number(i), ...k); });
+  return klines;
+}
+
+// 人工结构：第9根 BOS 突破第5根摆动高点
+function structure(swingLow = 98) {
+  return {
+    events: [{
+      type: 'BOS',
+      direction: 'BULLISH',
+      index: 9,
+      timestamp: at(9),
+      closePrice: 103.5,
+      brokenLevel: 101,
+      swing: { index: 5, price: 101, timestamp: at(5) }
+    }],
+    swingHighs: [{ index: 5, price: 101, timestamp: at(5) }],
+    swingLows: [{ index: 3, price: swingLow, timestamp: at(3) }]
+  };
+}
+
+test('takes the last opposing candle before a displacement that breaks structure', () => {
+  const [ob, ...rest] = detectOrderBlocks(series(), { structure: structure() });
+
+  assert.deepStrictEqual(rest, []);
+  assert.deepStrictEqual([ob.type, ob.index, ob.high, ob.low], ['BULLISH_OB', 7, 100.6, 97.5]);
+  assert.deepStrictEqual(ob.structureBreak, { type: 'BOS', index: 9, timestamp: at(9), brokenLevel: 101 });
+  assert.strictEqual(ob.displacement.index, 8);
+  assert.strictEqual(ob.displacement.fvg, true);
+  assert.ok(ob.displacement.bodyAtr >= 1.2);
+  assert.strictEqual(ob.sweptLiquidity, true);
+  assert.strictEqual(ob.state, 'FRESH');
+});
+
+test('rejects a down-up pair without displacement or without a structure break', () => {
+  // 第8根只是小阳线，第9根缓慢越过 101，没有位移段也没有同向缺口
+  const slow = series({ 8: [99.1, 99.6, 100.7, 99], 9: [100.6, 101.2, 101.3, 100.5] });
+  for (let i = 10; i < 20; i++) slow[i] = bar(i, 101, 101.1, 101.3, 100.9);
+  assert.deepStrictEqual(detectOrderBlocks(slow, { structure: structure() }), []);
+
+  assert.deepStrictEqual(detectOrderBlocks(series(), { structure: { ...structure(), events: [] } }), []);
+  assert.deepStrictEqual(detectOrderBlocks(series().slice(0, 14), { structure: structure() }), []);
+});
+
+test('counts separate returns into the block and marks mitigation', () => {
+  const klines = series({
+    11: [103, 101, 103.2, 100.4],   // 第一次回到区域
+    12: [101, 102, 102.5, 101],     // 离开
+    13: [102, 101, 102.2, 100],     // 第二次
+    14: [101, 100.5, 101.5, 100.2], // 仍在区域内，不重复计数
+    15: [100.5, 98, 100.6, 97.4]    // 引线穿过整个区域，收盘仍在区域内
+  });
+  const [ob] = detectOrderBlocks(klines, { structure: structure() });
+
+  assert.strictEqual(ob.touches, 2);
+  assert.deepStrictEqual(ob.firstTouch, { index: 11, timestamp: at(11) });
+  assert.deepStrictEqual(ob.mitigated, { index: 15, timestamp: at(15) });
+  assert.strictEqual(ob.flipped, null);
+  assert.strictEqual(ob.state, 'MITIGATED');
+
+  const tested = detectOrderBlocks(series({ 11: [103, 101, 103.2, 100.4] }), { structure: structure() })[0];
+  assert.deepStrictEqual([tested.touches, tested.state], [1, 'TESTED']);
+  assert.deepStrictEqual(getActiveOrderBlocks([tested, ob]), [tested]);
+});
+
+test('flips into a breaker only when the block swept liquidity', () => {
+  const broken = series({ 12: [103, 97, 103.2, 96.8] });
+  for (let i = 13; i < 20; i++) broken[i] = bar(i, 97, 96.8, 97.2, 96.5);
+
+  const [breaker] = detectOrderBlocks(broken, { structure: structure(98) });
+  assert.deepStrictEqual([breaker.sweptLiquidity, breaker.flipType, breaker.state], [true, 'BREAKER', 'BREAKER']);
+
+  // 之前的摆动低点在 97：订单块没有扫过流动性
+  const [mitigation] = detectOrderBlocks(broken, { structure: structure(97) });
+  assert.deepStrictEqual([mitigation.sweptLiquidity, mitigation.flipType, mitigation.state],
+    [false, 'MITIGATION', 'MITIGATION_BLOCK']);
+
+  assert.deepStrictEqual(getFlippedBlocks([breaker, mitigation]).map(b => [b.type, b.originalType]), [
+    ['BEARISH_BREAKER', 'BULLISH_OB'],
+    ['BEARISH_MITIGATION', 'BULLISH_OB']
+  ]);
+  assert.deepStrictEqual(getActiveOrderBlocks([breaker, mitigation]), []);
+});
+
+test('invalidates a flipped block when price closes back through it', () => {
+  const bearish = { type: 'BEARISH_OB', high: 102, low: 100, index: 0, sweptLiquidity: false };
+  const klines = [
+    bar(0, 100, 101, 102, 100),
+    bar(1, 99, 98, 99.5, 97),
+    bar(2, 98, 101, 101.2, 97.8),   // 测试
+    bar(3, 101, 102.5, 102.8, 100.8), // 收盘突破：反转为看涨 Mitigation Block
+    bar(4, 102.5, 99.5, 102.6, 99.4)  // 收盘跌回区域下方：失效
+  ];
+
+  const flipped = trackOrderBlock(bearish, klines.slice(0, 4), 0);
+  assert.deepStrictEqual([flipped.touches, flipped.state], [1, 'MITIGATION_BLOCK']);
+  assert.deepStrictEqual(getFlippedBlocks([flipped]).map(b => b.type), ['BULLISH_MITIGATION']);
+
+  const invalidated = trackOrderBlock(bearish, klines, 0);
+  assert.deepStrictEqual(invalidated.flipBroken, { index: 4, timestamp: at(4) });
+  assert.strictEqual(invalidated.state, 'INVALIDATED');
+  assert.deepStrictEqual(getFlippedBlocks([invalidated]), []);
+});
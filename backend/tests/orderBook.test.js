@@ -0,0 +1,119 @@
+/**
+ * 订单簿测试（深度指标；本地 HTTP 服务上的各交易所订单簿解析；点差/深度过滤与降级）
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { computeDepthMetrics } = require('../src/orderBook');
+const { GateioAdapter } = require('../src/exchanges/gateio');
+const { GateioFuturesAdapter } = require('../src/exchanges/gateioFutures');
+const { BinanceAdapter } = require('../src/exchanges/binance');
+const { OkxAdapter } = require('../src/exchanges/okx');
+const { CONFIG, environmentFilter, degradationFilter } = require('../src/strategy');
+
+const T0 = Date.UTC(2026, 0, 5);
+
+// 本地服务：按路径返回 fixtures 中的响应
+const fixtures = {
+  '/spot/order_book': { current: T0, bids: [['99.9', '2']], asks: [['100.1', '3']] },
+  '/futures/usdt/contracts': [{ name: 'BTC_USDT', quanto_multiplier: '0.0001' }],
+  '/futures/usdt/order_book': { current: T0 / 1000 + 0.123, bids: [{ p: '99.9', s: 20000 }], asks: [{ p: '100.1', s: 30000 }] },
+  '/depth': { lastUpdateId: 1, bids: [['99.9', '2']], asks: [['100.1', '3']] },
+  '/market/books': { code: '0', data: [{ ts: String(T0), bids: [['99.9', '2', '0', '1']], asks: [['100.1', '3', '0', '2']] }] }
+};
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(fixtures[url.pathname] === undefined ? null : fixtures[url.pathname]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// 平稳小幅波动的K线，环境过滤只看订单簿检查项
+const klines = Array.from({ length: 30 }, (_, i) => {
+  const close = 100 + (i % 2 === 0 ? 1 : -1);
+  return { timestamp: T0 + i * 4 * 3600000, open: 100, high: close + 1, low: close - 2, close, volume: 1000 };
+});
+const check = (result, name) => result.checks.find(c => c.name === name);
+const reasons = result => result.penalties.map(p => p.reason);
+
+test('measures spread, depth inside the band and imbalance', () => {
+  const metrics = computeDepthMetrics({
+    timestamp: T0,
+    bids: [[99.5, 10], [99.2, 5], [98.5, 100]],
+    asks: [[100.5, 2], [100.9, 3], [101.5, 100]]
+  });
+
+  assert.strictEqual(metrics.mid, 100);
+  near(metrics.spreadPercent, 1);
+  // ±1% 即 99~101：98.5 和 101.5 两档不计入
+  near(metrics.bidDepth, 995 + 496);
+  near(metrics.askDepth, 201 + 302.7);
+  near(metrics.depth, 1491 + 503.7);
+  near(metrics.imbalance, (1491 - 503.7) / (1491 + 503.7));
+  assert.deepStrictEqual([metrics.complete, metrics.timestamp], [true, T0]);
+
+  // 档位未覆盖整个范围
+  const partial = { bids: [[99.5, 10]], asks: [[100.5, 2], [101.5, 1]] };
+  assert.strictEqual(computeDepthMetrics(partial).complete, false);
+  near(computeDepthMetrics(partial, { bandPercent: 2 }).askDepth, 201 + 101.5);
+
+  assert.strictEqual(computeDepthMetrics({ bids: [], asks: [[100.5, 2]] }), null);
+  assert.strictEqual(computeDepthMetrics(null), null);
+});
+
+test('parses order books from every exchange into base currency amounts', async () => {
+  const expected = { bids: [[99.9, 2]], asks: [[100.1, 3]] };
+
+  assert.deepStrictEqual(await new GateioAdapter({ baseUrl }).getOrderBook('BTC_USDT'), { timestamp: T0, ...expected });
+  assert.deepStrictEqual(await new OkxAdapter({ baseUrl }).getOrderBook('BTC_USDT'), { timestamp: T0, ...expected });
+
+  const binance = await new BinanceAdapter({ baseUrl }).getOrderBook('BTC_USDT');
+  assert.deepStrictEqual([binance.bids, binance.asks], [expected.bids, expected.asks]);
+  assert.strictEqual(typeof binance.timestamp, 'number');
+
+  // 合约张数按面值换算，current 为秒
+  assert.deepStrictEqual(await new GateioFuturesAdapter({ baseUrl }).getOrderBook('BTC_USDT'), { timestamp: T0 + 123, ...expected });
+});
+
+test('fails wide spreads and shallow books, skipping the checks without a book', () => {
+  const ticker = orderBook => ({ volume24h: 1000000, orderBook });
+  const book = (spreadPercent, depth) => ({ spreadPercent, depth, bidDepth: depth / 2, askDepth: depth / 2, imbalance: 0 });
+
+  const healthy = environmentFilter(klines, 'LONG', ticker(book(0.05, 100000)));
+  assert.deepStrictEqual([check(healthy, 'spread').passed, check(healthy, 'book_depth').passed], [true, true]);
+
+  const wide = environmentFilter(klines, 'LONG', ticker(book(0.2, 100000)));
+  assert.deepStrictEqual([wide.passed, check(wide, 'spread').passed], [false, false]);
+
+  const shallow = environmentFilter(klines, 'LONG', ticker(book(0.05, CONFIG.MIN_BOOK_DEPTH_USD - 1)));
+  assert.deepStrictEqual([shallow.passed, check(shallow, 'book_depth').passed], [false, false]);
+
+  const none = environmentFilter(klines, 'LONG', { volume24h: 1000000 });
+  assert.deepStrictEqual([check(none, 'spread'), check(none, 'book_depth')], [undefined, undefined]);
+});
+
+test('penalizes thin books and imbalance against the signal direction', () => {
+  const signal = direction => ({ direction, entry_price: klines[klines.length - 1].close, baseScore: 80 });
+  const ticker = (depth, imbalance) => ({ volume24h: 1000000, orderBook: { spreadPercent: 0.05, depth, imbalance } });
+
+  // 卖盘明显更厚：做多扣分，做空不扣
+  const askHeavy = ticker(100000, -0.5);
+  const long = degradationFilter(signal('LONG'), klines, askHeavy);
+  assert.deepStrictEqual(reasons(long), ['THIN_BOOK', 'BOOK_IMBALANCE']);
+  assert.strictEqual(long.adjustedScore, 80 - CONFIG.THIN_BOOK_PENALTY - CONFIG.BOOK_IMBALANCE_PENALTY);
+  assert.deepStrictEqual(reasons(degradationFilter(signal('SHORT'), klines, askHeavy)), ['THIN_BOOK']);
+
+  assert.deepStrictEqual(reasons(degradationFilter(signal('SHORT'), klines, ticker(1000000, 0.5))), ['BOOK_IMBALANCE']);
+  assert.deepStrictEqual(reasons(degradationFilter(signal('LONG'), klines, ticker(1000000, -0.3))), []);
+});
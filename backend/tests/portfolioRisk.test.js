@@ -0,0 +1,136 @@
+/**
+ * 组合风控测试（总风险预算、方向敞口、持仓数、相关性分组、缩仓/丢弃报告）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getCorrelationGroup, summarizeExposure, applyPortfolioRisk } = require('../src/portfolioRisk');
+
+const BALANCE = 10000;
+
+// 默认每个信号风险 2%（200 / 10000）
+function signal(symbol, direction, extra = {}) {
+  return {
+    id: `${symbol}-${direction}`,
+    symbol,
+    direction,
+    rating: 'A',
+    score: 70,
+    risk_management: { riskAmount: 200, positionSize: 100 },
+    ...extra
+  };
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// 只放开需要测试的那一项限制
+const run = (candidates, open, limits) => applyPortfolioRisk(candidates, open, {
+  balance: BALANCE,
+  limits: {
+    maxTotalRisk: 1,
+    maxDirectionRisk: 1,
+    maxConcurrentPositions: 100,
+    maxCorrelatedPositions: 100,
+    minResizeRatio: 0.25,
+    ...limits
+  }
+});
+
+test('groups correlated symbols and sums exposure', () => {
+  assert.strictEqual(getCorrelationGroup('ETH_USDT'), 'MAJORS');
+  assert.strictEqual(getCorrelationGroup('FOO_USDT'), 'FOO_USDT');
+
+  const exposure = summarizeExposure([
+    signal('BTC_USDT', 'LONG'),
+    signal('ETH_USDT', 'SHORT', { risk_management: { riskAmount: 100 } })
+  ], { balance: BALANCE });
+  assert.strictEqual(exposure.positions, 2);
+  near(exposure.total_risk, 0.03);
+  assert.deepStrictEqual(exposure.by_direction, { LONG: 0.02, SHORT: 0.01 });
+  assert.deepStrictEqual(exposure.by_group.MAJORS.symbols, ['BTC_USDT', 'ETH_USDT']);
+});
+
+test('fills the total risk budget by rating and score, resizing the last fit', () => {
+  const result = run([
+    signal('AAA_USDT', 'LONG', { rating: 'B' }),
+    signal('BBB_USDT', 'SHORT', { rating: 'S' }),
+    signal('CCC_USDT', 'LONG', { score: 90 }),
+    signal('DDD_USDT', 'SHORT', { score: 60 })
+  ], [], { maxTotalRisk: 0.05 });
+
+  assert.deepStrictEqual(result.accepted.map(s => s.symbol), ['BBB_USDT', 'CCC_USDT', 'DDD_USDT']);
+  const resized = result.accepted[2];
+  near(resized.risk_management.riskAmount, 100);
+  assert.strictEqual(resized.risk_management.positionSize, 50);
+  assert.strictEqual(resized.portfolio_risk.correlation_group, 'DDD_USDT');
+  assert.strictEqual(resized.portfolio_risk.resized, true);
+  near(resized.portfolio_risk.scale, 0.5);
+  near(resized.portfolio_risk.risk_fraction, 0.01);
+
+  assert.strictEqual(result.resized.length, 1);
+  const [report] = result.resized;
+  assert.deepStrictEqual([report.symbol, report.signal_id, report.risk_before], ['DDD_USDT', 'DDD_USDT-SHORT', 0.02]);
+  near(report.scale, 0.5);
+  near(report.risk_after, 0.01);
+
+  assert.deepStrictEqual(result.dropped.map(d => [d.symbol, d.reason]), [['AAA_USDT', 'TOTAL_RISK_LIMIT']]);
+  assert.strictEqual(result.dropped[0].detail, '总风险剩余 0.00%');
+  near(result.exposure.total_risk, 0.05);
+  assert.strictEqual(result.limits.max_total_risk, 0.05);
+});
+
+test('limits exposure per direction on top of open positions', () => {
+  const result = run([
+    signal('AAA_USDT', 'LONG', { score: 90 }),
+    signal('BBB_USDT', 'LONG', { score: 80 }),
+    signal('CCC_USDT', 'SHORT', { score: 70 })
+  ], [signal('OPEN_USDT', 'LONG')], { maxDirectionRisk: 0.03 });
+
+  assert.deepStrictEqual(result.accepted.map(s => s.symbol), ['AAA_USDT', 'CCC_USDT']);
+  near(result.accepted[0].portfolio_risk.scale, 0.5);
+  assert.strictEqual(result.accepted[1].portfolio_risk.scale, 1);
+  assert.deepStrictEqual(result.dropped.map(d => [d.symbol, d.reason, d.detail]), [
+    ['BBB_USDT', 'DIRECTION_RISK_LIMIT', 'LONG 方向剩余风险 0.00%']
+  ]);
+  near(result.exposure.by_direction.LONG, 0.03);
+  near(result.exposure.by_direction.SHORT, 0.02);
+});
+
+test('drops a signal that would be resized below the minimum ratio', () => {
+  const result = run([signal('AAA_USDT', 'LONG')], [signal('OPEN_USDT', 'LONG')], { maxTotalRisk: 0.024 });
+
+  assert.deepStrictEqual(result.accepted, []);
+  assert.deepStrictEqual(result.resized, []);
+  assert.strictEqual(result.dropped[0].reason, 'TOTAL_RISK_LIMIT');
+});
+
+test('caps concurrent positions and skips symbols already open', () => {
+  const result = run([
+    signal('OPEN_USDT', 'SHORT', { score: 99 }),
+    signal('AAA_USDT', 'LONG', { score: 90 }),
+    signal('BBB_USDT', 'LONG', { score: 80 })
+  ], [signal('OPEN_USDT', 'LONG')], { maxConcurrentPositions: 2 });
+
+  assert.deepStrictEqual(result.accepted.map(s => s.symbol), ['AAA_USDT']);
+  assert.deepStrictEqual(result.dropped.map(d => [d.symbol, d.reason, d.detail]), [
+    ['OPEN_USDT', 'SYMBOL_ALREADY_OPEN', 'OPEN_USDT 已有持仓'],
+    ['BBB_USDT', 'MAX_POSITIONS', '持仓数 2/2']
+  ]);
+});
+
+test('caps positions within a correlation group', () => {
+  const result = run([
+    signal('ETH_USDT', 'LONG', { score: 90 }),
+    signal('BNB_USDT', 'SHORT', { score: 80 }),
+    signal('SOL_USDT', 'LONG', { score: 70 })
+  ], [signal('BTC_USDT', 'LONG')], { maxCorrelatedPositions: 2 });
+
+  assert.deepStrictEqual(result.accepted.map(s => [s.symbol, s.portfolio_risk.correlation_group]), [
+    ['ETH_USDT', 'MAJORS'],
+    ['SOL_USDT', 'ALT_L1']
+  ]);
+  assert.deepStrictEqual(result.dropped.map(d => [d.symbol, d.reason, d.detail]), [
+    ['BNB_USDT', 'CORRELATION_LIMIT', 'MAJORS 分组持仓数 2/2']
+  ]);
+  assert.strictEqual(result.exposure.by_group.MAJORS.count, 2);
+});
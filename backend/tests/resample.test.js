@@ -0,0 +1,186 @@
+/**
+ * K线周期转换测试（UTC 分桶、聚合与收盘标记）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseTimeframe,
+  getBucketStart,
+  canResample,
+  pickSourceTimeframe,
+  requiredSourceCandles,
+  resampleCandles,
+  buildTimeframes
+} = require('../src/resample');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const T0 = Date.UTC(2026, 0, 5);  // 周一 00:00 UTC
+
+// 连续源K线：第 i 根 open = i，close = i + 0.5，成交量 1
+function series(from, count, ms, extra = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: from + i * ms,
+    open: i,
+    high: i + 1,
+    low: i - 1,
+    close: i + 0.5,
+    volume: 1,
+    ...extra
+  }));
+}
+
+test('parses timeframes and rejects invalid ones', () => {
+  assert.deepStrictEqual(parseTimeframe('15m'), { ms: 15 * MINUTE_MS, offset: 0 });
+  assert.deepStrictEqual(parseTimeframe('1w'), { ms: 7 * DAY_MS, offset: 4 * DAY_MS });
+  assert.throws(() => parseTimeframe('0m'), /Invalid timeframe/);
+  assert.throws(() => parseTimeframe('1y'), /Invalid timeframe/);
+});
+
+test('aligns buckets to UTC boundaries, weeks to Monday', () => {
+  const t = Date.UTC(2026, 0, 8, 13, 47);  // 周四 13:47 UTC
+
+  assert.strictEqual(getBucketStart(t, '15m'), Date.UTC(2026, 0, 8, 13, 45));
+  assert.strictEqual(getBucketStart(t, '2h'), Date.UTC(2026, 0, 8, 12));
+  assert.strictEqual(getBucketStart(t, '4h'), Date.UTC(2026, 0, 8, 12));
+  assert.strictEqual(getBucketStart(t, '8h'), Date.UTC(2026, 0, 8, 8));
+  assert.strictEqual(getBucketStart(t, '1d'), Date.UTC(2026, 0, 8));
+  assert.strictEqual(getBucketStart(t, '1w'), T0);
+  // 3d 从 Unix 纪元起每3天一个分桶
+  assert.strictEqual(getBucketStart(t, '3d'), Math.floor(t / (3 * DAY_MS)) * 3 * DAY_MS);
+  assert.strictEqual(getBucketStart(T0 - 1, '1w'), T0 - 7 * DAY_MS);
+});
+
+test('only resamples into evenly divisible, aligned timeframes', () => {
+  assert.strictEqual(canResample('1m', '15m'), true);
+  assert.strictEqual(canResample('1h', '2h'), true);
+  assert.strictEqual(canResample('4h', '8h'), true);
+  assert.strictEqual(canResample('1d', '3d'), true);
+  assert.strictEqual(canResample('1d', '1w'), true);
+  assert.strictEqual(canResample('3d', '1w'), false);
+  assert.strictEqual(canResample('1h', '90m'), false);
+  assert.strictEqual(canResample('4h', '1h'), false);
+
+  const gateio = ['1m', '5m', '15m', '30m', '1h', '4h', '8h', '1d'];
+  assert.strictEqual(pickSourceTimeframe('2h', gateio), '1h');
+  assert.strictEqual(pickSourceTimeframe('3d', gateio), '1d');
+  assert.strictEqual(pickSourceTimeframe('1w', gateio), '1d');
+  assert.strictEqual(pickSourceTimeframe('7m', ['5m', '15m']), null);
+
+  assert.strictEqual(requiredSourceCandles('1m', '15m', 200), 201 * 15);
+  assert.throws(() => resampleCandles([], '1h', '90m'), /Cannot resample 1h into 90m/);
+});
+
+test('aggregates OHLCV and marks closed buckets', () => {
+  const candles = series(T0, 30, MINUTE_MS);
+  const [first, second] = resampleCandles(candles, '1m', '15m', { now: T0 + DAY_MS });
+
+  assert.deepStrictEqual(first, {
+    timestamp: T0,
+    open: 0,
+    high: 15,
+    low: -1,
+    close: 14.5,
+    volume: 15,
+    closed: true
+  });
+  assert.strictEqual(second.timestamp, T0 + 15 * MINUTE_MS);
+  assert.strictEqual(second.open, 15);
+  assert.strictEqual(second.volume, 15);
+});
+
+test('builds 2h, 8h, 3d and 1w from native candles', () => {
+  const hourly = series(T0, 24, HOUR_MS);
+  const twoHour = resampleCandles(hourly, '1h', '2h', { now: T0 + 7 * DAY_MS });
+  assert.strictEqual(twoHour.length, 12);
+  assert.deepStrictEqual(twoHour.map(k => k.volume), new Array(12).fill(2));
+
+  const eightHour = resampleCandles(hourly, '1h', '8h', { now: T0 + 7 * DAY_MS });
+  assert.deepStrictEqual(eightHour.map(k => k.timestamp), [T0, T0 + 8 * HOUR_MS, T0 + 16 * HOUR_MS]);
+
+  // 从周一开始的14根日线：1w 两根，3d 从纪元对齐的第一个完整分桶开始
+  const daily = series(T0, 14, DAY_MS);
+  const weekly = resampleCandles(daily, '1d', '1w', { now: T0 + 30 * DAY_MS });
+  assert.deepStrictEqual(weekly.map(k => [k.timestamp, k.open, k.close, k.volume]), [
+    [T0, 0, 6.5, 7],
+    [T0 + 7 * DAY_MS, 7, 13.5, 7]
+  ]);
+
+  // 2026-01-05 是纪元后第 20458 天，所在 3d 分桶从 01-04 开始，不完整被丢弃
+  const threeDay = resampleCandles(daily, '1d', '3d', { now: T0 + 30 * DAY_MS });
+  assert.strictEqual(getBucketStart(T0, '3d'), T0 - DAY_MS);
+  assert.deepStrictEqual(threeDay.map(k => [k.timestamp, k.volume]), [
+    [T0 + 2 * DAY_MS, 3],
+    [T0 + 5 * DAY_MS, 3],
+    [T0 + 8 * DAY_MS, 3],
+    [T0 + 11 * DAY_MS, 3]
+  ]);
+});
+
+test('drops a partial first bucket unless asked to keep it', () => {
+  const candles = series(T0 + 5 * MINUTE_MS, 25, MINUTE_MS);
+
+  const dropped = resampleCandles(candles, '1m', '15m', { now: T0 + DAY_MS });
+  assert.deepStrictEqual(dropped.map(k => k.timestamp), [T0 + 15 * MINUTE_MS]);
+
+  const kept = resampleCandles(candles, '1m', '15m', { now: T0 + DAY_MS, keepPartialFirst: true });
+  assert.deepStrictEqual(kept.map(k => [k.timestamp, k.volume]), [[T0, 10], [T0 + 15 * MINUTE_MS, 15]]);
+});
+
+test('leaves the forming bucket open', () => {
+  const candles = series(T0, 20, MINUTE_MS);
+
+  // 最后一个分桶只有5根源K线
+  const forming = resampleCandles(candles, '1m', '15m', { now: T0 + 20 * MINUTE_MS });
+  assert.deepStrictEqual(forming.map(k => [k.volume, k.closed]), [[15, true], [5, false]]);
+
+  // 源K线覆盖到分桶结束，但分桶结束时间未到
+  const full = series(T0, 15, MINUTE_MS);
+  assert.strictEqual(resampleCandles(full, '1m', '15m', { now: T0 + 14 * MINUTE_MS })[0].closed, false);
+
+  // 源K线未收盘
+  const open = series(T0, 15, MINUTE_MS);
+  open[14].closed = false;
+  assert.strictEqual(resampleCandles(open, '1m', '15m', { now: T0 + DAY_MS })[0].closed, false);
+});
+
+test('drops buckets with missing source candles', () => {
+  // 缺少 00:20–00:24：00:15 分桶只有10根源K线
+  const candles = series(T0, 45, MINUTE_MS).filter(k => {
+    const minute = (k.timestamp - T0) / MINUTE_MS;
+    return minute < 20 || minute >= 25;
+  });
+
+  const result = resampleCandles(candles, '1m', '15m', { now: T0 + DAY_MS });
+  assert.deepStrictEqual(result.map(k => [k.timestamp, k.volume, k.closed]), [
+    [T0, 15, true],
+    [T0 + 30 * MINUTE_MS, 15, true]
+  ]);
+
+  // 分桶末尾缺K线、之后的数据在下一个分桶
+  const trailingGap = series(T0, 45, MINUTE_MS).filter(k => (k.timestamp - T0) / MINUTE_MS < 25 || k.timestamp >= T0 + 30 * MINUTE_MS);
+  assert.deepStrictEqual(
+    resampleCandles(trailingGap, '1m', '15m', { now: T0 + DAY_MS }).map(k => k.timestamp),
+    [T0, T0 + 30 * MINUTE_MS]
+  );
+
+  // 形成中的分桶内部缺K线同样丢弃
+  const formingGap = series(T0, 20, MINUTE_MS).filter((k, i) => i !== 17);
+  assert.deepStrictEqual(resampleCandles(formingGap, '1m', '15m', { now: T0 + 20 * MINUTE_MS }).map(k => k.timestamp), [T0]);
+});
+
+test('builds several timeframes with per-timeframe limits', () => {
+  const candles = series(T0, 4 * 60, MINUTE_MS);
+  const built = buildTimeframes(candles, '1m', ['1h', '15m', '1m'], {
+    limits: { '15m': 4, '1m': 10 },
+    now: T0 + DAY_MS
+  });
+
+  assert.strictEqual(built['1h'].length, 4);
+  assert.strictEqual(built['15m'].length, 4);
+  assert.strictEqual(built['15m'][0].timestamp, T0 + 3 * HOUR_MS);
+  assert.strictEqual(built['1m'].length, 10);
+  assert.strictEqual(built['1m'][9], candles[candles.length - 1]);
+});
@@ -0,0 +1,139 @@
+/**
+ * 扫描任务测试（本地 HTTP 服务：202 提交、进度、取消、重启后查询）
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { JOB_STATUS, SCAN_JOB_CONFIG, ScanJobManager } = require('../src/scanJobs');
+
+// 进度每次都写库，便于在“重启”后核对
+SCAN_JOB_CONFIG.PERSIST_INTERVAL_MS = 0;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-jobs-'));
+const DB_PATH = path.join(dir, 'jobs.db');
+const servers = [];
+
+after(() => {
+  servers.filter(server => server.listening).forEach(server => server.close());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// 由测试控制完成时机的扫描：报告进度后等待 release()
+function controlledRunner() {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const runner = async (context) => {
+    context.reportProgress(40, '扫描中 20/54');
+    await gate;
+    context.throwIfCancelled();
+    return { signal_count: 2 };
+  };
+  return { runner, release: () => release() };
+}
+
+// 与 server.js 相同的任务接口
+async function startServer(store, runners) {
+  const jobs = new ScanJobManager(store);
+  const app = express();
+
+  app.post('/api/scan', (req, res) => {
+    const job = jobs.submit('SINGLE', runners.shift(), { userId: req.headers['x-user-id'] });
+    res.status(202).json({ success: true, job_id: job.id, status_url: `/api/scan/jobs/${job.id}`, job });
+  });
+  app.get('/api/scan/jobs', (req, res) => res.json({ jobs: jobs.listJobs() }));
+  app.get('/api/scan/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    res.json({ success: true, job });
+  });
+  app.delete('/api/scan/jobs/:id', (req, res) => {
+    const { found, cancelled, job } = jobs.cancel(req.params.id);
+    if (!found) return res.status(404).json({ success: false, error: 'Job not found' });
+    if (!cancelled) return res.status(409).json({ success: false, error: `Job already ${job.status}`, job });
+    res.status(202).json({ success: true, job });
+  });
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  servers.push(server);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, url) => {
+    const res = await fetch(`${base}${url}`, { method, headers: { 'x-user-id': 'tester' } });
+    return { status: res.status, body: await res.json() };
+  };
+  return { jobs, server, call };
+}
+
+// 等待任务到达某个状态
+async function waitFor(call, id, predicate) {
+  for (let i = 0; i < 100; i++) {
+    const { body } = await call('GET', `/api/scan/jobs/${id}`);
+    if (predicate(body.job)) return body.job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not reach the expected state`);
+}
+
+test('accepts scans with 202 and reports progress, results, cancellation and restarts', async () => {
+  const completing = controlledRunner();
+  const cancelling = controlledRunner();
+  const interrupted = controlledRunner();
+  const store = new SqliteStore(DB_PATH);
+  const { server, call } = await startServer(store, [completing.runner, cancelling.runner, interrupted.runner]);
+
+  // 提交后立即返回任务ID，扫描在后台执行
+  const submitted = await call('POST', '/api/scan');
+  assert.strictEqual(submitted.status, 202);
+  assert.strictEqual(submitted.body.status_url, `/api/scan/jobs/${submitted.body.job_id}`);
+  assert.deepStrictEqual([submitted.body.job.status, submitted.body.job.userId], [JOB_STATUS.QUEUED, 'tester']);
+
+  const id = submitted.body.job_id;
+  const running = await waitFor(call, id, job => job.progress === 40);
+  assert.deepStrictEqual([running.status, running.message], [JOB_STATUS.RUNNING, '扫描中 20/54']);
+
+  completing.release();
+  const completed = await waitFor(call, id, job => job.status === JOB_STATUS.COMPLETED);
+  assert.deepStrictEqual([completed.progress, completed.result], [100, { signal_count: 2 }]);
+  assert.strictEqual((await call('DELETE', `/api/scan/jobs/${id}`)).status, 409);
+
+  // 运行中的任务在下一个检查点停止
+  const cancelId = (await call('POST', '/api/scan')).body.job_id;
+  await waitFor(call, cancelId, job => job.status === JOB_STATUS.RUNNING);
+  const cancel = await call('DELETE', `/api/scan/jobs/${cancelId}`);
+  assert.deepStrictEqual([cancel.status, cancel.body.job.cancelRequested], [202, true]);
+  cancelling.release();
+  const cancelled = await waitFor(call, cancelId, job => job.status === JOB_STATUS.CANCELLED);
+  assert.deepStrictEqual([cancelled.message, cancelled.error], ['任务已取消', null]);
+
+  // 第三个任务运行中时服务停止
+  const interruptedId = (await call('POST', '/api/scan')).body.job_id;
+  await waitFor(call, interruptedId, job => job.progress === 40);
+  server.close();
+  store.close();
+
+  // 重启：同一个数据库，新的任务管理器
+  const restarted = new SqliteStore(DB_PATH);
+  const next = await startServer(restarted, []);
+  assert.strictEqual(next.jobs.recoverInterrupted(), 1);
+
+  const { body } = await next.call('GET', '/api/scan/jobs');
+  assert.deepStrictEqual(body.jobs.map(job => [job.id, job.status]), [
+    [interruptedId, JOB_STATUS.FAILED],
+    [cancelId, JOB_STATUS.CANCELLED],
+    [id, JOB_STATUS.COMPLETED]
+  ]);
+
+  const failed = (await next.call('GET', `/api/scan/jobs/${interruptedId}`)).body.job;
+  assert.deepStrictEqual([failed.progress, failed.error.code], [40, 'INTERRUPTED']);
+  assert.deepStrictEqual((await next.call('GET', `/api/scan/jobs/${id}`)).body.job.result, { signal_count: 2 });
+  assert.strictEqual((await next.call('GET', '/api/scan/jobs/job_missing')).status, 404);
+  assert.strictEqual((await next.call('DELETE', '/api/scan/jobs/job_missing')).status, 404);
+
+  restarted.close();
+});
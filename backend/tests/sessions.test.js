@@ -0,0 +1,119 @@
+/**
+ * 交易时段测试（纽约夏令时/冬令时、时段关键价位、扫荡K线的时段标记）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getSession, checkKillzone, tagSessions, getSessionLevels } = require('../src/sessions');
+const { requireLiquiditySweep } = require('../src/liquiditySweep');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// [from, to) 内的K线，开盘价为 offset + 距纪元的小时数，便于核对取的是哪根
+function candles(intervalMs, from, to, offset) {
+  const list = [];
+  for (let t = from; t < to; t += intervalMs) {
+    const open = offset + t / HOUR_MS;
+    list.push({ timestamp: t, open, high: open + 1, low: open - 1, close: open });
+  }
+  return list;
+}
+const M15 = 0;
+const H4 = 100000;
+const at15m = t => M15 + t / HOUR_MS;
+const at4h = t => H4 + t / HOUR_MS;
+
+test('maps UTC to New York sessions across daylight saving time', () => {
+  // 冬令时 UTC-5
+  assert.strictEqual(getSession(Date.UTC(2026, 0, 15, 12, 30)), 'NEW_YORK');
+  assert.strictEqual(getSession(Date.UTC(2026, 0, 15, 11, 30)), 'OFF_SESSION');
+  assert.strictEqual(getSession(Date.UTC(2026, 0, 15, 7, 0)), 'LONDON');
+  assert.strictEqual(getSession(Date.UTC(2026, 0, 15, 1, 0)), 'ASIA');
+  assert.strictEqual(getSession(Date.UTC(2026, 0, 15, 5, 0)), 'OFF_SESSION');
+
+  // 夏令时 UTC-4
+  assert.strictEqual(getSession(Date.UTC(2026, 6, 15, 11, 30)), 'NEW_YORK');
+  assert.strictEqual(getSession(Date.UTC(2026, 6, 15, 6, 0)), 'LONDON');
+  assert.strictEqual(getSession(Date.UTC(2026, 6, 15, 0, 0)), 'ASIA');
+  assert.strictEqual(getSession(Date.UTC(2026, 6, 15, 4, 0)), 'OFF_SESSION');
+  assert.strictEqual(getSession(Date.UTC(2026, 6, 15, 14, 59)), 'LONDON_CLOSE');
+
+  // 2026-03-08 02:00 切换到夏令时：同一UTC时刻前后一周所在时段不同
+  assert.strictEqual(getSession(Date.UTC(2026, 2, 7, 11, 30)), 'OFF_SESSION');
+  assert.strictEqual(getSession(Date.UTC(2026, 2, 9, 11, 30)), 'NEW_YORK');
+
+  assert.deepStrictEqual(checkKillzone(Date.UTC(2026, 6, 15, 6, 0), ['LONDON']), { inKillzone: true, session: 'LONDON' });
+  assert.deepStrictEqual(checkKillzone(Date.UTC(2026, 6, 15, 0, 0), ['LONDON']), { inKillzone: false, session: 'ASIA' });
+});
+
+test('converts New York local boundaries on the day clocks change', () => {
+  // 纽约 03-08 22:00（EDT）：当日零点仍是 EST，亚洲时段 20:00 已是 EDT
+  const now = Date.UTC(2026, 2, 9, 2, 0);
+  const m15 = candles(15 * MINUTE_MS, Date.UTC(2026, 2, 8, 0), now + MINUTE_MS, M15);
+  const levels = getSessionLevels(m15, now);
+
+  assert.strictEqual(levels.session, 'ASIA');
+  assert.strictEqual(levels.dailyOpen, at15m(Date.UTC(2026, 2, 8, 5)));
+  assert.strictEqual(levels.asianRange.start, Date.UTC(2026, 2, 9, 0));
+  assert.strictEqual(levels.asianRange.end, Date.UTC(2026, 2, 9, 4));
+  assert.strictEqual(levels.asianRange.complete, false);
+  assert.strictEqual(levels.asianRange.high, at15m(now) + 1);
+});
+
+test('uses 4h candles for levels only when they line up with New York midnight (summer)', () => {
+  // 周三 10:00 EDT；纽约午夜为 04:00 UTC，与 4H 边界对齐
+  const now = Date.UTC(2026, 6, 15, 14, 0);
+  const m15 = candles(15 * MINUTE_MS, Date.UTC(2026, 6, 14, 18), now + MINUTE_MS, M15);
+  const h4 = candles(4 * HOUR_MS, Date.UTC(2026, 5, 28), now, H4);
+  const levels = getSessionLevels([m15, h4], now);
+
+  // 15M 覆盖的价位优先取 15M
+  assert.strictEqual(levels.dailyOpen, at15m(Date.UTC(2026, 6, 15, 4)));
+  assert.strictEqual(levels.asianRange.low, at15m(Date.UTC(2026, 6, 15, 0)) - 1);
+  assert.strictEqual(levels.asianRange.high, at15m(Date.UTC(2026, 6, 15, 3, 45)) + 1);
+  assert.strictEqual(levels.asianRange.complete, true);
+
+  // 15M 未覆盖：前一日、周一和1日开盘价取自 4H
+  assert.strictEqual(levels.previousDayLow, at4h(Date.UTC(2026, 6, 14, 4)) - 1);
+  assert.strictEqual(levels.previousDayHigh, at4h(Date.UTC(2026, 6, 15, 0)) + 1);
+  assert.strictEqual(levels.weeklyOpen, at4h(Date.UTC(2026, 6, 13, 4)));
+  assert.strictEqual(levels.monthlyOpen, at4h(Date.UTC(2026, 6, 1, 4)));
+});
+
+test('ignores 4h candles that straddle New York midnight (winter)', () => {
+  // 周三 10:00 EST；纽约午夜为 05:00 UTC，4H K线 04:00–08:00 跨越日界
+  const now = Date.UTC(2026, 0, 14, 15, 0);
+  const m15 = candles(15 * MINUTE_MS, Date.UTC(2026, 0, 13, 19), now + MINUTE_MS, M15);
+  const h4 = candles(4 * HOUR_MS, Date.UTC(2026, 0, 1), now, H4);
+  const levels = getSessionLevels([m15, h4], now);
+
+  assert.strictEqual(levels.dailyOpen, at15m(Date.UTC(2026, 0, 14, 5)));
+  assert.strictEqual(levels.asianRange.start, Date.UTC(2026, 0, 14, 1));
+  assert.strictEqual(levels.asianRange.low, at15m(Date.UTC(2026, 0, 14, 1)) - 1);
+  assert.strictEqual(levels.previousDayHigh, null);
+  assert.strictEqual(levels.previousDayLow, null);
+  assert.strictEqual(levels.weeklyOpen, null);
+  assert.strictEqual(levels.monthlyOpen, null);
+
+  // 15M 覆盖前一日时按纽约日（01-13 05:00 至 01-14 05:00 UTC）计算
+  const longer = candles(15 * MINUTE_MS, Date.UTC(2026, 0, 12, 19), now + MINUTE_MS, M15);
+  const full = getSessionLevels([longer, h4], now);
+  assert.strictEqual(full.previousDayLow, at15m(Date.UTC(2026, 0, 13, 5)) - 1);
+  assert.strictEqual(full.previousDayHigh, at15m(Date.UTC(2026, 0, 14, 4, 45)) + 1);
+});
+
+test('carries the session of the sweep candle into the sweep result', () => {
+  // 纽约时段（冬令时 08:00 起）的1分钟K线：第10根形成摆动低点 98，第38根下引线扫过后收回
+  const start = Date.UTC(2026, 0, 15, 13, 0);
+  const klines = Array.from({ length: 40 }, (_, i) => ({
+    timestamp: start + i * MINUTE_MS, open: 100, high: 100.5, low: 99.5, close: 100, volume: 1
+  }));
+  klines[10] = { ...klines[10], low: 98 };
+  klines[38] = { ...klines[38], open: 99.8, low: 97.5 };
+
+  const { passed, check } = requireLiquiditySweep(tagSessions(klines), 'LONG');
+  assert.strictEqual(passed, true);
+  const { timestamp, session, killzone } = check.sweepDetails.sweepKline;
+  assert.deepStrictEqual({ timestamp, session, killzone }, { timestamp: klines[38].timestamp, session: 'NEW_YORK', killzone: true });
+});
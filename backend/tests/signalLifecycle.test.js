@@ -0,0 +1,136 @@
+/**
+ * 信号生命周期测试（applyCandle / advanceSignal 状态推进）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  SIGNAL_STATUS,
+  initLifecycle,
+  applyCandle,
+  advanceSignal
+} = require('../src/signalLifecycle');
+
+const MINUTE_MS = 60 * 1000;
+const CREATED = Date.UTC(2026, 0, 1);
+
+const longSignal = initLifecycle({
+  id: 'sig_long',
+  symbol: 'BTC_USDT',
+  direction: 'LONG',
+  entry_price: 100,
+  sl: 95,
+  tp1: 110,
+  tp2: 115,
+  status: 'ACTIVE',
+  timestamp: new Date(CREATED).toISOString()
+});
+
+const shortSignal = initLifecycle({
+  ...longSignal,
+  id: 'sig_short',
+  direction: 'SHORT',
+  sl: 105,
+  tp1: 90,
+  tp2: 85,
+  transitions: undefined
+});
+
+function candle(i, low, high) {
+  return { timestamp: CREATED + i * MINUTE_MS, open: (low + high) / 2, high, low, close: (low + high) / 2 };
+}
+
+// 依次应用K线，返回最终信号和所有状态转换
+function replay(signal, candles) {
+  let current = signal;
+  const transitions = [];
+  candles.forEach(c => {
+    const result = applyCandle(current, c);
+    current = result.signal;
+    transitions.push(...result.transitions);
+  });
+  return { signal: current, transitions };
+}
+
+test('starts PENDING with a creation transition', () => {
+  assert.strictEqual(longSignal.status, SIGNAL_STATUS.PENDING);
+  assert.strictEqual(longSignal.transitions.length, 1);
+  assert.strictEqual(longSignal.transitions[0].reason, 'SIGNAL_CREATED');
+});
+
+test('walks PENDING → TRIGGERED → TP1_HIT → TP2_HIT', () => {
+  const { signal, transitions } = replay(longSignal, [
+    candle(1, 101, 103),
+    candle(2, 99, 102),
+    candle(3, 104, 111),
+    candle(4, 109, 116)
+  ]);
+
+  assert.deepStrictEqual(transitions.map(t => t.to), [
+    SIGNAL_STATUS.TRIGGERED,
+    SIGNAL_STATUS.TP1_HIT,
+    SIGNAL_STATUS.TP2_HIT
+  ]);
+  assert.deepStrictEqual(transitions.map(t => t.price), [100, 110, 115]);
+  assert.strictEqual(signal.triggered_at, new Date(CREATED + 2 * MINUTE_MS).toISOString());
+  assert.strictEqual(signal.tp1_hit_at, new Date(CREATED + 3 * MINUTE_MS).toISOString());
+  assert.strictEqual(signal.closed_at, new Date(CREATED + 4 * MINUTE_MS).toISOString());
+  assert.strictEqual(signal.close_price, 115);
+});
+
+test('triggers and reaches both targets within a single candle', () => {
+  const { signal, transitions } = applyCandle(longSignal, candle(1, 99, 116));
+  assert.deepStrictEqual(transitions.map(t => t.to), [
+    SIGNAL_STATUS.TRIGGERED,
+    SIGNAL_STATUS.TP1_HIT,
+    SIGNAL_STATUS.TP2_HIT
+  ]);
+  assert.strictEqual(signal.status, SIGNAL_STATUS.TP2_HIT);
+});
+
+test('stops out after entry, conservatively before targets in the same candle', () => {
+  const afterEntry = replay(longSignal, [candle(1, 99, 102), candle(2, 94, 112)]);
+  assert.deepStrictEqual(afterEntry.transitions.map(t => t.to), [SIGNAL_STATUS.TRIGGERED, SIGNAL_STATUS.STOPPED_OUT]);
+  assert.strictEqual(afterEntry.signal.close_price, 95);
+  assert.strictEqual(afterEntry.signal.status_reason, 'SL_HIT');
+
+  const afterTP1 = replay(longSignal, [candle(1, 99, 111), candle(2, 94, 101)]);
+  assert.deepStrictEqual(afterTP1.transitions.map(t => t.to), [
+    SIGNAL_STATUS.TRIGGERED,
+    SIGNAL_STATUS.TP1_HIT,
+    SIGNAL_STATUS.STOPPED_OUT
+  ]);
+});
+
+test('invalidates a signal whose stop is hit before entry', () => {
+  const { signal, transitions } = replay(shortSignal, [candle(1, 96, 99), candle(2, 101, 106)]);
+  assert.deepStrictEqual(transitions.map(t => t.to), [SIGNAL_STATUS.INVALIDATED]);
+  assert.strictEqual(signal.status_reason, 'SL_HIT_BEFORE_ENTRY');
+  assert.strictEqual(signal.triggered_at, null);
+});
+
+test('leaves a signal PENDING while neither entry nor stop is touched', () => {
+  const { signal, transitions } = applyCandle(shortSignal, candle(1, 96, 99));
+  assert.strictEqual(signal.status, SIGNAL_STATUS.PENDING);
+  assert.deepStrictEqual(transitions, []);
+});
+
+test('advanceSignal skips processed and forming candles and stops at a terminal state', () => {
+  const klines = [
+    candle(-1, 90, 120),
+    candle(1, 99, 102),
+    { ...candle(2, 90, 101), closed: false }
+  ];
+
+  const first = advanceSignal(longSignal, { klines });
+  assert.strictEqual(first.signal.status, SIGNAL_STATUS.TRIGGERED);
+  assert.strictEqual(first.signal.lifecycle.last_candle_ts, CREATED + MINUTE_MS);
+
+  // 已处理的K线不会重复推进；ticker 与上次价格构成区间
+  const second = advanceSignal(first.signal, { klines, ticker: { last: 110.5 }, now: CREATED + 3 * MINUTE_MS });
+  assert.deepStrictEqual(second.transitions.map(t => t.to), [SIGNAL_STATUS.TP1_HIT]);
+
+  const third = advanceSignal(second.signal, { klines: [candle(4, 93, 100)] });
+  assert.strictEqual(third.signal.status, SIGNAL_STATUS.STOPPED_OUT);
+  assert.deepStrictEqual(advanceSignal(third.signal, { klines: [candle(5, 80, 130)] }).transitions, []);
+});
@@ -0,0 +1,106 @@
+/**
+ * SMT 背离测试（看跌/看涨背离、双方同时扫荡、时间戳对齐）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectSMTDivergence, analyzeSMTGroups } = require('../src/smtDivergence');
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5);
+const at = i => T0 + i * 15 * MINUTE_MS;
+const OPTIONS = { lookback: 3, window: 10 };
+
+// 30根横盘K线，第10根为摆动高点 105、第14根为摆动低点 95；检测窗口为最后10根
+function series(changes = {}) {
+  return Array.from({ length: 30 }, (_, i) => ({
+    timestamp: at(i),
+    open: 100,
+    high: i === 10 ? 105 : 101,
+    low: i === 14 ? 95 : 99,
+    close: 100,
+    volume: 1,
+    ...(changes[i] || {})
+  }));
+}
+
+test('detects a bearish SMT when only one pair takes the swing high', () => {
+  const a = series({ 25: { high: 106 } });
+  const b = series({ 25: { high: 104 } });
+
+  assert.deepStrictEqual(detectSMTDivergence(a, b, OPTIONS), [{
+    type: 'BEARISH_SMT',
+    direction: 'SHORT',
+    swept: 'A',
+    referenceTimestamp: at(10),
+    levels: { A: 105, B: 105 },
+    extremes: { A: 106, B: 104 },
+    sweepTimestamp: at(25)
+  }]);
+});
+
+test('detects a bullish SMT when only one pair takes the swing low', () => {
+  const a = series({ 22: { low: 96 } });
+  const b = series({ 23: { low: 94 } });
+
+  const [divergence, ...rest] = detectSMTDivergence(a, b, OPTIONS);
+  assert.deepStrictEqual(rest, []);
+  assert.strictEqual(divergence.type, 'BULLISH_SMT');
+  assert.strictEqual(divergence.direction, 'LONG');
+  assert.strictEqual(divergence.swept, 'B');
+  assert.strictEqual(divergence.referenceTimestamp, at(14));
+  assert.deepStrictEqual(divergence.extremes, { A: 96, B: 94 });
+  assert.strictEqual(divergence.sweepTimestamp, at(23));
+});
+
+test('reports nothing when both pairs sweep or neither does', () => {
+  const bothHigh = detectSMTDivergence(series({ 25: { high: 106 } }), series({ 27: { high: 105.5 } }), OPTIONS);
+  assert.deepStrictEqual(bothHigh, []);
+
+  const bothLow = detectSMTDivergence(series({ 21: { low: 94 } }), series({ 21: { low: 90 } }), OPTIONS);
+  assert.deepStrictEqual(bothLow, []);
+
+  assert.deepStrictEqual(detectSMTDivergence(series(), series(), OPTIONS), []);
+});
+
+test('compares only candles with matching timestamps', () => {
+  // B 缺少第5根、多出更早的K线：按时间戳对齐后结果不变
+  const a = series({ 25: { high: 106 } });
+  const b = [{ ...series()[0], timestamp: at(-1) }, ...series({ 25: { high: 104 } }).filter((k, i) => i !== 5)];
+  const [divergence] = detectSMTDivergence(a, b, OPTIONS);
+  assert.strictEqual(divergence.type, 'BEARISH_SMT');
+  assert.strictEqual(divergence.referenceTimestamp, at(10));
+  assert.strictEqual(divergence.sweepTimestamp, at(25));
+
+  // 时间戳整体错开：没有可比较的K线
+  const shifted = series({ 25: { high: 104 } }).map(k => ({ ...k, timestamp: k.timestamp + MINUTE_MS }));
+  assert.deepStrictEqual(detectSMTDivergence(a, shifted, OPTIONS), []);
+
+  // 对齐后不足以在窗口前确认摆动点
+  assert.deepStrictEqual(detectSMTDivergence(a, b.slice(0, 15), OPTIONS), []);
+});
+
+test('reports each divergence for both symbols of a group pair', () => {
+  const result = analyzeSMTGroups(
+    { BTC_USDT: series({ 25: { high: 106 } }), ETH_USDT: series(), XRP_USDT: series({ 25: { high: 110 } }) },
+    { MAJORS: ['BTC_USDT', 'ETH_USDT', 'SOL_USDT'] },
+    OPTIONS
+  );
+
+  assert.deepStrictEqual(Object.keys(result).sort(), ['BTC_USDT', 'ETH_USDT']);
+  assert.deepStrictEqual(result.ETH_USDT, [{
+    type: 'BEARISH_SMT',
+    direction: 'SHORT',
+    group: 'MAJORS',
+    sweptSymbol: 'BTC_USDT',
+    failedSymbol: 'ETH_USDT',
+    timeframe: '15m',
+    referenceTimestamp: at(10),
+    sweptLevel: 105,
+    failedLevel: 105,
+    sweepTimestamp: at(25),
+    symbol: 'ETH_USDT',
+    pairSymbol: 'BTC_USDT'
+  }]);
+  assert.strictEqual(result.BTC_USDT[0].pairSymbol, 'ETH_USDT');
+});
@@ -0,0 +1,103 @@
+/**
+ * SQLite 存储测试（旧版JSON导入、按保留窗口清理）
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { IMPORT_META_KEY, importJsonData } = require('../src/storage/jsonImporter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1);
+const iso = ms => new Date(ms).toISOString();
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function writeDataDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-import-'));
+  dirs.push(dir);
+  Object.entries(files).forEach(([name, data]) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data)));
+  return dir;
+}
+
+const candle = (hours, close = 100) => ({
+  timestamp: NOW - hours * 4 * HOUR_MS, open: 100, high: 101, low: 99, close, volume: 1
+});
+
+test('imports legacy JSON files once and skips the still-forming last candle', () => {
+  const scanTime = iso(NOW - HOUR_MS);
+  const dir = writeDataDir({
+    'scanLogs.json': [{ id: 'scan_1', endTime: scanTime, totalSymbols: 54, signalsGenerated: 1 }],
+    'history.json': [
+      { time: iso(NOW - DAY_MS), signal_count: 1, filtered_count: 0, signals: [{ symbol: 'ETH_USDT', direction: 'SHORT' }] },
+      { time: scanTime, signal_count: 1, filtered_count: 1, signals: [{ symbol: 'BTC_USDT' }] }
+    ],
+    'signals.json': {
+      scan_time: scanTime,
+      signals: [{ id: 'BTC_USDT_1', symbol: 'BTC_USDT', direction: 'LONG', status: 'ACTIVE', timestamp: scanTime }],
+      filtered: [{ symbol: 'SOL_USDT', reason: 'LOW_VOLUME' }]
+    },
+    // 文件中的顺序不保证：最新的一根（仍在形成中）不在末尾
+    'klines.json': {
+      BTC_USDT: [candle(2), candle(0, 105), candle(1)],
+      ETH_USDT: [candle(0)]
+    }
+  });
+  const store = new SqliteStore(':memory:');
+
+  const result = importJsonData(store, dir);
+  assert.deepStrictEqual({ ...result, importedAt: typeof result.importedAt }, {
+    skipped: false, importedAt: 'string', scans: 2, signals: 2, filtered: 1, candles: 2
+  });
+
+  assert.deepStrictEqual(store.getCandles('BTC_USDT', '4h').map(k => k.timestamp), [candle(2).timestamp, candle(1).timestamp]);
+  assert.deepStrictEqual(store.getCandles('ETH_USDT', '4h'), []);
+
+  // 与日志时间相近的历史记录复用日志ID，其完整信号来自快照
+  const [latest, earlier] = store.getScanHistory();
+  assert.deepStrictEqual([latest.id, latest.signals.map(s => s.direction)], ['scan_1', ['LONG']]);
+  assert.strictEqual(earlier.id, `history_${NOW - DAY_MS}`);
+  assert.deepStrictEqual(store.getLatestFiltered(), [{ symbol: 'SOL_USDT', reason: 'LOW_VOLUME' }]);
+  assert.strictEqual(store.getMeta(IMPORT_META_KEY), result.importedAt);
+
+  assert.deepStrictEqual(importJsonData(store, dir), { skipped: true, importedAt: result.importedAt });
+  assert.strictEqual(importJsonData(store, dir, { force: true }).candles, 2);
+});
+
+test('prunes expired records but keeps open positions and recent candles', () => {
+  const store = new SqliteStore(':memory:');
+  const old = iso(NOW - 40 * DAY_MS);
+  const recent = iso(NOW - DAY_MS);
+  const signal = (id, status, time) => ({
+    id, symbol: 'BTC_USDT', status, timestamp: time, transitions: [{ from: null, to: status, time }]
+  });
+
+  store.saveScan({ id: 'old', endTime: old }, [signal('closed_old', 'SL_HIT', old), signal('open_old', 'TRIGGERED', old)],
+    [{ symbol: 'SOL_USDT', reason: 'LOW_VOLUME' }]);
+  store.saveScan({ id: 'recent', endTime: recent }, [signal('closed_recent', 'TP2_HIT', recent)]);
+  store.saveJob({ id: 'job_old', type: 'SCAN', status: 'COMPLETED', createdAt: old });
+  store.saveJob({ id: 'job_recent', type: 'SCAN', status: 'COMPLETED', createdAt: recent });
+  store.saveCandles({
+    BTC_USDT: [{ ...candle(0), timestamp: NOW - 20 * DAY_MS }, { ...candle(0), timestamp: NOW - 5 * DAY_MS }]
+  }, '4h');
+
+  const removed = store.prune({ retentionDays: 30, candleRetentionDays: 10, now: NOW });
+  assert.deepStrictEqual(removed, {
+    transitions: 1, signals: 1, filtered: 1, scans: 1, jobs: 1, deadLetters: 0, candles: 1
+  });
+
+  assert.deepStrictEqual(store.querySignals().map(s => s.id).sort(), ['closed_recent', 'open_old']);
+  assert.strictEqual(store.getSignalTransitions('open_old').length, 1);
+  assert.deepStrictEqual(store.getScanLogs().map(l => l.id), ['recent']);
+  assert.deepStrictEqual(store.listJobs().map(j => j.id), ['job_recent']);
+  assert.deepStrictEqual(store.getCandles('BTC_USDT', '4h').map(k => k.timestamp), [NOW - 5 * DAY_MS]);
+
+  // 指定保留状态后，超期的持仓信号也会清理
+  assert.strictEqual(store.prune({ retentionDays: 30, keepStatuses: ['TP1_HIT'], now: NOW }).signals, 1);
+  assert.deepStrictEqual(store.querySignals().map(s => s.id), ['closed_recent']);
+});
@@ -0,0 +1,38 @@
+/**
+ * 测试入口
+ *
+ * 运行 backend/tests 下所有 *.test.js（基于 node:test，每个文件也可单独 node 执行）。
+ * 用法: npm test [-- 文件名关键字...]
+ * 测试只使用本地资源，不访问交易所。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const filters = process.argv.slice(2);
+
+const files = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+  .sort()
+  .map(file => path.join(__dirname, file));
+
+if (files.length === 0) {
+  console.error(`No test files matched: ${filters.join(', ')}`);
+  process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', ...files], {
+  stdio: 'inherit',
+  env: {
+    ...process.env,
+    // 测试中只输出错误日志
+    LOG_LEVEL: process.env.LOG_LEVEL || 'ERROR'
+  }
+});
+
+if (result.error) {
+  console.error('Failed to run tests:', result.error.message);
+}
+process.exitCode = result.status === null ? 1 : result.status;
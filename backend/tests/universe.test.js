@@ -0,0 +1,108 @@
+/**
+ * 动态交易对列表测试（筛选规则、强制包含/排除、排名截断、刷新下限）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SqliteStore } = require('../src/storage/sqliteStore');
+const { UNIVERSE_CONFIG, UNIVERSE_REASONS, selectUniverse, UniverseManager } = require('../src/universe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+const config = (overrides = {}) => ({
+  ...UNIVERSE_CONFIG,
+  QUOTE: 'USDT',
+  MIN_QUOTE_VOLUME: 1000,
+  MIN_LISTING_DAYS: 30,
+  MAX_SYMBOLS: 3,
+  INCLUDE: [],
+  EXCLUDE: [],
+  ...overrides
+});
+
+// [交易对, 24h成交额, 上线天数（null 为交易所未提供）, 是否可交易]
+const MARKETS = [
+  ['BTC_USDT', 9000, 900],
+  ['ETH_USDT', 8000, 900],
+  ['SOL_USDT', 7000, 400],
+  ['XRP_USDT', 6000, null],
+  ['DOGE_USDT', 500, 900],
+  ['NEW_USDT', 50000, 10],
+  ['LUNA_USDT', 20000, 900, false],
+  ['BTC3L_USDT', 30000, 900],
+  ['ETHUP_USDT', 30000, 900],
+  ['USDC_USDT', 90000, 900],
+  ['BTC_USDC', 90000, 900]
+];
+const markets = MARKETS.map(([symbol, , days, tradable = true]) => {
+  const [base, quote] = symbol.split('_');
+  return { symbol, base, quote, tradable, listedAt: days === null ? null : NOW - days * DAY_MS };
+});
+const tickers = Object.fromEntries(MARKETS.map(([symbol, quoteVolume24h]) => [symbol, { quoteVolume24h }]));
+
+test('filters by quote, status, base, listing age and volume, then ranks by volume', () => {
+  const { selected, rejected } = selectUniverse(markets, tickers, config(), NOW);
+
+  assert.deepStrictEqual(selected.map(s => [s.symbol, s.quote_volume, s.included]), [
+    ['BTC_USDT', 9000, false],
+    ['ETH_USDT', 8000, false],
+    ['SOL_USDT', 7000, false]
+  ]);
+  assert.strictEqual(selected[0].listed_at, new Date(NOW - 900 * DAY_MS).toISOString());
+
+  assert.deepStrictEqual(rejected, {
+    XRP_USDT: UNIVERSE_REASONS.RANK_CUTOFF,
+    DOGE_USDT: UNIVERSE_REASONS.LOW_VOLUME,
+    NEW_USDT: UNIVERSE_REASONS.TOO_NEW,
+    LUNA_USDT: UNIVERSE_REASONS.NOT_TRADABLE,
+    BTC3L_USDT: UNIVERSE_REASONS.EXCLUDED,
+    ETHUP_USDT: UNIVERSE_REASONS.EXCLUDED,
+    USDC_USDT: UNIVERSE_REASONS.EXCLUDED,
+    BTC_USDC: UNIVERSE_REASONS.WRONG_QUOTE
+  });
+
+  // 没有上线时间的交易对不检查上线天数
+  const wide = selectUniverse(markets, tickers, config({ MAX_SYMBOLS: 10 }), NOW);
+  assert.ok(wide.selected.some(s => s.symbol === 'XRP_USDT' && s.listed_at === null));
+});
+
+test('puts forced symbols first and drops excluded ones', () => {
+  const { selected, rejected } = selectUniverse(markets, tickers, config({
+    INCLUDE: ['DOGE_USDT', 'GONE_USDT', 'LUNA_USDT'],
+    EXCLUDE: ['ETH_USDT']
+  }), NOW);
+
+  // 强制包含不检查成交额，排在最前并占用名额
+  assert.deepStrictEqual(selected.map(s => [s.symbol, s.included]), [
+    ['DOGE_USDT', true],
+    ['BTC_USDT', false],
+    ['SOL_USDT', false]
+  ]);
+  assert.strictEqual(rejected.GONE_USDT, UNIVERSE_REASONS.NOT_LISTED);
+  assert.strictEqual(rejected.LUNA_USDT, UNIVERSE_REASONS.NOT_TRADABLE);
+  assert.strictEqual(rejected.ETH_USDT, UNIVERSE_REASONS.EXCLUDED);
+  assert.strictEqual(rejected.XRP_USDT, UNIVERSE_REASONS.RANK_CUTOFF);
+});
+
+test('never requires more symbols than the list may hold', async () => {
+  assert.ok(UNIVERSE_CONFIG.MIN_SYMBOLS <= UNIVERSE_CONFIG.MAX_SYMBOLS);
+
+  const adapter = { name: 'fake', getMarkets: async () => markets, getTickers: async () => tickers };
+  const small = new UniverseManager(new SqliteStore(':memory:'), {
+    adapter,
+    config: config({ DYNAMIC: true, MAX_SYMBOLS: 2, MIN_SYMBOLS: 10 })
+  });
+  const result = await small.refresh();
+  assert.deepStrictEqual(result.symbols, ['BTC_USDT', 'ETH_USDT']);
+  assert.ok(result.change.removed.some(r => r.symbol === 'SOL_USDT' && r.reason === UNIVERSE_REASONS.RANK_CUTOFF));
+
+  // 结果确实少于下限时保留旧列表
+  const strict = new UniverseManager(new SqliteStore(':memory:'), {
+    adapter,
+    config: config({ DYNAMIC: true, MAX_SYMBOLS: 10, MIN_SYMBOLS: 5 })
+  });
+  const previous = strict.getSymbols();
+  await assert.rejects(strict.refresh(), /Universe too small \(4 < 5\)/);
+  assert.strictEqual(strict.getSymbols(), previous);
+});
@@ -0,0 +1,45 @@
+/**
+ * 成交量分布止盈目标测试（价位优先、固定倍数回退、maxRRR 上限）
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getTakeProfitTargets } = require('../src/volumeProfile');
+
+// 入场 100、止损 98：1R = 2
+const profile = (poc, vah, val, hvn = []) => ({
+  binSize: 0.2,
+  poc: { price: poc, volume: 1 },
+  valueAreaHigh: vah,
+  valueAreaLow: val,
+  hvn: hvn.map(price => ({ price }))
+});
+const targets = (p, options) => getTakeProfitTargets(p, 100, 98, 'LONG', { minRRR: 2, maxRRR: 5, ...options });
+const pick = ({ tp1, tp2 }) => [[tp1.price, tp1.source, tp1.rrr], [tp2.price, tp2.source, tp2.rrr]];
+
+test('takes the first two profile levels within the RRR bounds', () => {
+  // 103 只有 1.5R，112 超过 5R，都不作为目标
+  assert.deepStrictEqual(pick(targets(profile(105, 108, 103, [112]))), [
+    [105, 'POC', 2.5],
+    [108, 'VAH', 4]
+  ]);
+
+  const short = getTakeProfitTargets(profile(95, 97, 91), 100, 102, 'SHORT', { minRRR: 2, maxRRR: 5 });
+  assert.deepStrictEqual(pick(short), [[95, 'POC', 2.5], [91, 'VAL', 4.5]]);
+});
+
+test('falls back to 2R and 3R without a usable profile', () => {
+  assert.deepStrictEqual(pick(targets(null)), [[104, 'RR_MULTIPLE', 2], [106, 'RR_MULTIPLE', 3]]);
+  assert.deepStrictEqual(pick(targets(profile(105, 103, 102))), [[105, 'POC', 2.5], [107, 'RR_MULTIPLE', 3.5]]);
+});
+
+test('never places the fallback tp2 beyond maxRRR', () => {
+  // tp1 在 4.5R：tp1 + 1R 超过上限，tp2 取 5R
+  assert.deepStrictEqual(pick(targets(profile(109, 103, 102))), [[109, 'POC', 4.5], [110, 'RR_MULTIPLE', 5]]);
+
+  // tp1 已在上限：tp2 与 tp1 相同
+  const capped = targets(profile(110, 103, 102));
+  assert.deepStrictEqual(pick(capped), [[110, 'POC', 5], [110, 'POC', 5]]);
+
+  assert.deepStrictEqual(pick(targets(null, { maxRRR: 2.5 })), [[104, 'RR_MULTIPLE', 2], [105, 'RR_MULTIPLE', 2.5]]);
+});